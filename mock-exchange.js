@@ -0,0 +1,83 @@
+import fs from 'fs';
+import dotenv from 'dotenv';
+import { MockHTXExchange } from './src/mock/mock-exchange.js';
+import { createLogger } from './src/utils/logger.js';
+
+dotenv.config();
+
+const logger = createLogger('模拟交易所');
+
+/**
+ * 启动本地模拟 HTX 交易所（离线端到端测试，不使用真实资金）
+ *
+ * 用法：
+ *   npm run mock
+ *   node mock-exchange.js --port 8888 --script src/mock/price-path.example.json
+ *
+ * 然后在另一个终端把监控程序指向它：
+ *   HTX_REST_URL=http://127.0.0.1:8888 \
+ *   WS_URL=ws://127.0.0.1:8888/linear-swap-notification \
+ *   MARKET_WS_URL=ws://127.0.0.1:8888/linear-swap-ws \
+ *   npm start
+ *
+ * 模拟账户的 API Key 与 .env 中的 HTX_ACCESS_KEY / HTX_SECRET_KEY 相同（未配置时为 mock-access-key / mock-secret-key），
+ * 所以客户端不需要修改任何配置即可通过签名校验
+ */
+function parseArgs(argv) {
+  const args = {};
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i].startsWith('--')) {
+      args[argv[i].slice(2)] = argv[i + 1];
+      i++;
+    }
+  }
+  return args;
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  const port = parseInt(args.port || process.env.MOCK_PORT || '8888', 10);
+  const scriptFile = args.script || process.env.MOCK_PRICE_SCRIPT;
+
+  let script = null;
+  if (scriptFile) {
+    try {
+      script = JSON.parse(fs.readFileSync(scriptFile, 'utf8'));
+    } catch (error) {
+      logger.error(`读取价格脚本失败 (${scriptFile}):`, error.message);
+      process.exit(1);
+    }
+  }
+
+  const accessKey = process.env.HTX_ACCESS_KEY || 'mock-access-key';
+  const secretKey = process.env.HTX_SECRET_KEY || 'mock-secret-key';
+  const balance = parseFloat(process.env.MOCK_BALANCE || '10000');
+
+  const exchange = new MockHTXExchange({
+    port,
+    script,
+    accounts: [{ accessKey, secretKey, balance }]
+  });
+
+  const actualPort = await exchange.start();
+  const base = `127.0.0.1:${actualPort}`;
+
+  logger.info('🧪 模拟交易所已启动');
+  logger.info(`   REST:     http://${base}`);
+  logger.info(`   私有频道: ws://${base}/linear-swap-notification`);
+  logger.info(`   行情:     ws://${base}/linear-swap-ws`);
+  logger.info(`   合约:     ${[...exchange.contracts.keys()].join(', ')}`);
+  logger.info(`   账户:     ${accessKey.slice(0, 8)}... 余额 ${balance} USDT`);
+  logger.info(`   价格脚本: ${scriptFile || '无（随机游走）'}\n`);
+
+  process.on('SIGINT', async () => {
+    logger.info('\n👋 正在关闭模拟交易所...');
+    await exchange.stop();
+    process.exit(0);
+  });
+}
+
+main().catch(error => {
+  logger.error('模拟交易所启动失败:', error.message);
+  process.exit(1);
+});
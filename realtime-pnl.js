@@ -1,12 +1,22 @@
 import dotenv from 'dotenv';
-import { HTXFuturesClient } from './src/core/client.js';
+import { createExchange, parseExchangeList, parseAccountList, ExchangeAdapter } from './src/exchanges/index.js';
+import { ReconnectPolicy } from './src/core/reconnect-policy.js';
+import { FrameRecorder } from './src/core/frame-recorder.js';
+import { FrameReplayer } from './src/core/frame-replayer.js';
 import { UnifiedNotifier } from './src/services/unified-notifier.js';
 import { marketConfig, configManager } from './src/config/market-config.js';
+import { redisClient } from './src/config/redis-client.js';
 import { dataCollector } from './src/services/data-collector.js';
+import { pnlLedger } from './src/services/pnl-ledger.js';
+import { AccountMonitor } from './src/services/account-monitor.js';
+import { PortfolioAggregator } from './src/services/portfolio-aggregator.js';
+import { equityHistory } from './src/services/equity-history.js';
+import { AlertEngine } from './src/services/alert-engine.js';
+import './src/services/indicator-alerts.js'; // 注册技术指标告警规则类型
 import { QuantTrader } from './src/services/quant-trader.js';
+import { candleStore } from './src/services/candle-store.js';
 import { createLogger } from './src/utils/logger.js';
-import WebSocket from 'ws';
-import pako from 'pako';
+import { calcPositionPnl, calcPositionValue } from './src/utils/pnl.js';
 
 dotenv.config();
 
@@ -14,8 +24,18 @@ const logger = createLogger('主程序');
 
 const ACCESS_KEY = process.env.HTX_ACCESS_KEY;
 const SECRET_KEY = process.env.HTX_SECRET_KEY;
-const WS_URL = process.env.WS_URL || 'wss://api.hbdm.com/linear-swap-notification';
-const MARKET_WS_URL = 'wss://api.hbdm.com/linear-swap-ws';
+
+// 监控的交易所（逗号分隔，见 src/exchanges/index.js）
+// 第一个为主交易所：量化交易、行情监控、订单簿、大单提醒和录制回放都使用它，其余交易所只监控持仓盈亏和资金费
+const EXCHANGE_IDS = parseExchangeList(process.env.EXCHANGES);
+// 多账户：<交易所>_ACCOUNTS 为子账户列表（逗号分隔，每项为 标签 或 标签:AccessKey:SecretKey，见 parseAccountList），
+// 每个子账户单独认证私有频道，共用该交易所主账户的行情连接；主账户的标签为 <交易所>_ACCOUNT_LABEL（默认 main）。
+// 子账户只监控，不参与量化交易
+
+// 录制 / 回放（调试用）
+const RECORD_FILE = process.env.WS_RECORD_FILE; // 设置后录制私有频道和行情收到的每一帧（JSONL）
+const REPLAY_FILE = process.env.WS_REPLAY_FILE; // 设置后不连接交易所，回放录制文件
+const REPLAY_SPEED = process.env.WS_REPLAY_SPEED !== undefined ? parseFloat(process.env.WS_REPLAY_SPEED) : 1;
 
 // 通知配置
 const TELEGRAM_BOT_TOKEN = process.env.TELEGRAM_BOT_TOKEN;
@@ -30,12 +50,44 @@ const BARK_SERVER = process.env.BARK_SERVER;
  * 3. Telegram 智能通知
  */
 async function main() {
-  if (!ACCESS_KEY || !SECRET_KEY) {
-    logger.error('请先配置 HTX_ACCESS_KEY 和 HTX_SECRET_KEY');
+  // 回放时不再录制；录制和回放只针对主交易所
+  const recorder = RECORD_FILE && !REPLAY_FILE ? new FrameRecorder(RECORD_FILE) : null;
+
+  let exchanges;
+  try {
+    exchanges = EXCHANGE_IDS.flatMap((id, index) => {
+      const envPrefix = id.toUpperCase();
+      const accounts = parseAccountList(process.env[`${envPrefix}_ACCOUNTS`]);
+      const primary = createExchange(id, {
+        reconnect: ReconnectPolicy.fromEnv(),
+        recorder: index === 0 ? recorder : null,
+        account: accounts.length > 0 ? (process.env[`${envPrefix}_ACCOUNT_LABEL`] || 'main') : undefined
+      });
+      return [
+        primary,
+        ...accounts.map(({ label, accessKey, secretKey }) => createExchange(id, {
+          reconnect: ReconnectPolicy.fromEnv(),
+          account: label,
+          accessKey,
+          secretKey,
+          marketSource: primary
+        }))
+      ];
+    });
+  } catch (error) {
+    logger.error(error.message);
+    process.exit(1);
+  }
+  // 主交易所
+  const exchange = exchanges[0];
+
+  const missingCredentials = REPLAY_FILE ? [] : exchanges.filter(e => !e.hasCredentials());
+  if (missingCredentials.length > 0) {
+    missingCredentials.forEach(e => logger.error(`请先配置 ${e.credentialEnv.join(' 和 ')}（${e.name}）`));
     process.exit(1);
   }
 
-  logger.info('🚀 HTX 统一监控启动中...\n');
+  logger.info(`🚀 ${exchanges.map(e => e.name).join(' + ')} 统一监控启动中...\n`);
   logger.info('📊 功能：');
   logger.info('   ✅ 持仓盈亏实时监控');
   logger.info('   ✅ 市场行情趋势监控');
@@ -43,22 +95,36 @@ async function main() {
   logger.info('   ✅ 实时数据收集（供 Web 分析使用）');
   logger.info('   ✅ 量化交易（可选）\n');
 
+  if (REPLAY_FILE) {
+    logger.warn(`⏪ 回放模式: ${REPLAY_FILE} (${REPLAY_SPEED > 0 ? `${REPLAY_SPEED}x` : '不等待'})，不连接交易所，量化交易强制使用测试模式`);
+  }
+
   // 加载历史数据
   await dataCollector.loadData();
 
   // 从 Redis 加载配置（优先）或使用环境变量
   const config = await configManager.getConfig();
   const quantConfig = config.quantConfig || {};
+
+  // 加载合约面值和价格精度（HTX：Redis 缓存优先，有 API Key 时同时查询下单数量限制）
+  for (const ex of exchanges) {
+    if (!await ex.loadContracts()) {
+      logger.warn(`⚠️ ${ex.name} 合约信息加载失败，持仓盈亏计算将不可用`);
+    }
+  }
   
   // 初始化量化交易模块
   const quantTrader = new QuantTrader({
     enabled: quantConfig.enabled !== undefined ? quantConfig.enabled : (process.env.QUANT_ENABLED === 'true'),
-    testMode: quantConfig.testMode !== undefined ? quantConfig.testMode : (process.env.QUANT_TEST_MODE !== 'false'),
+    // 回放模式下绝不真实下单
+    testMode: REPLAY_FILE ? true : (quantConfig.testMode !== undefined ? quantConfig.testMode : (process.env.QUANT_TEST_MODE !== 'false')),
     dryRun: quantConfig.dryRun !== undefined ? quantConfig.dryRun : (process.env.QUANT_DRY_RUN === 'true'),
     accessKey: ACCESS_KEY,
     secretKey: SECRET_KEY,
     symbol: quantConfig.symbol || process.env.QUANT_SYMBOL || 'BTC-USDT',
     leverage: quantConfig.leverage || parseInt(process.env.QUANT_LEVERAGE) || 10,
+    marginMode: quantConfig.marginMode || process.env.QUANT_MARGIN_MODE || 'isolated',
+    unifiedAccount: quantConfig.unifiedAccount !== undefined ? quantConfig.unifiedAccount : (process.env.QUANT_UNIFIED_ACCOUNT !== 'false'),
     initialBalance: quantConfig.initialBalance || parseFloat(process.env.QUANT_INITIAL_BALANCE) || 1000,
     positionSize: quantConfig.positionSize || parseFloat(process.env.QUANT_POSITION_SIZE) || 0.1,
     stopLoss: quantConfig.stopLoss || parseFloat(process.env.QUANT_STOP_LOSS) || 0.02,
@@ -68,16 +134,30 @@ async function main() {
     minConfidence: quantConfig.minConfidence || parseInt(process.env.QUANT_MIN_CONFIDENCE) || 60,
     signalMode: quantConfig.signalMode || process.env.QUANT_SIGNAL_MODE || 'simple', // 默认使用简化版
     dataCollector: dataCollector, // 传入数据收集器
+    exchange, // 在主交易所交易
   });
 
-  const client = new HTXFuturesClient(ACCESS_KEY, SECRET_KEY, WS_URL);
-  const positions = new Map();
-  let marketWs = null;
-  let subscribedContracts = new Set();
+  if (recorder) {
+    logger.info(`⏺️  录制 ${exchange.name} WebSocket 帧到: ${RECORD_FILE}`);
+  }
+
+  const positions = new Map(); // `${适配器 key}:${contractCode}_${direction}_${marginMode}` -> 持仓（统一格式）
+  // K线由行情推送实时更新，信号生成器不再轮询 REST
+  candleStore.setMarketClient(exchange.marketClient);
+  const subscribedContracts = new Map(exchanges.map(e => [e.key, new Set()])); // 适配器 key（交易所 / 交易所@账户）-> 已订阅行情的合约
   let notifier = null;
 
   // 行情监控配置
   let { watchContracts = ['ETH-USDT'], priceChangeConfig = { enabled: false, timeWindows: [], minNotifyInterval: 120000 } } = marketConfig || {};
+  let tradeFlowConfig = marketConfig?.tradeFlowConfig || configManager.getDefaultConfig().tradeFlowConfig;
+  const lastLargeTradeNotify = {}; // 合约 -> 上次大单提醒时间
+  let fundingConfig = marketConfig?.fundingConfig || configManager.getDefaultConfig().fundingConfig;
+  const fundingAlertState = {}; // 合约 -> { lastNotifyTime, lastSettlementNotified }
+  let liquidationConfig = marketConfig?.liquidationConfig || configManager.getDefaultConfig().liquidationConfig;
+  const liquidationAlertState = {}; // 持仓 -> 上次强平风险提醒时间
+  let accountConfig = marketConfig?.accountConfig || configManager.getDefaultConfig().accountConfig;
+  let portfolioConfig = marketConfig?.portfolioConfig || configManager.getDefaultConfig().portfolioConfig;
+  const lastPrices = {}; // 合约 -> 最新价（用于估算资金费）
   
   // 🔥 自动添加量化交易的交易对到监控列表
   const quantSymbol = process.env.QUANT_SYMBOL || 'BTC-USDT';
@@ -86,25 +166,14 @@ async function main() {
     watchContracts.push(quantSymbol);
   }
   
-  const priceTracker = {};
-
-  // 初始化行情追踪器
-  function initPriceTracker() {
-    watchContracts.forEach(contract => {
-      if (!priceTracker[contract]) {
-        priceTracker[contract] = {
-          priceHistory: [],         // 存储 { price, timestamp } 对象
-          lastNotifyTime: 0,        // 上次通知时间
-          lastNotifyPrice: null,    // 上次通知时的价格
-        };
-      }
-    });
-  }
-  
-  initPriceTracker();
-
   // 初始化统一通知器
   function initNotifier() {
+    // 回放模式默认不发送通知（REPLAY_NOTIFY=true 时发送，用于复现提醒）
+    if (REPLAY_FILE && process.env.REPLAY_NOTIFY !== 'true') {
+      notifier = null;
+      return;
+    }
+
     const hasTelegram = TELEGRAM_BOT_TOKEN && TELEGRAM_CHAT_ID;
     const hasBark = BARK_KEY;
     
@@ -151,588 +220,903 @@ async function main() {
   
   initNotifier();
 
+  // ==================== 连接状态 ====================
+
+  // 上报私有频道和行情频道的连接状态（供 Web 界面展示，private / market 为主交易所，exchanges 按适配器 key）
+  function reportConnectionStatus() {
+    dataCollector.updateConnections({
+      ...exchange.getConnectionStatus(),
+      exchanges: Object.fromEntries(exchanges.map(e => [e.key, e.getConnectionStatus()]))
+    }).catch(error => {
+      logger.error('更新连接状态失败:', error.message);
+    });
+  }
+
+  exchanges.forEach(ex => {
+    ex.on('connection', (info) => {
+      reportConnectionStatus();
+      if (info.state !== 'giving_up') {
+        return;
+      }
+      if (info.stream === 'market') {
+        logger.error(`${ex.name} 市场行情连续重连 ${info.attempts} 次失败，放弃重连`);
+      } else if (info.stream === 'index') {
+        logger.error(`${ex.name} 标记价格连续重连 ${info.attempts} 次失败，放弃重连，盈亏改用最新价计算`);
+      } else {
+        notifyPrivateGivingUp(ex, info).catch(error => {
+          logger.error('私有频道断开通知失败:', error.message);
+        });
+      }
+    });
+
+    // 私有频道订阅失败（包括重连后重新订阅失败）
+    ex.on('subscriptionFailed', async ({ topic, status, errMsg }) => {
+      reportConnectionStatus();
+      logger.error(`${ex.name} 私有频道 ${topic} 订阅${status === 'timeout' ? '超时' : '失败'}: ${errMsg}`);
+      if (notifier) {
+        const telegramMessage = `
+🚨 *${ex.name} 频道订阅失败*
+
+频道: \`${topic}\`
+原因: ${errMsg}
+该频道的推送已中断，请尽快检查
+
+⏰ ${new Date().toLocaleString('zh-CN')}
+`.trim();
+        await notifier.notify(telegramMessage, `🚨 ${ex.name} 频道订阅失败`, `${topic}: ${errMsg}`, {
+          sound: 'alarm',
+          level: 'timeSensitive'
+        });
+      }
+    });
+  });
+
+  async function notifyPrivateGivingUp(ex, info) {
+    logger.error(`${ex.name} 私有频道重连 ${info.attempts} 次失败，已停止重连，请检查网络或 API Key`);
+    if (notifier) {
+      const telegramMessage = `
+🚨 *${ex.name} 私有频道已断开*
+
+连续重连 ${info.attempts} 次失败，已停止重连
+持仓和订单推送已中断，请尽快检查
+
+⏰ ${new Date().toLocaleString('zh-CN')}
+`.trim();
+      await notifier.notify(telegramMessage, `🚨 ${ex.name} 私有频道已断开`, `连续重连 ${info.attempts} 次失败，持仓和订单推送已中断`, {
+        sound: 'alarm',
+        level: 'timeSensitive'
+      });
+    }
+  }
+
   // ==================== 持仓监控 ====================
 
-  // 监听持仓更新
-  client.on('positions', (data) => {
-    logger.info('\n💼 ===== 持仓变化通知 =====');
-    
-    positions.clear();
-    const currentContracts = new Set();
-    
-    if (Array.isArray(data)) {
-      logger.debug(`收到 ${data.length} 条持仓数据`);
-      
-      // 🔥 实盘模式：将持仓数据传递给量化交易模块
-      if (!quantTrader.config.testMode) {
-        quantTrader.onPositionsUpdate(data);
+  // 监听各交易所的持仓更新（按保证金模式推送该模式下的全部持仓，统一格式）
+  exchanges.forEach(ex => {
+    ex.on('positions', (modePositions, { marginMode = 'isolated' } = {}) => {
+      logger.info(`\n💼 ===== ${ex.name} 持仓变化通知 (${marginMode === 'cross' ? '全仓' : '逐仓'}) =====`);
+
+      // 🔥 实盘模式：将主交易所的持仓数据传递给量化交易模块
+      if (ex === exchange && !quantTrader.config.testMode) {
+        quantTrader.onPositionsUpdate(modePositions, marginMode);
       }
-      
-      data.forEach(position => {
-        const key = `${position.contract_code}_${position.direction}`;
-        
-        if (position.volume > 0) {
-          positions.set(key, position);
-          currentContracts.add(position.contract_code);
-          
-          logger.info(`✅ 有效持仓:`);
-          logger.info(`   合约: ${position.contract_code}`);
-          logger.info(`   方向: ${position.direction === 'buy' ? '多仓' : '空仓'}`);
-          logger.info(`   持仓量: ${position.volume} 张`);
-          logger.info(`   开仓价: ${position.cost_open}`);
-          logger.info(`   保证金: ${position.position_margin} USDT`);
+
+      // 以适配器维护的持仓缓存为准，替换该交易所（账户）的全部持仓
+      for (const key of Array.from(positions.keys())) {
+        if (key.startsWith(`${ex.key}:`)) {
+          positions.delete(key);
         }
+      }
+      const currentContracts = new Set();
+
+      ex.getPositions().forEach(position => {
+        positions.set(getPositionKey(position), position);
+        currentContracts.add(position.contractCode);
       });
-    }
-    
-    logger.info(`\n当前持仓数: ${positions.size}`);
-    logger.info(`持仓合约: ${currentContracts.size > 0 ? Array.from(currentContracts).join(', ') : '无'}`);
-    
-    if (marketWs && marketWs.readyState === WebSocket.OPEN) {
-      updateMarketSubscriptions(currentContracts);
-    }
+      // 已平仓的持仓移出组合汇总
+      portfolio.sync(new Set(positions.keys()));
+
+      modePositions.forEach(position => {
+        logger.info(`✅ 有效持仓:`);
+        logger.info(`   合约: ${position.contractCode}`);
+        logger.info(`   方向: ${position.direction === 'long' ? '多仓' : '空仓'}`);
+        logger.info(`   模式: ${position.marginMode === 'cross' ? '全仓' : '逐仓'}`);
+        logger.info(`   持仓量: ${position.volume} 张`);
+        logger.info(`   开仓价: ${position.costOpen}`);
+        logger.info(`   保证金: ${position.positionMargin} ${position.marginAsset || 'USDT'}`);
+      });
+
+      logger.info(`\n当前持仓数: ${positions.size}`);
+      logger.info(`${ex.name} 持仓合约: ${currentContracts.size > 0 ? Array.from(currentContracts).join(', ') : '无'}`);
+
+      updateMarketSubscriptions(ex, currentContracts);
+    });
   });
 
+  function getPositionKey({ exchange: exchangeId, account, contractCode, direction, marginMode }) {
+    return `${ExchangeAdapter.getKey(exchangeId, account)}:${contractCode}_${direction}_${marginMode}`;
+  }
+
+  // 持仓、账户记录所属的适配器
+  function findExchange({ exchange: exchangeId, account }) {
+    const key = ExchangeAdapter.getKey(exchangeId, account);
+    return exchanges.find(e => e.key === key);
+  }
+
+  // 某交易所（账户）持仓的合约
+  function getPositionContracts(ex) {
+    return Array.from(positions.values())
+      .filter(p => findExchange(p) === ex)
+      .map(p => p.contractCode);
+  }
+
   // 更新市场行情订阅
-  function updateMarketSubscriptions(currentContracts) {
+  // 主交易所订阅持仓和监控合约的价格、深度、逐笔成交；其余交易所只订阅持仓合约的价格
+  // 所有交易所都订阅持仓合约的资金费率
+  function updateMarketSubscriptions(ex, currentContracts) {
+    const isPrimary = ex === exchange;
+    const subscribed = subscribedContracts.get(ex.key);
+    const watched = isPrimary ? watchContracts : [];
+
     // 取消已平仓合约的订阅
-    subscribedContracts.forEach(contract => {
-      if (!currentContracts.has(contract) && !watchContracts.includes(contract)) {
-        console.log(`� 取消订阅: ${contract} (已平仓且不在监控列表)`);
-        const unsubMsg = {
-          unsub: `market.${contract}.detail`,
-          id: `unsub_${contract}`
-        };
-        if (marketWs && marketWs.readyState === WebSocket.OPEN) {
-          marketWs.send(JSON.stringify(unsubMsg));
+    subscribed.forEach(contract => {
+      if (!currentContracts.has(contract) && !watched.includes(contract)) {
+        console.log(`� 取消订阅: ${ex.name} ${contract} (已平仓且不在监控列表)`);
+        ex.unsubscribeTicker(contract);
+        ex.unsubscribeMarkPrice(contract);
+        if (isPrimary) {
+          ex.unsubscribeOrderBook(contract);
+          ex.unsubscribeTrades(contract);
         }
-        subscribedContracts.delete(contract);
+        ex.unsubscribeFundingRate(contract);
+        subscribed.delete(contract);
       }
     });
     
     // 订阅新开仓合约
     currentContracts.forEach(contract => {
-      if (!subscribedContracts.has(contract)) {
-        console.log(`� 新增订阅: ${contract} (新开仓)`);
-        const subMsg = {
-          sub: `market.${contract}.detail`,
-          id: `detail_${contract}`
-        };
-        if (marketWs && marketWs.readyState === WebSocket.OPEN) {
-          marketWs.send(JSON.stringify(subMsg));
+      if (!subscribed.has(contract)) {
+        console.log(`� 新增订阅: ${ex.name} ${contract} (新开仓)`);
+        ex.subscribeTicker(contract);
+        ex.subscribeMarkPrice(contract); // 盈亏和强平距离按标记价格计算
+        if (isPrimary) {
+          ex.subscribeOrderBook(contract);
+          ex.subscribeTrades(contract, { largeTradeThreshold: tradeFlowConfig.largeTradeThreshold });
         }
-        subscribedContracts.add(contract);
+        ex.subscribeFundingRate(contract).catch(error => {
+          logger.warn(`${ex.name} 资金费率订阅失败 (${contract}): ${error.message}`);
+        });
+        subscribed.add(contract);
       }
     });
   }
 
-  // ==================== 行情监控 ====================
+  // ==================== 行情告警 ====================
 
-  // 分析价格变化（多时间窗口）
-  async function analyzeTrend(contractCode, currentPrice) {
-    const tracker = priceTracker[contractCode];
-    if (!tracker) return;
+  // 价格目标、多时间窗口涨跌等告警规则由告警引擎评估（见 AlertEngine），
+  // 规则来自配置中的 alertRules，以及由旧配置 priceTargets / priceChangeConfig 转换的规则
+  // 技术指标规则（见 indicator-alerts.js）在K线收盘时评估，所需K线由 candleStore 加载并订阅实时推送
+  // 通知送达后才记录触发状态：有冷却的规则把触发时间写入 Redis 的 alert:triggered（重启后继续冷却），
+  // 只触发一次的规则从配置中删除或停用
+  const alertEngine = new AlertEngine([], {
+    deliver: async (alert) => {
+      if (!notifier) {
+        return false;
+      }
+      const { telegram, barkTitle, barkBody, options } = alert.message;
+      return notifier.notify(telegram, barkTitle, barkBody, { ...options, channels: alert.rule.channels });
+    }
+  });
+  const alertTriggers = await redisClient.getAlertTriggers(); // 规则 id -> 上次触发时间
+  let ruleStateSaving = Promise.resolve(); // 只触发一次的规则依次写回配置
 
-    const now = Date.now();
-    
-    // 添加当前价格和时间戳
-    tracker.priceHistory.push({ price: currentPrice, timestamp: now });
-    
-    // 清理超过最大时间窗口的旧数据（保留1小时+缓冲）
-    const maxWindow = Math.max(...priceChangeConfig.timeWindows.map(w => w.duration));
-    const cutoffTime = now - maxWindow - 5000; // 多保留5秒
-    tracker.priceHistory = tracker.priceHistory.filter(item => item.timestamp > cutoffTime);
-    
-    // 检查价格目标监控
-    const currentConfig = configManager.getConfig();
-    if (currentConfig.priceTargets?.enabled) {
-      await checkPriceTargets(contractCode, currentPrice);
+  function loadAlertRules(config) {
+    const rules = (config.alertRules || []).map((rule, index) => ({
+      id: `alertRules:${index}`,
+      ...rule,
+      source: 'alertRules'
+    }));
+    alertEngine.setRules([...AlertEngine.fromLegacyConfig(config, watchContracts), ...rules].map(rule => ({
+      ...rule,
+      lastTriggeredAt: Math.max(rule.lastTriggeredAt || 0, alertTriggers[rule.id] || 0)
+    })));
+
+    alertEngine.getCandleSeries(watchContracts).forEach(({ symbol, period, size }) => {
+      candleStore.getCandles(symbol, period, size).catch(error => {
+        logger.error(`加载指标告警K线失败 (${symbol} ${period}):`, error.message);
+      });
+    });
+  }
+
+  loadAlertRules(configManager.getConfig());
+
+  candleStore.on('close', ({ symbol, period, candles }) => {
+    if (notifier) {
+      alertEngine.onCandleClose(symbol, period, candles);
     }
-    
-    // 如果多时间窗口监控已关闭，只显示价格
-    if (!priceChangeConfig.enabled) {
-      // 静默模式，不输出日志
+  });
+
+  alertEngine.on('alert', (alert) => {
+    logger.info(`🔔 告警 ${alert.rule.id}: ${alert.message.barkTitle}`);
+  });
+
+  alertEngine.on('delivered', ({ rule, ts }) => {
+    if (rule.once) {
+      ruleStateSaving = ruleStateSaving
+        .then(() => removeOnceRule(rule))
+        .catch(error => logger.error('保存告警状态失败:', error.message));
+    } else if (rule.cooldown > 0) {
+      alertTriggers[rule.id] = ts;
+      redisClient.saveAlertTrigger(rule.id, ts);
+    }
+  });
+
+  // 只触发一次的规则：价格目标从配置中删除，alertRules 中的规则停用
+  async function removeOnceRule(rule) {
+    // 重新读取配置，避免覆盖用户的手动修改
+    const latestConfig = await configManager.loadConfig();
+
+    if (rule.source === 'priceTargets') {
+      // 内容相同的目标可以互换，删除最后一个，其余目标的 id 不变
+      const targets = latestConfig.priceTargets?.targets || [];
+      const index = targets.map(target => AlertEngine.getLegacyTargetId(target)).lastIndexOf(rule.id.replace(/#\d+$/, ''));
+      if (index === -1) {
+        return;
+      }
+      targets.splice(index, 1);
+    } else if (rule.source === 'alertRules') {
+      const item = (latestConfig.alertRules || []).find((r, index) => (r.id || `alertRules:${index}`) === rule.id);
+      if (!item) {
+        return;
+      }
+      item.enabled = false;
+    } else {
       return;
     }
-    
-    // 检查所有时间窗口
-    const changes = [];
-    for (const window of priceChangeConfig.timeWindows) {
-      const windowStartTime = now - window.duration;
-      
-      // 找到最接近时间窗口起点的价格
-      let basePrice = null;
-      let baseTime = null;
-      
-      for (let i = 0; i < tracker.priceHistory.length; i++) {
-        if (tracker.priceHistory[i].timestamp <= windowStartTime) {
-          basePrice = tracker.priceHistory[i].price;
-          baseTime = tracker.priceHistory[i].timestamp;
-        } else {
-          break;
-        }
+
+    await configManager.saveConfig(latestConfig);
+    loadAlertRules(latestConfig);
+  }
+
+  // 大单提醒（附带各时间窗口的主动买卖统计）
+  async function checkLargeTrade(contractCode, trade, tape) {
+    if (!tradeFlowConfig.enabled || !notifier) {
+      return;
+    }
+
+    const now = Date.now();
+    if (now - (lastLargeTradeNotify[contractCode] || 0) < tradeFlowConfig.minNotifyInterval) {
+      return;
+    }
+    lastLargeTradeNotify[contractCode] = now;
+
+    const isBuy = trade.direction === 'buy';
+    const emoji = isBuy ? '🟢' : '🔴';
+    const side = isBuy ? '主动买入' : '主动卖出';
+    const flowLines = tradeFlowConfig.windows.map(w => {
+      const m = tape.getMetrics(w.duration, now);
+      const sign = m.delta >= 0 ? '+' : '';
+      return `${w.name}: 买 ${m.buyVolume.toFixed(3)} / 卖 ${m.sellVolume.toFixed(3)} (差 ${sign}${m.delta.toFixed(3)}, VWAP ${m.vwap ? m.vwap.toFixed(2) : '--'})`;
+    });
+
+    const telegramMessage = `
+🐋 *大单成交提醒*
+
+${emoji} *${contractCode}* ${side}
+成交价格: \`${trade.price}\` USDT
+成交数量: \`${trade.quantity}\`
+成交金额: \`${trade.turnover.toFixed(0)}\` USDT
+
+📊 *主动买卖统计*
+${flowLines.join('\n')}
+CVD: ${tape.cvd >= 0 ? '+' : ''}${tape.cvd.toFixed(3)}
+
+⏰ ${new Date().toLocaleString('zh-CN')}
+`.trim();
+
+    const barkTitle = `🐋 ${contractCode} ${side} ${(trade.turnover / 10000).toFixed(1)}万 USDT`;
+    const barkBody = `${emoji} 成交价 ${trade.price}
+${flowLines.join('\n')}
+⏰ ${new Date().toLocaleString('zh-CN')}`;
+
+    await notifier.notify(telegramMessage, barkTitle, barkBody, {
+      sound: '',
+      level: 'passive'
+    });
+  }
+
+
+  // ==================== 资金费率 ====================
+
+  /**
+   * 估算持仓在下次结算时的资金费（正数为支付，负数为收取）
+   * 资金费 = 持仓价值 × 本期费率，费率为正时多仓支付、空仓收取（币本位以币计）
+   */
+  function projectFundingCost(ex, position, positionValue) {
+    const rate = ex.getFundingRate(position.contractCode);
+    if (!rate || rate.fundingRate === null) {
+      return null;
+    }
+    const sign = position.direction === 'long' ? 1 : -1;
+    return {
+      fundingRate: rate.fundingRate,
+      estimatedRate: rate.estimatedRate,
+      settlementTime: rate.settlementTime,
+      fundingCost: positionValue * rate.fundingRate * sign
+    };
+  }
+
+  // 合约当前持仓的资金费估算（同一交易所的所有账户）
+  function getFundingPositions(ex, contractCode) {
+    const result = [];
+    positions.forEach(position => {
+      if (position.exchange !== ex.id || position.contractCode !== contractCode) {
+        return;
       }
-      
-      // 如果有足够旧的数据，计算变化
-      if (basePrice) {
-        const priceChange = currentPrice - basePrice;
-        const priceChangePercent = (priceChange / basePrice) * 100;
-        const actualTimeSpan = (now - baseTime) / 1000;
-        const absChange = Math.abs(priceChange);
-        const absChangePercent = Math.abs(priceChangePercent);
-        
-        changes.push({
-          window: window.name,
-          duration: window.duration,
-          threshold: window.threshold,
-          amountThreshold: window.amountThreshold,
-          basePrice,
-          currentPrice,
-          priceChange,
-          priceChangePercent,
-          actualTimeSpan,
-          meetsThreshold: absChangePercent >= window.threshold || absChange >= window.amountThreshold
+      const contractSize = position.contractSize ?? ex.getContractSize(contractCode);
+      if (contractSize === null) {
+        return;
+      }
+      const price = lastPrices[`${ex.id}:${contractCode}`] || position.lastPrice || position.costOpen;
+      const positionValue = calcPositionValue({ volume: position.volume, contractSize, price, inverse: position.inverse });
+      const projection = projectFundingCost(ex, position, positionValue);
+      if (projection) {
+        result.push({
+          account: position.account ?? null,
+          direction: position.direction,
+          asset: position.marginAsset || 'USDT', // 持仓价值和资金费的币种
+          positionValue,
+          fundingCost: projection.fundingCost
         });
       }
+    });
+    return result;
+  }
+
+  // 费率超过阈值提醒（本期或预测下期）
+  async function checkFundingRate(ex, rate) {
+    if (!fundingConfig.enabled || !notifier) {
+      return;
     }
-    
-    // 显示最短时间窗口的变化（用于日志）
-    if (changes.length > 0) {
-      const shortestChange = changes[0];
-      // 只在有显著变化时输出
-      const changeEmoji = shortestChange.priceChangePercent >= 0 ? '📈' : '📉';
-      const changeSign = shortestChange.priceChangePercent >= 0 ? '+' : '';
-      const amountSign = shortestChange.priceChange >= 0 ? '+' : '';
-      console.log(`${changeEmoji} ${contractCode}: ${currentPrice.toFixed(2)} (${shortestChange.window} ${changeSign}${shortestChange.priceChangePercent.toFixed(2)}% / ${amountSign}${shortestChange.priceChange.toFixed(2)} USDT)`);
+
+    const maxRate = Math.max(Math.abs(rate.fundingRate || 0), Math.abs(rate.estimatedRate || 0));
+    if (maxRate < fundingConfig.rateThreshold) {
+      return;
     }
-    
-    // 检查是否需要通知（找到最显著的变化）
-    if (notifier && changes.length > 0) {
-      const significantChanges = changes.filter(c => c.meetsThreshold);
-      if (significantChanges.length > 0) {
-        // 选择变化幅度最大的窗口进行通知
-        const mostSignificant = significantChanges.reduce((max, c) => 
-          Math.abs(c.priceChangePercent) > Math.abs(max.priceChangePercent) ? c : max
-        );
-        
-        await checkAndNotifyPriceChange(contractCode, mostSignificant, tracker);
-      }
+
+    const stateKey = `${ex.id}:${rate.contractCode}`;
+    const state = fundingAlertState[stateKey] || (fundingAlertState[stateKey] = {});
+    const now = Date.now();
+    if (now - (state.lastNotifyTime || 0) < fundingConfig.minNotifyInterval) {
+      return;
     }
+    state.lastNotifyTime = now;
+
+    logger.info(`💸 ${ex.name} ${rate.contractCode} 资金费率 ${(rate.fundingRate * 100).toFixed(4)}% 超过阈值 ${(fundingConfig.rateThreshold * 100).toFixed(4)}%`);
+    await notifier.notifyFundingRate({
+      type: 'threshold',
+      ...rate,
+      positions: getFundingPositions(ex, rate.contractCode)
+    });
   }
 
-  // 检查价格目标
-  async function checkPriceTargets(contractCode, currentPrice) {
-    const currentConfig = configManager.getConfig();
-    if (!currentConfig.priceTargets?.targets) return;
-    
+  // 有持仓时，结算前提醒（每个结算周期只提醒一次）
+  async function checkFundingSettlement() {
+    if (!fundingConfig.enabled || !notifier || !fundingConfig.preSettlementMinutes) {
+      return;
+    }
+
     const now = Date.now();
-    const targetsToRemove = [];
-    let configChanged = false;
-    
-    for (let i = 0; i < currentConfig.priceTargets.targets.length; i++) {
-      const target = currentConfig.priceTargets.targets[i];
-      if (target.symbol !== contractCode) continue;
-      
-      // 检查通知间隔（如果设置了间隔且不是第一次通知）
-      const notifyInterval = (target.notifyInterval || 0) * 1000; // 转换为毫秒
-      const lastNotifyTime = target.lastNotifyTime || 0;
-      if (notifyInterval > 0 && lastNotifyTime > 0 && (now - lastNotifyTime) < notifyInterval) {
-        const remainingTime = Math.ceil((notifyInterval - (now - lastNotifyTime)) / 1000);
-        logger.debug(`冷却期中，还需等待 ${remainingTime} 秒`);
-        continue; // 还在冷却期，跳过
+    // 同一交易所的合约只提醒一次，费率取自持有该合约的账户（只订阅了持仓合约的资金费率）
+    const contracts = new Map();
+    positions.forEach(p => {
+      const stateKey = `${p.exchange}:${p.contractCode}`;
+      if (!contracts.has(stateKey)) {
+        contracts.set(stateKey, findExchange(p));
       }
-      
-      // 计算价格范围（如果设置了幅度）
-      const rangePercent = target.rangePercent || 0;
-      let triggerPriceLow = target.targetPrice;  // 触发下限
-      let triggerPriceHigh = target.targetPrice; // 触发上限
-      
-      if (rangePercent > 0) {
-        if (target.direction === 'above') {
-          // 向上突破：在目标价 ~ 目标价+幅度 范围内通知
-          triggerPriceLow = target.targetPrice;
-          triggerPriceHigh = target.targetPrice * (1 + rangePercent / 100);
-        } else {
-          // 向下突破：在目标价-幅度 ~ 目标价 范围内通知
-          triggerPriceLow = target.targetPrice * (1 - rangePercent / 100);
-          triggerPriceHigh = target.targetPrice;
-        }
+    });
+    for (const [stateKey, ex] of contracts) {
+      const contractCode = stateKey.split(':')[1];
+      const rate = ex.getFundingRate(contractCode);
+      if (!rate || !rate.settlementTime) {
+        continue;
       }
-      
-      logger.trace(`触发范围: ${triggerPriceLow.toFixed(2)} ~ ${triggerPriceHigh.toFixed(2)}`);
-      
-      // 检查是否触发
-      let shouldNotify = false;
-      let triggerType = '';
-      
-      if (target.direction === 'above') {
-        // 向上突破：价格在 [目标价, 目标价+幅度] 范围内
-        if (rangePercent > 0) {
-          // 有幅度限制：目标价 <= 价格 <= 目标价+幅度
-          if (currentPrice >= triggerPriceLow && currentPrice <= triggerPriceHigh) {
-            shouldNotify = true;
-            triggerType = `达到 ${target.targetPrice} (${rangePercent}% 范围内)`;
-            logger.trace(`触发条件满足: ${triggerPriceLow.toFixed(2)} <= ${currentPrice.toFixed(2)} <= ${triggerPriceHigh.toFixed(2)}`);
-          } else if (currentPrice < triggerPriceLow) {
-            logger.trace(`未触发: ${currentPrice.toFixed(2)} < ${triggerPriceLow.toFixed(2)} (未达到目标价)`);
-          } else {
-            logger.trace(`未触发: ${currentPrice.toFixed(2)} > ${triggerPriceHigh.toFixed(2)} (超出幅度范围)`);
-          }
-        } else {
-          // 无幅度限制：价格 >= 目标价
-          if (currentPrice >= target.targetPrice) {
-            shouldNotify = true;
-            triggerType = `达到 ${target.targetPrice}`;
-            logger.trace(`触发条件满足: ${currentPrice.toFixed(2)} >= ${target.targetPrice.toFixed(2)}`);
-          } else {
-            logger.trace(`未触发: ${currentPrice.toFixed(2)} < ${target.targetPrice.toFixed(2)}`);
-          }
-        }
-      } else if (target.direction === 'below') {
-        // 向下突破：价格在 [目标价-幅度, 目标价] 范围内
-        if (rangePercent > 0) {
-          // 有幅度限制：目标价-幅度 <= 价格 <= 目标价
-          if (currentPrice >= triggerPriceLow && currentPrice <= triggerPriceHigh) {
-            shouldNotify = true;
-            triggerType = `跌破 ${target.targetPrice} (${rangePercent}% 范围内)`;
-            logger.trace(`触发条件满足: ${triggerPriceLow.toFixed(2)} <= ${currentPrice.toFixed(2)} <= ${triggerPriceHigh.toFixed(2)}`);
-          } else if (currentPrice > triggerPriceHigh) {
-            logger.trace(`未触发: ${currentPrice.toFixed(2)} > ${triggerPriceHigh.toFixed(2)} (未跌破目标价)`);
-          } else {
-            logger.trace(`未触发: ${currentPrice.toFixed(2)} < ${triggerPriceLow.toFixed(2)} (超出幅度范围)`);
-          }
-        } else {
-          // 无幅度限制：价格 <= 目标价
-          if (currentPrice <= target.targetPrice) {
-            shouldNotify = true;
-            triggerType = `跌破 ${target.targetPrice}`;
-            logger.trace(`触发条件满足: ${currentPrice.toFixed(2)} <= ${target.targetPrice.toFixed(2)}`);
-          } else {
-            logger.trace(`未触发: ${currentPrice.toFixed(2)} > ${target.targetPrice.toFixed(2)}`);
-          }
-        }
+
+      const timeLeft = rate.settlementTime - now;
+      const state = fundingAlertState[stateKey] || (fundingAlertState[stateKey] = {});
+      if (timeLeft <= 0 || timeLeft > fundingConfig.preSettlementMinutes * 60000 || state.lastSettlementNotified === rate.settlementTime) {
+        continue;
       }
-      
-      if (shouldNotify && notifier) {
-        const emoji = target.direction === 'above' ? '🎯' : '⚠️';
-        const directionText = target.direction === 'above' ? '达到' : '跌破';
-        
-        // 构建价格范围说明
-        let priceRangeText = '';
-        if (rangePercent > 0) {
-          priceRangeText = `\n通知范围: \`${triggerPriceLow.toFixed(2)}\` ~ \`${triggerPriceHigh.toFixed(2)}\` USDT (${rangePercent}% 幅度)`;
-        }
-        
-        // Telegram 格式消息
-        const telegramMessage = `
-${emoji} *价格目标${directionText}*
+      state.lastSettlementNotified = rate.settlementTime;
 
-🎯 *${contractCode}*
+      await notifier.notifyFundingRate({
+        type: 'settlement',
+        ...rate,
+        positions: getFundingPositions(ex, contractCode)
+      });
+    }
+  }
 
-📊 *价格信息*
-目标价格: \`${target.targetPrice.toFixed(2)}\` USDT${priceRangeText}
-当前价格: \`${currentPrice.toFixed(2)}\` USDT
-触发条件: ${triggerType}
+  exchanges.forEach(ex => {
+    ex.on('fundingRate', (rate) => {
+      checkFundingRate(ex, rate).catch(error => {
+        logger.error('资金费率提醒失败:', error.message);
+      });
+    });
+  });
 
-⏰ ${new Date().toLocaleString('zh-CN')}
-`.trim();
+  setInterval(() => {
+    checkFundingSettlement().catch(error => {
+      logger.error('资金费结算提醒失败:', error.message);
+    });
+  }, 30000);
 
-        // Bark 格式消息
-        const barkTitle = `${emoji} ${contractCode} ${triggerType}`;
-        const barkBody = `📊 当前价格: ${currentPrice.toFixed(2)} USDT
-⏰ ${new Date().toLocaleString('zh-CN')}`;
+  // ==================== REST 对账 ====================
 
-        await notifier.notify(telegramMessage, barkTitle, barkBody, {
-          sound: 'bell',
-          level: 'timeSensitive'
-        });
-        
-        // 触发通知
-        await notifier.sendNotification({
-          title: `🎯 价格目标触发`,
-          message: `${contractCode} ${triggerType}，当前价格 ${currentPrice.toFixed(2)}`,
-          priority: 'high',
-          data: {
-            symbol: contractCode,
-            price: currentPrice,
-            targetPrice: target.targetPrice,
-            direction: target.direction
-          }
+  // REST 快照与推送缓存对账：有变化的持仓和订单按推送的事件处理（见 ExchangeAdapter.syncSnapshot），
+  // 返回各类数据的条数，不支持或查询失败时为 null
+  const RECONCILE_INTERVAL = 5 * 60 * 1000; // 定期对账（推送静默丢失时的兜底）
+  let startupSnapshotDone = false;
+  const snapshotRuns = new Map(); // 适配器 key -> { running, rerun }，对账期间再次触发的合并为结束后的一次全量对账
+
+  async function syncSnapshot(ex, options = {}) {
+    const run = snapshotRuns.get(ex.key) || { running: null, rerun: false };
+    snapshotRuns.set(ex.key, run);
+    if (run.running) {
+      run.rerun = true;
+      return run.running;
+    }
+
+    run.running = (async () => {
+      try {
+        const result = await ex.syncSnapshot({
+          unifiedAccount: quantTrader.config.unifiedAccount,
+          contractCodes: watchContracts,
+          ...options
         });
-        
-        // 更新最后通知时间
-        target.lastNotifyTime = now;
-        configChanged = true;
-        
-        // 如果设置了只通知一次，标记为待移除
-        if (target.notifyOnce) {
-          targetsToRemove.push(i);
+        if (result) {
+          logger.info(`📸 ${ex.name} REST 快照: ${result.positions} 个持仓, ${result.orders} 个当前委托, ${result.accounts} 个账户${result.changes > 0 ? `，对账更新 ${result.changes} 项` : ''}`);
+          result.errors.forEach(({ market, marginMode, message }) => {
+            logger.warn(`${ex.name} REST 快照 ${market} ${marginMode} 查询失败，该部分等待推送更新: ${message}`);
+          });
         }
+        return result;
+      } catch (error) {
+        logger.warn(`${ex.name} REST 快照失败，等待推送更新: ${error.message}`);
+        return null;
+      } finally {
+        run.running = null;
       }
+    })();
+
+    const result = await run.running;
+    if (run.rerun) {
+      run.rerun = false;
+      syncSnapshot(ex);
     }
-    
-    // 移除已完成的一次性目标（从后往前删除，避免索引问题）
-    for (let i = targetsToRemove.length - 1; i >= 0; i--) {
-      currentConfig.priceTargets.targets.splice(targetsToRemove[i], 1);
-      configChanged = true;
+    return result;
+  }
+
+  // 私有推送可能有遗漏（重连、乱序）：立即对账（首次认证由启动流程查询）
+  exchanges.forEach(ex => {
+    ex.on('gap', ({ reason, market, topic }) => {
+      if (!startupSnapshotDone) {
+        return;
+      }
+      logger.warn(`🔁 ${ex.name} 私有推送可能有遗漏（${reason === 'reconnect' ? '重连' : `乱序 ${topic}`}），开始 REST 对账`);
+      syncSnapshot(ex, { market });
+    });
+  });
+
+  setInterval(() => {
+    if (!startupSnapshotDone || REPLAY_FILE) {
+      return;
     }
-    
-    // 如果配置有变化（移除目标或更新时间），保存配置
-    if (configChanged) {
-      // 重新读取配置文件，避免覆盖用户的手动修改
-      const latestConfig = await configManager.loadConfig();
-      // 只更新价格目标部分
-      latestConfig.priceTargets = currentConfig.priceTargets;
-      await configManager.saveConfig(latestConfig);
+    exchanges.forEach(ex => syncSnapshot(ex));
+  }, RECONCILE_INTERVAL);
+
+  // ==================== 账户监控 ====================
+
+  // 整个账户的权益、可用、冻结、未实现盈亏和保证金率（各交易所、各账户分别跟踪）
+  const accountMonitor = new AccountMonitor(accountConfig);
+
+  exchanges.forEach(ex => {
+    ex.on('account', (account) => {
+      if (accountMonitor.update(account)) {
+        dataCollector.updateAccounts(accountMonitor.getAccounts());
+      }
+    });
+  });
+
+  accountMonitor.on('alert', (alert) => {
+    const { rule, state, value, account } = alert;
+    const message = `${ExchangeAdapter.getKey(account.exchange, account.account)} ${account.accountType} ${account.marginAsset} ${rule} ${state === 'triggered' ? '越过阈值' : '已恢复'}: ${value.toFixed(4)}`;
+    if (state === 'triggered') {
+      logger.warn(`⚠️ 账户风险: ${message}`);
+    } else {
+      logger.info(`✅ 账户风险解除: ${message}`);
     }
+    if (notifier) {
+      notifier.notifyAccountRisk(alert).catch(error => {
+        logger.error('账户风险提醒失败:', error.message);
+      });
+    }
+  });
+
+  // ==================== 组合敞口 ====================
+
+  // 所有交易所、所有合约持仓的总敞口、净敞口、各币种净头寸和实际杠杆
+  const portfolio = new PortfolioAggregator(portfolioConfig);
+
+  function getPortfolioSummary() {
+    const accountEquity = Object.fromEntries(exchanges.map(e => [e.key, getRealEquity(e.key)]));
+    return portfolio.getSummary(getRealEquity(), Date.now(), accountEquity);
   }
 
-  // 计算趋势
-  function calculateTrend(prices) {
-    let upCount = 0;
-    let downCount = 0;
+  portfolio.on('alert', (alert) => {
+    const { rule, state, value, threshold } = alert;
+    const message = `${rule} ${state === 'triggered' ? '越过阈值' : '已恢复'}: ${value.toFixed(2)}（阈值 ${threshold}）`;
+    if (state === 'triggered') {
+      logger.warn(`⚠️ 组合风险: ${message}`);
+    } else {
+      logger.info(`✅ 组合风险解除: ${message}`);
+    }
+    if (notifier) {
+      notifier.notifyPortfolioRisk(alert).catch(error => {
+        logger.error('组合风险提醒失败:', error.message);
+      });
+    }
+  });
+
+  // 定期检查阈值并上报组合汇总和各持仓的盈亏（供 Web 界面展示）
+  setInterval(() => {
+    const summary = getPortfolioSummary();
+    portfolio.checkThresholds(summary);
+    dataCollector.updatePortfolio({ ...summary, activeAlerts: portfolio.getActiveAlerts() }).catch(error => {
+      logger.error('更新组合汇总失败:', error.message);
+    });
+    const positionData = Object.fromEntries(portfolio.getPositions().map(position => [getPositionKey(position), position]));
+    dataCollector.updatePositions(positionData).catch(error => {
+      logger.error('更新持仓失败:', error.message);
+    });
+  }, 5000);
+
+  // ==================== 权益曲线 ====================
+
+  const EQUITY_SNAPSHOT_INTERVAL = 60 * 1000;
 
-    for (let i = 1; i < prices.length; i++) {
-      if (prices[i] > prices[i - 1]) {
-        upCount++;
-      } else if (prices[i] < prices[i - 1]) {
-        downCount++;
+  // 币种折合 USDT 的价格（币本位账户），优先使用币本位永续的价格，未知时为 null
+  function getUsdRate(exchangeId, asset) {
+    if (asset === 'USDT' || asset === 'USD') {
+      return 1;
+    }
+    const ex = exchanges.find(e => e.id === exchangeId);
+    for (const contractCode of [`${asset}-USD`, `${asset}-USDT`]) {
+      const price = ex?.getMarkPrice(contractCode)?.price || lastPrices[`${exchangeId}:${contractCode}`];
+      if (price) {
+        return price;
       }
     }
+    return null;
+  }
 
-    if (upCount >= prices.length * trendConfig.trendThreshold) {
-      return 'up';
+  // 真实账户权益：账户监控中各账户的权益折合 USDT 之和，没有账户数据时为 null
+  // exchangeKey 为适配器 key 时只计算该交易所（账户）
+  function getRealEquity(exchangeKey = null) {
+    const accounts = accountMonitor.getAccounts().filter(account =>
+      account.marginBalance !== null &&
+      (exchangeKey === null || ExchangeAdapter.getKey(account.exchange, account.account) === exchangeKey)
+    );
+    if (accounts.length === 0) {
+      return null;
     }
-    if (downCount >= prices.length * trendConfig.trendThreshold) {
-      return 'down';
+    let equity = 0;
+    for (const account of accounts) {
+      const rate = getUsdRate(account.exchange, account.marginAsset);
+      if (rate === null) {
+        logger.debug(`没有 ${account.marginAsset} 的价格，权益曲线暂不计入该账户`);
+        continue;
+      }
+      equity += account.marginBalance * rate;
     }
-
-    return 'neutral';
+    return equity;
   }
 
-  // 检查并发送价格变化通知
-  async function checkAndNotifyPriceChange(contractCode, changeData, tracker) {
+  async function recordEquitySnapshot() {
     const now = Date.now();
-    
-    // 检查是否在最小通知间隔内
-    if (now - tracker.lastNotifyTime < priceChangeConfig.minNotifyInterval) {
-      return; // 同一合约在间隔时间内不重复通知
+    const realEquity = getRealEquity();
+    if (realEquity !== null) {
+      await equityHistory.record('real', realEquity, now);
+    }
+    if (quantTrader.config.enabled) {
+      await equityHistory.record('quant', quantTrader.getEquity(), now);
     }
-    
-    // 发送通知
-    tracker.lastNotifyTime = now;
-    tracker.lastNotifyPrice = changeData.currentPrice;
-    
-    const trend = changeData.priceChangePercent > 0 ? 'up' : 'down';
-    const direction = trend === 'up' ? '上涨' : '下跌';
-    
-    await sendPriceChangeNotification(contractCode, changeData, trend, direction);
   }
 
-  // 发送价格变化通知
-  async function sendPriceChangeNotification(contractCode, changeData, trend, direction) {
-    const emoji = trend === 'up' ? '📈' : '📉';
-    const changeEmoji = trend === 'up' ? '🟢' : '🔴';
+  setInterval(() => {
+    if (REPLAY_FILE) {
+      return;
+    }
+    recordEquitySnapshot().catch(error => {
+      logger.error('保存权益快照失败:', error.message);
+    });
+  }, EQUITY_SNAPSHOT_INTERVAL);
 
-    // Telegram 格式消息
-    const telegramMessage = `
-${emoji} *行情${direction}提醒*
+  // ==================== 已实现盈亏账本 ====================
 
-${changeEmoji} *${contractCode}*
+  // 成交推送（matchOrders）写入账本：平仓盈亏和手续费（回放时不写入，避免污染实盘账本）
+  exchanges.forEach(ex => {
+    ex.on('fill', (fill) => {
+      if (REPLAY_FILE) {
+        return;
+      }
+      pnlLedger.recordFill(fill).catch(error => {
+        logger.error('记录成交失败:', error.message);
+      });
+    });
+  });
 
-📊 *价格信息*
-起始价格: \`${changeData.basePrice.toFixed(2)}\` USDT (${changeData.window}前)
-当前价格: \`${changeData.currentPrice.toFixed(2)}\` USDT
-价格变化: \`${changeData.priceChange >= 0 ? '+' : ''}${changeData.priceChange.toFixed(2)}\` USDT
-变化幅度: \`${changeData.priceChangePercent >= 0 ? '+' : ''}${changeData.priceChangePercent.toFixed(2)}%\`
+  // 持仓期间经过的资金费结算：结算时间过后查询资金费流水写入账本（流水按 id 去重）
+  const FUNDING_RECORD_DELAY = 60 * 1000; // 结算后等待交易所生成流水
+  const pendingFundingSettlements = new Map(); // `${适配器 key}:${contract}` -> 待查询的结算时间
 
-⏱️ *趋势分析*
-时间跨度: ${changeData.window} (${changeData.actualTimeSpan.toFixed(0)}秒)
-持续${direction}: ${Math.abs(changeData.priceChangePercent).toFixed(2)}%
+  async function recordFundingSettlements() {
+    const now = Date.now();
 
-⏰ ${new Date().toLocaleString('zh-CN')}
-`.trim();
+    // 资金费流水按账户查询
+    positions.forEach(position => {
+      const ex = findExchange(position);
+      const rate = ex.getFundingRate(position.contractCode);
+      const key = `${ex.key}:${position.contractCode}`;
+      if (rate?.settlementTime && !pendingFundingSettlements.has(key)) {
+        pendingFundingSettlements.set(key, rate.settlementTime);
+      }
+    });
 
-    // Bark 格式消息
-    const barkTitle = `${emoji} ${contractCode} ${direction} ${Math.abs(changeData.priceChangePercent).toFixed(2)}%`;
-    const barkBody = `${changeEmoji} ${changeData.window}内${direction} ${Math.abs(changeData.priceChange).toFixed(2)} USDT
-📊 ${changeData.basePrice.toFixed(2)} → ${changeData.currentPrice.toFixed(2)}
-⏰ ${new Date().toLocaleString('zh-CN')}`;
+    for (const [key, settlementTime] of Array.from(pendingFundingSettlements)) {
+      if (now < settlementTime + FUNDING_RECORD_DELAY) {
+        continue;
+      }
+      pendingFundingSettlements.delete(key);
 
-    await notifier.notify(telegramMessage, barkTitle, barkBody, {
-      sound: '', // 行情推送无音效（静默）
-      level: 'passive' // 被动通知，不会打断用户
-    });
+      const [exchangeKey, contractCode] = key.split(':');
+      const ex = exchanges.find(e => e.key === exchangeKey);
+      const records = await ex.getFundingRecords({
+        contractCode,
+        startTime: settlementTime - 60 * 60 * 1000,
+        endTime: now
+      });
+      // 币本位资金费以币计，按当前价格折合美元
+      const inverse = ex.getContract(contractCode)?.inverse;
+      const usdRate = inverse ? (ex.getMarkPrice(contractCode)?.price || lastPrices[`${ex.id}:${contractCode}`] || 0) : 1;
+      for (const record of records) {
+        await pnlLedger.recordFunding(record, usdRate);
+      }
+    }
   }
 
+  setInterval(() => {
+    if (REPLAY_FILE) {
+      return;
+    }
+    recordFundingSettlements().catch(error => {
+      logger.error('查询资金费流水失败:', error.message);
+    });
+    // 跨日、跨周后刷新汇总（定时通知使用缓存的汇总）
+    pnlLedger.getSummary().catch(() => {});
+  }, 60000);
 
   // ==================== 市场行情连接 ====================
 
-  function connectMarketWs() {
-    logger.info('\n📊 连接市场行情 WebSocket...');
-    marketWs = new WebSocket(MARKET_WS_URL);
-    let pingInterval = null;
+  exchanges.forEach(ex => {
+    ex.on('ticker', ({ contractCode, price }) => {
+      lastPrices[`${ex.id}:${contractCode}`] = price;
 
-    marketWs.on('open', () => {
-      logger.info('✅ 市场行情连接成功\n');
-      
-      pingInterval = setInterval(() => {
-        if (marketWs && marketWs.readyState === WebSocket.OPEN) {
-          marketWs.ping();
-        }
-      }, 20000);
-      
-      // 合并持仓合约和监控合约
-      const allContracts = new Set([
-        ...Array.from(positions.values()).map(p => p.contract_code),
-        ...watchContracts
-      ]);
-      
-      if (allContracts.size > 0) {
-        logger.info('📡 订阅行情:', Array.from(allContracts).join(', '));
-        allContracts.forEach(contract => {
-          const subMsg = {
-            sub: `market.${contract}.detail`,
-            id: `detail_${contract}`
-          };
-          marketWs.send(JSON.stringify(subMsg));
-          subscribedContracts.add(contract);
-          logger.debug(`   → ${contract}`);
-        });
-      } else {
-        logger.warn('当前无持仓且无监控合约');
+      // 持仓盈亏计算
+      calculatePnL(ex, contractCode, price);
+
+      // 行情监控和量化交易只使用主交易所的价格
+      if (ex === exchange) {
+        onPrimaryPrice(contractCode, price);
       }
     });
+  });
 
-    marketWs.on('message', (data) => {
-      try {
-        const text = pako.inflate(data, { to: 'string' });
-        const message = JSON.parse(text);
+  function onPrimaryPrice(contractCode, lastPrice) {
+    // 更新实时价格数据
+    dataCollector.updatePrice(contractCode, lastPrice);
 
-        if (message.ping) {
-          marketWs.send(JSON.stringify({ pong: message.ping }));
-          return;
-        }
+    // 量化交易模块处理
+    quantTrader.onPriceUpdate(contractCode, lastPrice).catch(error => {
+      console.error('❌ [量化] 价格更新处理错误:', error.message);
+    });
 
-        if (message.tick && message.ch) {
-          const match = message.ch.match(/market\.([^.]+)\./);
-          if (match) {
-            const contractCode = match[1];
-            const lastPrice = message.tick.close || message.tick.last;
-            if (lastPrice) {
-              // 更新实时价格数据
-              dataCollector.updatePrice(contractCode, lastPrice);
-              
-              // 量化交易模块处理
-              quantTrader.onPriceUpdate(contractCode, lastPrice).catch(error => {
-                console.error('❌ [量化] 价格更新处理错误:', error.message);
-              });
-              
-              // 持仓盈亏计算
-              calculatePnL(contractCode, lastPrice);
-              // 行情趋势分析
-              analyzeTrend(contractCode, lastPrice);
-            }
-          }
-        }
+    // 行情告警（未配置通知时不评估）
+    if (notifier) {
+      alertEngine.onPrice(contractCode, lastPrice);
+    }
+  }
 
-        if (message.status === 'ok' && message.subbed) {
-          console.log(`✓ 行情订阅成功: ${message.subbed}`);
-        }
-        
-        if (message.status === 'ok' && message.unsubbed) {
-          console.log(`✓ 取消订阅成功: ${message.unsubbed}`);
-        }
-      } catch (error) {
-        console.error('行情消息处理错误:', error.message);
+  // 定期上报订单簿摘要（供 Web 界面展示）
+  setInterval(() => {
+    subscribedContracts.get(exchange.key).forEach(contract => {
+      const book = exchange.getOrderBook(contract);
+      if (book) {
+        dataCollector.updateOrderBook(contract, book.getSummary(10)).catch(error => {
+          logger.error('更新订单簿失败:', error.message);
+        });
       }
     });
+  }, 2000);
 
-    marketWs.on('error', (error) => {
-      logger.error('市场行情连接错误:', error.message);
+  exchange.on('largeTrade', ({ contractCode, trade, tape }) => {
+    checkLargeTrade(contractCode, trade, tape).catch(error => {
+      logger.error('大单提醒失败:', error.message);
     });
+  });
 
-    marketWs.on('close', (code) => {
-      logger.info(`🔌 市场行情连接关闭 (code: ${code})`);
-      
-      if (pingInterval) {
-        clearInterval(pingInterval);
-        pingInterval = null;
-      }
-      
-      subscribedContracts.clear();
-      
-      logger.info('⏳ 5秒后重连市场行情...');
-      setTimeout(connectMarketWs, 5000);
-    });
+  // 各交易所需要订阅行情的合约：持仓合约，主交易所加上监控合约
+  function getMarketContracts(ex) {
+    return new Set([
+      ...getPositionContracts(ex),
+      ...(ex === exchange ? watchContracts : [])
+    ]);
+  }
 
-    marketWs.on('pong', () => {
-      // 连接正常
-    });
+  async function connectMarketWs(ex) {
+    logger.info(`\n📊 连接 ${ex.name} 市场行情 WebSocket...`);
+
+    // 合并持仓合约和监控合约（连接前登记订阅，连接成功和重连后自动发送）
+    const allContracts = getMarketContracts(ex);
+
+    if (allContracts.size > 0) {
+      logger.info('📡 订阅行情:', Array.from(allContracts).join(', '));
+      updateMarketSubscriptions(ex, allContracts);
+    } else if (ex === exchange) {
+      logger.warn('当前无持仓且无监控合约');
+    }
+
+    try {
+      await ex.connectMarket();
+      logger.info(`✅ ${ex.name} 市场行情连接成功\n`);
+    } catch (error) {
+      // 首次连接失败由客户端自动重连
+      logger.error(`${ex.name} 市场行情连接错误:`, error.message);
+    }
   }
 
   // 计算实时盈亏并发送通知
-  async function calculatePnL(contractCode, lastPrice) {
+  async function calculatePnL(ex, contractCode, lastPrice) {
     const allPositions = [];
     
-    for (const direction of ['buy', 'sell']) {
-      const key = `${contractCode}_${direction}`;
+    for (const [marginMode, direction] of [['isolated', 'long'], ['isolated', 'short'], ['cross', 'long'], ['cross', 'short']]) {
+      const key = getPositionKey({ exchange: ex.id, account: ex.account, contractCode, direction, marginMode });
       const position = positions.get(key);
       
       if (!position || position.volume <= 0) {
         continue;
       }
       
-      const costOpen = parseFloat(position.cost_open);
-      const volume = parseFloat(position.volume);
-      
-      const contractSize = contractCode.includes('BTC') ? 0.001 : 
-                          contractCode.includes('ETH') ? 0.01 : 1;
+      const { costOpen, volume } = position;
       
-      const actualPosition = volume * contractSize;
-      const positionValue = actualPosition * lastPrice;
-      
-      let profitUnreal;
-      if (direction === 'buy') {
-        profitUnreal = (lastPrice - costOpen) * volume * contractSize;
-      } else {
-        profitUnreal = (costOpen - lastPrice) * volume * contractSize;
+      const contractSize = position.contractSize ?? ex.getContractSize(contractCode);
+      if (contractSize === null) {
+        logger.debug(`未找到 ${ex.name} ${contractCode} 的合约信息，跳过盈亏计算`);
+        continue;
       }
       
-      const positionMargin = parseFloat(position.position_margin);
-      const profitRate = positionMargin > 0 ? (profitUnreal / positionMargin * 100) : 0;
+      const { inverse = false, positionMargin, leverage } = position;
+      const marginAsset = position.marginAsset || 'USDT';
+      const baseCurrency = position.baseCurrency || contractCode.split('-')[0];
+      const quoteCurrency = position.quoteCurrency || 'USDT';
+      
+      // 币本位（inverse）：面值以美元计，持仓折合 张数 × 面值 / 价格 个币，盈亏和保证金以币计
+      // 交易所按标记价格强平：盈亏和强平距离使用标记价格，未收到时退回最新价
+      const markPrice = ex.getMarkPrice(contractCode)?.price ?? null;
+      const pnl = calcPositionPnl({ ...position, contractSize, entryPrice: costOpen }, { lastPrice, markPrice }, {
+        priceType: 'mark',
+        maintenanceMarginRate: liquidationConfig.maintenanceMarginRate
+      });
+      const { quantity: actualPosition, positionValue, profitUnreal, liquidationPrice, liquidationDistance } = pnl;
+      const profitRate = pnl.roe * 100;
+      const funding = projectFundingCost(ex, position, positionValue);
+      // 币本位金额按最新价折算成美元，用于金额阈值和汇总
+      const toUsd = value => (inverse ? value * lastPrice : value);
+      const amountDigits = inverse ? 6 : 2;
       
       const profitColor = profitUnreal >= 0 ? '🟢' : '🔴';
-      const directionText = direction === 'buy' ? '多仓' : '空仓';
+      const directionText = `${direction === 'long' ? '多仓' : '空仓'}${marginMode === 'cross' ? '(全仓)' : ''}`;
+      const exchangeText = exchanges.length > 1 ? `${ex.name} ` : '';
       
-      console.log(`${profitColor} [${new Date().toLocaleTimeString('zh-CN')}] ${contractCode} ${directionText}`);
-      console.log(`   持仓: ${volume} 张 × ${contractSize} = ${actualPosition.toFixed(4)} ${contractCode.split('-')[0]}`);
-      console.log(`   持仓价值: ${positionValue.toFixed(2)} USDT | 保证金: ${positionMargin.toFixed(2)} USDT`);
-      console.log(`   最新价: ${lastPrice.toFixed(2)} | 开仓价: ${costOpen.toFixed(2)}`);
-      console.log(`   未实现盈亏: ${profitUnreal.toFixed(4)} USDT | 收益率: ${profitRate.toFixed(2)}%`);
+      console.log(`${profitColor} [${new Date().toLocaleTimeString('zh-CN')}] ${exchangeText}${contractCode} ${directionText}`);
+      if (inverse) {
+        console.log(`   持仓: ${volume} 张 × ${contractSize} ${quoteCurrency} ≈ ${actualPosition.toFixed(6)} ${baseCurrency}`);
+      } else {
+        console.log(`   持仓: ${volume} 张 × ${contractSize} = ${actualPosition.toFixed(4)} ${baseCurrency}`);
+      }
+      console.log(`   持仓价值: ${positionValue.toFixed(amountDigits)} ${marginAsset} | 保证金: ${positionMargin.toFixed(amountDigits)} ${marginAsset}`);
+      console.log(`   最新价: ${lastPrice.toFixed(2)} | 标记价: ${markPrice !== null ? markPrice.toFixed(2) : '--'} | 开仓价: ${costOpen.toFixed(2)}`);
+      console.log(`   未实现盈亏: ${profitUnreal.toFixed(inverse ? 8 : 4)} ${marginAsset}${inverse ? ` (≈ ${toUsd(profitUnreal).toFixed(2)} USD)` : ''} | 收益率: ${profitRate.toFixed(2)}%`);
+      if (funding) {
+        const settlementText = funding.settlementTime ? new Date(funding.settlementTime).toLocaleTimeString('zh-CN') : '--';
+        console.log(`   资金费率: ${(funding.fundingRate * 100).toFixed(4)}% | 预计资金费: ${funding.fundingCost >= 0 ? '支付' : '收取'} ${Math.abs(funding.fundingCost).toFixed(inverse ? 8 : 4)} ${marginAsset} (${settlementText} 结算)`);
+      }
+      if (liquidationPrice !== null) {
+        console.log(`   强平价: ${liquidationPrice.toFixed(2)}${position.liquidationPrice ? '' : ' (估算)'} | 距强平: ${(liquidationDistance * 100).toFixed(2)}%`);
+      }
       
       const positionData = {
+        exchange: ex.id,
+        account: ex.account, // 账户标签，单账户为 null
         contractCode,
-        direction,
+        market: position.market || null,
+        inverse,
+        baseCurrency,
+        quoteCurrency,
+        marginAsset, // positionValue / positionMargin / profitUnreal / fundingCost 的币种
+        direction, // long / short
+        marginMode,
+        leverage,
         volume,
         actualPosition,
         positionValue,
         positionMargin,
         lastPrice,
+        markPrice,
+        pnlPrice: pnl.price, // 计算盈亏使用的价格
+        pnlPriceType: pnl.priceType, // mark / last
         costOpen,
         profitUnreal,
-        profitRate
+        profitRate,
+        liquidationPrice,
+        liquidationEstimated: !position.liquidationPrice,
+        liquidationDistance, // 距强平价的比例（0.05 = 5%），没有强平价时为 null
+        // 折合美元（U 本位与原值相同），用于金额阈值和多币种汇总
+        positionValueUsd: toUsd(positionValue),
+        positionMarginUsd: toUsd(positionMargin),
+        profitUnrealUsd: toUsd(profitUnreal),
+        fundingRate: funding ? funding.fundingRate : null,
+        fundingCost: funding ? funding.fundingCost : null, // 下次结算的预计资金费（正数为支付）
+        settlementTime: funding ? funding.settlementTime : null
       };
       
       allPositions.push(positionData);
+      portfolio.update(key, positionData);
       
       if (notifier) {
         await notifier.notifyPositionPnL(positionData);
       }
+      await checkLiquidationRisk(ex, positionData);
     }
     
+    // 定时汇总包含所有合约的持仓，而不只是本次行情对应的合约
     if (notifier && allPositions.length > 0) {
-      await notifier.notifyTimeSummary(allPositions);
+      await notifier.notifyTimeSummary(portfolio.getPositions(), pnlLedger.getCachedSummary(), getPortfolioSummary());
+    }
+  }
+
+  // 标记价格距强平价小于阈值时发送高优先级提醒（同一持仓按最小间隔重复提醒）
+  async function checkLiquidationRisk(ex, positionData) {
+    const { liquidationDistance } = positionData;
+    if (!liquidationConfig.enabled || !notifier || liquidationDistance === null) {
+      return;
+    }
+    if (liquidationDistance * 100 > liquidationConfig.alertDistance) {
+      return;
+    }
+
+    const key = getPositionKey(positionData);
+    const now = Date.now();
+    if (now - (liquidationAlertState[key] || 0) < liquidationConfig.minNotifyInterval) {
+      return;
+    }
+    liquidationAlertState[key] = now;
+
+    logger.warn(`🚨 ${ex.name} ${positionData.contractCode} 距强平 ${(liquidationDistance * 100).toFixed(2)}%，低于阈值 ${liquidationConfig.alertDistance}%`);
+    try {
+      await notifier.notifyLiquidationRisk(positionData, liquidationConfig.alertDistance);
+    } catch (error) {
+      logger.error('强平风险提醒失败:', error.message);
     }
   }
 
@@ -745,21 +1129,24 @@ ${changeEmoji} *${contractCode}*
     // 更新本地配置引用
     watchContracts = newConfig.watchContracts;
     priceChangeConfig = newConfig.priceChangeConfig;
+    tradeFlowConfig = newConfig.tradeFlowConfig || tradeFlowConfig;
+    fundingConfig = newConfig.fundingConfig || fundingConfig;
+    liquidationConfig = newConfig.liquidationConfig || liquidationConfig;
+    accountConfig = newConfig.accountConfig || accountConfig;
+    accountMonitor.setConfig(accountConfig);
+    portfolioConfig = newConfig.portfolioConfig || portfolioConfig;
+    portfolio.setConfig(portfolioConfig);
+    // 大单阈值立即生效
+    exchange.setLargeTradeThreshold(tradeFlowConfig.largeTradeThreshold);
     
-    // 重新初始化价格追踪器
-    initPriceTracker();
+    // 重新加载告警规则
+    loadAlertRules(newConfig);
     
     // 重新初始化通知器
     initNotifier();
     
-    // 更新市场订阅
-    if (marketWs && marketWs.readyState === WebSocket.OPEN) {
-      const currentContracts = new Set([
-        ...Array.from(positions.values()).map(p => p.contract_code),
-        ...watchContracts
-      ]);
-      updateMarketSubscriptions(currentContracts);
-    }
+    // 更新市场订阅（监控列表只影响主交易所）
+    updateMarketSubscriptions(exchange, getMarketContracts(exchange));
     
     console.log('✅ 新配置已应用\n');
     printCurrentConfig();
@@ -771,32 +1158,64 @@ ${changeEmoji} *${contractCode}*
   // 定期打印量化交易状态（每30秒）
   setInterval(() => {
     quantTrader.printStatus();
+    // 同时刷新连接状态和账户快照（Redis 中的数据有过期时间）
+    reportConnectionStatus();
+    dataCollector.updateAccounts(accountMonitor.getAccounts());
   }, 30000);
 
   // ==================== 启动 ====================
 
+  if (REPLAY_FILE) {
+    await runReplay();
+    return;
+  }
+
   try {
-    await client.connect();
-    
-    client.subscribePositions('*');
+    for (const ex of exchanges) {
+      await ex.connect();
+    }
     
-    client.subscribe('positions_cross.*');
+    // 持仓、订单、账户频道必须全部订阅成功，否则直接退出（避免在没有推送的情况下盲目交易）
+    await Promise.all([
+      ...exchanges.map(ex => ex.subscribePositions()),
+      // 🔥 量化交易模块接入主交易所的私有推送（实盘模式会订阅订单和账户推送）
+      quantTrader.attachPrivateStreams()
+    ]);
+    reportConnectionStatus();
 
-    // 🔥 将 WebSocket 客户端传给量化交易模块
-    quantTrader.setWebSocketClient(client);
+    // 成交推送只用于已实现盈亏账本，账户推送只用于账户监控，订阅失败不影响持仓监控
+    exchanges.forEach(ex => {
+      ex.subscribeFills().catch(error => {
+        logger.warn(`${ex.name} 成交推送订阅失败，已实现盈亏不会更新: ${error.message}`);
+      });
+      ex.subscribeAccounts({ unifiedAccount: quantTrader.config.unifiedAccount }).catch(error => {
+        logger.warn(`${ex.name} 账户推送订阅失败，账户监控不可用: ${error.message}`);
+      });
+    });
+    pnlLedger.getSummary().catch(() => {});
+
+    // 行情客户端传给量化交易模块（订单簿等实时数据）
+    quantTrader.setMarketClient(exchange.marketClient);
 
-    // 等待持仓数据加载
-    await new Promise(resolve => setTimeout(resolve, 3000));
+    // 用 REST 快照加载持仓（不依赖订阅后的首次推送），不支持或查询失败时退回等待推送
+    for (const ex of exchanges) {
+      if (!(await syncSnapshot(ex))) {
+        await new Promise(resolve => setTimeout(resolve, 3000));
+      }
+    }
+    startupSnapshotDone = true;
     if (positions.size > 0) {
       const contracts = Array.from(new Set(
-        Array.from(positions.values()).map(p => p.contract_code)
+        Array.from(positions.values()).map(p => `${exchanges.length > 1 ? `${ExchangeAdapter.getKey(p.exchange, p.account)}:` : ''}${p.contractCode}`)
       ));
       console.log(`📋 持仓合约: ${contracts.join(', ')}`);
     } else {
       console.log('⚠️  当前无持仓');
     }
     
-    connectMarketWs();
+    for (const ex of exchanges) {
+      await connectMarketWs(ex);
+    }
 
     console.log('\n✅ 监听已启动\n');
     
@@ -840,14 +1259,43 @@ ${changeEmoji} *${contractCode}*
         console.log(`      - ${t.symbol}: ${directionText} ${t.targetPrice} USDT`);
       });
     }
+    const alertRules = (currentConfig.alertRules || []).filter(rule => rule.enabled !== false);
+    if (alertRules.length > 0) {
+      console.log(`   告警规则: ${alertRules.map(rule => `${rule.type} ${Array.isArray(rule.symbol) ? rule.symbol.join('/') : rule.symbol}${rule.condition?.period ? ` ${rule.condition.period}` : ''}`).join(', ')}`);
+    }
     console.log('');
   }
 
-  process.on('SIGINT', () => {
+  // 回放录制文件：登记与正常启动相同的订阅，但不连接交易所，帧直接送入主交易所的客户端
+  async function runReplay() {
+    const replayer = new FrameReplayer(REPLAY_FILE, { speed: REPLAY_SPEED });
+    exchange.attachReplayer(replayer);
+
+    // 订阅确认来自录制的帧，不等待
+    exchange.subscribePositions().catch(() => {});
+    quantTrader.attachPrivateStreams().catch(error => {
+      logger.warn(`回放中私有频道未就绪: ${error.message}`);
+    });
+    quantTrader.setMarketClient(exchange.marketClient);
+    updateMarketSubscriptions(exchange, new Set(watchContracts));
+
+    process.on('SIGINT', () => replayer.stop());
+
+    const stats = await replayer.run();
+    const duration = stats.firstTs !== null ? ((stats.lastTs - stats.firstTs) / 1000).toFixed(1) : 0;
+    logger.info(`⏹️  回放结束: ${stats.frames} 帧（跳过 ${stats.skipped}），录制时长 ${duration} 秒`);
+
+    configManager.stopWatching();
+    process.exit(0);
+  }
+
+  process.on('SIGINT', async () => {
     console.log('\n\n👋 正在关闭连接...');
     configManager.stopWatching();
-    client.close();
-    if (marketWs) marketWs.close();
+    exchanges.forEach(ex => ex.close());
+    if (recorder) {
+      await recorder.close();
+    }
     process.exit(0);
   });
 }
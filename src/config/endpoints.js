@@ -0,0 +1,123 @@
+/**
+ * HTX 接口地址
+ * 默认连接火币生产环境，可通过环境变量指向模拟交易所（见 mock-exchange.js）：
+ * - HTX_REST_URL: REST 接口地址，如 http://127.0.0.1:8888
+ * - WS_URL / MARKET_WS_URL: U 本位永续的私有频道 / 行情 WebSocket 地址
+ * - SWAP_WS_URL / SWAP_MARKET_WS_URL: 币本位永续（未设置时使用 WS_URL / MARKET_WS_URL 的主机）
+ * - FUTURES_WS_URL / FUTURES_MARKET_WS_URL: 币本位交割（同上）
+ * - INDEX_WS_URL: 指数和标记价格 WebSocket（各业务线共用，未设置时使用 MARKET_WS_URL 的主机 + /ws_index）
+ *
+ * 调用时才读取环境变量，确保 dotenv 已经加载
+ */
+export const DEFAULT_REST_URL = 'https://api.hbdm.com';
+export const DEFAULT_WS_URL = 'wss://api.hbdm.com/linear-swap-notification';
+export const DEFAULT_MARKET_WS_URL = 'wss://api.hbdm.com/linear-swap-ws';
+
+/**
+ * HTX 合约业务线
+ * - linear-swap：U 本位永续（BTC-USDT），以 USDT 计价和结算
+ * - swap：币本位永续（BTC-USD），每张合约面值为固定美元，保证金和盈亏以币计价
+ * - futures：币本位交割（BTC240628，或 BTC_CQ 等别名），计价方式同币本位永续，没有资金费
+ */
+export const HTX_MARKETS = {
+  'linear-swap': {
+    name: 'U本位永续',
+    inverse: false,
+    hasFunding: true,
+    marginModes: ['isolated', 'cross'],
+    privatePath: '/linear-swap-notification',
+    marketPath: '/linear-swap-ws',
+    contractInfoPath: '/linear-swap-api/v1/swap_contract_info',
+    contractInfoParams: { business_type: 'swap' },
+    privateApiPrefix: '/linear-swap-api/v1/swap_', // 持仓、当前委托、账户查询接口的前缀，全仓接口再加 cross_
+    financialRecordPath: '/linear-swap-api/v3/swap_financial_record',
+    envPrefix: ''
+  },
+  swap: {
+    name: '币本位永续',
+    inverse: true,
+    hasFunding: true,
+    marginModes: ['isolated'],
+    privatePath: '/swap-notification',
+    marketPath: '/swap-ws',
+    contractInfoPath: '/swap-api/v1/swap_contract_info',
+    contractInfoParams: {},
+    privateApiPrefix: '/swap-api/v1/swap_',
+    financialRecordPath: '/swap-api/v3/swap_financial_record',
+    envPrefix: 'SWAP_'
+  },
+  futures: {
+    name: '币本位交割',
+    inverse: true,
+    hasFunding: false,
+    marginModes: ['isolated'],
+    privatePath: '/notification',
+    marketPath: '/ws',
+    contractInfoPath: '/api/v1/contract_contract_info',
+    contractInfoParams: {},
+    privateApiPrefix: '/api/v1/contract_',
+    financialRecordPath: null, // 交割合约没有资金费
+    envPrefix: 'FUTURES_'
+  }
+};
+
+/**
+ * 根据合约代码判断业务线：BTC-USDT -> linear-swap，BTC-USD -> swap，BTC240628 / BTC_CQ -> futures
+ */
+export function getContractMarket(contractCode) {
+  if (/-USD$/.test(contractCode)) {
+    return 'swap';
+  }
+  if (/^[A-Z0-9]+\d{6}$/.test(contractCode) || /_(CW|NW|CQ|NQ)$/.test(contractCode)) {
+    return 'futures';
+  }
+  return 'linear-swap';
+}
+
+/**
+ * REST 接口地址（不带末尾的 /）
+ */
+export function getRestBaseUrl() {
+  return (process.env.HTX_REST_URL || DEFAULT_REST_URL).replace(/\/+$/, '');
+}
+
+/**
+ * REST 接口主机名（签名使用），如 api.hbdm.com 或 127.0.0.1:8888
+ */
+export function getRestHost() {
+  return new URL(getRestBaseUrl()).host;
+}
+
+/**
+ * 私有频道 WebSocket 地址（订单、持仓、账户推送）
+ * @param {string} market - 业务线，见 HTX_MARKETS，默认 U 本位永续
+ */
+export function getPrivateWsUrl(market = 'linear-swap') {
+  const base = process.env.WS_URL || DEFAULT_WS_URL;
+  if (market === 'linear-swap') {
+    return base;
+  }
+  const { envPrefix, privatePath } = HTX_MARKETS[market];
+  return process.env[`${envPrefix}WS_URL`] || `${new URL(base).origin.replace(/^http/, 'ws')}${privatePath}`;
+}
+
+/**
+ * 行情 WebSocket 地址
+ * @param {string} market - 业务线，见 HTX_MARKETS，默认 U 本位永续
+ */
+export function getMarketWsUrl(market = 'linear-swap') {
+  const base = process.env.MARKET_WS_URL || DEFAULT_MARKET_WS_URL;
+  if (market === 'linear-swap') {
+    return base;
+  }
+  const { envPrefix, marketPath } = HTX_MARKETS[market];
+  return process.env[`${envPrefix}MARKET_WS_URL`] || `${new URL(base).origin.replace(/^http/, 'ws')}${marketPath}`;
+}
+
+/**
+ * 指数 WebSocket 地址（标记价格K线 market.$contract_code.mark_price.$period 等，各业务线共用）
+ */
+export function getIndexWsUrl() {
+  const base = process.env.MARKET_WS_URL || DEFAULT_MARKET_WS_URL;
+  return process.env.INDEX_WS_URL || `${new URL(base).origin.replace(/^http/, 'ws')}/ws_index`;
+}
@@ -71,6 +71,41 @@ class ConfigManager extends EventEmitter {
         ],
         minNotifyInterval: 2 * 60 * 1000,
       },
+      tradeFlowConfig: {
+        enabled: false, // 大单提醒
+        largeTradeThreshold: 100000, // 单笔成交额超过该值（USDT）视为大单
+        windows: [
+          { duration: 60 * 1000, name: '1分钟' },
+          { duration: 5 * 60 * 1000, name: '5分钟' },
+        ],
+        minNotifyInterval: 60 * 1000, // 同一合约大单提醒最小间隔
+      },
+      fundingConfig: {
+        enabled: false, // 资金费率提醒
+        rateThreshold: 0.0005, // 本期或预测费率绝对值超过该值（0.0005 = 0.05%）时提醒
+        preSettlementMinutes: 15, // 有持仓时，结算前多少分钟提醒（0 表示不提醒）
+        minNotifyInterval: 60 * 60 * 1000, // 同一合约费率提醒最小间隔
+      },
+      liquidationConfig: {
+        enabled: true, // 强平风险提醒（高优先级）
+        alertDistance: 5, // 标记价格距强平价小于该百分比时提醒
+        maintenanceMarginRate: 0.005, // 交易所未给出强平价时，估算强平价使用的维持保证金率
+        minNotifyInterval: 5 * 60 * 1000, // 同一持仓强平提醒最小间隔
+      },
+      accountConfig: {
+        enabled: true, // 账户风险提醒
+        marginRatioThreshold: 80, // 保证金占用率（(权益 - 可用) / 权益）超过该百分比时提醒
+        minAvailable: 0, // 可用保证金低于该值时提醒（以保证金币种计，0 为不检查）
+        riskRateThreshold: 0, // 交易所保证金率低于该值时提醒（小数，1.5 表示 150%，0 为不检查）
+        minNotifyInterval: 10 * 60 * 1000, // 持续处于风险区时的重复提醒间隔
+      },
+      portfolioConfig: {
+        enabled: true, // 组合敞口提醒（所有持仓合计，金额折合 USDT）
+        maxNetExposure: 0, // 净敞口（多仓价值 - 空仓价值）绝对值超过该值时提醒（0 为不检查）
+        maxGrossExposure: 0, // 总敞口（多仓价值 + 空仓价值）超过该值时提醒（0 为不检查）
+        maxLeverage: 0, // 实际杠杆（总敞口 / 权益）超过该倍数时提醒（0 为不检查）
+        minNotifyInterval: 10 * 60 * 1000, // 持续处于风险区时的重复提醒间隔
+      },
       priceTargets: {
         enabled: true,
         targets: [
@@ -85,6 +120,12 @@ class ConfigManager extends EventEmitter {
           },
         ],
       },
+      // 告警规则（见 src/services/alert-engine.js），例如
+      // { id: 'btc-100k', type: 'priceTarget', symbol: 'BTC-USDT', condition: { direction: 'above', price: 100000 },
+      //   cooldown: 600000, channels: ['bark'], once: true }
+      // 技术指标规则（见 src/services/indicator-alerts.js，K线收盘时评估），例如
+      // { id: 'eth-rsi', type: 'rsi', symbol: 'ETH-USDT', condition: { period: '60min', length: 14, level: 70, direction: 'above' } }
+      alertRules: [],
       notificationConfig: {
         profitThreshold: 3,
         lossThreshold: -5,
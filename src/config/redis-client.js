@@ -221,6 +221,173 @@ class RedisClient {
     }
   }
 
+  /**
+   * 获取连接状态
+   */
+  async getConnections() {
+    try {
+      const data = await this.redis.get(`${this.PREFIX}connections`);
+      if (data) {
+        return JSON.parse(data);
+      }
+      return {};
+    } catch (error) {
+      console.error('❌ Redis 获取连接状态失败:', error.message);
+      return {};
+    }
+  }
+
+  /**
+   * 保存连接状态
+   */
+  async saveConnections(connections) {
+    try {
+      await this.redis.set(`${this.PREFIX}connections`, JSON.stringify(connections), 'EX', 120); // 2分钟过期（监控程序每30秒刷新）
+      return true;
+    } catch (error) {
+      console.error('❌ Redis 保存连接状态失败:', error.message);
+      return false;
+    }
+  }
+
+  /**
+   * 获取账户监控快照
+   */
+  async getAccounts() {
+    try {
+      const data = await this.redis.get(`${this.PREFIX}accounts`);
+      if (data) {
+        return JSON.parse(data);
+      }
+      return [];
+    } catch (error) {
+      console.error('❌ Redis 获取账户失败:', error.message);
+      return [];
+    }
+  }
+
+  /**
+   * 保存账户监控快照
+   */
+  async saveAccounts(accounts) {
+    try {
+      await this.redis.set(`${this.PREFIX}accounts`, JSON.stringify(accounts), 'EX', 300);
+      return true;
+    } catch (error) {
+      console.error('❌ Redis 保存账户失败:', error.message);
+      return false;
+    }
+  }
+
+  /**
+   * 获取组合敞口汇总
+   */
+  async getPortfolio() {
+    try {
+      const data = await this.redis.get(`${this.PREFIX}portfolio`);
+      if (data) {
+        return JSON.parse(data);
+      }
+      return null;
+    } catch (error) {
+      console.error('❌ Redis 获取组合汇总失败:', error.message);
+      return null;
+    }
+  }
+
+  /**
+   * 保存组合敞口汇总
+   */
+  async savePortfolio(portfolio) {
+    try {
+      await this.redis.set(`${this.PREFIX}portfolio`, JSON.stringify(portfolio), 'EX', 60);
+      return true;
+    } catch (error) {
+      console.error('❌ Redis 保存组合汇总失败:', error.message);
+      return false;
+    }
+  }
+
+  /**
+   * 保存订单簿摘要
+   */
+  async saveOrderBook(symbol, summary) {
+    try {
+      await this.redis.set(
+        `${this.PREFIX}orderbook:${symbol}`,
+        JSON.stringify(summary),
+        'EX',
+        30 // 30秒过期（行情断开后自动失效）
+      );
+      return true;
+    } catch (error) {
+      console.error(`❌ Redis 保存订单簿失败 (${symbol}):`, error.message);
+      return false;
+    }
+  }
+
+  /**
+   * 批量获取订单簿摘要
+   */
+  async getAllOrderBooks() {
+    try {
+      const keys = await this.redis.keys(`${this.PREFIX}orderbook:*`);
+      if (keys.length === 0) {
+        return {};
+      }
+
+      const values = await this.redis.mget(keys);
+      const orderBooks = {};
+
+      keys.forEach((key, index) => {
+        const symbol = key.replace(`${this.PREFIX}orderbook:`, '');
+        if (values[index]) {
+          try {
+            orderBooks[symbol] = JSON.parse(values[index]);
+          } catch (error) {
+            console.error(`解析订单簿数据失败 (${symbol}):`, error.message);
+          }
+        }
+      });
+
+      return orderBooks;
+    } catch (error) {
+      console.error('❌ Redis 批量获取订单簿失败:', error.message);
+      return {};
+    }
+  }
+
+  /**
+   * 获取合约信息缓存
+   * @returns {Promise<{contracts, updatedAt}|null>}
+   */
+  async getContracts() {
+    try {
+      const data = await this.redis.get(`${this.PREFIX}contracts`);
+      if (data) {
+        return JSON.parse(data);
+      }
+      return null;
+    } catch (error) {
+      console.error('❌ Redis 获取合约信息失败:', error.message);
+      return null;
+    }
+  }
+
+  /**
+   * 保存合约信息缓存
+   */
+  async saveContracts(data) {
+    try {
+      // 保留 7 天，交易所不可用时作为兜底（是否过期由 updatedAt 判断）
+      await this.redis.set(`${this.PREFIX}contracts`, JSON.stringify(data), 'EX', 7 * 24 * 3600);
+      return true;
+    } catch (error) {
+      console.error('❌ Redis 保存合约信息失败:', error.message);
+      return false;
+    }
+  }
+
   /**
    * 获取量化交易数据
    */
@@ -250,6 +417,127 @@ class RedisClient {
     }
   }
 
+  /**
+   * 追加已实现盈亏账本条目（按自然日分 key，同一天内按 id 去重）
+   * @param {string} date - 日期，如 2024-06-28
+   * @returns {Promise<boolean>} 是否为新条目（重复推送返回 false）
+   */
+  async addLedgerEntry(date, entry) {
+    try {
+      const ttl = 400 * 24 * 3600; // 保留一年多，满足按月、按周统计
+      const added = await this.redis.sadd(`${this.PREFIX}ledger:ids:${date}`, entry.id);
+      if (added === 0) {
+        return false;
+      }
+      await this.redis.multi()
+        .rpush(`${this.PREFIX}ledger:${date}`, JSON.stringify(entry))
+        .expire(`${this.PREFIX}ledger:${date}`, ttl)
+        .expire(`${this.PREFIX}ledger:ids:${date}`, ttl)
+        .exec();
+      return true;
+    } catch (error) {
+      console.error('❌ Redis 保存账本条目失败:', error.message);
+      return false;
+    }
+  }
+
+  /**
+   * 获取多天的账本条目
+   * @param {string[]} dates - 日期列表
+   */
+  async getLedgerEntries(dates) {
+    try {
+      if (dates.length === 0) {
+        return [];
+      }
+      const pipeline = this.redis.pipeline();
+      dates.forEach(date => pipeline.lrange(`${this.PREFIX}ledger:${date}`, 0, -1));
+      const results = await pipeline.exec();
+
+      const entries = [];
+      results.forEach(([error, values], index) => {
+        if (error) {
+          console.error(`❌ Redis 获取账本失败 (${dates[index]}):`, error.message);
+          return;
+        }
+        values.forEach(value => {
+          try {
+            entries.push(JSON.parse(value));
+          } catch (parseError) {
+            console.error(`解析账本条目失败 (${dates[index]}):`, parseError.message);
+          }
+        });
+      });
+      return entries;
+    } catch (error) {
+      console.error('❌ Redis 获取账本失败:', error.message);
+      return [];
+    }
+  }
+
+  /**
+   * 获取权益曲线的数据点（按时间升序）
+   * @param {string} series - real / quant
+   * @param {string} resolution - 1m / 1h / 1d
+   */
+  async getEquityPoints(series, resolution, startTime = '-inf', endTime = '+inf') {
+    try {
+      const values = await this.redis.zrangebyscore(`${this.PREFIX}equity:${series}:${resolution}`, startTime, endTime);
+      return values.map(value => JSON.parse(value));
+    } catch (error) {
+      console.error(`❌ Redis 获取权益曲线失败 (${series}:${resolution}):`, error.message);
+      return [];
+    }
+  }
+
+  /**
+   * 写入（替换）一个权益数据点，并删除超出保留时长的旧数据
+   * @param {object} point - { ts（该精度的时间桶）, ... }
+   * @param {number} retention - 保留时长（毫秒）
+   */
+  async saveEquityPoint(series, resolution, point, retention) {
+    try {
+      const key = `${this.PREFIX}equity:${series}:${resolution}`;
+      await this.redis.multi()
+        .zremrangebyscore(key, point.ts, point.ts)
+        .zadd(key, point.ts, JSON.stringify(point))
+        .zremrangebyscore(key, '-inf', point.ts - retention)
+        .expire(key, Math.ceil(retention / 1000))
+        .exec();
+      return true;
+    } catch (error) {
+      console.error(`❌ Redis 保存权益曲线失败 (${series}:${resolution}):`, error.message);
+      return false;
+    }
+  }
+
+  /**
+   * 获取告警规则的上次触发时间
+   * @returns {Promise<object>} 规则 id -> 时间戳
+   */
+  async getAlertTriggers() {
+    try {
+      const values = await this.redis.hgetall(`${this.PREFIX}alert:triggered`);
+      return Object.fromEntries(Object.entries(values).map(([id, ts]) => [id, parseInt(ts)]));
+    } catch (error) {
+      console.error('❌ Redis 获取告警触发时间失败:', error.message);
+      return {};
+    }
+  }
+
+  /**
+   * 记录告警规则的触发时间（重启后继续冷却）
+   */
+  async saveAlertTrigger(ruleId, ts) {
+    try {
+      await this.redis.hset(`${this.PREFIX}alert:triggered`, ruleId, ts);
+      return true;
+    } catch (error) {
+      console.error(`❌ Redis 保存告警触发时间失败 (${ruleId}):`, error.message);
+      return false;
+    }
+  }
+
   /**
    * 设置缓存（通用）
    */
@@ -11,29 +11,31 @@ export class HTXAuth {
   }
 
   /**
-   * 生成 WebSocket 认证参数
-   * @param {string} host - WebSocket 主机地址
-   * @param {string} path - WebSocket 路径
-   * @returns {object} 认证参数对象
+   * 签名（HmacSHA256 v2）：WebSocket 认证和 REST 私有接口共用
+   * @param {string} method - GET / POST
+   * @param {string} host - 主机地址，如 api.hbdm.com
+   * @param {string} path - 请求路径
+   * @param {object} params - 参与签名的其他参数（GET 请求的 query 参数）
+   * @param {Date} now - 签名时间（默认本机时间，REST 客户端传入按服务器时间校正后的时间）
+   * @returns {object} 签名参数和原参数（含 Signature）
    */
-  generateAuthParams(host, path) {
-    const timestamp = new Date().toISOString().replace(/\.\d{3}Z$/, '');
-    
-    const params = {
+  sign(method, host, path, params = {}, now = new Date()) {
+    const signParams = {
       AccessKeyId: this.accessKey,
       SignatureMethod: 'HmacSHA256',
       SignatureVersion: '2',
-      Timestamp: timestamp
+      Timestamp: now.toISOString().replace(/\.\d{3}Z$/, ''),
+      ...params
     };
 
     // 按字母顺序排序参数
-    const sortedParams = Object.keys(params)
+    const sortedParams = Object.keys(signParams)
       .sort()
-      .map(key => `${key}=${encodeURIComponent(params[key])}`)
+      .map(key => `${encodeURIComponent(key)}=${encodeURIComponent(signParams[key])}`)
       .join('&');
 
     // 构建签名字符串
-    const signatureString = `GET\n${host}\n${path}\n${sortedParams}`;
+    const signatureString = `${method}\n${host}\n${path}\n${sortedParams}`;
 
     // 生成签名
     const signature = crypto
@@ -42,11 +44,21 @@ export class HTXAuth {
       .digest('base64');
 
     return {
-      ...params,
+      ...signParams,
       Signature: signature
     };
   }
 
+  /**
+   * 生成 WebSocket 认证参数
+   * @param {string} host - WebSocket 主机地址
+   * @param {string} path - WebSocket 路径
+   * @returns {object} 认证参数对象
+   */
+  generateAuthParams(host, path) {
+    return this.sign('GET', host, path);
+  }
+
   /**
    * 生成完整的 WebSocket 认证 URL
    * @param {string} wsUrl - WebSocket 基础 URL
@@ -1,20 +1,53 @@
 import WebSocket from 'ws';
 import pako from 'pako';
-import crypto from 'crypto';
 import { HTXAuth } from './auth.js';
+import { ReconnectPolicy } from './reconnect-policy.js';
+import { HTX_MARKETS } from '../config/endpoints.js';
+import { calcPositionPnl } from '../utils/pnl.js';
 
 /**
- * HTX 永续合约 WebSocket 客户端
+ * HTX 合约私有频道 WebSocket 客户端
+ * U 本位永续、币本位永续、币本位交割的推送协议相同，按 options.market 连接对应地址（见 config/endpoints.js）
  */
 export class HTXFuturesClient {
-  constructor(accessKey, secretKey, wsUrl) {
+  /**
+   * @param {string} accessKey
+   * @param {string} secretKey
+   * @param {string} wsUrl
+   * @param {object} options
+   * @param {object} options.reconnect - 重连策略配置，见 ReconnectPolicy
+   * @param {number} options.subscribeTimeout - 订阅确认超时（毫秒），默认 10000
+   * @param {FrameRecorder} options.recorder - 帧录制器（可选），收到的每一帧都会以 source "private" 写入
+   * @param {string} options.market - 业务线：linear-swap（默认）/ swap / futures，决定频道参数格式
+   * @param {Function} options.getContractSize - 合约面值查询（contractCode -> 面值 | null），计算持仓盈亏时使用
+   */
+  constructor(accessKey, secretKey, wsUrl, options = {}) {
     this.auth = new HTXAuth(accessKey, secretKey);
     this.wsUrl = wsUrl;
+    this.market = options.market || 'linear-swap';
     this.ws = null;
     this.isConnected = false;
-    this.reconnectInterval = 5000;
+    this.reconnectPolicy = new ReconnectPolicy(options.reconnect);
+    this.reconnectTimer = null;
+    this.manualClose = false; // 主动关闭时不重连
     this.pingInterval = null;
+    
+    // 连接状态：idle / connecting / connected / authenticated / disconnected / giving_up
+    this.connectionState = 'idle';
+    this.lastConnectedAt = null;
+    this.lastDisconnectedAt = null;
+    this.lastError = null;
     this.subscriptions = new Set();
+    this.subscribeTimeout = options.subscribeTimeout || 10000;
+    this.recorder = options.recorder || null;
+    // 合约面值查询（contractCode -> 面值 | null），用于按行情计算持仓盈亏
+    this.getContractSize = options.getContractSize || (() => null);
+    // topic -> { status: pending / subscribed / failed / timeout, errCode, errMsg, updatedAt }
+    this.subscriptionStatus = new Map();
+    // topic -> [{ resolve, reject, timer }] 等待订阅确认的请求
+    this.pendingSubscriptions = new Map();
+    // 当前连接上已发送订阅请求的频道（认证前发送的公共频道，认证后不重复发送）
+    this.sentTopics = new Set();
     this.eventHandlers = {
       orders: [],
       positions: [],
@@ -24,9 +57,30 @@ export class HTXFuturesClient {
       fundingRate: [],
       contractInfo: [],
       ticker: [],  // 添加行情事件
-      positionPnL: []  // 添加实时盈亏事件
+      positionPnL: [],  // 添加实时盈亏事件
+      subscriptionFailed: [],  // 订阅失败或超时
+      gap: [],  // 推送可能有遗漏（重连、乱序），需要用 REST 对账
+      // 连接状态事件
+      connecting: [],
+      connected: [],
+      authenticated: [],
+      disconnected: [],
+      giving_up: []
     };
-    this.currentPositions = new Map();  // 缓存当前持仓
+    // 缓存当前持仓，逐仓和全仓分开（key: contract_code_direction）
+    this.positionCaches = {
+      isolated: new Map(),
+      cross: new Map()
+    };
+    // 各保证金模式最近一次收到持仓推送的时间（REST 快照不覆盖更新的推送）
+    this.positionUpdatedAt = {
+      isolated: 0,
+      cross: 0
+    };
+    // 推送顺序：频道 / 订单 -> 最近一次处理的推送时间戳（ts），更早的推送视为过期丢弃
+    this.pushSequence = new Map();
+    this.hasAuthenticated = false; // 是否认证成功过（之后的认证都是重连）
+    this.fundingRates = new Map();  // 合约代码 -> 最新资金费率
   }
 
   /**
@@ -38,12 +92,17 @@ export class HTXFuturesClient {
         // HTX 私有频道需要先连接，然后发送认证消息
         console.log('🔗 正在连接 HTX WebSocket...');
         
+        this.manualClose = false;
+        this.setConnectionState('connecting');
         this.ws = new WebSocket(this.wsUrl);
         this.authResolved = false;
+        this.sentTopics.clear();
 
         this.ws.on('open', () => {
           console.log('✅ WebSocket 连接成功');
           this.isConnected = true;
+          this.lastConnectedAt = Date.now();
+          this.setConnectionState('connected');
           this.startPing();
           
           // 发送认证消息
@@ -58,6 +117,7 @@ export class HTXFuturesClient {
 
         this.ws.on('error', (error) => {
           console.error('❌ WebSocket 错误:', error.message);
+          this.lastError = error.message;
           reject(error);
         });
 
@@ -65,10 +125,14 @@ export class HTXFuturesClient {
           const reasonText = reason ? reason.toString() : '无';
           console.log(`🔌 WebSocket 连接关闭 (code: ${code}, reason: ${reasonText})`);
           this.isConnected = false;
+          this.authResolved = false;
+          this.lastDisconnectedAt = Date.now();
           this.stopPing();
+          this.markSubscriptionsPending();
+          this.setConnectionState('disconnected', { code, reason: reasonText });
           
-          // 只在非正常关闭时重连
-          if (code !== 1000) {
+          // 只在非正常关闭时重连（主动调用 close() 不重连）
+          if (code !== 1000 && !this.manualClose) {
             this.reconnect();
           }
         });
@@ -88,16 +152,20 @@ export class HTXFuturesClient {
       const text = pako.inflate(data, { to: 'string' });
       const message = JSON.parse(text);
 
+      if (this.recorder) {
+        this.recorder.record('private', message);
+      }
+
       // 处理 ping（两种格式都支持）
       if (message.ping) {
         this.lastPongTime = Date.now(); // 更新最后收到 ping 的时间
-        this.ws.send(JSON.stringify({ pong: message.ping }));
+        this.send({ pong: message.ping });
         return;
       }
       
       if (message.op === 'ping') {
         this.lastPongTime = Date.now(); // 更新最后收到 ping 的时间
-        this.ws.send(JSON.stringify({ op: 'pong', ts: message.ts }));
+        this.send({ op: 'pong', ts: message.ts });
         return;
       }
 
@@ -112,10 +180,19 @@ export class HTXFuturesClient {
         if (message['err-code'] === 0) {
           console.log('🔐 认证成功');
           this.authResolved = true;
+          // 认证成功才算真正恢复，重置退避计数
+          this.reconnectPolicy.reset();
+          this.setConnectionState('authenticated');
           // 认证成功后，重新订阅之前的频道
           this.resubscribe();
+          // 断线期间的订单和持仓变化不会补推
+          if (this.hasAuthenticated) {
+            this.emit('gap', { reason: 'reconnect', since: this.lastDisconnectedAt, timestamp: Date.now() });
+          }
+          this.hasAuthenticated = true;
         } else {
           console.error('❌ 认证失败:', message['err-msg']);
+          this.lastError = message['err-msg'];
         }
         return;
       }
@@ -124,8 +201,10 @@ export class HTXFuturesClient {
       if (message.op === 'sub') {
         if (message['err-code'] === 0) {
           console.log('📡 订阅成功:', message.topic);
+          this.resolveSubscription(message.topic);
         } else {
-          console.error('❌ 订阅失败:', message['err-msg']);
+          console.error(`❌ 订阅失败 (${message.topic}):`, message['err-msg']);
+          this.rejectSubscription(message.topic, 'failed', message['err-code'], message['err-msg']);
         }
         return;
       }
@@ -142,19 +221,32 @@ export class HTXFuturesClient {
 
   /**
    * 处理推送通知
+   * 按频道名路由（orders 与 orders_cross、positions 与 positions_cross 等），
+   * 事件第二个参数附带保证金模式 / 账户类型：
+   * - orders / positions / matchOrders: { marginMode: 'isolated' | 'cross', event }
+   * - accounts: { accountType: 'isolated' | 'cross' | 'unified', event }
    */
   handleNotification(message) {
     const topic = message.topic;
     const timestamp = new Date().toLocaleString('zh-CN');
+    const channel = HTXFuturesClient.getChannel(topic);
 
     // 订单更新
-    if (topic.includes('orders')) {
-      // 确保 data 存在
-      if (message.data) {
-        this.emit('orders', message.data);
+    if (channel === 'orders' || channel === 'orders_cross') {
+      // 订单推送的字段直接在消息顶层（部分版本放在 data 中）
+      const order = message.data || (message.contract_code ? message : null);
+      // 同一订单的推送乱序到达时，丢弃较早的状态（避免状态回退）
+      if (order && this.isStalePush(`order:${order.order_id_str || order.order_id}`, message.ts ?? order.ts, topic)) {
+        return;
+      }
+      if (order) {
+        this.emit('orders', order, {
+          marginMode: channel === 'orders_cross' ? 'cross' : 'isolated',
+          event: message.event
+        });
         // 只在 DEBUG 级别输出详细信息
         if (process.env.LOG_LEVEL === 'DEBUG') {
-          console.log(`\n[${timestamp}] 📋 订单更新:`, JSON.stringify(message.data, null, 2));
+          console.log(`\n[${timestamp}] 📋 订单更新:`, JSON.stringify(order, null, 2));
         }
       } else {
         console.log(`\n[${timestamp}] ⚠️ 订单推送数据为空`);
@@ -162,36 +254,77 @@ export class HTXFuturesClient {
     }
     
     // 持仓更新
-    else if (topic.includes('positions')) {
-      // 缓存持仓数据用于实时计算
+    else if (channel === 'positions' || channel === 'positions_cross') {
+      const marginMode = channel === 'positions_cross' ? 'cross' : 'isolated';
+      const cache = this.positionCaches[marginMode];
+      if (this.isStalePush(topic, message.ts, topic)) {
+        return;
+      }
+      this.positionUpdatedAt[marginMode] = Date.now();
+
       if (Array.isArray(message.data)) {
+        // 快照推送包含该模式下的全部持仓，先清空缓存
+        if (message.event === 'snapshot') {
+          cache.clear();
+        }
         message.data.forEach(pos => {
+          // 老版本推送可能没有 margin_mode 字段，按频道补齐
+          if (!pos.margin_mode) {
+            pos.margin_mode = marginMode;
+          }
+          // 缓存持仓数据用于实时计算
           const key = `${pos.contract_code}_${pos.direction}`;
-          this.currentPositions.set(key, pos);
+          if (parseFloat(pos.volume) > 0) {
+            cache.set(key, pos);
+          } else {
+            cache.delete(key);
+          }
         });
       }
-      this.emit('positions', message.data);
-      console.log(`\n[${timestamp}] 💼 持仓更新:`, JSON.stringify(message.data, null, 2));
+      this.emit('positions', message.data, { marginMode, event: message.event });
+      console.log(`\n[${timestamp}] 💼 持仓更新 (${marginMode === 'cross' ? '全仓' : '逐仓'}):`, JSON.stringify(message.data, null, 2));
     }
     
     // 账户余额更新
-    else if (topic.includes('accounts')) {
-      this.emit('accounts', message.data);
+    else if (channel === 'accounts' || channel === 'accounts_cross' || channel === 'accounts_unify') {
+      const accountType = channel === 'accounts_unify' ? 'unified' : (channel === 'accounts_cross' ? 'cross' : 'isolated');
+      this.emit('accounts', message.data, { accountType, event: message.event });
       console.log(`\n[${timestamp}] 💰 账户更新:`, JSON.stringify(message.data, null, 2));
     }
     
     // 成交订单
-    else if (topic.includes('matchOrders')) {
-      this.emit('matchOrders', message.data);
-      console.log(`\n[${timestamp}] ✅ 订单成交:`, JSON.stringify(message.data, null, 2));
+    else if (channel === 'matchorders' || channel === 'matchorders_cross') {
+      const match = message.data || message;
+      this.emit('matchOrders', match, {
+        marginMode: channel === 'matchorders_cross' ? 'cross' : 'isolated',
+        event: message.event
+      });
+      console.log(`\n[${timestamp}] ✅ 订单成交:`, JSON.stringify(match, null, 2));
     }
     
     // 强平订单
-    else if (topic.includes('liquidation_orders')) {
+    else if (topic.startsWith('public.') && topic.endsWith('.liquidation_orders')) {
       this.emit('liquidationOrders', message.data);
       console.log(`\n[${timestamp}] ⚠️ 强平订单:`, JSON.stringify(message.data, null, 2));
     }
     
+    // 资金费率
+    else if (topic.startsWith('public.') && topic.endsWith('.funding_rate')) {
+      (message.data || []).forEach(item => {
+        const rate = HTXFuturesClient.normalizeFundingRate(item);
+        this.fundingRates.set(rate.contractCode, rate);
+        this.emit('fundingRate', rate);
+      });
+      if (process.env.LOG_LEVEL === 'DEBUG') {
+        console.log(`\n[${timestamp}] 💸 资金费率:`, JSON.stringify(message.data, null, 2));
+      }
+    }
+    
+    // 合约信息变更（面值、价格精度、合约状态）
+    else if (topic.startsWith('public.') && topic.endsWith('.contract_info')) {
+      this.emit('contractInfo', message.data, { event: message.event });
+    }
+    
     // 行情推送（用于实时计算持仓盈亏）
     else if (topic.startsWith('market.') && topic.includes('.ticker.')) {
       this.emit('ticker', message.tick);
@@ -203,39 +336,156 @@ export class HTXFuturesClient {
   }
 
   /**
-   * 根据最新行情计算持仓盈亏
+   * 推送是否早于同一频道 / 订单已处理的推送（按交易所时间戳 ts）
+   * 过期的推送丢弃，并触发 gap 事件（reason: outOfOrder）请求对账；没有 ts 的推送不检查
+   */
+  isStalePush(key, ts, topic) {
+    if (ts === undefined || ts === null) {
+      return false;
+    }
+    const lastTs = this.pushSequence.get(key);
+    if (lastTs !== undefined && ts < lastTs) {
+      console.warn(`⚠️ 丢弃乱序推送 ${topic}（${ts} 早于 ${lastTs}）`);
+      this.emit('gap', { reason: 'outOfOrder', topic, since: ts, timestamp: Date.now() });
+      return true;
+    }
+    // 重新插入，保持按最近更新排序
+    this.pushSequence.delete(key);
+    this.pushSequence.set(key, ts);
+    // 订单条目只需要覆盖近期的订单，超过上限时删除最久未更新的
+    if (this.pushSequence.size > 2000) {
+      this.pushSequence.delete(this.pushSequence.keys().next().value);
+    }
+    return false;
+  }
+
+  /**
+   * 获取推送的频道名（小写），如 "positions_cross.BTC-USDT" -> "positions_cross"
+   */
+  static getChannel(topic) {
+    return (topic || '').split('.')[0].toLowerCase();
+  }
+
+  /**
+   * 统一资金费率推送字段
+   * @param {object} item - { contract_code, funding_rate, estimated_rate, funding_time, settlement_time }
+   * @returns {{contractCode, fundingRate, estimatedRate, fundingTime, settlementTime, updatedAt}}
+   *   fundingRate 为本期（下次结算时收取）费率，estimatedRate 为预测的下一期费率
+   */
+  static normalizeFundingRate(item) {
+    const toNumber = value => (value === undefined || value === null || value === '' ? null : Number(value));
+    return {
+      contractCode: item.contract_code,
+      fundingRate: toNumber(item.funding_rate),
+      estimatedRate: toNumber(item.estimated_rate),
+      fundingTime: toNumber(item.funding_time),
+      settlementTime: toNumber(item.settlement_time),
+      updatedAt: Date.now()
+    };
+  }
+
+  /**
+   * 获取合约的最新资金费率
+   * @param {string} contractCode - 合约代码，如 "BTC-USDT"
+   * @returns {object|null} 见 normalizeFundingRate
+   */
+  getFundingRate(contractCode) {
+    return this.fundingRates.get(contractCode) || null;
+  }
+
+  /**
+   * 获取所有已收到的资金费率
+   */
+  getFundingRates() {
+    return Array.from(this.fundingRates.values());
+  }
+
+  /**
+   * 获取缓存的持仓
+   * @param {string} marginMode - isolated / cross，不传则返回全部
+   * @returns {Array}
+   */
+  getPositions(marginMode) {
+    const modes = marginMode ? [marginMode] : Object.keys(this.positionCaches);
+    return modes.flatMap(mode => Array.from(this.positionCaches[mode]?.values() || []));
+  }
+
+  /**
+   * 用 REST 查询的持仓（position_info）对账某保证金模式的持仓缓存：
+   * 持仓或张数与缓存不同时替换缓存，并触发 positions 事件（event 为 rest_snapshot）
+   * 查询期间收到过持仓推送时以推送为准，不替换
+   * @param {string} marginMode - isolated / cross
+   * @param {Array} data - 持仓列表，字段与推送相同
+   * @param {number} requestedAt - 发起查询的时间
+   * @returns {boolean} 是否有变化（已替换缓存）
+   */
+  applyPositionSnapshot(marginMode, data, requestedAt) {
+    if (this.positionUpdatedAt[marginMode] > requestedAt) {
+      return false;
+    }
+
+    const snapshot = new Map();
+    data.forEach(pos => {
+      if (!pos.margin_mode) {
+        pos.margin_mode = marginMode;
+      }
+      if (parseFloat(pos.volume) > 0) {
+        snapshot.set(`${pos.contract_code}_${pos.direction}`, pos);
+      }
+    });
+
+    const cache = this.positionCaches[marginMode];
+    const changed = cache.size !== snapshot.size || Array.from(snapshot).some(([key, pos]) =>
+      !cache.has(key) || parseFloat(cache.get(key).volume) !== parseFloat(pos.volume)
+    );
+    if (!changed) {
+      return false;
+    }
+
+    cache.clear();
+    snapshot.forEach((pos, key) => cache.set(key, pos));
+    this.positionUpdatedAt[marginMode] = Date.now();
+    this.emit('positions', data, { marginMode, event: 'rest_snapshot' });
+    return true;
+  }
+
+  /**
+   * 根据最新行情计算持仓盈亏（公式见 utils/pnl.js，未知合约面值时跳过）
    */
   calculatePositionPnL(tick) {
     const contractCode = tick.contract_code;
     const lastPrice = parseFloat(tick.last);
+    const contractSize = this.getContractSize(contractCode);
+    if (contractSize === null) {
+      return;
+    }
     
-    // 检查是否有该合约的持仓
-    ['buy', 'sell'].forEach(direction => {
+    // 检查是否有该合约的持仓（逐仓和全仓分别计算）
+    Object.entries(this.positionCaches).forEach(([marginMode, cache]) => ['buy', 'sell'].forEach(direction => {
       const key = `${contractCode}_${direction}`;
-      const position = this.currentPositions.get(key);
+      const position = cache.get(key);
       
       if (position && position.volume > 0) {
         const costOpen = parseFloat(position.cost_open);
         const volume = parseFloat(position.volume);
         
-        // 计算未实现盈亏
-        let profitUnreal;
-        if (direction === 'buy') {
-          // 多仓：(当前价 - 开仓价) * 持仓量
-          profitUnreal = (lastPrice - costOpen) * volume;
-        } else {
-          // 空仓：(开仓价 - 当前价) * 持仓量
-          profitUnreal = (costOpen - lastPrice) * volume;
-        }
-        
-        // 计算收益率
-        const positionMargin = parseFloat(position.position_margin);
-        const profitRate = positionMargin > 0 ? (profitUnreal / positionMargin * 100) : 0;
+        const { profitUnreal, roe } = calcPositionPnl({
+          direction,
+          volume,
+          contractSize,
+          entryPrice: costOpen,
+          inverse: HTX_MARKETS[this.market].inverse,
+          marginMode,
+          positionMargin: parseFloat(position.position_margin),
+          leverage: parseFloat(position.lever_rate)
+        }, { lastPrice });
+        const profitRate = roe * 100;
         
         // 触发实时盈亏事件
         this.emit('positionPnL', {
           contract_code: contractCode,
           direction: direction,
+          margin_mode: marginMode,
           volume: volume,
           cost_open: costOpen,
           last_price: lastPrice,
@@ -244,7 +494,7 @@ export class HTXFuturesClient {
           timestamp: new Date().toISOString()
         });
       }
-    });
+    }));
   }
 
   /**
@@ -262,7 +512,7 @@ export class HTXFuturesClient {
         sub: topic,
         id: `ticker_${Date.now()}`
       };
-      this.ws.send(JSON.stringify(subMessage));
+      this.send(subMessage);
       console.log(`📊 订阅行情: ${contractCode}`);
     }
   }
@@ -270,38 +520,55 @@ export class HTXFuturesClient {
   /**
    * 订阅订单更新
    * @param {string} contractCode - 合约代码，如 "BTC-USDT"，"*" 表示所有合约
+   * @param {string} marginMode - isolated（逐仓，orders）/ cross（全仓，orders_cross）
    */
-  subscribeOrders(contractCode = '*') {
-    const topic = `orders.${contractCode}`;
-    this.subscribe(topic);
+  subscribeOrders(contractCode = '*', marginMode = 'isolated') {
+    const topic = `${marginMode === 'cross' ? 'orders_cross' : 'orders'}.${this.getTopicCode(contractCode)}`;
+    return this.subscribe(topic);
   }
 
   /**
    * 订阅持仓更新
    * @param {string} contractCode - 合约代码，如 "BTC-USDT"，"*" 表示所有合约
+   * @param {string} marginMode - isolated（逐仓，positions）/ cross（全仓，positions_cross）
    */
-  subscribePositions(contractCode = '*') {
-    const topic = `positions.${contractCode}`;
-    this.subscribe(topic);
+  subscribePositions(contractCode = '*', marginMode = 'isolated') {
+    const topic = `${marginMode === 'cross' ? 'positions_cross' : 'positions'}.${this.getTopicCode(contractCode)}`;
+    return this.subscribe(topic);
   }
 
   /**
-   * 订阅账户余额更新（统一账户模式）
-   * @param {string} contractCode - 合约代码，如 "BTC-USDT"，"*" 表示所有合约
+   * 订阅账户余额更新
+   * @param {string} contractCode - 逐仓为合约代码（如 "BTC-USDT"），全仓和统一账户为保证金币种（如 "USDT"），"*" 表示全部
+   * @param {string} accountType - unified（统一账户，accounts_unify）/ isolated（accounts）/ cross（accounts_cross）
    */
-  subscribeAccounts(contractCode = '*') {
-    // HTX 新版 API 使用 accounts_unify（统一账户）
-    const topic = `accounts_unify.${contractCode}`;
-    this.subscribe(topic);
+  subscribeAccounts(contractCode = '*', accountType = 'unified') {
+    const channel = {
+      unified: 'accounts_unify',
+      isolated: 'accounts',
+      cross: 'accounts_cross'
+    }[accountType] || 'accounts_unify';
+    return this.subscribe(`${channel}.${this.getTopicCode(contractCode)}`);
   }
 
   /**
    * 订阅成交订单
    * @param {string} contractCode - 合约代码，如 "BTC-USDT"，"*" 表示所有合约
+   * @param {string} marginMode - isolated（matchOrders）/ cross（matchOrders_cross）
    */
-  subscribeMatchOrders(contractCode = '*') {
-    const topic = `matchOrders.${contractCode}`;
-    this.subscribe(topic);
+  subscribeMatchOrders(contractCode = '*', marginMode = 'isolated') {
+    const topic = `${marginMode === 'cross' ? 'matchOrders_cross' : 'matchOrders'}.${this.getTopicCode(contractCode)}`;
+    return this.subscribe(topic);
+  }
+
+  /**
+   * 私有频道的参数：币本位交割按品种订阅（小写，如 BTC240628 / BTC_CQ -> btc），其余按合约代码
+   */
+  getTopicCode(contractCode) {
+    if (this.market !== 'futures' || contractCode === '*') {
+      return contractCode;
+    }
+    return contractCode.replace(/(\d{6}|_(CW|NW|CQ|NQ))$/, '').toLowerCase();
   }
 
   /**
@@ -314,86 +581,194 @@ export class HTXFuturesClient {
     const topic = `public.${contractCode}.liquidation_orders`;
     
     // 公共频道可以直接订阅，不需要等待认证
-    if (this.isConnected) {
-      const subMessage = {
-        op: 'sub',
-        topic: topic
-      };
-      this.ws.send(JSON.stringify(subMessage));
-      this.subscriptions.add(topic);
-    } else {
-      this.subscriptions.add(topic);
-    }
+    return this.subscribe(topic, { requireAuth: false });
   }
 
   /**
-   * 发送认证消息
+   * 订阅资金费率（公共频道）
+   * @param {string} contractCode - 合约代码，如 "BTC-USDT"，"*" 表示所有合约
    */
-  authenticate() {
-    const timestamp = new Date().toISOString().replace(/\.\d{3}Z$/, '');
-    const url = new URL(this.wsUrl);
-    
-    const params = {
-      AccessKeyId: this.auth.accessKey,
-      SignatureMethod: 'HmacSHA256',
-      SignatureVersion: '2',
-      Timestamp: timestamp
-    };
+  subscribeFundingRate(contractCode = '*') {
+    // 格式为 public.$contract_code.funding_rate，不需要认证
+    return this.subscribe(`public.${contractCode}.funding_rate`, { requireAuth: false });
+  }
 
-    // 按字母顺序排序参数
-    const sortedParams = Object.keys(params)
-      .sort()
-      .map(key => `${key}=${encodeURIComponent(params[key])}`)
-      .join('&');
+  /**
+   * 取消订阅资金费率，并清除缓存的费率
+   */
+  unsubscribeFundingRate(contractCode) {
+    this.unsubscribe(`public.${contractCode}.funding_rate`);
+    this.fundingRates.delete(contractCode);
+  }
 
-    // 构建签名字符串
-    const signatureString = `GET\n${url.host}\n${url.pathname}\n${sortedParams}`;
+  /**
+   * 订阅合约信息变更（公共频道）
+   * @param {string} contractCode - 合约代码，如 "BTC-USDT"，"*" 表示所有合约
+   */
+  subscribeContractInfo(contractCode = '*') {
+    return this.subscribe(`public.${contractCode}.contract_info`, { requireAuth: false });
+  }
 
-    // 生成签名
-    const signature = crypto
-      .createHmac('sha256', this.auth.secretKey)
-      .update(signatureString)
-      .digest('base64');
+  /**
+   * 发送认证消息
+   */
+  authenticate() {
+    const url = new URL(this.wsUrl);
 
     const authMessage = {
       op: 'auth',
       type: 'api',
-      AccessKeyId: this.auth.accessKey,
-      SignatureMethod: 'HmacSHA256',
-      SignatureVersion: '2',
-      Timestamp: timestamp,
-      Signature: signature
+      ...this.auth.generateAuthParams(url.host, url.pathname)
     };
 
     console.log('🔐 发送认证请求...');
-    this.ws.send(JSON.stringify(authMessage));
+    this.send(authMessage);
   }
 
   /**
    * 通用订阅方法
+   * 未连接或未认证时先登记，认证成功后统一发送
+   * @param {string} topic
+   * @param {object} options
+   * @param {boolean} options.requireAuth - 是否需要认证后才能订阅（公共频道为 false），默认 true
+   * @param {number} options.timeout - 等待确认的超时时间（毫秒），默认 subscribeTimeout
+   * @returns {Promise<string>} 收到订阅成功确认时 resolve，失败或超时时 reject
    */
-  subscribe(topic) {
-    if (!this.isConnected) {
-      console.warn('⚠️ WebSocket 未连接，订阅将在连接后执行');
-      this.subscriptions.add(topic);
-      return;
+  subscribe(topic, options = {}) {
+    const { requireAuth = true, timeout = this.subscribeTimeout } = options;
+
+    // 已经订阅成功的频道直接返回
+    const current = this.subscriptionStatus.get(topic);
+    if (this.subscriptions.has(topic) && current?.status === 'subscribed') {
+      return Promise.resolve(topic);
     }
 
-    // 保存订阅，等待认证完成后再发送
     this.subscriptions.add(topic);
-    
-    // 如果已经认证，立即订阅
-    if (this.authResolved) {
-      const subMessage = {
-        op: 'sub',
-        topic: topic
-      };
-      this.ws.send(JSON.stringify(subMessage));
+    this.setSubscriptionStatus(topic, 'pending');
+    const promise = this.waitForSubscription(topic, timeout);
+
+    if (!this.isConnected) {
+      console.warn(`⚠️ WebSocket 未连接，订阅将在连接后执行: ${topic}`);
+    } else if (!requireAuth || this.authResolved) {
+      // 已经认证（或公共频道），立即订阅；否则等待认证完成后再发送
+      this.sendSubscribe(topic);
     }
+
+    return promise;
+  }
+
+  /**
+   * 发送订阅消息
+   */
+  sendSubscribe(topic) {
+    const subMessage = {
+      op: 'sub',
+      topic: topic
+    };
+    this.sentTopics.add(topic);
+    this.send(subMessage);
+  }
+
+  /**
+   * 等待订阅确认
+   */
+  waitForSubscription(topic, timeout) {
+    return new Promise((resolve, reject) => {
+      const pending = { resolve, reject, timer: null };
+
+      pending.timer = setTimeout(() => {
+        const list = this.pendingSubscriptions.get(topic) || [];
+        const remaining = list.filter(p => p !== pending);
+        if (remaining.length > 0) {
+          this.pendingSubscriptions.set(topic, remaining);
+        } else {
+          this.pendingSubscriptions.delete(topic);
+        }
+
+        this.setSubscriptionStatus(topic, 'timeout', { errMsg: `${timeout / 1000} 秒内未收到订阅确认` });
+        this.emit('subscriptionFailed', { topic, status: 'timeout', errCode: null, errMsg: `${timeout / 1000} 秒内未收到订阅确认` });
+        reject(new Error(`订阅 ${topic} 超时 (${timeout / 1000} 秒内未收到确认)`));
+      }, timeout);
+
+      if (!this.pendingSubscriptions.has(topic)) {
+        this.pendingSubscriptions.set(topic, []);
+      }
+      this.pendingSubscriptions.get(topic).push(pending);
+    });
+  }
+
+  /**
+   * 订阅成功：更新状态并 resolve 等待中的请求
+   */
+  resolveSubscription(topic) {
+    this.setSubscriptionStatus(topic, 'subscribed');
+
+    const list = this.pendingSubscriptions.get(topic) || [];
+    this.pendingSubscriptions.delete(topic);
+    list.forEach(pending => {
+      clearTimeout(pending.timer);
+      pending.resolve(topic);
+    });
+  }
+
+  /**
+   * 订阅失败：更新状态并 reject 等待中的请求
+   */
+  rejectSubscription(topic, status, errCode, errMsg) {
+    this.setSubscriptionStatus(topic, status, { errCode, errMsg });
+    this.emit('subscriptionFailed', { topic, status, errCode, errMsg });
+
+    const list = this.pendingSubscriptions.get(topic) || [];
+    this.pendingSubscriptions.delete(topic);
+    list.forEach(pending => {
+      clearTimeout(pending.timer);
+      const error = new Error(`订阅 ${topic} 失败: ${errMsg || '未知原因'} (err-code: ${errCode})`);
+      error.code = errCode;
+      pending.reject(error);
+    });
   }
 
   /**
-   * 重新订阅所有频道
+   * 更新单个频道的订阅状态
+   */
+  setSubscriptionStatus(topic, status, detail = {}) {
+    this.subscriptionStatus.set(topic, {
+      status,
+      errCode: detail.errCode ?? null,
+      errMsg: detail.errMsg ?? null,
+      updatedAt: Date.now()
+    });
+  }
+
+  /**
+   * 连接断开后，所有频道需要重新订阅
+   */
+  markSubscriptionsPending() {
+    for (const topic of this.subscriptions) {
+      this.setSubscriptionStatus(topic, 'pending');
+    }
+  }
+
+  /**
+   * 频道是否已订阅成功
+   */
+  isSubscribed(topic) {
+    return this.subscriptionStatus.get(topic)?.status === 'subscribed';
+  }
+
+  /**
+   * 获取所有频道的订阅状态
+   * @returns {Array<{topic, status, errCode, errMsg, updatedAt}>}
+   */
+  getSubscriptionStatus() {
+    return Array.from(this.subscriptions).map(topic => ({
+      topic,
+      ...(this.subscriptionStatus.get(topic) || { status: 'pending', errCode: null, errMsg: null, updatedAt: null })
+    }));
+  }
+
+  /**
+   * 认证成功后订阅所有频道（跳过本次连接上已经发送过的频道）
    */
   resubscribe() {
     if (!this.authResolved) {
@@ -403,11 +778,15 @@ export class HTXFuturesClient {
     
     console.log('📡 认证成功，开始订阅频道...');
     for (const topic of this.subscriptions) {
-      const subMessage = {
-        op: 'sub',
-        topic: topic
-      };
-      this.ws.send(JSON.stringify(subMessage));
+      if (this.sentTopics.has(topic)) {
+        continue;
+      }
+      this.setSubscriptionStatus(topic, 'pending');
+      // 重连后的重新订阅同样需要超时检测（结果通过 subscriptionFailed 事件上报）
+      if (!this.pendingSubscriptions.has(topic)) {
+        this.waitForSubscription(topic, this.subscribeTimeout).catch(() => {});
+      }
+      this.sendSubscribe(topic);
     }
   }
 
@@ -421,9 +800,19 @@ export class HTXFuturesClient {
     };
 
     if (this.isConnected) {
-      this.ws.send(JSON.stringify(unsubMessage));
+      this.send(unsubMessage);
     }
     this.subscriptions.delete(topic);
+    this.subscriptionStatus.delete(topic);
+    this.sentTopics.delete(topic);
+
+    // 取消订阅时，等待中的请求不再有结果
+    const list = this.pendingSubscriptions.get(topic) || [];
+    this.pendingSubscriptions.delete(topic);
+    list.forEach(pending => {
+      clearTimeout(pending.timer);
+      pending.reject(new Error(`订阅 ${topic} 已取消`));
+    });
   }
 
   /**
@@ -463,16 +852,66 @@ export class HTXFuturesClient {
   }
 
   /**
-   * 重连
+   * 重连（指数退避 + 抖动）
    */
   reconnect() {
-    console.log(`⏳ ${this.reconnectInterval / 1000} 秒后尝试重连...`);
-    setTimeout(() => {
+    if (this.reconnectTimer) {
+      return; // 已经在等待重连
+    }
+
+    const delay = this.reconnectPolicy.nextDelay();
+    if (delay === null) {
+      console.error(`❌ 已连续重连 ${this.reconnectPolicy.attempts} 次失败，放弃重连`);
+      this.setConnectionState('giving_up', { attempts: this.reconnectPolicy.attempts });
+      return;
+    }
+
+    console.log(`⏳ ${(delay / 1000).toFixed(1)} 秒后尝试第 ${this.reconnectPolicy.attempts} 次重连...`);
+    this.reconnectTimer = setTimeout(() => {
+      this.reconnectTimer = null;
       this.authResolved = false; // 重置认证状态
       this.connect().catch(error => {
         console.error('❌ 重连失败:', error.message);
       });
-    }, this.reconnectInterval);
+    }, delay);
+  }
+
+  /**
+   * 更新连接状态并触发对应事件
+   * @param {string} state - connecting / connected / authenticated / disconnected / giving_up
+   * @param {object} detail - 附加信息（如关闭码）
+   */
+  setConnectionState(state, detail = {}) {
+    this.connectionState = state;
+    this.emit(state, {
+      state,
+      attempts: this.reconnectPolicy.attempts,
+      timestamp: Date.now(),
+      ...detail
+    });
+  }
+
+  /**
+   * 获取连接健康状态（供监控、量化模块和 Web 界面使用）
+   */
+  getConnectionState() {
+    return {
+      state: this.connectionState,
+      attempts: this.reconnectPolicy.attempts,
+      maxAttempts: this.reconnectPolicy.maxAttempts,
+      lastConnectedAt: this.lastConnectedAt,
+      lastDisconnectedAt: this.lastDisconnectedAt,
+      lastError: this.lastError
+    };
+  }
+
+  /**
+   * 发送消息（连接未打开时忽略，如回放模式）
+   */
+  send(message) {
+    if (this.ws && this.ws.readyState === WebSocket.OPEN) {
+      this.ws.send(JSON.stringify(message));
+    }
   }
 
   /**
@@ -487,9 +926,9 @@ export class HTXFuturesClient {
   /**
    * 触发事件
    */
-  emit(event, data) {
+  emit(event, ...args) {
     if (this.eventHandlers[event]) {
-      this.eventHandlers[event].forEach(handler => handler(data));
+      this.eventHandlers[event].forEach(handler => handler(...args));
     }
   }
 
@@ -497,6 +936,11 @@ export class HTXFuturesClient {
    * 关闭连接
    */
   close() {
+    this.manualClose = true;
+    if (this.reconnectTimer) {
+      clearTimeout(this.reconnectTimer);
+      this.reconnectTimer = null;
+    }
     this.stopPing();
     if (this.ws) {
       this.ws.close();
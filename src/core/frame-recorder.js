@@ -0,0 +1,48 @@
+import fs from 'fs';
+import path from 'path';
+
+/**
+ * WebSocket 帧录制器
+ * 把客户端收到的每一帧（解压后的 JSON）追加写入 JSONL 文件，每行格式：
+ * { "ts": 接收时间（毫秒）, "source": "private" | "market", "frame": { ... } }
+ *
+ * 私有频道客户端和行情客户端可以共用一个录制器，回放时按 source 分发（见 FrameReplayer）
+ */
+export class FrameRecorder {
+  /**
+   * @param {string} filePath - 录制文件路径（追加写入，目录不存在时自动创建）
+   */
+  constructor(filePath) {
+    this.filePath = filePath;
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    this.stream = fs.createWriteStream(filePath, { flags: 'a' });
+    this.frameCount = 0;
+    this.closed = false;
+
+    this.stream.on('error', (error) => {
+      console.error(`❌ 帧录制写入失败 (${filePath}):`, error.message);
+    });
+  }
+
+  /**
+   * 录制一帧
+   * @param {string} source - 帧来源：private（私有频道）/ market（行情）
+   * @param {object} frame - 解压后的消息
+   */
+  record(source, frame) {
+    if (this.closed) return;
+    this.stream.write(JSON.stringify({ ts: Date.now(), source, frame }) + '\n');
+    this.frameCount++;
+  }
+
+  /**
+   * 关闭文件（等待缓冲区写完）
+   */
+  close() {
+    if (this.closed) {
+      return Promise.resolve();
+    }
+    this.closed = true;
+    return new Promise(resolve => this.stream.end(resolve));
+  }
+}
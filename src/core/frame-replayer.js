@@ -0,0 +1,94 @@
+import fs from 'fs';
+import readline from 'readline';
+import pako from 'pako';
+
+/**
+ * WebSocket 帧回放器
+ * 读取 FrameRecorder 录制的 JSONL 文件，按原始时间间隔把每一帧重新压缩后送入对应客户端的 handleMessage，
+ * 与真实连接收到的数据走完全相同的处理流程（不需要网络）
+ *
+ * 注意：客户端和业务代码中基于 Date.now() 的逻辑（超时、提醒间隔等）使用的是回放时的时间，
+ * 加速回放时这些逻辑与录制时不完全一致
+ */
+export class FrameReplayer {
+  /**
+   * @param {string} filePath - 录制文件路径
+   * @param {object} options
+   * @param {number} options.speed - 回放速度：1 为原速，10 为 10 倍速，0 为不等待（尽快回放）
+   */
+  constructor(filePath, options = {}) {
+    this.filePath = filePath;
+    this.speed = options.speed ?? 1;
+    this.targets = new Map(); // source -> 客户端（需要有 handleMessage 方法）
+    this.stopped = false;
+  }
+
+  /**
+   * 指定某个来源的帧送到哪个客户端
+   * @param {string} source - private / market
+   * @param {object} client - HTXFuturesClient / HTXMarketClient
+   */
+  attach(source, client) {
+    this.targets.set(source, client);
+    return this;
+  }
+
+  /**
+   * 开始回放
+   * @returns {Promise<{frames, skipped, firstTs, lastTs}>} 回放统计
+   */
+  async run() {
+    const input = fs.createReadStream(this.filePath, { encoding: 'utf8' });
+    const lines = readline.createInterface({ input, crlfDelay: Infinity });
+
+    const stats = { frames: 0, skipped: 0, firstTs: null, lastTs: null };
+    const startedAt = Date.now();
+
+    try {
+      for await (const line of lines) {
+        if (this.stopped) break;
+        if (!line.trim()) continue;
+
+        let entry;
+        try {
+          entry = JSON.parse(line);
+        } catch (error) {
+          stats.skipped++;
+          continue;
+        }
+
+        const client = this.targets.get(entry.source);
+        if (!client || !entry.frame) {
+          stats.skipped++;
+          continue;
+        }
+
+        if (stats.firstTs === null) {
+          stats.firstTs = entry.ts;
+        }
+        stats.lastTs = entry.ts;
+
+        // 按录制时的时间间隔等待（speed 为 0 时只让出事件循环，保证异步处理按顺序推进）
+        const delay = this.speed > 0
+          ? startedAt + (entry.ts - stats.firstTs) / this.speed - Date.now()
+          : 0;
+        await new Promise(resolve => (delay > 0 ? setTimeout(resolve, delay) : setImmediate(resolve)));
+
+        client.handleMessage(pako.gzip(JSON.stringify(entry.frame)));
+        stats.frames++;
+      }
+    } finally {
+      lines.close();
+      input.destroy();
+    }
+
+    return stats;
+  }
+
+  /**
+   * 停止回放（当前帧处理完后退出）
+   */
+  stop() {
+    this.stopped = true;
+  }
+}
@@ -0,0 +1,560 @@
+import WebSocket from 'ws';
+import pako from 'pako';
+import { ReconnectPolicy } from './reconnect-policy.js';
+import { OrderBook } from './order-book.js';
+import { TradeTape } from './trade-tape.js';
+
+const DEFAULT_MARKET_WS_URL = 'wss://api.hbdm.com/linear-swap-ws';
+
+/**
+ * HTX 永续合约公共行情 WebSocket 客户端
+ * 多个模块共用一个连接：订阅按引用计数管理，断线重连后自动重新订阅
+ * 指数 WebSocket（/ws_index）协议相同，也用本类连接（标记价格K线）
+ */
+export class HTXMarketClient {
+  /**
+   * @param {string} wsUrl - 行情地址，默认 wss://api.hbdm.com/linear-swap-ws
+   * @param {object} options
+   * @param {object} options.reconnect - 重连策略配置，见 ReconnectPolicy
+   * @param {FrameRecorder} options.recorder - 帧录制器（可选），收到的每一帧都会以 source "market" 写入
+   */
+  constructor(wsUrl = DEFAULT_MARKET_WS_URL, options = {}) {
+    this.wsUrl = wsUrl;
+    this.ws = null;
+    this.isConnected = false;
+    this.reconnectPolicy = new ReconnectPolicy(options.reconnect);
+    this.recorder = options.recorder || null;
+    this.reconnectTimer = null;
+    this.manualClose = false; // 主动关闭时不重连
+    this.pingInterval = null;
+    this.lastPingTime = 0; // 最后一次收到服务器 ping 的时间
+
+    // 连接状态：idle / connecting / connected / disconnected / giving_up
+    this.connectionState = 'idle';
+    this.lastConnectedAt = null;
+    this.lastDisconnectedAt = null;
+    this.lastError = null;
+
+    // topic -> 引用计数
+    this.subscriptions = new Map();
+    // topic -> 订阅附加参数（如增量深度的 data_type）
+    this.subscriptionParams = new Map();
+    this.requestId = 0;
+
+    // depth topic -> OrderBook
+    this.orderBooks = new Map();
+    // contractCode -> TradeTape
+    this.tradeTapes = new Map();
+
+    this.eventHandlers = {
+      // 行情事件（按频道类型区分）
+      detail: [],   // market.$code.detail
+      ticker: [],   // market.$code.ticker
+      kline: [],    // market.$code.kline.$period
+      depth: [],    // market.$code.depth.*
+      trade: [],    // market.$code.trade.detail
+      bbo: [],      // market.$code.bbo
+      markPrice: [], // market.$code.mark_price.$period（指数 WebSocket 的标记价格K线）
+      orderbook: [], // 本地订单簿更新
+      largeTrade: [], // 逐笔成交中的大单
+      message: [],  // 所有带 ch 的推送（包括未识别的频道）
+      // 订阅响应
+      subbed: [],
+      unsubbed: [],
+      error: [],
+      // 连接状态事件
+      connecting: [],
+      connected: [],
+      disconnected: [],
+      giving_up: []
+    };
+  }
+
+  /**
+   * 连接 WebSocket
+   */
+  connect() {
+    return new Promise((resolve, reject) => {
+      try {
+        this.manualClose = false;
+        this.setConnectionState('connecting');
+        this.ws = new WebSocket(this.wsUrl);
+
+        this.ws.on('open', () => {
+          this.isConnected = true;
+          this.lastConnectedAt = Date.now();
+          // 行情频道无需认证，连接成功即视为恢复
+          this.reconnectPolicy.reset();
+          this.setConnectionState('connected');
+          this.startPing();
+          this.resubscribe();
+          resolve();
+        });
+
+        this.ws.on('message', (data) => {
+          this.handleMessage(data);
+        });
+
+        this.ws.on('error', (error) => {
+          console.error('❌ 行情 WebSocket 错误:', error.message);
+          this.lastError = error.message;
+          reject(error);
+        });
+
+        this.ws.on('close', (code, reason) => {
+          const reasonText = reason ? reason.toString() : '无';
+          this.isConnected = false;
+          this.lastDisconnectedAt = Date.now();
+          this.stopPing();
+          // 重连后会重新收到快照
+          this.orderBooks.forEach(book => book.invalidate());
+          this.setConnectionState('disconnected', { code, reason: reasonText });
+
+          if (!this.manualClose) {
+            this.reconnect();
+          }
+        });
+
+      } catch (error) {
+        reject(error);
+      }
+    });
+  }
+
+  /**
+   * 处理接收到的消息
+   */
+  handleMessage(data) {
+    try {
+      const text = pako.inflate(data, { to: 'string' });
+      const message = JSON.parse(text);
+
+      if (this.recorder) {
+        this.recorder.record('market', message);
+      }
+
+      if (message.ping) {
+        this.lastPingTime = Date.now();
+        this.send({ pong: message.ping });
+        return;
+      }
+
+      if (message.subbed) {
+        if (message.status === 'ok') {
+          this.emit('subbed', { topic: message.subbed, ts: message.ts });
+        }
+        return;
+      }
+
+      if (message.unsubbed) {
+        if (message.status === 'ok') {
+          this.emit('unsubbed', { topic: message.unsubbed, ts: message.ts });
+        }
+        return;
+      }
+
+      if (message.status === 'error') {
+        console.error('❌ 行情订阅失败:', message['err-msg']);
+        this.emit('error', {
+          id: message.id,
+          code: message['err-code'],
+          message: message['err-msg']
+        });
+        return;
+      }
+
+      if (message.ch) {
+        this.handlePush(message);
+      }
+
+    } catch (error) {
+      console.error('❌ 行情消息处理错误:', error.message);
+    }
+  }
+
+  /**
+   * 分发行情推送
+   */
+  handlePush(message) {
+    const ch = message.ch;
+    const event = {
+      topic: ch,
+      contractCode: ch.split('.')[1],
+      tick: message.tick,
+      ts: message.ts
+    };
+
+    const type = HTXMarketClient.getChannelType(ch);
+    if (type === 'depth') {
+      this.handleDepth(event);
+    } else if (type === 'trade') {
+      this.handleTrades(event);
+    }
+    if (type) {
+      this.emit(type, event);
+    }
+    this.emit('message', event);
+  }
+
+  /**
+   * 更新本地订单簿
+   * step 频道每次推送都是全量快照；high_freq 增量频道先推快照，再按 version 连续推送增量
+   */
+  handleDepth(event) {
+    const book = this.orderBooks.get(event.topic);
+    if (!book || !event.tick) {
+      return;
+    }
+
+    const tick = event.tick;
+    if (!event.topic.endsWith('.high_freq') || tick.event === 'snapshot') {
+      book.applySnapshot(tick);
+    } else if (!book.ready) {
+      // 等待快照期间的增量直接丢弃
+      return;
+    } else if (!book.applyUpdate(tick)) {
+      // 丢包：重新订阅以获取新快照
+      console.warn(`⚠️ 订单簿 ${event.topic} 序号不连续 (本地 ${book.version}, 收到 ${tick.version})，重新同步`);
+      this.resyncDepth(event.topic);
+      return;
+    }
+
+    this.emit('orderbook', { topic: event.topic, contractCode: event.contractCode, book });
+  }
+
+  /**
+   * 重新同步订单簿（先取消再重新订阅，服务器会重新推送快照）
+   */
+  resyncDepth(topic) {
+    const book = this.orderBooks.get(topic);
+    if (book) {
+      book.invalidate();
+    }
+    if (this.isConnected && this.subscriptions.has(topic)) {
+      this.send({ unsub: topic, id: `unsub_${++this.requestId}` });
+      this.sendSub(topic);
+    }
+  }
+
+  /**
+   * 订阅深度并维护本地订单簿
+   * @param {string} contractCode - 合约代码，如 "BTC-USDT"
+   * @param {string} depthType - step0 ~ step19（全量），或 size_20.high_freq / size_150.high_freq（增量），默认 size_20.high_freq
+   * @returns {string} 订阅的 topic
+   */
+  subscribeDepth(contractCode, depthType = 'size_20.high_freq') {
+    const topic = `market.${contractCode}.depth.${depthType}`;
+    if (!this.orderBooks.has(topic)) {
+      this.orderBooks.set(topic, new OrderBook(contractCode));
+    }
+
+    const params = depthType.endsWith('.high_freq') ? { data_type: 'incremental' } : {};
+    this.subscribe(topic, params);
+    return topic;
+  }
+
+  /**
+   * 取消深度订阅
+   */
+  unsubscribeDepth(contractCode, depthType = 'size_20.high_freq') {
+    this.unsubscribe(`market.${contractCode}.depth.${depthType}`);
+  }
+
+  /**
+   * 获取合约的本地订单簿（优先返回增量频道维护的订单簿）
+   * @param {string} contractCode
+   * @returns {OrderBook|null} 尚未收到快照时返回 null
+   */
+  getOrderBook(contractCode) {
+    let fallback = null;
+    for (const [topic, book] of this.orderBooks) {
+      if (book.contractCode !== contractCode || !book.ready) {
+        continue;
+      }
+      if (topic.endsWith('.high_freq')) {
+        return book;
+      }
+      fallback = fallback || book;
+    }
+    return fallback;
+  }
+
+  /**
+   * 记录逐笔成交，并上报大单
+   */
+  handleTrades(event) {
+    const tape = this.tradeTapes.get(event.contractCode);
+    if (!tape || !event.tick) {
+      return;
+    }
+
+    const largeTrades = tape.addTrades(event.tick.data);
+    largeTrades.forEach(trade => {
+      this.emit('largeTrade', { contractCode: event.contractCode, trade, tape });
+    });
+  }
+
+  /**
+   * 订阅逐笔成交并维护 Trade Tape
+   * @param {string} contractCode - 合约代码，如 "BTC-USDT"
+   * @param {object} options - 见 TradeTape（maxAge、largeTradeThreshold），仅首次订阅时生效
+   * @returns {string} 订阅的 topic
+   */
+  subscribeTrades(contractCode, options = {}) {
+    const topic = `market.${contractCode}.trade.detail`;
+    if (!this.tradeTapes.has(contractCode)) {
+      this.tradeTapes.set(contractCode, new TradeTape(contractCode, options));
+    }
+
+    this.subscribe(topic);
+    return topic;
+  }
+
+  /**
+   * 取消逐笔成交订阅
+   */
+  unsubscribeTrades(contractCode) {
+    this.unsubscribe(`market.${contractCode}.trade.detail`);
+  }
+
+  /**
+   * 获取合约的 Trade Tape
+   * @param {string} contractCode
+   * @returns {TradeTape|null}
+   */
+  getTradeTape(contractCode) {
+    return this.tradeTapes.get(contractCode) || null;
+  }
+
+  /**
+   * 根据 topic 判断频道类型
+   * @param {string} topic - 如 market.BTC-USDT.kline.1min
+   * @returns {string|null} detail / ticker / kline / depth / trade / bbo
+   */
+  static getChannelType(topic) {
+    const parts = topic.split('.');
+    if (parts[0] !== 'market' || parts.length < 3) {
+      return null;
+    }
+
+    // 注意：trade.detail 需要在 detail 之前判断
+    if (parts[2] === 'trade') return 'trade';
+    if (parts[2] === 'detail') return 'detail';
+    if (parts[2] === 'ticker') return 'ticker';
+    if (parts[2] === 'kline') return 'kline';
+    if (parts[2] === 'depth') return 'depth';
+    if (parts[2] === 'bbo') return 'bbo';
+    if (parts[2] === 'mark_price') return 'markPrice';
+    return null;
+  }
+
+  /**
+   * 订阅行情（引用计数，同一 topic 只向服务器订阅一次）
+   * @param {string} topic - 如 market.BTC-USDT.detail
+   * @param {object} params - 订阅附加参数，如 { data_type: 'incremental' }
+   */
+  subscribe(topic, params = {}) {
+    const count = this.subscriptions.get(topic) || 0;
+    this.subscriptions.set(topic, count + 1);
+    if (count === 0) {
+      this.subscriptionParams.set(topic, params);
+    }
+
+    // 首次订阅且已连接时立即发送，否则等连接成功后统一订阅
+    if (count === 0 && this.isConnected) {
+      this.sendSub(topic);
+    }
+  }
+
+  /**
+   * 取消订阅（引用计数归零时才向服务器取消）
+   * @param {string} topic
+   */
+  unsubscribe(topic) {
+    const count = this.subscriptions.get(topic);
+    if (!count) {
+      return;
+    }
+
+    if (count > 1) {
+      this.subscriptions.set(topic, count - 1);
+      return;
+    }
+
+    this.subscriptions.delete(topic);
+    this.subscriptionParams.delete(topic);
+    this.orderBooks.delete(topic);
+    if (HTXMarketClient.getChannelType(topic) === 'trade') {
+      this.tradeTapes.delete(topic.split('.')[1]);
+    }
+    if (this.isConnected) {
+      this.send({ unsub: topic, id: `unsub_${++this.requestId}` });
+    }
+  }
+
+  /**
+   * 重新订阅所有频道（连接成功后调用）
+   */
+  resubscribe() {
+    for (const topic of this.subscriptions.keys()) {
+      this.sendSub(topic);
+    }
+  }
+
+  /**
+   * 发送订阅请求
+   */
+  sendSub(topic) {
+    this.send({
+      sub: topic,
+      id: `sub_${++this.requestId}`,
+      ...this.subscriptionParams.get(topic)
+    });
+  }
+
+  /**
+   * 获取当前订阅的 topic 列表
+   */
+  getSubscriptions() {
+    return Array.from(this.subscriptions.keys());
+  }
+
+  /**
+   * 发送消息
+   */
+  send(message) {
+    if (this.ws && this.ws.readyState === WebSocket.OPEN) {
+      this.ws.send(JSON.stringify(message));
+    }
+  }
+
+  /**
+   * 启动心跳
+   */
+  startPing() {
+    this.lastPingTime = Date.now();
+
+    this.pingInterval = setInterval(() => {
+      if (this.isConnected && this.ws.readyState === WebSocket.OPEN) {
+        // 服务器每 5 秒发送一次 ping，超过 60 秒未收到视为连接失效
+        if (Date.now() - this.lastPingTime > 60000) {
+          console.warn('⚠️ 行情连接超过 60 秒未收到服务器心跳，主动关闭连接');
+          this.ws.terminate();
+          return;
+        }
+
+        try {
+          this.ws.ping();
+        } catch (error) {
+          console.error('❌ 行情心跳发送失败:', error.message);
+        }
+      }
+    }, 20000);
+  }
+
+  /**
+   * 停止心跳
+   */
+  stopPing() {
+    if (this.pingInterval) {
+      clearInterval(this.pingInterval);
+      this.pingInterval = null;
+    }
+  }
+
+  /**
+   * 重连（指数退避 + 抖动）
+   */
+  reconnect() {
+    if (this.reconnectTimer) {
+      return; // 已经在等待重连
+    }
+
+    const delay = this.reconnectPolicy.nextDelay();
+    if (delay === null) {
+      console.error(`❌ 行情连接已连续重连 ${this.reconnectPolicy.attempts} 次失败，放弃重连`);
+      this.setConnectionState('giving_up', { attempts: this.reconnectPolicy.attempts });
+      return;
+    }
+
+    console.log(`⏳ ${(delay / 1000).toFixed(1)} 秒后第 ${this.reconnectPolicy.attempts} 次重连市场行情...`);
+    this.reconnectTimer = setTimeout(() => {
+      this.reconnectTimer = null;
+      this.connect().catch(error => {
+        console.error('❌ 行情重连失败:', error.message);
+      });
+    }, delay);
+  }
+
+  /**
+   * 更新连接状态并触发对应事件
+   * @param {string} state - connecting / connected / disconnected / giving_up
+   * @param {object} detail - 附加信息（如关闭码）
+   */
+  setConnectionState(state, detail = {}) {
+    this.connectionState = state;
+    this.emit(state, {
+      state,
+      attempts: this.reconnectPolicy.attempts,
+      timestamp: Date.now(),
+      ...detail
+    });
+  }
+
+  /**
+   * 获取连接健康状态
+   */
+  getConnectionState() {
+    return {
+      state: this.connectionState,
+      attempts: this.reconnectPolicy.attempts,
+      maxAttempts: this.reconnectPolicy.maxAttempts,
+      lastConnectedAt: this.lastConnectedAt,
+      lastDisconnectedAt: this.lastDisconnectedAt,
+      lastError: this.lastError,
+      subscriptions: this.subscriptions.size
+    };
+  }
+
+  /**
+   * 注册事件监听器
+   */
+  on(event, handler) {
+    if (this.eventHandlers[event]) {
+      this.eventHandlers[event].push(handler);
+    }
+  }
+
+  /**
+   * 移除事件监听器
+   */
+  off(event, handler) {
+    if (this.eventHandlers[event]) {
+      this.eventHandlers[event] = this.eventHandlers[event].filter(h => h !== handler);
+    }
+  }
+
+  /**
+   * 触发事件
+   */
+  emit(event, data) {
+    if (this.eventHandlers[event]) {
+      this.eventHandlers[event].forEach(handler => handler(data));
+    }
+  }
+
+  /**
+   * 关闭连接
+   */
+  close() {
+    this.manualClose = true;
+    if (this.reconnectTimer) {
+      clearTimeout(this.reconnectTimer);
+      this.reconnectTimer = null;
+    }
+    this.stopPing();
+    if (this.ws) {
+      this.ws.close();
+    }
+  }
+}
@@ -0,0 +1,195 @@
+/**
+ * 本地订单簿
+ * 支持全量快照（depth.step*）和增量更新（depth.size_*.high_freq），增量更新按 version 连续性校验
+ */
+export class OrderBook {
+  /**
+   * @param {string} contractCode - 合约代码，如 "BTC-USDT"
+   */
+  constructor(contractCode) {
+    this.contractCode = contractCode;
+    this.bids = new Map(); // price -> volume（张）
+    this.asks = new Map();
+    this.version = null;
+    this.ready = false; // 收到快照后才可用
+    this.updatedAt = null;
+  }
+
+  /**
+   * 应用全量快照
+   * @param {object} tick - { bids: [[price, volume]], asks: [[price, volume]], version, ts }
+   */
+  applySnapshot(tick) {
+    this.bids.clear();
+    this.asks.clear();
+    (tick.bids || []).forEach(([price, volume]) => this.bids.set(Number(price), Number(volume)));
+    (tick.asks || []).forEach(([price, volume]) => this.asks.set(Number(price), Number(volume)));
+    this.version = tick.version ?? null;
+    this.ready = true;
+    this.updatedAt = tick.ts || Date.now();
+  }
+
+  /**
+   * 应用增量更新（数量为 0 表示删除该档位）
+   * @param {object} tick - { bids, asks, version, ts }
+   * @returns {boolean} version 不连续（丢包）时返回 false，此时订单簿需要重新同步
+   */
+  applyUpdate(tick) {
+    if (!this.ready) {
+      return false;
+    }
+
+    if (this.version !== null && tick.version !== this.version + 1) {
+      this.ready = false;
+      return false;
+    }
+
+    const apply = (side, levels) => {
+      (levels || []).forEach(([price, volume]) => {
+        const p = Number(price);
+        const v = Number(volume);
+        if (v === 0) {
+          side.delete(p);
+        } else {
+          side.set(p, v);
+        }
+      });
+    };
+
+    apply(this.bids, tick.bids);
+    apply(this.asks, tick.asks);
+    this.version = tick.version;
+    this.updatedAt = tick.ts || Date.now();
+    return true;
+  }
+
+  /**
+   * 标记为失效（断线或丢包后等待新快照）
+   */
+  invalidate() {
+    this.ready = false;
+    this.version = null;
+  }
+
+  /**
+   * 获取排序后的档位
+   * @param {string} side - bids / asks
+   * @param {number} limit - 档位数量，默认全部
+   * @returns {Array<{price, volume, cumulative}>} 买盘价格从高到低，卖盘价格从低到高
+   */
+  getLevels(side, limit = Infinity) {
+    const book = side === 'bids' ? this.bids : this.asks;
+    const prices = Array.from(book.keys()).sort((a, b) => side === 'bids' ? b - a : a - b);
+
+    let cumulative = 0;
+    return prices.slice(0, limit).map(price => {
+      const volume = book.get(price);
+      cumulative += volume;
+      return { price, volume, cumulative };
+    });
+  }
+
+  /**
+   * 最优买价
+   * @returns {{price, volume}|null}
+   */
+  getBestBid() {
+    const [level] = this.getLevels('bids', 1);
+    return level ? { price: level.price, volume: level.volume } : null;
+  }
+
+  /**
+   * 最优卖价
+   * @returns {{price, volume}|null}
+   */
+  getBestAsk() {
+    const [level] = this.getLevels('asks', 1);
+    return level ? { price: level.price, volume: level.volume } : null;
+  }
+
+  /**
+   * 买卖价差
+   * @returns {{spread, spreadPercent, mid}|null}
+   */
+  getSpread() {
+    const bid = this.getBestBid();
+    const ask = this.getBestAsk();
+    if (!bid || !ask) {
+      return null;
+    }
+
+    const spread = ask.price - bid.price;
+    const mid = (ask.price + bid.price) / 2;
+    return {
+      spread,
+      spreadPercent: (spread / mid) * 100,
+      mid
+    };
+  }
+
+  /**
+   * 距最优价一定百分比范围内的累计挂单量
+   * @param {string} side - bids / asks
+   * @param {number} percent - 价格范围（%），如 0.1 表示最优价 ±0.1% 以内
+   * @returns {{volume, notional, levels}} volume 为张数，notional 为 价格×张数（未乘合约面值）
+   */
+  getCumulativeDepth(side, percent) {
+    const levels = this.getLevels(side);
+    if (levels.length === 0) {
+      return { volume: 0, notional: 0, levels: 0 };
+    }
+
+    const bestPrice = levels[0].price;
+    const limitPrice = side === 'bids'
+      ? bestPrice * (1 - percent / 100)
+      : bestPrice * (1 + percent / 100);
+
+    let volume = 0;
+    let notional = 0;
+    let count = 0;
+    for (const level of levels) {
+      if (side === 'bids' ? level.price < limitPrice : level.price > limitPrice) {
+        break;
+      }
+      volume += level.volume;
+      notional += level.price * level.volume;
+      count++;
+    }
+
+    return { volume, notional, levels: count };
+  }
+
+  /**
+   * 买卖盘失衡度：(买量 - 卖量) / (买量 + 卖量)，范围 -1 ~ 1，正数表示买盘更强
+   * @param {number} percent - 统计范围（%），默认 0.1
+   */
+  getImbalance(percent = 0.1) {
+    const bid = this.getCumulativeDepth('bids', percent).volume;
+    const ask = this.getCumulativeDepth('asks', percent).volume;
+    const total = bid + ask;
+    return total > 0 ? (bid - ask) / total : 0;
+  }
+
+  /**
+   * 订单簿摘要（供 Web 界面和 Redis 使用）
+   * @param {number} levels - 返回的档位数量，默认 10
+   */
+  getSummary(levels = 10) {
+    return {
+      contractCode: this.contractCode,
+      ready: this.ready,
+      version: this.version,
+      bestBid: this.getBestBid(),
+      bestAsk: this.getBestAsk(),
+      spread: this.getSpread(),
+      imbalance: this.getImbalance(),
+      depth: {
+        bids: this.getCumulativeDepth('bids', 0.5),
+        asks: this.getCumulativeDepth('asks', 0.5)
+      },
+      bids: this.getLevels('bids', levels),
+      asks: this.getLevels('asks', levels),
+      updatedAt: this.updatedAt
+    };
+  }
+}
@@ -0,0 +1,67 @@
+/**
+ * WebSocket 重连策略
+ * 指数退避 + 随机抖动，可选最大重试次数
+ */
+export class ReconnectPolicy {
+  /**
+   * @param {object} options
+   * @param {number} options.baseDelay - 首次重连延迟（毫秒），默认 1000
+   * @param {number} options.maxDelay - 最大重连延迟（毫秒），默认 60000
+   * @param {number} options.factor - 退避倍数，默认 2
+   * @param {number} options.jitter - 抖动比例（0~1），默认 0.3，即延迟在 ±30% 范围内随机
+   * @param {number} options.maxAttempts - 最大连续重试次数，0 表示不限制
+   */
+  constructor(options = {}) {
+    this.baseDelay = options.baseDelay ?? 1000;
+    this.maxDelay = options.maxDelay ?? 60000;
+    this.factor = options.factor ?? 2;
+    this.jitter = Math.min(Math.max(options.jitter ?? 0.3, 0), 1);
+    this.maxAttempts = options.maxAttempts ?? 0;
+    this.attempts = 0; // 当前连续重试次数（连接成功后清零）
+  }
+
+  /**
+   * 从环境变量读取策略参数
+   * WS_RECONNECT_BASE_DELAY / WS_RECONNECT_MAX_DELAY / WS_RECONNECT_FACTOR / WS_RECONNECT_JITTER / WS_RECONNECT_MAX_ATTEMPTS
+   */
+  static fromEnv(env = process.env) {
+    const options = {};
+    if (env.WS_RECONNECT_BASE_DELAY) options.baseDelay = parseInt(env.WS_RECONNECT_BASE_DELAY);
+    if (env.WS_RECONNECT_MAX_DELAY) options.maxDelay = parseInt(env.WS_RECONNECT_MAX_DELAY);
+    if (env.WS_RECONNECT_FACTOR) options.factor = parseFloat(env.WS_RECONNECT_FACTOR);
+    if (env.WS_RECONNECT_JITTER) options.jitter = parseFloat(env.WS_RECONNECT_JITTER);
+    if (env.WS_RECONNECT_MAX_ATTEMPTS) options.maxAttempts = parseInt(env.WS_RECONNECT_MAX_ATTEMPTS);
+    return options;
+  }
+
+  /**
+   * 是否还允许重试
+   */
+  canRetry() {
+    return this.maxAttempts <= 0 || this.attempts < this.maxAttempts;
+  }
+
+  /**
+   * 计算下一次重连延迟，并累加重试次数
+   * @returns {number|null} 延迟毫秒数；超过最大重试次数时返回 null
+   */
+  nextDelay() {
+    if (!this.canRetry()) {
+      return null;
+    }
+
+    const exponential = Math.min(this.baseDelay * Math.pow(this.factor, this.attempts), this.maxDelay);
+    // 抖动：在 [1 - jitter, 1 + jitter] 范围内随机缩放，避免多个连接同时重连
+    const scale = 1 - this.jitter + Math.random() * this.jitter * 2;
+    this.attempts++;
+
+    return Math.round(Math.min(exponential * scale, this.maxDelay));
+  }
+
+  /**
+   * 连接成功后重置重试次数
+   */
+  reset() {
+    this.attempts = 0;
+  }
+}
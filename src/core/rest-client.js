@@ -0,0 +1,290 @@
+import axios from 'axios';
+import { HTXAuth } from './auth.js';
+import { getRestBaseUrl } from '../config/endpoints.js';
+
+/**
+ * HTX 限频分组（U 本位合约官方限制）
+ * - market：公共行情接口，每个 IP 每秒 800 次
+ * - trade：私有交易接口（下单、撤单、止盈止损），每个 UID 每 3 秒 72 次
+ * - read：私有查询接口（账户、持仓、订单），每个 UID 每 3 秒 72 次
+ */
+export const RATE_LIMITS = {
+  market: { capacity: 800, intervalMs: 1000 },
+  trade: { capacity: 72, intervalMs: 3000 },
+  read: { capacity: 72, intervalMs: 3000 }
+};
+
+// 请求未被处理、可以安全重试的错误码：系统未就绪、系统繁忙、访问频率超限
+const RETRYABLE_ERROR_CODES = new Set([1001, 1004, 1032]);
+
+// 签名错误（本机时间偏差过大时也会返回），重新同步服务器时间后重试一次
+const SIGNATURE_ERROR_CODES = new Set(['api-signature-not-valid', 1003]);
+
+// 连接没有建立的网络错误（请求没有发出，下单也可以重试）
+const CONNECT_ERROR_CODES = new Set(['ECONNREFUSED', 'ENOTFOUND', 'EAI_AGAIN']);
+
+const TIME_SYNC_INTERVAL = 30 * 60 * 1000; // 服务器时间每 30 分钟校准一次
+
+/**
+ * 令牌桶：按分组限制请求速率，令牌不足时排队等待
+ */
+class TokenBucket {
+  constructor(capacity, intervalMs) {
+    this.capacity = capacity;
+    this.refillPerMs = capacity / intervalMs;
+    this.tokens = capacity;
+    this.updatedAt = Date.now();
+    this.queue = Promise.resolve(); // 保证先到先得
+  }
+
+  refill() {
+    const now = Date.now();
+    this.tokens = Math.min(this.capacity, this.tokens + (now - this.updatedAt) * this.refillPerMs);
+    this.updatedAt = now;
+  }
+
+  take() {
+    const next = this.queue.then(async () => {
+      this.refill();
+      if (this.tokens < 1) {
+        await new Promise(resolve => setTimeout(resolve, Math.ceil((1 - this.tokens) / this.refillPerMs)));
+        this.refill();
+      }
+      this.tokens -= 1;
+    });
+    this.queue = next;
+    return next;
+  }
+}
+
+// 同一进程内所有客户端共用：限频按 IP / UID 计算，服务器时间偏差与账户无关
+const buckets = new Map(); // `${group}:${accessKey}` -> TokenBucket
+const serverClock = { offset: 0, syncedAt: 0, syncing: null };
+
+/**
+ * HTX REST 客户端
+ * 统一处理签名、接口地址、按 HTX 错误码重试、服务器时间校准和分组限频
+ *
+ * 返回交易所的原始响应体（{ status, data, err_code, err_msg } 或 v3 接口的 { code, msg, data }），
+ * 业务错误由调用方判断；网络错误重试失败后抛出 axios 错误
+ */
+export class HTXRestClient {
+  /**
+   * @param {object} options
+   * @param {string} options.accessKey - API Key（只调用公共接口时可不传）
+   * @param {string} options.secretKey
+   * @param {string} options.baseUrl - 接口地址，默认读取 HTX_REST_URL（见 config/endpoints.js）
+   * @param {number} options.timeout - 请求超时（毫秒），默认 15000
+   * @param {number} options.maxRetries - 最多尝试次数，默认 3
+   */
+  constructor(options = {}) {
+    this.auth = options.accessKey && options.secretKey ? new HTXAuth(options.accessKey, options.secretKey) : null;
+    this.fixedBaseUrl = options.baseUrl ? options.baseUrl.replace(/\/+$/, '') : null;
+    this.timeout = options.timeout || 15000;
+    this.maxRetries = options.maxRetries || 3;
+  }
+
+  /**
+   * 设置 / 更换 API Key
+   */
+  setCredentials(accessKey, secretKey) {
+    this.auth = accessKey && secretKey ? new HTXAuth(accessKey, secretKey) : null;
+  }
+
+  hasCredentials() {
+    return this.auth !== null;
+  }
+
+  get baseUrl() {
+    return this.fixedBaseUrl || getRestBaseUrl();
+  }
+
+  /**
+   * 公共接口 GET（行情、合约信息）
+   */
+  publicGet(path, params = {}) {
+    return this.request('GET', path, { params, group: 'market' });
+  }
+
+  /**
+   * 私有接口 GET（如 v3 unified_account_info）
+   * @param {string} group - 限频分组：read / trade
+   */
+  privateGet(path, params = {}, group = 'read') {
+    return this.request('GET', path, { params, group, signed: true });
+  }
+
+  /**
+   * 私有接口 POST
+   * @param {string} group - 限频分组：trade（下单、撤单）/ read（查询）
+   */
+  privatePost(path, body = {}, group = 'read') {
+    return this.request('POST', path, { body, group, signed: true });
+  }
+
+  /**
+   * 发送请求（限频 → 签名 → 请求 → 按错误码重试）
+   * 交易类请求超时或连接中断时不重试（交易所可能已经收到，重试会重复下单）
+   */
+  async request(method, path, { params = {}, body = null, group = 'market', signed = false } = {}) {
+    if (signed && !this.auth) {
+      throw new Error(`调用 ${path} 需要 API Key`);
+    }
+
+    let lastError = null;
+    let lastData = null;
+    let resynced = false;
+
+    for (let attempt = 0; attempt < this.maxRetries; attempt++) {
+      // 指数退避：第1次立即，第2次等1秒，第3次等2秒
+      if (attempt > 0) {
+        await new Promise(resolve => setTimeout(resolve, Math.pow(2, attempt - 1) * 1000));
+      }
+
+      await this.getBucket(group).take();
+
+      let query = params;
+      if (signed) {
+        await this.ensureServerTime();
+        const host = new URL(this.baseUrl).host;
+        query = this.auth.sign(method, host, path, method === 'GET' ? params : {}, this.now());
+      }
+
+      try {
+        const response = await axios.request({
+          method,
+          url: `${this.baseUrl}${path}`,
+          params: query,
+          data: body ?? undefined,
+          headers: body ? { 'Content-Type': 'application/json' } : undefined,
+          timeout: this.timeout
+        });
+
+        const data = response.data;
+        const errorCode = HTXRestClient.getErrorCode(data);
+        if (errorCode === null) {
+          return data;
+        }
+
+        if (signed && !resynced && SIGNATURE_ERROR_CODES.has(errorCode)) {
+          resynced = true;
+          lastData = data;
+          await this.syncServerTime();
+          continue;
+        }
+        if (RETRYABLE_ERROR_CODES.has(errorCode)) {
+          lastData = data;
+          console.warn(`⚠️ ${path} 返回 ${errorCode}（${HTXRestClient.getErrorMessage(data)}），重试 ${attempt + 1}/${this.maxRetries}`);
+          continue;
+        }
+        return data; // 业务错误由调用方处理
+      } catch (error) {
+        lastError = error;
+        if (!HTXRestClient.isRetryable(error, group)) {
+          throw error;
+        }
+        console.warn(`⚠️ ${path} 请求失败: ${error.message}，重试 ${attempt + 1}/${this.maxRetries}`);
+      }
+    }
+
+    if (lastData) {
+      return lastData;
+    }
+    throw lastError;
+  }
+
+  getBucket(group) {
+    const limit = RATE_LIMITS[group] || RATE_LIMITS.market;
+    const key = group === 'market' ? 'market' : `${group}:${this.auth?.accessKey}`;
+    if (!buckets.has(key)) {
+      buckets.set(key, new TokenBucket(limit.capacity, limit.intervalMs));
+    }
+    return buckets.get(key);
+  }
+
+  /**
+   * 按服务器时间校正后的当前时间
+   */
+  now() {
+    return new Date(Date.now() + serverClock.offset);
+  }
+
+  async ensureServerTime() {
+    if (Date.now() - serverClock.syncedAt > TIME_SYNC_INTERVAL) {
+      await this.syncServerTime();
+    }
+  }
+
+  /**
+   * 校准服务器时间（/api/v1/timestamp），失败时沿用上次的偏差
+   * @returns {Promise<number>} 服务器时间 - 本机时间（毫秒）
+   */
+  async syncServerTime() {
+    if (serverClock.syncing) {
+      return serverClock.syncing;
+    }
+
+    serverClock.syncing = (async () => {
+      try {
+        const sentAt = Date.now();
+        const response = await axios.get(`${this.baseUrl}/api/v1/timestamp`, { timeout: 5000 });
+        const receivedAt = Date.now();
+        if (response.data?.status === 'ok' && response.data.ts) {
+          // 假设往返时间对称，取中点
+          serverClock.offset = Number(response.data.ts) - Math.round((sentAt + receivedAt) / 2);
+          if (Math.abs(serverClock.offset) > 1000) {
+            console.warn(`⚠️ 本机时间与交易所相差 ${serverClock.offset}ms，签名使用交易所时间`);
+          }
+        }
+      } catch (error) {
+        console.warn(`⚠️ 同步服务器时间失败: ${error.message}`);
+      } finally {
+        serverClock.syncedAt = Date.now(); // 失败时也等到下个周期再试，避免每次请求都卡在这里
+      }
+      return serverClock.offset;
+    })();
+
+    try {
+      return await serverClock.syncing;
+    } finally {
+      serverClock.syncing = null;
+    }
+  }
+
+  /**
+   * 响应中的错误码，成功返回 null
+   * v1 接口：{ status: 'error', err_code / err-code }；v3 接口：{ code: 200 表示成功 }
+   */
+  static getErrorCode(data) {
+    if (!data || typeof data !== 'object') {
+      return null;
+    }
+    if (data.status === 'error') {
+      return data.err_code ?? data['err-code'] ?? 'unknown';
+    }
+    if (data.status === undefined && data.code !== undefined && data.code !== 200) {
+      return data.code;
+    }
+    return null;
+  }
+
+  static getErrorMessage(data) {
+    return data?.err_msg || data?.['err-msg'] || data?.msg || 'Unknown error';
+  }
+
+  /**
+   * 网络错误是否可以重试
+   * - 行情和查询：超时、连接错误、429、5xx 都可以重试
+   * - 交易：只有 429 和连接未建立的错误可以重试
+   */
+  static isRetryable(error, group) {
+    const status = error.response?.status;
+    if (status === 429) {
+      return true;
+    }
+    if (group === 'trade') {
+      return !error.response && CONNECT_ERROR_CODES.has(error.code);
+    }
+    return !error.response || status >= 500;
+  }
+}
@@ -0,0 +1,142 @@
+/**
+ * 逐笔成交记录（Trade Tape）
+ * 基于 market.$code.trade.detail 推送，统计主动买卖量、累计成交量差（CVD）、VWAP 和大单
+ */
+export class TradeTape {
+  /**
+   * @param {string} contractCode - 合约代码，如 "BTC-USDT"
+   * @param {object} options
+   * @param {number} options.maxAge - 保留多长时间的成交（毫秒），默认 15 分钟
+   * @param {number} options.largeTradeThreshold - 大单阈值（成交额 USDT），默认 100000
+   */
+  constructor(contractCode, options = {}) {
+    this.contractCode = contractCode;
+    this.maxAge = options.maxAge || 15 * 60 * 1000;
+    this.largeTradeThreshold = options.largeTradeThreshold || 100000;
+
+    this.trades = []; // 按时间从旧到新
+    this.cvd = 0; // 从开始记录起的累计成交量差（主动买 - 主动卖，单位：币）
+    this.lastTradeId = null;
+    this.updatedAt = null;
+  }
+
+  /**
+   * 添加成交
+   * @param {Array} data - 推送中的 tick.data：[{ id, ts, price, amount, quantity, trade_turnover, direction }]
+   * @returns {Array} 本次新增的大单
+   */
+  addTrades(data) {
+    const largeTrades = [];
+
+    (data || []).forEach(item => {
+      // 重连后可能收到重复成交
+      if (this.lastTradeId !== null && item.id <= this.lastTradeId) {
+        return;
+      }
+
+      const price = Number(item.price);
+      // quantity 为成交币数量，amount 为张数（老数据可能没有 quantity）
+      const quantity = Number(item.quantity ?? item.amount);
+      const trade = {
+        id: item.id,
+        ts: item.ts,
+        price,
+        quantity,
+        turnover: Number(item.trade_turnover ?? price * quantity),
+        direction: item.direction // 主动成交方向：buy 主动买入，sell 主动卖出
+      };
+
+      this.trades.push(trade);
+      this.cvd += trade.direction === 'buy' ? quantity : -quantity;
+      this.lastTradeId = item.id;
+      this.updatedAt = item.ts;
+
+      if (trade.turnover >= this.largeTradeThreshold) {
+        largeTrades.push(trade);
+      }
+    });
+
+    this.prune();
+    return largeTrades;
+  }
+
+  /**
+   * 清理超过保留时长的成交
+   */
+  prune() {
+    if (this.trades.length === 0) return;
+
+    const cutoff = this.trades[this.trades.length - 1].ts - this.maxAge;
+    let index = 0;
+    while (index < this.trades.length && this.trades[index].ts < cutoff) {
+      index++;
+    }
+    if (index > 0) {
+      this.trades = this.trades.slice(index);
+    }
+  }
+
+  /**
+   * 统计时间窗口内的成交
+   * @param {number} windowMs - 窗口长度（毫秒），如 60000
+   * @param {number} now - 窗口结束时间，默认当前时间
+   */
+  getMetrics(windowMs, now = Date.now()) {
+    const since = now - windowMs;
+
+    let buyVolume = 0;
+    let sellVolume = 0;
+    let turnover = 0;
+    let tradeCount = 0;
+    const largeTrades = [];
+
+    for (let i = this.trades.length - 1; i >= 0; i--) {
+      const trade = this.trades[i];
+      if (trade.ts < since) break;
+
+      if (trade.direction === 'buy') {
+        buyVolume += trade.quantity;
+      } else {
+        sellVolume += trade.quantity;
+      }
+      turnover += trade.turnover;
+      tradeCount++;
+
+      if (trade.turnover >= this.largeTradeThreshold) {
+        largeTrades.push(trade);
+      }
+    }
+
+    const totalVolume = buyVolume + sellVolume;
+    return {
+      windowMs,
+      tradeCount,
+      buyVolume,
+      sellVolume,
+      totalVolume,
+      delta: buyVolume - sellVolume,
+      // 主动买卖差占比：-1 ~ 1，正数表示主动买入占优
+      deltaRatio: totalVolume > 0 ? (buyVolume - sellVolume) / totalVolume : 0,
+      vwap: totalVolume > 0 ? turnover / totalVolume : null,
+      turnover,
+      largeTrades
+    };
+  }
+
+  /**
+   * 多个窗口的统计摘要（供 Web 界面和告警使用）
+   * @param {Array<{name, duration}>} windows
+   */
+  getSummary(windows) {
+    return {
+      contractCode: this.contractCode,
+      cvd: this.cvd,
+      lastPrice: this.trades.length > 0 ? this.trades[this.trades.length - 1].price : null,
+      windows: windows.map(w => ({
+        name: w.name,
+        ...this.getMetrics(w.duration)
+      })),
+      updatedAt: this.updatedAt
+    };
+  }
+}
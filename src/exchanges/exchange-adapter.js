@@ -0,0 +1,386 @@
+/**
+ * 交易所适配器基类
+ * realtime-pnl.js、QuantTrader 和通知模块只通过适配器访问交易所：
+ * 接口地址、频道名、合约代码格式、下单参数和持仓字段都由适配器转换成下面的统一格式。
+ * 接入新的合约交易所时，继承本类实现各方法，并在 exchanges/index.js 中注册
+ *
+ * 统一格式：
+ * - 账户标签 account：多账户时区分同一交易所的不同 API Key（持仓、订单、成交、账户都带有该字段），单账户为 null
+ * - 合约代码：永续为 BASE-QUOTE，如 BTC-USDT（U 本位）、BTC-USD（币本位）；交割合约沿用交易所格式
+ * - 持仓 Position：
+ *   { exchange, contractCode, market（业务线）, inverse（是否币本位）, baseCurrency, quoteCurrency, marginAsset,
+ *     direction: long / short, marginMode: isolated / cross,
+ *     volume（张）, available（可平张数）, contractSize（未知为 null）,
+ *     costOpen, positionMargin, leverage, profitUnreal, lastPrice（交易所推送的最新价，可能为 null）,
+ *     liquidationPrice（交易所给出的强平价，没有时为 null）, raw }
+ *   U 本位合约 contractSize 为每张币数，金额以 quoteCurrency 计；
+ *   币本位合约（inverse）contractSize 为每张美元面值，positionMargin / profitUnreal 以 marginAsset（币）计
+ * - 订单 Order：
+ *   { exchange, contractCode, orderId, clientOrderId, side: buy / sell, action: open / close, marginMode,
+ *     status, volume, filledVolume, avgPrice（未成交为 null）, fee, profit, createdAt, raw }
+ *   status：submitting / submitted / partial / partial_canceled / filled / canceled / failed / canceling
+ * - 账户 Account：
+ *   { exchange, accountType: unified / isolated / cross, marginAsset, contractCode（逐仓）,
+ *     marginBalance, marginAvailable, marginFrozen, marginPosition, profitUnreal, riskRate（交易所的保证金率） }
+ *   缺失的字段为 undefined
+ * - 成交 Fill：
+ *   { exchange, contractCode, market, inverse, marginAsset, orderId, tradeId, side: buy / sell, action: open / close,
+ *     marginMode, volume, price, fee（正数为支付）, feeAsset, feeEstimated（推送没有手续费时按费率估算）,
+ *     realizedProfit（平仓盈亏，不含手续费）, role: maker / taker, ts, raw }
+ * - 资金费率：{ contractCode, fundingRate, estimatedRate, fundingTime, settlementTime, updatedAt }
+ * - 资金费流水 FundingRecord：{ exchange, id, contractCode, marginAsset, amount（正数为收取，负数为支付）, ts }
+ * - 行情 Ticker：{ contractCode, price, ts }
+ * - 标记价格 MarkPrice：{ contractCode, price, ts }（交易所按标记价格强平）
+ *
+ * 事件（on / off）：
+ * - positions (positions, { marginMode })：某保证金模式下的全部持仓（统一格式）
+ * - order (order)、fill (fill)、account (account)、fundingRate (rate)、ticker (ticker)、markPrice (markPrice)
+ * - largeTrade ({ contractCode, trade, tape })：逐笔成交中的大单
+ * - connection ({ stream: private / market / index, state, attempts, ... })：连接状态变化，
+ *   state 为 connecting / connected / authenticated / disconnected / giving_up
+ * - subscriptionFailed ({ topic, status, errMsg })：私有频道订阅失败或超时
+ * - gap ({ reason: reconnect / outOfOrder, since, topic })：私有推送可能有遗漏（重连、乱序），应调用 syncSnapshot 对账
+ */
+export class ExchangeAdapter {
+  /**
+   * @param {string} id - 交易所标识（小写），如 htx
+   * @param {string} name - 显示名称，如 HTX
+   */
+  constructor(id, name) {
+    this.id = id;
+    this.name = name;
+    this.account = null; // 账户标签，单账户为 null
+    this.credentialEnv = []; // API Key 对应的环境变量名（启动检查提示用）
+    this.eventHandlers = {
+      positions: [],
+      order: [],
+      fill: [],
+      account: [],
+      fundingRate: [],
+      ticker: [],
+      markPrice: [],
+      largeTrade: [],
+      connection: [],
+      subscriptionFailed: [],
+      gap: []
+    };
+  }
+
+  /**
+   * 适配器实例的标识：单账户为交易所标识，多账户为 交易所@账户标签（如 htx@sub1）
+   */
+  get key() {
+    return ExchangeAdapter.getKey(this.id, this.account);
+  }
+
+  /**
+   * 持仓、账户等记录所属的适配器标识（与 key 相同）
+   */
+  static getKey(exchangeId, account) {
+    return account ? `${exchangeId}@${account}` : exchangeId;
+  }
+
+  /**
+   * 给统一格式的记录加上账户标签
+   */
+  withAccount(record) {
+    return { ...record, account: this.account };
+  }
+
+  // ==================== 连接 ====================
+
+  /**
+   * 是否配置了 API Key（私有频道和下单需要）
+   */
+  hasCredentials() {
+    return false;
+  }
+
+  /**
+   * 连接私有频道并完成认证
+   */
+  async connect() {
+    this.notImplemented('connect');
+  }
+
+  /**
+   * 连接行情频道（连接前登记的订阅在连接成功后发送）
+   */
+  async connectMarket() {
+    this.notImplemented('connectMarket');
+  }
+
+  /**
+   * 连接健康状态（供 Web 界面展示）
+   * @returns {{private: object, market: object}}
+   */
+  getConnectionStatus() {
+    this.notImplemented('getConnectionStatus');
+  }
+
+  /**
+   * 把回放器的帧送入底层客户端（见 FrameReplayer）
+   */
+  attachReplayer(replayer) {
+    this.notImplemented('attachReplayer');
+  }
+
+  close() {}
+
+  // ==================== 持仓与交易推送 ====================
+
+  /**
+   * 订阅全部合约的持仓推送（逐仓和全仓）
+   */
+  async subscribePositions() {
+    this.notImplemented('subscribePositions');
+  }
+
+  /**
+   * 当前持仓（统一格式）
+   * @param {string} marginMode - isolated / cross，不传则返回全部
+   */
+  getPositions(marginMode) {
+    this.notImplemented('getPositions');
+  }
+
+  /**
+   * REST 快照：查询持仓、当前委托和账户，与推送缓存对账，有变化的持仓和订单按推送的事件（positions / order）发出，
+   * 账户全部以 account 事件发出。启动时、gap 事件后和定期调用，补上订阅前和断线期间错过的推送
+   * @param {object} options - { unifiedAccount, contractCodes }
+   * @returns {Promise<{positions, orders, accounts, changes, errors}|null>} 各类数据的条数和对账发出的事件数，
+   *   不支持的交易所返回 null；部分查询失败时其余部分照常查询，失败的查询记录在 errors（[{ market, marginMode, message }]）
+   */
+  async syncSnapshot(options) {
+    return null;
+  }
+
+  /**
+   * 订阅全部合约的成交推送（已实现盈亏账本使用）
+   */
+  async subscribeFills() {
+    this.notImplemented('subscribeFills');
+  }
+
+  /**
+   * 订阅整个账户的余额推送（账户监控使用）
+   * @param {object} options - { unifiedAccount }
+   */
+  async subscribeAccounts(options) {}
+
+  /**
+   * 订阅量化交易所需的订单和账户推送，任一频道订阅失败时抛出
+   * @param {object} options - { contractCode, marginMode, unifiedAccount }
+   */
+  async subscribeTradingStreams(options) {
+    this.notImplemented('subscribeTradingStreams');
+  }
+
+  /**
+   * 交易所需的私有频道（用于匹配 subscriptionFailed 事件）
+   */
+  getTradingTopics(options) {
+    return [];
+  }
+
+  /**
+   * 私有连接已认证且交易所需的频道都已订阅成功
+   */
+  isTradingStreamReady(options) {
+    this.notImplemented('isTradingStreamReady');
+  }
+
+  // ==================== 行情 ====================
+
+  subscribeTicker(contractCode) {
+    this.notImplemented('subscribeTicker');
+  }
+
+  unsubscribeTicker(contractCode) {
+    this.notImplemented('unsubscribeTicker');
+  }
+
+  /**
+   * 订阅标记价格（不支持的交易所忽略，盈亏按最新价计算）
+   */
+  subscribeMarkPrice(contractCode) {}
+
+  unsubscribeMarkPrice(contractCode) {}
+
+  /**
+   * 最新标记价格，未收到时为 null
+   */
+  getMarkPrice(contractCode) {
+    return null;
+  }
+
+  /**
+   * 订阅深度（维护本地订单簿）
+   */
+  subscribeOrderBook(contractCode) {}
+
+  unsubscribeOrderBook(contractCode) {}
+
+  /**
+   * 本地订单簿（OrderBook），未订阅时为 null
+   */
+  getOrderBook(contractCode) {
+    return null;
+  }
+
+  /**
+   * 订阅逐笔成交（大单识别）
+   * @param {object} options - { largeTradeThreshold }
+   */
+  subscribeTrades(contractCode, options = {}) {}
+
+  unsubscribeTrades(contractCode) {}
+
+  /**
+   * 修改所有合约的大单阈值
+   */
+  setLargeTradeThreshold(threshold) {}
+
+  /**
+   * 订阅资金费率，返回 Promise
+   */
+  async subscribeFundingRate(contractCode) {}
+
+  unsubscribeFundingRate(contractCode) {}
+
+  /**
+   * 最新资金费率，未收到时为 null
+   */
+  getFundingRate(contractCode) {
+    return null;
+  }
+
+  // ==================== 交易 ====================
+
+  /**
+   * 下单
+   * @param {object} order
+   * @param {string} order.contractCode
+   * @param {string} order.side - buy / sell
+   * @param {string} order.action - open / close
+   * @param {number} order.volume - 张数
+   * @param {number} order.price - 限价，不传为市价（对手价）
+   * @param {number} order.leverage
+   * @param {string} order.marginMode - isolated / cross
+   * @param {object} order.takeProfit - 开仓时同时设置止盈 { triggerPrice, orderPrice, orderPriceType }
+   * @param {object} order.stopLoss - 开仓时同时设置止损，格式同上
+   * @returns {Promise<{success: boolean, orderId?: string, error?: string, raw: object}>}
+   */
+  async placeOrder(order) {
+    this.notImplemented('placeOrder');
+  }
+
+  /**
+   * 撤单
+   * @param {object} options - { contractCode, orderId, marginMode }
+   * @returns {Promise<{success: boolean, error?: string}>}
+   */
+  async cancelOrder(options) {
+    this.notImplemented('cancelOrder');
+  }
+
+  /**
+   * 查询订单
+   * @param {object} options - { contractCode, orderId, marginMode }
+   * @returns {Promise<object|null>} 统一格式的订单，不存在时为 null；接口错误时抛出
+   */
+  async getOrder(options) {
+    this.notImplemented('getOrder');
+  }
+
+  /**
+   * 为已有持仓设置（或修改）止盈止损
+   * @param {object} options - { contractCode, positionSide: long / short, volume, marginMode, takeProfit, stopLoss }
+   * @returns {Promise<{success: boolean, orderId?: string, error?: string}>}
+   */
+  async setTpsl(options) {
+    this.notImplemented('setTpsl');
+  }
+
+  /**
+   * 撤销持仓的全部止盈止损单
+   * @param {object} options - { contractCode, positionSide, marginMode }
+   * @returns {Promise<{success: boolean, error?: string}>}
+   */
+  async cancelTpsl(options) {
+    this.notImplemented('cancelTpsl');
+  }
+
+  /**
+   * 查询账户余额
+   * @param {object} options - { contractCode, marginMode, unifiedAccount }
+   * @returns {Promise<object|null>} 统一格式的账户，找不到时为 null；接口错误时抛出
+   */
+  async getBalance(options) {
+    this.notImplemented('getBalance');
+  }
+
+  /**
+   * 查询资金费流水（已结算的资金费）
+   * @param {object} options - { contractCode, startTime, endTime }（毫秒时间戳）
+   * @returns {Promise<Array>} 统一格式的资金费流水；接口错误时抛出
+   */
+  async getFundingRecords(options) {
+    return [];
+  }
+
+  // ==================== 合约信息 ====================
+
+  /**
+   * 加载合约面值和价格精度
+   * @returns {Promise<boolean>} 是否有可用的合约信息
+   */
+  async loadContracts() {
+    this.notImplemented('loadContracts');
+  }
+
+  /**
+   * 合约信息 { contractCode, contractSize, priceTick, pricePrecision, ... }，未知时为 null
+   */
+  getContract(contractCode) {
+    return null;
+  }
+
+  /**
+   * 合约面值（U 本位为每张币数，币本位为每张美元数），未知时为 null
+   */
+  getContractSize(contractCode) {
+    return this.getContract(contractCode)?.contractSize ?? null;
+  }
+
+  /**
+   * 按最小变动价位格式化价格，未知合约返回 null
+   */
+  formatPrice(price, contractCode) {
+    return null;
+  }
+
+  // ==================== 事件 ====================
+
+  on(event, handler) {
+    if (this.eventHandlers[event]) {
+      this.eventHandlers[event].push(handler);
+    }
+  }
+
+  off(event, handler) {
+    if (this.eventHandlers[event]) {
+      this.eventHandlers[event] = this.eventHandlers[event].filter(h => h !== handler);
+    }
+  }
+
+  emit(event, ...args) {
+    if (this.eventHandlers[event]) {
+      this.eventHandlers[event].forEach(handler => handler(...args));
+    }
+  }
+
+  notImplemented(method) {
+    throw new Error(`${this.name} 适配器未实现 ${method}`);
+  }
+}
@@ -0,0 +1,1003 @@
+import { ExchangeAdapter } from './exchange-adapter.js';
+import { HTXFuturesClient } from '../core/client.js';
+import { HTXMarketClient } from '../core/market-client.js';
+import { HTXRestClient } from '../core/rest-client.js';
+import { calcFee, DEFAULT_TAKER_FEE } from '../utils/pnl.js';
+import { contractInfo } from '../services/contract-info.js';
+import { HTX_MARKETS, getContractMarket, getPrivateWsUrl, getMarketWsUrl, getIndexWsUrl } from '../config/endpoints.js';
+import { createLogger } from '../utils/logger.js';
+
+const logger = createLogger('HTX');
+
+// HTX 订单状态 -> 统一状态
+const ORDER_STATUS = {
+  1: 'submitting',
+  2: 'submitting',
+  3: 'submitted',
+  4: 'partial',
+  5: 'partial_canceled',
+  6: 'filled',
+  7: 'canceled',
+  10: 'failed',
+  11: 'canceling'
+};
+
+// 财务流水类型：30 资金费收入，31 资金费支出
+const FUNDING_RECORD_TYPES = { income: 30, expense: 31 };
+
+// 不会再变化的订单状态
+const FINAL_ORDER_STATUSES = new Set(['filled', 'canceled', 'partial_canceled', 'failed']);
+
+// 成交推送没有手续费时按角色估算的费率
+const DEFAULT_MAKER_FEE = 0.0002;
+
+/**
+ * HTX 合约适配器
+ * 私有频道、行情、REST 分别由 HTXFuturesClient、HTXMarketClient、HTXRestClient 处理，
+ * 合约信息使用共享的 contractInfo
+ *
+ * 业务线（见 HTX_MARKETS）：U 本位永续 linear-swap、币本位永续 swap、币本位交割 futures，
+ * 每条业务线使用独立的私有频道和行情连接，行情订阅按合约代码分配到对应的业务线。
+ * 标记价格K线在指数 WebSocket（/ws_index）上，各业务线共用一个连接（indexClient）。
+ * 下单、止盈止损和余额查询只支持 U 本位永续
+ *
+ * client / marketClient 为主业务线（启用时为 U 本位永续）的客户端，对外暴露，
+ * 供录制回放、K线存储（candleStore）和信号生成器直接使用行情客户端
+ *
+ * 多账户：每个子账户一个适配器（独立认证的私有频道和 REST 客户端），通过 marketSource 共用主账户适配器的
+ * 行情和指数连接；共用的连接由主账户负责连接、关闭和上报状态
+ */
+export class HTXAdapter extends ExchangeAdapter {
+  /**
+   * @param {object} options
+   * @param {string} options.accessKey - 默认读取 HTX_ACCESS_KEY
+   * @param {string} options.secretKey - 默认读取 HTX_SECRET_KEY
+   * @param {string[]} options.markets - 启用的业务线，默认读取 HTX_MARKETS（逗号分隔），未配置时只启用 linear-swap
+   * @param {string} options.wsUrl - 主业务线私有频道地址，默认见 getPrivateWsUrl
+   * @param {string} options.marketWsUrl - 主业务线行情地址，默认见 getMarketWsUrl
+   * @param {string} options.indexWsUrl - 指数（标记价格）地址，默认见 getIndexWsUrl
+   * @param {object} options.reconnect - 重连策略配置，见 ReconnectPolicy
+   * @param {FrameRecorder} options.recorder - 帧录制器（可选，只录制主业务线）
+   * @param {string} options.account - 账户标签（多账户时设置）
+   * @param {HTXAdapter} options.marketSource - 子账户共用行情连接的主账户适配器，
+   *   设置时未传入的 API Key 读取 HTX_ACCESS_KEY_<标签> / HTX_SECRET_KEY_<标签>
+   */
+  constructor(options = {}) {
+    super('htx', 'HTX');
+    const shared = options.marketSource || null;
+    this.marketSource = shared;
+    this.account = options.account || null;
+    if (this.account) {
+      this.name = `HTX(${this.account})`;
+    }
+
+    const envSuffix = shared ? `_${HTXAdapter.getEnvLabel(this.account)}` : '';
+    this.credentialEnv = [`HTX_ACCESS_KEY${envSuffix}`, `HTX_SECRET_KEY${envSuffix}`];
+    this.accessKey = options.accessKey ?? process.env[this.credentialEnv[0]];
+    this.secretKey = options.secretKey ?? process.env[this.credentialEnv[1]];
+
+    const markets = options.markets ?? HTXAdapter.parseMarkets(process.env.HTX_MARKETS);
+    this.primaryMarket = markets.includes('linear-swap') ? 'linear-swap' : markets[0];
+
+    // 业务线 -> { client, marketClient }
+    this.markets = new Map();
+    // 使用主账户行情连接的业务线（行情订阅按引用计数，各账户分别订阅 / 取消互不影响）
+    this.sharedMarkets = new Set();
+    markets.forEach(market => {
+      const isPrimary = market === this.primaryMarket;
+      const clientOptions = {
+        market,
+        getContractSize: contractCode => contractInfo.getContractSize(contractCode),
+        reconnect: options.reconnect,
+        recorder: isPrimary && !shared ? options.recorder : undefined
+      };
+      const wsUrl = (isPrimary && options.wsUrl) || getPrivateWsUrl(market);
+      const marketWsUrl = (isPrimary && options.marketWsUrl) || getMarketWsUrl(market);
+      const sharedMarketClient = shared?.markets.get(market)?.marketClient;
+      if (sharedMarketClient) {
+        this.sharedMarkets.add(market);
+      }
+      this.markets.set(market, {
+        client: new HTXFuturesClient(this.accessKey, this.secretKey, wsUrl, clientOptions),
+        marketClient: sharedMarketClient || new HTXMarketClient(marketWsUrl, clientOptions)
+      });
+    });
+
+    ({ client: this.client, marketClient: this.marketClient } = this.markets.get(this.primaryMarket));
+    this.indexClient = shared
+      ? shared.indexClient
+      : new HTXMarketClient(options.indexWsUrl || getIndexWsUrl(), { reconnect: options.reconnect });
+    this.sharedIndex = Boolean(shared);
+    this.rest = new HTXRestClient({ accessKey: this.accessKey, secretKey: this.secretKey });
+    // contractCode -> { contractCode, price, ts }
+    this.markPrices = new Map();
+    // 未完成的订单（下单成功或推送中的未完成订单）orderId -> { contractCode, market, marginMode, status }，对账时逐个核对
+    this.openOrders = new Map();
+
+    this.markets.forEach((clients, market) => this.bindClientEvents(market, clients));
+    this.bindIndexEvents();
+  }
+
+  /**
+   * 解析业务线列表（逗号分隔），如 "linear-swap, swap" -> ['linear-swap', 'swap']
+   */
+  static parseMarkets(value) {
+    const markets = Array.from(new Set((value || 'linear-swap').split(',').map(m => m.trim().toLowerCase()).filter(Boolean)));
+    const unknown = markets.filter(market => !HTX_MARKETS[market]);
+    if (unknown.length > 0) {
+      throw new Error(`不支持的 HTX 业务线: ${unknown.join(', ')}（可选: ${Object.keys(HTX_MARKETS).join(', ')}）`);
+    }
+    return markets.length > 0 ? markets : ['linear-swap'];
+  }
+
+  /**
+   * 账户标签在环境变量名中的写法：大写，非字母数字替换为下划线，如 sub-1 -> SUB_1
+   */
+  static getEnvLabel(account) {
+    return String(account || '').toUpperCase().replace(/[^A-Z0-9]/g, '_');
+  }
+
+  /**
+   * 把底层客户端的事件转换成统一格式
+   * connection 事件带上业务线（market），便于区分是哪条连接
+   */
+  bindClientEvents(market, { client, marketClient }) {
+    client.on('positions', (data, { marginMode = 'isolated' } = {}) => {
+      this.emit('positions', this.getPositions(marginMode), { marginMode });
+    });
+
+    client.on('orders', (order, { marginMode } = {}) => {
+      this.emitOrder(HTXAdapter.normalizeOrder(order, marginMode), market);
+    });
+
+    client.on('accounts', (data, { accountType } = {}) => {
+      (Array.isArray(data) ? data : [data]).forEach(account => {
+        if (account && typeof account === 'object') {
+          this.emit('account', this.withAccount(HTXAdapter.normalizeAccount(account, accountType)));
+        }
+      });
+    });
+
+    client.on('matchOrders', (match, { marginMode } = {}) => {
+      HTXAdapter.normalizeFills(match, market, marginMode).forEach(fill => this.emit('fill', this.withAccount(fill)));
+    });
+
+    client.on('fundingRate', rate => this.emit('fundingRate', rate));
+    client.on('subscriptionFailed', info => this.emit('subscriptionFailed', info));
+    client.on('gap', info => this.emit('gap', { market, ...info }));
+
+    ['connecting', 'connected', 'authenticated', 'disconnected', 'giving_up'].forEach(event => {
+      client.on(event, info => this.emit('connection', { stream: 'private', market, ...info }));
+    });
+    marketClient.on('detail', ({ contractCode, tick, ts }) => {
+      const price = tick && (tick.close || tick.last);
+      if (price) {
+        this.emit('ticker', { contractCode, price: Number(price), ts });
+      }
+    });
+    marketClient.on('largeTrade', event => this.emit('largeTrade', event));
+
+    if (this.sharedMarkets.has(market)) {
+      return;
+    }
+    ['connecting', 'connected', 'disconnected', 'giving_up'].forEach(event => {
+      marketClient.on(event, info => this.emit('connection', { stream: 'market', market, ...info }));
+    });
+    marketClient.on('subbed', ({ topic }) => {
+      logger.info(`✓ 行情订阅成功: ${topic}`);
+    });
+    marketClient.on('unsubbed', ({ topic }) => {
+      logger.info(`✓ 取消订阅成功: ${topic}`);
+    });
+  }
+
+  /**
+   * 标记价格K线的收盘价即最新标记价格
+   */
+  bindIndexEvents() {
+    this.indexClient.on('markPrice', ({ contractCode, tick, ts }) => {
+      const price = tick && Number(tick.close);
+      if (price > 0) {
+        const markPrice = { contractCode, price, ts };
+        this.markPrices.set(contractCode, markPrice);
+        this.emit('markPrice', markPrice);
+      }
+    });
+
+    if (this.sharedIndex) {
+      return;
+    }
+    ['connecting', 'connected', 'disconnected', 'giving_up'].forEach(event => {
+      this.indexClient.on(event, info => this.emit('connection', { stream: 'index', ...info }));
+    });
+    this.indexClient.on('subbed', ({ topic }) => {
+      logger.info(`✓ 标记价格订阅成功: ${topic}`);
+    });
+  }
+
+  /**
+   * 合约所属业务线（优先使用合约信息，未加载时按合约代码判断）
+   */
+  getMarket(contractCode) {
+    return contractInfo.get(contractCode)?.market || getContractMarket(contractCode);
+  }
+
+  /**
+   * 合约所属业务线的客户端，业务线未启用时为 null
+   */
+  getMarketClients(contractCode) {
+    return this.markets.get(this.getMarket(contractCode)) || null;
+  }
+
+  /**
+   * 行情订阅使用的行情客户端，业务线未启用时提示并返回 null
+   */
+  requireMarketClient(contractCode) {
+    const clients = this.getMarketClients(contractCode);
+    if (!clients) {
+      logger.warn(`${contractCode} 所属业务线未启用，跳过行情订阅（见 HTX_MARKETS）`);
+      return null;
+    }
+    return clients.marketClient;
+  }
+
+  // ==================== 连接 ====================
+
+  hasCredentials() {
+    return Boolean(this.accessKey && this.secretKey);
+  }
+
+  async connect() {
+    const clients = Array.from(this.markets.values()).map(({ client }) => client);
+    await Promise.all(clients.map(client => client.connect()));
+    // 合约信息变更推送（面值、精度、下架等），子账户不重复订阅
+    if (!this.sharedIndex) {
+      clients.forEach(client => contractInfo.setClient(client));
+    }
+  }
+
+  /**
+   * 只连接自己的行情连接，共用的由主账户连接
+   */
+  async connectMarket() {
+    const marketClients = Array.from(this.markets)
+      .filter(([market]) => !this.sharedMarkets.has(market))
+      .map(([, { marketClient }]) => marketClient);
+    await Promise.all([
+      ...marketClients.map(marketClient => marketClient.connect()),
+      ...(this.sharedIndex ? [] : [this.indexClient.connect()])
+    ]);
+  }
+
+  /**
+   * private / market 为主业务线的状态，index 为标记价格连接；启用多条业务线时 markets 为各业务线的状态
+   */
+  getConnectionStatus() {
+    const getStatus = ({ client, marketClient }) => ({
+      private: {
+        ...client.getConnectionState(),
+        subscriptions: client.getSubscriptionStatus()
+      },
+      market: marketClient.getConnectionState()
+    });
+
+    const status = getStatus(this.markets.get(this.primaryMarket));
+    status.index = this.indexClient.getConnectionState();
+    if (this.markets.size > 1) {
+      status.markets = Object.fromEntries(Array.from(this.markets, ([market, clients]) => [market, getStatus(clients)]));
+    }
+    return status;
+  }
+
+  /**
+   * 录制文件只包含主业务线的帧
+   */
+  attachReplayer(replayer) {
+    replayer.attach('private', this.client).attach('market', this.marketClient);
+  }
+
+  close() {
+    this.markets.forEach(({ client, marketClient }, market) => {
+      client.close();
+      if (!this.sharedMarkets.has(market)) {
+        marketClient.close();
+      }
+    });
+    if (!this.sharedIndex) {
+      this.indexClient.close();
+    }
+  }
+
+  // ==================== 持仓与交易推送 ====================
+
+  /**
+   * 各业务线支持的保证金模式分别订阅（币本位只有逐仓）
+   */
+  async subscribePositions() {
+    const tasks = [];
+    this.markets.forEach(({ client }, market) => {
+      HTX_MARKETS[market].marginModes.forEach(marginMode => {
+        tasks.push(client.subscribePositions('*', marginMode));
+      });
+    });
+    await Promise.all(tasks);
+  }
+
+  /**
+   * matchOrders / matchOrders_cross，各业务线支持的保证金模式分别订阅
+   */
+  async subscribeFills() {
+    const tasks = [];
+    this.markets.forEach(({ client }, market) => {
+      HTX_MARKETS[market].marginModes.forEach(marginMode => {
+        tasks.push(client.subscribeMatchOrders('*', marginMode));
+      });
+    });
+    await Promise.all(tasks);
+  }
+
+  /**
+   * 统一账户订阅 accounts_unify.USDT（U 本位），否则按业务线支持的保证金模式订阅 accounts.* / accounts_cross.*
+   */
+  async subscribeAccounts({ unifiedAccount } = {}) {
+    const tasks = [];
+    this.markets.forEach(({ client }, market) => {
+      if (market === 'linear-swap' && unifiedAccount) {
+        tasks.push(client.subscribeAccounts('USDT', 'unified'));
+        return;
+      }
+      HTX_MARKETS[market].marginModes.forEach(marginMode => {
+        tasks.push(client.subscribeAccounts('*', marginMode));
+      });
+    });
+    await Promise.all(tasks);
+  }
+
+  /**
+   * 依次查询各业务线、各保证金模式的持仓（position_info）、当前委托（openorders）和账户（account_info），与推送缓存对账：
+   * - 持仓与缓存不同时替换缓存并发出 positions（查询期间收到推送的模式以推送为准）
+   * - 订单见 reconcileOrders，只发出有变化的订单
+   * - 账户全部按推送的事件发出
+   * 统一账户的 U 本位只查询 v3 unified_account_info
+   * 某个业务线或保证金模式查询失败（如账户未开通全仓、币本位业务线未启用）时记录到 errors，继续查询其他部分
+   * @param {object} options - { unifiedAccount, contractCodes（币本位需要逐个合约查询委托）, market（只查询该业务线） }
+   * @returns {Promise<{positions, orders, accounts, changes, errors}>} changes 为因对账发出的持仓和订单事件数
+   */
+  async syncSnapshot({ unifiedAccount, contractCodes = [], market: onlyMarket } = {}) {
+    const result = { positions: 0, orders: 0, accounts: 0, changes: 0, errors: [] };
+    const attempt = async (market, marginMode, query) => {
+      try {
+        await query();
+      } catch (error) {
+        result.errors.push({ market, marginMode, message: error.message });
+      }
+    };
+
+    for (const [market, { client }] of this.markets) {
+      if (onlyMarket && market !== onlyMarket) {
+        continue;
+      }
+      const { marginModes } = HTX_MARKETS[market];
+
+      for (const marginMode of marginModes) {
+        await attempt(market, marginMode, async () => {
+          const requestedAt = Date.now();
+          const positions = await this.privateQuery(market, 'position_info', marginMode);
+          result.positions += positions.filter(pos => parseFloat(pos.volume) > 0).length;
+          if (client.applyPositionSnapshot(marginMode, positions, requestedAt)) {
+            result.changes++;
+          }
+
+          // 币本位按合约查询委托：持仓合约、指定的合约和本地未完成订单的合约
+          const queryContracts = [
+            ...positions.map(pos => pos.contract_code),
+            ...contractCodes,
+            ...Array.from(this.openOrders.values()).map(info => info.contractCode)
+          ];
+          const restOrders = [];
+          for (const params of HTXAdapter.getOpenOrderQueries(market, queryContracts)) {
+            const data = await this.privateQuery(market, 'openorders', marginMode, { ...params, page_size: 50 });
+            restOrders.push(...(data?.orders || []));
+          }
+          result.orders += restOrders.length;
+          result.changes += await this.reconcileOrders(market, marginMode, restOrders);
+        });
+      }
+
+      if (market === 'linear-swap' && unifiedAccount) {
+        await attempt(market, 'unified', async () => {
+          const data = await this.rest.privateGet('/linear-swap-api/v3/unified_account_info', {}, 'read');
+          if (HTXRestClient.getErrorCode(data) !== null) {
+            throw new Error(HTXRestClient.getErrorMessage(data));
+          }
+          const accounts = (data.data || []).map(account => this.withAccount(HTXAdapter.normalizeAccount(account, 'unified')));
+          accounts.forEach(account => this.emit('account', account));
+          result.accounts += accounts.length;
+        });
+      } else {
+        for (const marginMode of marginModes) {
+          await attempt(market, marginMode, async () => {
+            const list = await this.privateQuery(market, 'account_info', marginMode);
+            list.forEach(account => this.emit('account', this.withAccount(HTXAdapter.normalizeAccount(account, marginMode))));
+            result.accounts += list.length;
+          });
+        }
+      }
+    }
+    return result;
+  }
+
+  /**
+   * 业务线的私有查询接口（见 HTX_MARKETS.privateApiPrefix），返回 data，接口错误时抛出
+   */
+  async privateQuery(market, name, marginMode, params = {}) {
+    const prefix = HTX_MARKETS[market].privateApiPrefix;
+    const data = await this.rest.privatePost(`${prefix}${marginMode === 'cross' ? 'cross_' : ''}${name}`, params, 'read');
+    if (data.status !== 'ok') {
+      throw new Error(HTXRestClient.getErrorMessage(data));
+    }
+    return data.data || [];
+  }
+
+  getPositions(marginMode) {
+    return Array.from(this.markets).flatMap(([market, { client }]) =>
+      client.getPositions(marginMode).map(position => this.withAccount(HTXAdapter.normalizePosition(position, market)))
+    );
+  }
+
+  async subscribeTradingStreams(options) {
+    const account = HTXAdapter.getAccountSubscription(options);
+    await Promise.all([
+      this.client.subscribeOrders(options.contractCode, options.marginMode),
+      this.client.subscribeAccounts(account.code, account.accountType)
+    ]);
+  }
+
+  /**
+   * 订单频道 orders / orders_cross，余额频道 accounts_unify / accounts / accounts_cross
+   */
+  getTradingTopics(options) {
+    const { code, accountType } = HTXAdapter.getAccountSubscription(options);
+    const accountChannel = { unified: 'accounts_unify', isolated: 'accounts', cross: 'accounts_cross' }[accountType];
+    return [
+      `${options.marginMode === 'cross' ? 'orders_cross' : 'orders'}.${options.contractCode}`,
+      `${accountChannel}.${code}`
+    ];
+  }
+
+  isTradingStreamReady(options) {
+    if (this.client.connectionState !== 'authenticated') {
+      return false;
+    }
+    return this.getTradingTopics(options).every(topic => this.client.isSubscribed(topic));
+  }
+
+  /**
+   * 发出订单事件，并更新未完成订单列表
+   */
+  emitOrder(order, market) {
+    order = this.withAccount(order);
+    if (FINAL_ORDER_STATUSES.has(order.status)) {
+      this.openOrders.delete(order.orderId);
+    } else if (order.orderId) {
+      this.openOrders.set(order.orderId, {
+        contractCode: order.contractCode,
+        market,
+        marginMode: order.marginMode,
+        status: order.status
+      });
+    }
+    this.emit('order', order);
+  }
+
+  /**
+   * 订单对账：REST 当前委托中状态与本地不同的订单、以及本地未完成但已不在当前委托中的订单（查询最终状态），
+   * 按推送的格式发出 order 事件
+   * @param {Array} restOrders - 当前委托（openorders 的原始订单，需覆盖本地未完成订单的合约）
+   * @returns {Promise<number>} 发出的订单事件数
+   */
+  async reconcileOrders(market, marginMode, restOrders) {
+    let changes = 0;
+    const openIds = new Set();
+
+    restOrders.forEach(raw => {
+      const order = HTXAdapter.normalizeOrder(raw, marginMode);
+      openIds.add(order.orderId);
+      if (this.openOrders.get(order.orderId)?.status !== order.status) {
+        this.emitOrder(order, market);
+        changes++;
+      }
+    });
+
+    const missing = Array.from(this.openOrders).filter(([orderId, info]) =>
+      info.market === market && info.marginMode === marginMode && !openIds.has(orderId)
+    );
+    for (const [orderId, info] of missing) {
+      const params = market === 'futures'
+        ? { order_id: orderId, symbol: info.contractCode.split(/[-_\d]/)[0] }
+        : { order_id: orderId, contract_code: info.contractCode };
+      const raw = (await this.privateQuery(market, 'order_info', marginMode, params))[0];
+      if (!raw) {
+        continue;
+      }
+      const order = HTXAdapter.normalizeOrder(raw, marginMode);
+      if (order.status !== info.status) {
+        logger.warn(`🔁 对账: 订单 ${orderId} ${info.status} -> ${order.status}（推送遗漏）`);
+        this.emitOrder(order, market);
+        changes++;
+      }
+    }
+    return changes;
+  }
+
+  // ==================== 行情 ====================
+
+  subscribeTicker(contractCode) {
+    this.requireMarketClient(contractCode)?.subscribe(`market.${contractCode}.detail`);
+  }
+
+  unsubscribeTicker(contractCode) {
+    this.getMarketClients(contractCode)?.marketClient.unsubscribe(`market.${contractCode}.detail`);
+  }
+
+  /**
+   * 订阅 1 分钟标记价格K线（只用最新收盘价）
+   */
+  subscribeMarkPrice(contractCode) {
+    if (this.getMarketClients(contractCode)) {
+      this.indexClient.subscribe(`market.${contractCode}.mark_price.1min`);
+    }
+  }
+
+  unsubscribeMarkPrice(contractCode) {
+    const topic = `market.${contractCode}.mark_price.1min`;
+    this.indexClient.unsubscribe(topic);
+    if (!this.indexClient.subscriptions.has(topic)) {
+      this.markPrices.delete(contractCode);
+    }
+  }
+
+  getMarkPrice(contractCode) {
+    return this.markPrices.get(contractCode) || null;
+  }
+
+  subscribeOrderBook(contractCode) {
+    this.requireMarketClient(contractCode)?.subscribeDepth(contractCode);
+  }
+
+  unsubscribeOrderBook(contractCode) {
+    this.getMarketClients(contractCode)?.marketClient.unsubscribeDepth(contractCode);
+  }
+
+  getOrderBook(contractCode) {
+    return this.getMarketClients(contractCode)?.marketClient.getOrderBook(contractCode) || null;
+  }
+
+  subscribeTrades(contractCode, options = {}) {
+    this.requireMarketClient(contractCode)?.subscribeTrades(contractCode, options);
+  }
+
+  unsubscribeTrades(contractCode) {
+    this.getMarketClients(contractCode)?.marketClient.unsubscribeTrades(contractCode);
+  }
+
+  setLargeTradeThreshold(threshold) {
+    this.markets.forEach(({ marketClient }) => {
+      marketClient.tradeTapes.forEach(tape => {
+        tape.largeTradeThreshold = threshold;
+      });
+    });
+  }
+
+  /**
+   * 交割合约没有资金费率，直接返回
+   */
+  async subscribeFundingRate(contractCode) {
+    const clients = this.getFundingClients(contractCode);
+    if (clients) {
+      await clients.client.subscribeFundingRate(contractCode);
+    }
+  }
+
+  unsubscribeFundingRate(contractCode) {
+    this.getFundingClients(contractCode)?.client.unsubscribeFundingRate(contractCode);
+  }
+
+  getFundingRate(contractCode) {
+    return this.getFundingClients(contractCode)?.client.getFundingRate(contractCode) || null;
+  }
+
+  getFundingClients(contractCode) {
+    const market = this.getMarket(contractCode);
+    return HTX_MARKETS[market].hasFunding ? this.markets.get(market) || null : null;
+  }
+
+  // ==================== 交易 ====================
+
+  async placeOrder({ contractCode, side, action, volume, price = null, leverage, marginMode, takeProfit, stopLoss }) {
+    const params = {
+      contract_code: contractCode,
+      volume: Math.floor(volume), // 张数必须是整数
+      direction: side,
+      offset: action,
+      lever_rate: leverage,
+      order_price_type: price ? 'limit' : 'optimal_5' // 有价格用限价单，否则用对手价
+    };
+
+    if (price) {
+      params.price = this.requirePrice(price, contractCode);
+    }
+    // 开仓时直接设置止盈止损（一次性完成，避免延迟）
+    if (action === 'open') {
+      Object.assign(params, this.toTpslParams(contractCode, takeProfit, stopLoss));
+    }
+
+    logger.debug('📋 下单参数:', JSON.stringify(params));
+    const data = await this.rest.privatePost(HTXAdapter.getApiPath('swap_order', marginMode), params, 'trade');
+
+    if (data.status === 'ok') {
+      const orderId = HTXAdapter.getOrderId(data.data);
+      // 成交推送遗漏时由对账查询最终状态
+      this.openOrders.set(orderId, { contractCode, market: 'linear-swap', marginMode: marginMode || 'isolated', status: 'submitted' });
+      return { success: true, orderId, raw: data };
+    }
+    return { success: false, error: HTXRestClient.getErrorMessage(data), raw: data };
+  }
+
+  async cancelOrder({ contractCode, orderId, marginMode }) {
+    const data = await this.rest.privatePost(HTXAdapter.getApiPath('swap_cancel', marginMode), {
+      contract_code: contractCode,
+      order_id: orderId
+    }, 'trade');
+
+    if (data.status === 'ok') {
+      return { success: true };
+    }
+    return { success: false, error: HTXRestClient.getErrorMessage(data) };
+  }
+
+  async getOrder({ contractCode, orderId, marginMode }) {
+    const data = await this.rest.privatePost(HTXAdapter.getApiPath('swap_order_info', marginMode), {
+      contract_code: contractCode,
+      order_id: orderId
+    }, 'read');
+
+    if (data.status !== 'ok') {
+      throw new Error(HTXRestClient.getErrorMessage(data));
+    }
+    const order = data.data?.[0];
+    return order ? this.withAccount(HTXAdapter.normalizeOrder(order, marginMode)) : null;
+  }
+
+  /**
+   * swap_tpsl_order 可以直接修改现有的止盈止损，不需要先撤销
+   */
+  async setTpsl({ contractCode, positionSide, volume, marginMode, takeProfit, stopLoss }) {
+    const params = {
+      contract_code: contractCode,
+      direction: positionSide === 'long' ? 'sell' : 'buy', // 平仓方向与持仓相反
+      volume: Math.floor(volume),
+      ...this.toTpslParams(contractCode, takeProfit, stopLoss)
+    };
+
+    const data = await this.rest.privatePost(HTXAdapter.getApiPath('swap_tpsl_order', marginMode), params, 'trade');
+
+    if (data.status === 'ok' && data.data) {
+      return { success: true, orderId: HTXAdapter.getOrderId(data.data.tp_order) || HTXAdapter.getOrderId(data.data.sl_order) };
+    }
+    return { success: false, error: HTXRestClient.getErrorMessage(data) };
+  }
+
+  async cancelTpsl({ contractCode, positionSide, marginMode }) {
+    const data = await this.rest.privatePost(HTXAdapter.getApiPath('swap_tpsl_cancelall', marginMode), {
+      contract_code: contractCode,
+      direction: positionSide === 'long' ? 'sell' : 'buy'
+    }, 'trade');
+
+    if (data.status === 'ok') {
+      return { success: true };
+    }
+    return { success: false, error: HTXRestClient.getErrorMessage(data) };
+  }
+
+  /**
+   * 统一账户使用 v3 unified_account_info（按保证金币种），
+   * 非统一账户查询逐仓（swap_account_info）或全仓（swap_cross_account_info）
+   */
+  async getBalance({ contractCode, marginMode, unifiedAccount }) {
+    const marginAsset = HTXAdapter.getMarginAccount(contractCode);
+
+    if (unifiedAccount) {
+      const data = await this.rest.privateGet('/linear-swap-api/v3/unified_account_info', {}, 'read');
+      if (HTXRestClient.getErrorCode(data) !== null) {
+        throw new Error(HTXRestClient.getErrorMessage(data));
+      }
+      const account = (data.data || []).find(item => item.margin_asset === marginAsset);
+      return account ? this.withAccount(HTXAdapter.normalizeAccount(account, 'unified')) : null;
+    }
+
+    const isCross = marginMode === 'cross';
+    const data = await this.rest.privatePost(
+      HTXAdapter.getApiPath('swap_account_info', marginMode),
+      isCross ? { margin_account: marginAsset } : { contract_code: contractCode },
+      'read'
+    );
+    if (data.status !== 'ok') {
+      throw new Error(HTXRestClient.getErrorMessage(data));
+    }
+    const account = data.data?.[0];
+    return account ? this.withAccount(HTXAdapter.normalizeAccount(account, isCross ? 'cross' : 'isolated')) : null;
+  }
+
+  /**
+   * 财务流水接口（v3 swap_financial_record）中的资金费收支
+   * U 本位按保证金账户（mar_acct）查询，币本位按合约查询；交割合约没有资金费，返回空数组
+   */
+  async getFundingRecords({ contractCode, startTime, endTime }) {
+    const market = this.getMarket(contractCode);
+    const path = HTX_MARKETS[market].financialRecordPath;
+    if (!path || !this.markets.has(market)) {
+      return [];
+    }
+
+    const params = {
+      contract: contractCode,
+      type: `${FUNDING_RECORD_TYPES.income},${FUNDING_RECORD_TYPES.expense}`,
+      start_time: startTime,
+      end_time: endTime
+    };
+    if (market === 'linear-swap') {
+      params.mar_acct = HTXAdapter.getMarginAccount(contractCode);
+    }
+
+    const data = await this.rest.privatePost(path, params, 'read');
+    if (HTXRestClient.getErrorCode(data) !== null) {
+      throw new Error(HTXRestClient.getErrorMessage(data));
+    }
+    return (data.data || []).map(record => this.withAccount(HTXAdapter.normalizeFundingRecord(record, market)));
+  }
+
+  /**
+   * 止盈止损参数，价格按合约精度格式化，委托价默认等于触发价（限价单，减少滑点）
+   */
+  toTpslParams(contractCode, takeProfit, stopLoss) {
+    const params = {};
+    if (takeProfit?.triggerPrice) {
+      params.tp_trigger_price = this.requirePrice(takeProfit.triggerPrice, contractCode);
+      params.tp_order_price = this.requirePrice(takeProfit.orderPrice ?? takeProfit.triggerPrice, contractCode);
+      params.tp_order_price_type = takeProfit.orderPriceType || 'limit';
+    }
+    if (stopLoss?.triggerPrice) {
+      params.sl_trigger_price = this.requirePrice(stopLoss.triggerPrice, contractCode);
+      params.sl_order_price = this.requirePrice(stopLoss.orderPrice ?? stopLoss.triggerPrice, contractCode);
+      params.sl_order_price_type = stopLoss.orderPriceType || 'limit';
+    }
+    return params;
+  }
+
+  requirePrice(price, contractCode) {
+    const formatted = this.formatPrice(price, contractCode);
+    if (formatted === null) {
+      throw new Error(`未找到 ${contractCode} 的合约信息，无法确定价格精度`);
+    }
+    return formatted;
+  }
+
+  // ==================== 合约信息 ====================
+
+  async loadContracts() {
+    contractInfo.setMarkets(Array.from(this.markets.keys()));
+    // 有 API Key 时同时查询下单数量限制（合约信息全局共用，只使用主账户的 API Key，子账户不覆盖）
+    if (this.hasCredentials() && !this.marketSource) {
+      contractInfo.setCredentials(this.accessKey, this.secretKey);
+    }
+    return contractInfo.load();
+  }
+
+  getContract(contractCode) {
+    return contractInfo.get(contractCode);
+  }
+
+  getContractSize(contractCode) {
+    return contractInfo.getContractSize(contractCode);
+  }
+
+  formatPrice(price, contractCode) {
+    return contractInfo.formatPrice(price, contractCode);
+  }
+
+  // ==================== HTX 格式转换 ====================
+
+  /**
+   * 按保证金模式选择交易接口路径
+   * 全仓接口在逐仓接口名中插入 cross，如 swap_order -> swap_cross_order
+   * @param {string} name - 逐仓接口名：swap_order, swap_tpsl_order, swap_tpsl_cancelall, swap_order_info, swap_cancel, swap_account_info
+   */
+  static getApiPath(name, marginMode) {
+    const endpoint = marginMode === 'cross' ? name.replace(/^swap_/, 'swap_cross_') : name;
+    return `/linear-swap-api/v1/${endpoint}`;
+  }
+
+  /**
+   * 余额推送的订阅参数
+   * 统一账户：accounts_unify.$contract_code；非统一账户：逐仓 accounts.$contract_code，全仓 accounts_cross.$margin_account
+   */
+  static getAccountSubscription({ contractCode, marginMode, unifiedAccount }) {
+    if (unifiedAccount) {
+      return { code: contractCode, accountType: 'unified' };
+    }
+    if (marginMode === 'cross') {
+      return { code: HTXAdapter.getMarginAccount(contractCode), accountType: 'cross' };
+    }
+    return { code: contractCode, accountType: 'isolated' };
+  }
+
+  /**
+   * 当前委托的查询参数：U 本位可以一次查询全部合约，币本位永续按合约查询，交割合约按品种查询
+   */
+  static getOpenOrderQueries(market, contractCodes) {
+    if (market === 'linear-swap') {
+      return [{}];
+    }
+    const codes = Array.from(new Set(contractCodes.filter(code => getContractMarket(code) === market)));
+    if (market === 'swap') {
+      return codes.map(code => ({ contract_code: code }));
+    }
+    return Array.from(new Set(codes.map(code => code.split(/[-_\d]/)[0]))).map(symbol => ({ symbol }));
+  }
+
+  /**
+   * 保证金账户（全仓按保证金币种划分），如 BTC-USDT -> USDT
+   */
+  static getMarginAccount(contractCode) {
+    return contractCode.split('-')[1] || 'USDT';
+  }
+
+  static getOrderId(data) {
+    if (!data) return undefined;
+    return data.order_id_str || (data.order_id !== undefined ? String(data.order_id) : undefined);
+  }
+
+  /**
+   * positions / positions_cross 推送 -> 统一持仓
+   * 币本位合约（inverse）的 contractSize 为每张美元面值，保证金和盈亏以币计（marginAsset）
+   */
+  static normalizePosition(position, market = 'linear-swap') {
+    const toNumber = value => (value === undefined || value === null || value === '' ? null : Number(value));
+    const { inverse } = HTX_MARKETS[market];
+    const baseCurrency = position.symbol || position.contract_code.split(/[-_\d]/)[0];
+    return {
+      exchange: 'htx',
+      contractCode: position.contract_code,
+      market,
+      inverse,
+      baseCurrency,
+      quoteCurrency: inverse ? 'USD' : (position.contract_code.split('-')[1] || 'USDT'),
+      marginAsset: inverse ? baseCurrency : (position.margin_asset || 'USDT'),
+      direction: position.direction === 'buy' ? 'long' : 'short',
+      marginMode: position.margin_mode || 'isolated',
+      volume: Number(position.volume),
+      available: toNumber(position.available) ?? Number(position.volume),
+      contractSize: contractInfo.getContractSize(position.contract_code),
+      costOpen: Number(position.cost_open),
+      positionMargin: Number(position.position_margin),
+      leverage: toNumber(position.lever_rate),
+      profitUnreal: toNumber(position.profit_unreal),
+      lastPrice: toNumber(position.last_price),
+      liquidationPrice: toNumber(position.liquidation_price) || null,
+      raw: position
+    };
+  }
+
+  /**
+   * orders / orders_cross 推送或 swap_order_info 结果 -> 统一订单
+   */
+  static normalizeOrder(order, marginMode) {
+    const toNumber = value => (value === undefined || value === null || value === '' ? null : Number(value));
+    return {
+      exchange: 'htx',
+      contractCode: order.contract_code,
+      orderId: HTXAdapter.getOrderId(order),
+      clientOrderId: order.client_order_id ?? null,
+      side: order.direction,
+      action: order.offset,
+      marginMode: order.margin_mode || marginMode || 'isolated',
+      status: ORDER_STATUS[order.status] || 'unknown',
+      volume: toNumber(order.volume),
+      filledVolume: toNumber(order.trade_volume) ?? 0,
+      avgPrice: toNumber(order.trade_avg_price) || null,
+      fee: toNumber(order.fee) ?? 0,
+      profit: toNumber(order.real_profit ?? order.profit) ?? 0,
+      createdAt: toNumber(order.created_at),
+      raw: order
+    };
+  }
+
+  /**
+   * matchOrders 推送 -> 统一成交（一次推送可能包含多笔成交）
+   * 手续费 trade_fee 为负数表示支付；推送没有手续费字段时按成交价值和角色估算
+   */
+  static normalizeFills(match, market = 'linear-swap', marginMode) {
+    const toNumber = value => (value === undefined || value === null || value === '' ? null : Number(value));
+    const { inverse } = HTX_MARKETS[market];
+    const contractCode = match.contract_code;
+    const baseCurrency = match.symbol || contractCode.split(/[-_\d]/)[0];
+    const marginAsset = inverse ? baseCurrency : (match.margin_asset || HTXAdapter.getMarginAccount(contractCode));
+
+    return (match.trade || []).map(trade => {
+      const volume = Number(trade.trade_volume);
+      const price = Number(trade.trade_price);
+      const tradeFee = toNumber(trade.trade_fee);
+      const role = trade.role === 'maker' ? 'maker' : 'taker';
+      const fee = tradeFee !== null
+        ? -tradeFee
+        : calcFee({
+          volume,
+          contractSize: contractInfo.getContractSize(contractCode) ?? 1,
+          price,
+          inverse,
+          feeRate: role === 'maker' ? DEFAULT_MAKER_FEE : DEFAULT_TAKER_FEE
+        });
+
+      return {
+        exchange: 'htx',
+        contractCode,
+        market,
+        inverse,
+        marginAsset,
+        orderId: HTXAdapter.getOrderId(match),
+        tradeId: String(trade.id ?? trade.trade_id),
+        side: match.direction,
+        action: match.offset,
+        marginMode: match.margin_mode || marginMode || 'isolated',
+        volume,
+        price,
+        fee,
+        feeAsset: trade.fee_asset || marginAsset,
+        feeEstimated: tradeFee === null,
+        realizedProfit: toNumber(trade.real_profit ?? trade.profit) ?? 0,
+        role,
+        ts: toNumber(trade.created_at) ?? toNumber(match.ts) ?? Date.now(),
+        raw: trade
+      };
+    });
+  }
+
+  /**
+   * 财务流水 -> 统一资金费流水（收入为正，支出为负）
+   */
+  static normalizeFundingRecord(record, market = 'linear-swap') {
+    const amount = Math.abs(Number(record.amount));
+    const contractCode = record.contract_code || record.contract;
+    return {
+      exchange: 'htx',
+      id: String(record.id),
+      contractCode,
+      marginAsset: record.asset || record.margin_account || (HTX_MARKETS[market].inverse ? contractCode.split('-')[0] : 'USDT'),
+      amount: Number(record.type) === FUNDING_RECORD_TYPES.expense ? -amount : amount,
+      ts: Number(record.ts || record.created_at)
+    };
+  }
+
+  /**
+   * 统一不同账户类型的余额字段
+   * - unified（统一账户）：withdraw_available 为可用，cross_profit_unreal 为全仓未实现盈亏，cross_risk_rate 为保证金率
+   * - cross（全仓）：withdraw_available 为可用，profit_unreal 为未实现盈亏
+   * - isolated（逐仓）：margin_available 为可用，profit_unreal 为未实现盈亏
+   */
+  static normalizeAccount(account, accountType) {
+    const toNumber = value => (value === undefined || value === null ? undefined : Number(value));
+    return {
+      exchange: 'htx',
+      accountType,
+      marginAsset: account.margin_asset || account.margin_account || account.symbol, // 币本位账户只有 symbol
+      contractCode: account.contract_code,
+      marginBalance: toNumber(account.margin_balance),
+      marginAvailable: toNumber(accountType === 'isolated' ? account.margin_available : account.withdraw_available),
+      marginFrozen: toNumber(account.margin_frozen),
+      marginPosition: toNumber(account.margin_position),
+      profitUnreal: toNumber(accountType === 'unified' ? account.cross_profit_unreal : account.profit_unreal),
+      riskRate: toNumber(accountType === 'unified' ? account.cross_risk_rate : account.risk_rate)
+    };
+  }
+}
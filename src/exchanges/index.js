@@ -0,0 +1,62 @@
+import { HTXAdapter } from './htx-adapter.js';
+
+export { ExchangeAdapter } from './exchange-adapter.js';
+
+/**
+ * 交易所注册表
+ * 新增交易所：实现 ExchangeAdapter 的子类并在这里注册，
+ * 然后在环境变量 EXCHANGES 中加入它的标识（如 EXCHANGES=htx,okx）
+ */
+const adapters = new Map([
+  ['htx', HTXAdapter]
+]);
+
+export function registerExchange(id, AdapterClass) {
+  adapters.set(id, AdapterClass);
+}
+
+/**
+ * 已注册的交易所标识
+ */
+export function getSupportedExchanges() {
+  return Array.from(adapters.keys());
+}
+
+/**
+ * 创建交易所适配器
+ * @param {string} id - 交易所标识，如 htx
+ * @param {object} options - 传给适配器的参数（API Key、重连策略、录制器等），见各适配器
+ */
+export function createExchange(id = 'htx', options = {}) {
+  const AdapterClass = adapters.get(id);
+  if (!AdapterClass) {
+    throw new Error(`不支持的交易所: ${id}（可选: ${getSupportedExchanges().join(', ')}）`);
+  }
+  return new AdapterClass(options);
+}
+
+/**
+ * 解析交易所列表（逗号分隔），如 "htx, okx" -> ['htx', 'okx']，默认 htx
+ */
+export function parseExchangeList(value) {
+  const ids = (value || 'htx').split(',').map(id => id.trim().toLowerCase()).filter(Boolean);
+  return ids.length > 0 ? Array.from(new Set(ids)) : ['htx'];
+}
+
+/**
+ * 解析子账户列表（逗号分隔），每项为 标签 或 标签:AccessKey:SecretKey，
+ * 如 HTX_ACCOUNTS="sub1:ak1:sk1, sub2" -> [{ label: 'sub1', accessKey: 'ak1', secretKey: 'sk1' }, { label: 'sub2' }]
+ * 只写标签时 API Key 由适配器从环境变量读取（HTX 为 HTX_ACCESS_KEY_<标签>）；同一标签只保留第一项，未配置时为空数组
+ * @returns {Array<{label, accessKey?, secretKey?}>}
+ */
+export function parseAccountList(value) {
+  const accounts = new Map();
+  (value || '').split(',').forEach(item => {
+    const [label, accessKey, secretKey] = item.split(':').map(part => part.trim());
+    if (!label || accounts.has(label)) {
+      return;
+    }
+    accounts.set(label, accessKey && secretKey ? { label, accessKey, secretKey } : { label });
+  });
+  return Array.from(accounts.values());
+}
@@ -0,0 +1,641 @@
+/**
+ * 模拟交易所账户：订单撮合、持仓、余额和止盈止损
+ * 供 MockHTXExchange 使用，订单/持仓/账户字段与 HTX U 本位永续接口保持一致
+ *
+ * 简化说明：
+ * - 每个账户只有一个 USDT 钱包，逐仓、全仓和统一账户共用这部分余额
+ * - 市价类订单（optimal_5、opponent 等）按当前价格立即成交；限价单价格穿越时按挂单价格成交
+ * - 没有强平、资金费结算和部分成交
+ */
+
+// 市价类订单类型（按当前价格立即成交）
+const MARKET_ORDER_TYPES = new Set([
+  'opponent', 'optimal_5', 'optimal_10', 'optimal_20', 'market',
+  'opponent_ioc', 'optimal_5_ioc', 'optimal_10_ioc', 'optimal_20_ioc',
+  'opponent_fok', 'optimal_5_fok', 'optimal_10_fok', 'optimal_20_fok'
+]);
+
+// 订单状态（与 HTX 一致）
+const ORDER_STATUS = {
+  SUBMITTED: 3,
+  FILLED: 6,
+  CANCELED: 7
+};
+
+// 止盈止损单状态
+const TPSL_STATUS = {
+  WAITING: 2,
+  TRIGGERED: 4,
+  FAILED: 5,
+  CANCELED: 6
+};
+
+/**
+ * 生成带 HTX 错误码的错误
+ */
+export function createApiError(code, message) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+export class MockAccount {
+  /**
+   * @param {object} options
+   * @param {string} options.accessKey
+   * @param {string} options.secretKey
+   * @param {number} options.balance - 初始 USDT 余额
+   * @param {number} options.uid
+   * @param {object} market - 行情接口 { getPrice(code), getContract(code) }
+   * @param {object} fees - { maker, taker }
+   */
+  constructor(options, market, fees) {
+    this.accessKey = options.accessKey;
+    this.secretKey = options.secretKey;
+    this.uid = options.uid;
+    this.balance = options.balance;
+    this.profitReal = 0;
+    this.market = market;
+    this.fees = fees;
+
+    this.positions = new Map(); // `${contract_code}_${direction}_${margin_mode}` -> 持仓
+    this.orders = new Map(); // order_id_str -> 订单
+    this.tpslOrders = new Map(); // order_id_str -> 止盈止损单
+    this.nextId = Date.now() * 1000;
+    this.nextTradeId = 1;
+
+    // 事件处理器（由 MockHTXExchange 转成 WebSocket 推送）
+    this.eventHandlers = {
+      order: [],
+      match: [],
+      positions: [],
+      accounts: []
+    };
+  }
+
+  /**
+   * 下单（swap_order / swap_cross_order）
+   * @returns {object} 订单
+   */
+  placeOrder(params, marginMode) {
+    const contract = this.market.getContract(params.contract_code);
+    if (!contract) {
+      throw createApiError(1014, 'This contract doesnt exist.');
+    }
+
+    const volume = Number(params.volume);
+    if (!Number.isInteger(volume) || volume <= 0) {
+      throw createApiError(1035, 'Abnormal contracts amount.');
+    }
+    if (!['buy', 'sell'].includes(params.direction) || !['open', 'close'].includes(params.offset)) {
+      throw createApiError(1030, 'Abnormal direction or offset.');
+    }
+
+    const orderPriceType = params.order_price_type || 'limit';
+    const isMarket = MARKET_ORDER_TYPES.has(orderPriceType);
+    const price = isMarket ? null : Number(params.price);
+    if (!isMarket && !(price > 0)) {
+      throw createApiError(1034, 'Abnormal order price.');
+    }
+
+    const leverRate = Number(params.lever_rate) || 5;
+    const currentPrice = this.market.getPrice(params.contract_code);
+
+    if (params.offset === 'open') {
+      const required = (price || currentPrice) * volume * contract.contractSize / leverRate;
+      if (required > this.getAvailable()) {
+        throw createApiError(1047, 'Insufficient margin available.');
+      }
+    } else {
+      const position = this.positions.get(this.getPositionKey(params.contract_code, MockAccount.opposite(params.direction), marginMode));
+      if (!position || this.getClosable(position) < volume) {
+        throw createApiError(1048, 'Insufficient close amount available.');
+      }
+    }
+
+    const id = this.nextId++;
+    const order = {
+      order_id: id,
+      order_id_str: String(id),
+      client_order_id: params.client_order_id ?? null,
+      symbol: contract.symbol,
+      contract_code: params.contract_code,
+      margin_mode: marginMode,
+      margin_account: marginMode === 'cross' ? 'USDT' : params.contract_code,
+      volume,
+      price,
+      order_price_type: orderPriceType,
+      order_type: 1,
+      direction: params.direction,
+      offset: params.offset,
+      lever_rate: leverRate,
+      status: ORDER_STATUS.SUBMITTED,
+      trade_volume: 0,
+      trade_avg_price: null,
+      trade_turnover: 0,
+      fee: 0,
+      fee_asset: 'USDT',
+      profit: 0,
+      real_profit: 0,
+      created_at: Date.now(),
+      canceled_at: 0,
+      order_source: 'api',
+      tpsl: MockAccount.pickTpsl(params)
+    };
+    this.orders.set(order.order_id_str, order);
+
+    // 市价单或可立即成交的限价单按当前价格成交（吃单），其余挂单
+    const marketable = isMarket
+      || (order.direction === 'buy' && price >= currentPrice)
+      || (order.direction === 'sell' && price <= currentPrice);
+
+    if (marketable) {
+      this.fill(order, currentPrice, 'taker');
+    } else {
+      this.emit('order', order);
+      this.emit('accounts', { contractCode: order.contract_code, event: 'order.open' });
+    }
+
+    return order;
+  }
+
+  /**
+   * 撤单（swap_cancel / swap_cross_cancel）
+   * @returns {{errors: Array, successes: string}}
+   */
+  cancelOrders(params) {
+    const ids = String(params.order_id || params.client_order_id || '').split(',').filter(Boolean);
+    const errors = [];
+    const successes = [];
+
+    ids.forEach(id => {
+      const order = this.findOrder(id, params.client_order_id ? 'client' : 'order');
+      if (!order) {
+        errors.push({ order_id: id, err_code: 1061, err_msg: 'This order doesnt exist.' });
+        return;
+      }
+      if (order.status !== ORDER_STATUS.SUBMITTED) {
+        errors.push({ order_id: id, err_code: 1071, err_msg: 'Repeated withdraw.' });
+        return;
+      }
+
+      order.status = ORDER_STATUS.CANCELED;
+      order.canceled_at = Date.now();
+      successes.push(order.order_id_str);
+      this.emit('order', order);
+      this.emit('accounts', { contractCode: order.contract_code, event: 'order.cancel' });
+    });
+
+    return { errors, successes: successes.join(',') };
+  }
+
+  /**
+   * 查询订单（swap_order_info / swap_cross_order_info）
+   */
+  getOrders(params) {
+    const ids = String(params.order_id || params.client_order_id || '').split(',').filter(Boolean);
+    return ids
+      .map(id => this.findOrder(id, params.client_order_id ? 'client' : 'order'))
+      .filter(Boolean)
+      .map(MockAccount.toOrderView);
+  }
+
+  /**
+   * 未成交订单（swap_openorders / swap_cross_openorders）
+   */
+  getOpenOrders(contractCode, marginMode) {
+    return [...this.orders.values()]
+      .filter(o => o.status === ORDER_STATUS.SUBMITTED && o.margin_mode === marginMode)
+      .filter(o => !contractCode || o.contract_code === contractCode)
+      .map(MockAccount.toOrderView);
+  }
+
+  findOrder(id, type) {
+    if (type === 'client') {
+      return [...this.orders.values()].find(o => String(o.client_order_id) === String(id)) || null;
+    }
+    return this.orders.get(String(id)) || null;
+  }
+
+  /**
+   * 止盈止损下单（swap_tpsl_order / swap_cross_tpsl_order）
+   * @returns {{tp_order, sl_order}}
+   */
+  placeTpsl(params, marginMode) {
+    const contract = this.market.getContract(params.contract_code);
+    if (!contract) {
+      throw createApiError(1014, 'This contract doesnt exist.');
+    }
+
+    // 止盈止损单的 direction 是平仓方向，对应相反方向的持仓
+    const position = this.positions.get(this.getPositionKey(params.contract_code, MockAccount.opposite(params.direction), marginMode));
+    if (!position) {
+      throw createApiError(1048, 'Insufficient close amount available.');
+    }
+
+    const volume = Number(params.volume) || position.volume;
+    const created = this.createTpslOrders(params.contract_code, params.direction, volume, marginMode, position.lever_rate, params);
+    return {
+      tp_order: created.tp ? { order_id: created.tp.order_id, order_id_str: created.tp.order_id_str } : null,
+      sl_order: created.sl ? { order_id: created.sl.order_id, order_id_str: created.sl.order_id_str } : null
+    };
+  }
+
+  /**
+   * 撤销止盈止损单（swap_tpsl_cancelall / swap_cross_tpsl_cancelall）
+   */
+  cancelAllTpsl(params, marginMode) {
+    const successes = [];
+    this.tpslOrders.forEach(tpsl => {
+      if (tpsl.status !== TPSL_STATUS.WAITING) return;
+      if (tpsl.contract_code !== params.contract_code || tpsl.margin_mode !== marginMode) return;
+      if (params.direction && tpsl.direction !== params.direction) return;
+      tpsl.status = TPSL_STATUS.CANCELED;
+      successes.push(tpsl.order_id_str);
+    });
+    return { errors: [], successes: successes.join(',') };
+  }
+
+  /**
+   * 创建止盈止损单（同一组的止盈和止损互相关联，一个触发后另一个撤销）
+   * @param {string} direction - 平仓方向
+   */
+  createTpslOrders(contractCode, direction, volume, marginMode, leverRate, params) {
+    const created = {};
+    ['tp', 'sl'].forEach(type => {
+      const triggerPrice = Number(params[`${type}_trigger_price`]);
+      if (!(triggerPrice > 0)) return;
+
+      const id = this.nextId++;
+      // 平多：止盈价格向上触发，止损价格向下触发；平空相反
+      const upward = (type === 'tp') === (direction === 'sell');
+      created[type] = {
+        order_id: id,
+        order_id_str: String(id),
+        contract_code: contractCode,
+        margin_mode: marginMode,
+        direction,
+        volume,
+        lever_rate: leverRate,
+        tpsl_order_type: type,
+        trigger_type: upward ? 'ge' : 'le',
+        trigger_price: triggerPrice,
+        order_price: Number(params[`${type}_order_price`]) || null,
+        order_price_type: params[`${type}_order_price_type`] || 'optimal_5',
+        status: TPSL_STATUS.WAITING,
+        relation_order_id: null,
+        created_at: Date.now()
+      };
+      this.tpslOrders.set(created[type].order_id_str, created[type]);
+    });
+
+    if (created.tp && created.sl) {
+      created.tp.relation_order_id = created.sl.order_id_str;
+      created.sl.relation_order_id = created.tp.order_id_str;
+    }
+    return created;
+  }
+
+  /**
+   * 新价格：撮合挂单，检查止盈止损触发
+   */
+  onPrice(contractCode, price) {
+    this.orders.forEach(order => {
+      if (order.status !== ORDER_STATUS.SUBMITTED || order.contract_code !== contractCode) return;
+      const crossed = order.direction === 'buy' ? price <= order.price : price >= order.price;
+      if (crossed) {
+        this.fill(order, order.price, 'maker');
+      }
+    });
+
+    this.tpslOrders.forEach(tpsl => {
+      if (tpsl.status !== TPSL_STATUS.WAITING || tpsl.contract_code !== contractCode) return;
+      const triggered = tpsl.trigger_type === 'ge' ? price >= tpsl.trigger_price : price <= tpsl.trigger_price;
+      if (triggered) {
+        this.triggerTpsl(tpsl);
+      }
+    });
+  }
+
+  /**
+   * 触发止盈止损：撤销关联单，按设置的价格类型下平仓单
+   */
+  triggerTpsl(tpsl) {
+    const sibling = tpsl.relation_order_id && this.tpslOrders.get(tpsl.relation_order_id);
+    if (sibling && sibling.status === TPSL_STATUS.WAITING) {
+      sibling.status = TPSL_STATUS.CANCELED;
+    }
+
+    const position = this.positions.get(this.getPositionKey(tpsl.contract_code, MockAccount.opposite(tpsl.direction), tpsl.margin_mode));
+    const volume = position ? Math.min(tpsl.volume, this.getClosable(position)) : 0;
+    if (volume <= 0) {
+      tpsl.status = TPSL_STATUS.FAILED;
+      return;
+    }
+
+    tpsl.status = TPSL_STATUS.TRIGGERED;
+    this.placeOrder({
+      contract_code: tpsl.contract_code,
+      volume,
+      direction: tpsl.direction,
+      offset: 'close',
+      lever_rate: tpsl.lever_rate,
+      order_price_type: tpsl.order_price ? tpsl.order_price_type : 'optimal_5',
+      price: tpsl.order_price
+    }, tpsl.margin_mode);
+  }
+
+  /**
+   * 订单全部成交：更新持仓和余额，推送订单、成交、持仓、账户
+   * @param {string} role - maker / taker
+   */
+  fill(order, price, role) {
+    const contract = this.market.getContract(order.contract_code);
+    const volume = order.volume - order.trade_volume;
+    const turnover = price * volume * contract.contractSize;
+    const fee = turnover * (role === 'maker' ? this.fees.maker : this.fees.taker);
+    let profit = 0;
+
+    if (order.offset === 'open') {
+      const key = this.getPositionKey(order.contract_code, order.direction, order.margin_mode);
+      const position = this.positions.get(key) || {
+        symbol: contract.symbol,
+        contract_code: order.contract_code,
+        direction: order.direction,
+        margin_mode: order.margin_mode,
+        volume: 0,
+        cost_open: 0,
+        cost_hold: 0,
+        lever_rate: order.lever_rate
+      };
+      const total = position.volume + volume;
+      position.cost_open = (position.cost_open * position.volume + price * volume) / total;
+      position.cost_hold = position.cost_open;
+      position.volume = total;
+      position.lever_rate = order.lever_rate;
+      this.positions.set(key, position);
+    } else {
+      const positionDirection = MockAccount.opposite(order.direction);
+      const key = this.getPositionKey(order.contract_code, positionDirection, order.margin_mode);
+      const position = this.positions.get(key);
+      const closeVolume = Math.min(volume, position ? position.volume : 0);
+      if (position) {
+        const sign = positionDirection === 'buy' ? 1 : -1;
+        profit = (price - position.cost_open) * closeVolume * contract.contractSize * sign;
+        position.volume -= closeVolume;
+      }
+    }
+
+    this.balance += profit - fee;
+    this.profitReal += profit;
+
+    order.status = ORDER_STATUS.FILLED;
+    order.trade_volume = order.volume;
+    order.trade_avg_price = price;
+    order.trade_turnover = turnover;
+    order.fee = -fee;
+    order.profit = profit;
+    order.real_profit = profit;
+    order.trade = [{
+      id: `${this.nextTradeId}-${order.order_id}`,
+      trade_id: this.nextTradeId++,
+      trade_volume: volume,
+      trade_price: price,
+      trade_fee: -fee,
+      trade_turnover: turnover,
+      fee_asset: 'USDT',
+      real_profit: profit,
+      profit,
+      role,
+      created_at: Date.now()
+    }];
+
+    this.emit('order', order);
+    this.emit('match', order);
+    this.emit('positions', {
+      contractCode: order.contract_code,
+      direction: order.offset === 'open' ? order.direction : MockAccount.opposite(order.direction),
+      marginMode: order.margin_mode,
+      event: 'order.match'
+    });
+    this.emit('accounts', { contractCode: order.contract_code, event: 'order.match' });
+
+    // 平仓后删除空持仓，并撤销对应的止盈止损单
+    if (order.offset === 'close') {
+      const positionDirection = MockAccount.opposite(order.direction);
+      const key = this.getPositionKey(order.contract_code, positionDirection, order.margin_mode);
+      if (this.positions.get(key)?.volume === 0) {
+        this.positions.delete(key);
+        this.cancelAllTpsl({ contract_code: order.contract_code, direction: order.direction }, order.margin_mode);
+      }
+    }
+
+    // 开仓时附带的止盈止损
+    if (order.offset === 'open' && order.tpsl) {
+      this.createTpslOrders(order.contract_code, MockAccount.opposite(order.direction), order.volume, order.margin_mode, order.lever_rate, order.tpsl);
+    }
+  }
+
+  /**
+   * 持仓视图（swap_position_info 和 positions 推送的字段）
+   * 持仓已清空时返回 volume 为 0 的视图（客户端据此删除持仓）
+   */
+  getPositionView(contractCode, direction, marginMode) {
+    const position = this.positions.get(this.getPositionKey(contractCode, direction, marginMode));
+    const contract = this.market.getContract(contractCode);
+    const lastPrice = this.market.getPrice(contractCode);
+
+    if (!position) {
+      return {
+        symbol: contract?.symbol, contract_code: contractCode, direction, margin_mode: marginMode,
+        margin_account: marginMode === 'cross' ? 'USDT' : contractCode, margin_asset: 'USDT',
+        volume: 0, available: 0, frozen: 0, cost_open: 0, cost_hold: 0,
+        profit_unreal: 0, profit_rate: 0, profit: 0, position_margin: 0, lever_rate: 0, last_price: lastPrice
+      };
+    }
+
+    const sign = direction === 'buy' ? 1 : -1;
+    const profitUnreal = (lastPrice - position.cost_open) * position.volume * contract.contractSize * sign;
+    const positionMargin = lastPrice * position.volume * contract.contractSize / position.lever_rate;
+    const frozen = position.volume - this.getClosable(position);
+
+    return {
+      symbol: position.symbol,
+      contract_code: contractCode,
+      direction,
+      margin_mode: marginMode,
+      margin_account: marginMode === 'cross' ? 'USDT' : contractCode,
+      margin_asset: 'USDT',
+      volume: position.volume,
+      available: position.volume - frozen,
+      frozen,
+      cost_open: position.cost_open,
+      cost_hold: position.cost_hold,
+      profit_unreal: profitUnreal,
+      profit_rate: position.volume > 0 ? profitUnreal / (position.cost_open * position.volume * contract.contractSize / position.lever_rate) : 0,
+      profit: profitUnreal,
+      position_margin: positionMargin,
+      lever_rate: position.lever_rate,
+      last_price: lastPrice
+    };
+  }
+
+  /**
+   * 当前持仓视图
+   * @param {string} marginMode - isolated / cross
+   * @param {string} contractCode - 不传返回所有合约
+   */
+  getPositions(marginMode, contractCode = null) {
+    return [...this.positions.values()]
+      .filter(p => p.margin_mode === marginMode && (!contractCode || p.contract_code === contractCode))
+      .map(p => this.getPositionView(p.contract_code, p.direction, p.margin_mode));
+  }
+
+  /**
+   * 余额汇总
+   */
+  getSummary() {
+    let profitUnreal = 0;
+    let marginPosition = 0;
+    this.positions.forEach(position => {
+      const view = this.getPositionView(position.contract_code, position.direction, position.margin_mode);
+      profitUnreal += view.profit_unreal;
+      marginPosition += view.position_margin;
+    });
+
+    let marginFrozen = 0;
+    this.orders.forEach(order => {
+      if (order.status === ORDER_STATUS.SUBMITTED && order.offset === 'open') {
+        const contract = this.market.getContract(order.contract_code);
+        marginFrozen += order.price * order.volume * contract.contractSize / order.lever_rate;
+      }
+    });
+
+    const marginBalance = this.balance + profitUnreal;
+    return {
+      marginStatic: this.balance,
+      marginBalance,
+      marginPosition,
+      marginFrozen,
+      profitUnreal,
+      withdrawAvailable: Math.max(0, marginBalance - marginPosition - marginFrozen),
+      riskRate: marginPosition > 0 ? marginBalance / marginPosition : null
+    };
+  }
+
+  getAvailable() {
+    return this.getSummary().withdrawAvailable;
+  }
+
+  /**
+   * 账户视图
+   * @param {string} accountType - unified（v3 unified_account_info / accounts_unify）、cross（swap_cross_account_info / accounts_cross）、
+   *                               isolated（swap_account_info / accounts）
+   * @param {string} contractCode - 逐仓账户对应的合约
+   */
+  getAccountView(accountType, contractCode = null) {
+    const summary = this.getSummary();
+
+    if (accountType === 'unified') {
+      return {
+        margin_asset: 'USDT',
+        margin_balance: summary.marginBalance,
+        margin_static: summary.marginStatic,
+        cross_margin_static: summary.marginStatic,
+        cross_profit_unreal: summary.profitUnreal,
+        margin_frozen: summary.marginFrozen,
+        withdraw_available: summary.withdrawAvailable,
+        cross_risk_rate: summary.riskRate,
+        userId: this.uid
+      };
+    }
+
+    const common = {
+      margin_asset: 'USDT',
+      margin_balance: summary.marginBalance,
+      margin_static: summary.marginStatic,
+      margin_position: summary.marginPosition,
+      margin_frozen: summary.marginFrozen,
+      profit_real: this.profitReal,
+      profit_unreal: summary.profitUnreal,
+      withdraw_available: summary.withdrawAvailable,
+      risk_rate: summary.riskRate
+    };
+
+    if (accountType === 'cross') {
+      return { ...common, margin_mode: 'cross', margin_account: 'USDT' };
+    }
+
+    const contract = this.market.getContract(contractCode);
+    return {
+      ...common,
+      symbol: contract?.symbol,
+      contract_code: contractCode,
+      margin_mode: 'isolated',
+      margin_account: contractCode,
+      margin_available: summary.withdrawAvailable,
+      lever_rate: this.positions.get(this.getPositionKey(contractCode, 'buy', 'isolated'))?.lever_rate
+        ?? this.positions.get(this.getPositionKey(contractCode, 'sell', 'isolated'))?.lever_rate
+        ?? 5
+    };
+  }
+
+  /**
+   * 持仓可平数量（扣除未成交平仓单）
+   */
+  getClosable(position) {
+    let frozen = 0;
+    const closeDirection = MockAccount.opposite(position.direction);
+    this.orders.forEach(order => {
+      if (order.status === ORDER_STATUS.SUBMITTED && order.offset === 'close'
+        && order.contract_code === position.contract_code && order.direction === closeDirection
+        && order.margin_mode === position.margin_mode) {
+        frozen += order.volume;
+      }
+    });
+    return position.volume - frozen;
+  }
+
+  getPositionKey(contractCode, direction, marginMode) {
+    return `${contractCode}_${direction}_${marginMode}`;
+  }
+
+  on(event, handler) {
+    if (this.eventHandlers[event]) {
+      this.eventHandlers[event].push(handler);
+    }
+  }
+
+  emit(event, data) {
+    if (this.eventHandlers[event]) {
+      this.eventHandlers[event].forEach(handler => handler(data, this));
+    }
+  }
+
+  /**
+   * 订单对外字段（去掉内部使用的 tpsl）
+   */
+  static toOrderView(order) {
+    const { tpsl, ...view } = order;
+    return view;
+  }
+
+  /**
+   * 下单参数中的止盈止损设置
+   */
+  static pickTpsl(params) {
+    if (!params.tp_trigger_price && !params.sl_trigger_price) {
+      return null;
+    }
+    const tpsl = {};
+    ['tp_trigger_price', 'tp_order_price', 'tp_order_price_type', 'sl_trigger_price', 'sl_order_price', 'sl_order_price_type']
+      .forEach(key => {
+        if (params[key] !== undefined) tpsl[key] = params[key];
+      });
+    return tpsl;
+  }
+
+  static opposite(direction) {
+    return direction === 'buy' ? 'sell' : 'buy';
+  }
+}
@@ -0,0 +1,654 @@
+import express from 'express';
+import { createServer } from 'http';
+import { WebSocketServer } from 'ws';
+import pako from 'pako';
+import crypto from 'crypto';
+import { PriceSimulator } from './price-simulator.js';
+import { MockAccount, createApiError } from './mock-account.js';
+
+// 默认合约（面值、最小变动价位、初始价格），可在价格脚本中覆盖或新增
+const DEFAULT_CONTRACTS = {
+  'BTC-USDT': { contractSize: 0.001, priceTick: 0.1, start: 65000 },
+  'ETH-USDT': { contractSize: 0.01, priceTick: 0.01, start: 3200 },
+  'SOL-USDT': { contractSize: 1, priceTick: 0.001, start: 150 },
+  'DOGE-USDT': { contractSize: 100, priceTick: 0.000001, start: 0.15 }
+};
+
+const PRIVATE_PATH = '/linear-swap-notification';
+const MARKET_PATH = '/linear-swap-ws';
+const INDEX_PATH = '/ws_index';
+const SIGNATURE_EXPIRY = 5 * 60 * 1000; // 签名时间戳允许的误差
+
+// 不需要签名的 REST 接口
+const PUBLIC_REST_PATHS = new Set([
+  '/api/v1/timestamp',
+  '/linear-swap-api/v1/swap_contract_info',
+  '/linear-swap-api/v1/swap_funding_rate',
+  '/linear-swap-ex/market/history/kline'
+]);
+
+/**
+ * 本地模拟 HTX 交易所（离线端到端测试用）
+ *
+ * 同一个端口提供：
+ * - REST：下单/撤单/查单、止盈止损、账户、财务流水（不结算资金费，始终为空）、合约信息、历史K线
+ * - 私有频道 WebSocket（/linear-swap-notification）：gzip 帧、ping/pong、真实签名校验的 op=auth，
+ *   orders / matchOrders / positions / accounts（含 _cross、_unify）、资金费率、合约信息推送
+ * - 行情 WebSocket（/linear-swap-ws）：detail / kline / ticker / depth / trade.detail / bbo 推送
+ * - 指数 WebSocket（/ws_index）：标记价格K线 mark_price 推送（模拟盘的标记价格等于最新价）
+ *
+ * 价格由 PriceSimulator 按脚本生成（见 price-simulator.js），启动方式见根目录 mock-exchange.js
+ */
+export class MockHTXExchange {
+  /**
+   * @param {object} options
+   * @param {number} options.port - 监听端口，默认 8888
+   * @param {string} options.host - 监听地址，默认 127.0.0.1
+   * @param {Array} options.accounts - [{ accessKey, secretKey, balance }]
+   * @param {object} options.script - 价格脚本 { contracts: { 'BTC-USDT': { start, path, loop, volatility, contractSize, priceTick } } }
+   * @param {number} options.tickInterval - 价格推进间隔（毫秒），默认 1000
+   * @param {number} options.pingInterval - 心跳间隔（毫秒），默认 5000
+   * @param {number} options.fundingRate - 模拟资金费率，默认 0.0001
+   */
+  constructor(options = {}) {
+    this.port = options.port ?? 8888;
+    this.host = options.host || '127.0.0.1';
+    this.tickInterval = options.tickInterval || 1000;
+    this.pingInterval = options.pingInterval || 5000;
+    this.fundingRate = options.fundingRate ?? 0.0001;
+    this.fees = { maker: options.makerFee ?? 0.0002, taker: options.takerFee ?? 0.0005 };
+
+    // 合约和价格模拟器
+    const scripted = options.script?.contracts || {};
+    this.contracts = new Map();
+    this.simulators = new Map();
+    Object.entries({ ...DEFAULT_CONTRACTS, ...scripted }).forEach(([code, entry]) => {
+      const base = DEFAULT_CONTRACTS[code] || {};
+      const contract = {
+        contractCode: code,
+        symbol: code.split('-')[0],
+        contractSize: entry.contractSize ?? base.contractSize ?? 1,
+        priceTick: entry.priceTick ?? base.priceTick ?? 0.01
+      };
+      this.contracts.set(code, contract);
+      this.simulators.set(code, new PriceSimulator(code, { ...entry, start: entry.start ?? base.start ?? 100 }, contract));
+    });
+
+    // 账户（按 AccessKey 区分）
+    const market = {
+      getPrice: code => this.simulators.get(code)?.price ?? null,
+      getContract: code => this.contracts.get(code) || null
+    };
+    this.accounts = new Map();
+    (options.accounts || []).forEach((item, index) => {
+      const account = new MockAccount({ ...item, balance: item.balance ?? 10000, uid: 100000 + index }, market, this.fees);
+      this.bindAccount(account);
+      this.accounts.set(account.accessKey, account);
+    });
+
+    this.app = express();
+    this.app.use(express.json());
+    this.setupRoutes();
+
+    this.server = createServer(this.app);
+    this.privateWss = new WebSocketServer({ noServer: true });
+    this.marketWss = new WebSocketServer({ noServer: true });
+    this.indexWss = new WebSocketServer({ noServer: true });
+    this.server.on('upgrade', (req, socket, head) => {
+      const pathname = new URL(req.url, 'http://localhost').pathname;
+      const wss = { [PRIVATE_PATH]: this.privateWss, [MARKET_PATH]: this.marketWss, [INDEX_PATH]: this.indexWss }[pathname] || null;
+      if (!wss) {
+        socket.destroy();
+        return;
+      }
+      wss.handleUpgrade(req, socket, head, ws => wss.emit('connection', ws, req));
+    });
+    this.privateWss.on('connection', (ws, req) => this.handlePrivateConnection(ws, req));
+    this.marketWss.on('connection', ws => this.handleMarketConnection(ws));
+    this.indexWss.on('connection', ws => this.handleMarketConnection(ws, { index: true }));
+
+    this.tickTimer = null;
+    this.pingTimer = null;
+    this.fundingTimer = null;
+  }
+
+  /**
+   * 启动服务
+   * @returns {Promise<number>} 实际监听的端口
+   */
+  start() {
+    return new Promise((resolve, reject) => {
+      this.server.once('error', reject);
+      this.server.listen(this.port, this.host, () => {
+        this.port = this.server.address().port;
+        this.tickTimer = setInterval(() => this.tick(), this.tickInterval);
+        this.pingTimer = setInterval(() => this.sendPings(), this.pingInterval);
+        this.fundingTimer = setInterval(() => this.pushFundingRates(), 60 * 1000);
+        resolve(this.port);
+      });
+    });
+  }
+
+  /**
+   * 停止服务（断开所有连接）
+   */
+  stop() {
+    clearInterval(this.tickTimer);
+    clearInterval(this.pingTimer);
+    clearInterval(this.fundingTimer);
+    [this.privateWss, this.marketWss, this.indexWss].forEach(wss => wss.clients.forEach(ws => ws.terminate()));
+    return new Promise(resolve => this.server.close(() => resolve()));
+  }
+
+  /**
+   * 推进价格：推送行情，撮合挂单和止盈止损
+   */
+  tick() {
+    const now = Date.now();
+    this.simulators.forEach((simulator, code) => {
+      const price = simulator.step(now);
+      this.pushMarket(simulator);
+      this.accounts.forEach(account => account.onPrice(code, price));
+    });
+  }
+
+  // ==================== 签名 ====================
+
+  /**
+   * 校验签名（与 HTX 相同的 HmacSHA256 v2 规则）
+   * @param {string} method - GET / POST
+   * @param {string} host - 请求的 Host 头
+   * @param {string} path - 请求路径
+   * @param {object} params - 签名参数（含 Signature）
+   * @returns {MockAccount|null} 签名有效时返回对应账户
+   */
+  verifySignature(method, host, path, params) {
+    const { Signature: signature, ...rest } = params;
+    const account = this.accounts.get(rest.AccessKeyId);
+    if (!account || !signature || rest.SignatureMethod !== 'HmacSHA256' || String(rest.SignatureVersion) !== '2') {
+      return null;
+    }
+
+    const timestamp = Date.parse(`${rest.Timestamp}Z`);
+    if (!timestamp || Math.abs(Date.now() - timestamp) > SIGNATURE_EXPIRY) {
+      return null;
+    }
+
+    const sortedParams = Object.keys(rest)
+      .sort()
+      .map(key => `${key}=${encodeURIComponent(rest[key])}`)
+      .join('&');
+    const expected = crypto
+      .createHmac('sha256', account.secretKey)
+      .update(`${method}\n${host}\n${path}\n${sortedParams}`)
+      .digest('base64');
+
+    const a = Buffer.from(expected);
+    const b = Buffer.from(String(signature));
+    return a.length === b.length && crypto.timingSafeEqual(a, b) ? account : null;
+  }
+
+  // ==================== REST ====================
+
+  setupRoutes() {
+    const app = this.app;
+
+    // 私有接口签名校验
+    app.use((req, res, next) => {
+      if (PUBLIC_REST_PATHS.has(req.path)) {
+        return next();
+      }
+      const { AccessKeyId, SignatureMethod, SignatureVersion, Timestamp, Signature } = req.query;
+      req.account = this.verifySignature(req.method, req.headers.host, req.path,
+        { AccessKeyId, SignatureMethod, SignatureVersion, Timestamp, Signature });
+      if (!req.account) {
+        return res.json({ status: 'error', 'err-code': 'api-signature-not-valid', 'err-msg': 'Signature not valid: Verification failure', ts: Date.now() });
+      }
+      next();
+    });
+
+    // 全仓接口与逐仓接口共用处理函数：swap_xxx 和 swap_cross_xxx
+    const route = (name, handler) => {
+      [['isolated', `/linear-swap-api/v1/swap_${name}`], ['cross', `/linear-swap-api/v1/swap_cross_${name}`]]
+        .forEach(([marginMode, path]) => {
+          app.post(path, (req, res) => {
+            try {
+              res.json({ status: 'ok', data: handler(req.account, req.body || {}, marginMode), ts: Date.now() });
+            } catch (error) {
+              res.json(MockHTXExchange.errorResponse(error));
+            }
+          });
+        });
+    };
+
+    route('order', (account, body, marginMode) => {
+      const order = account.placeOrder(body, marginMode);
+      return { order_id: order.order_id, order_id_str: order.order_id_str, client_order_id: order.client_order_id };
+    });
+    route('order_info', (account, body) => account.getOrders(body));
+    route('cancel', (account, body) => account.cancelOrders(body));
+    route('openorders', (account, body, marginMode) => {
+      const orders = account.getOpenOrders(body.contract_code, marginMode);
+      return { orders, total_page: 1, current_page: 1, total_size: orders.length };
+    });
+    route('tpsl_order', (account, body, marginMode) => account.placeTpsl(body, marginMode));
+    route('tpsl_cancelall', (account, body, marginMode) => account.cancelAllTpsl(body, marginMode));
+    route('position_info', (account, body, marginMode) => account.getPositions(marginMode, body.contract_code || null));
+
+    app.post('/linear-swap-api/v1/swap_account_info', (req, res) => {
+      const codes = req.body?.contract_code ? [req.body.contract_code] : [...this.contracts.keys()];
+      res.json({ status: 'ok', data: codes.map(code => req.account.getAccountView('isolated', code)), ts: Date.now() });
+    });
+
+    app.post('/linear-swap-api/v1/swap_cross_account_info', (req, res) => {
+      res.json({ status: 'ok', data: [req.account.getAccountView('cross')], ts: Date.now() });
+    });
+
+    app.get('/linear-swap-api/v3/unified_account_info', (req, res) => {
+      res.json({ code: 200, msg: 'ok', data: [req.account.getAccountView('unified')], ts: Date.now() });
+    });
+
+    // 模拟盘不结算资金费，财务流水为空
+    app.post('/linear-swap-api/v3/swap_financial_record', (req, res) => {
+      res.json({ code: 200, msg: '', data: [], ts: Date.now() });
+    });
+
+    app.post('/linear-swap-api/v1/swap_order_limit', (req, res) => {
+      const list = [...this.contracts.values()].map(contract => ({
+        symbol: contract.symbol,
+        contract_code: contract.contractCode,
+        open_limit: 10000,
+        close_limit: 10000
+      }));
+      res.json({ status: 'ok', data: { order_price_type: req.body?.order_price_type || 'limit', list }, ts: Date.now() });
+    });
+
+    app.get('/api/v1/timestamp', (req, res) => {
+      res.json({ status: 'ok', ts: Date.now() });
+    });
+
+    app.get('/linear-swap-api/v1/swap_contract_info', (req, res) => {
+      res.json({ status: 'ok', data: this.getContractInfoList(req.query.contract_code), ts: Date.now() });
+    });
+
+    app.get('/linear-swap-api/v1/swap_funding_rate', (req, res) => {
+      const item = this.getFundingRateItem(req.query.contract_code);
+      if (!item) {
+        return res.json(MockHTXExchange.errorResponse(createApiError(1014, 'This contract doesnt exist.')));
+      }
+      res.json({ status: 'ok', data: item, ts: Date.now() });
+    });
+
+    // 历史K线（旧 → 新）
+    app.get('/linear-swap-ex/market/history/kline', (req, res) => {
+      const { contract_code: code, period } = req.query;
+      const simulator = this.simulators.get(code);
+      const size = Math.min(Number(req.query.size) || 150, 2000);
+      const candles = simulator && simulator.getCandles(period, size);
+      if (!candles) {
+        return res.json({ status: 'error', 'err-code': 'invalid-parameter', 'err-msg': `invalid contract_code or period: ${code} ${period}`, ts: Date.now() });
+      }
+      res.json({ ch: `market.${code}.kline.${period}`, status: 'ok', data: candles, ts: Date.now() });
+    });
+
+    app.use((req, res) => {
+      res.status(404).json({ status: 'error', err_code: 404, err_msg: `Mock exchange does not support ${req.method} ${req.path}`, ts: Date.now() });
+    });
+  }
+
+  getContractInfoList(contractCode = null) {
+    return [...this.contracts.values()]
+      .filter(contract => !contractCode || contract.contractCode === contractCode)
+      .map(contract => ({
+        symbol: contract.symbol,
+        contract_code: contract.contractCode,
+        contract_size: contract.contractSize,
+        price_tick: contract.priceTick,
+        contract_status: 1,
+        support_margin_mode: 'all',
+        business_type: 'swap',
+        contract_type: 'swap',
+        pair: contract.contractCode,
+        trade_partition: 'USDT',
+        delivery_date: '',
+        create_date: '20201021'
+      }));
+  }
+
+  getFundingRateItem(contractCode) {
+    const contract = this.contracts.get(contractCode);
+    if (!contract) return null;
+
+    // 每 8 小时结算一次
+    const period = 8 * 60 * 60 * 1000;
+    const settlementTime = Math.ceil(Date.now() / period) * period;
+    return {
+      symbol: contract.symbol,
+      contract_code: contractCode,
+      fee_asset: 'USDT',
+      funding_time: String(settlementTime - period),
+      funding_rate: String(this.fundingRate),
+      estimated_rate: String(this.fundingRate),
+      settlement_time: String(settlementTime)
+    };
+  }
+
+  static errorResponse(error) {
+    return { status: 'error', err_code: error.code || 1000, err_msg: error.message, ts: Date.now() };
+  }
+
+  // ==================== 私有频道 ====================
+
+  handlePrivateConnection(ws, req) {
+    ws.host = req.headers.host;
+    ws.path = new URL(req.url, 'http://localhost').pathname;
+    ws.account = null;
+    ws.topics = new Set(); // 已订阅的 topic（原样保存，推送时带回）
+
+    ws.on('message', (raw) => {
+      let message;
+      try {
+        message = JSON.parse(raw.toString());
+      } catch (error) {
+        return;
+      }
+
+      switch (message.op) {
+        case 'auth':
+          this.handleAuth(ws, message);
+          break;
+        case 'sub':
+          this.handlePrivateSub(ws, message);
+          break;
+        case 'unsub':
+          ws.topics.delete(message.topic);
+          this.send(ws, { op: 'unsub', cid: message.cid, topic: message.topic, ts: Date.now(), 'err-code': 0 });
+          break;
+        default:
+          break; // pong 等消息不需要处理
+      }
+    });
+  }
+
+  handleAuth(ws, message) {
+    const { AccessKeyId, SignatureMethod, SignatureVersion, Timestamp, Signature } = message;
+    const account = this.verifySignature('GET', ws.host, ws.path,
+      { AccessKeyId, SignatureMethod, SignatureVersion, Timestamp, Signature });
+    ws.account = account;
+    this.send(ws, account
+      ? { op: 'auth', type: 'api', ts: Date.now(), 'err-code': 0, data: { 'user-id': String(account.uid) } }
+      : { op: 'auth', type: 'api', ts: Date.now(), 'err-code': 2003, 'err-msg': 'auth.fail' });
+  }
+
+  handlePrivateSub(ws, message) {
+    const topic = message.topic || '';
+    const isPublic = topic.startsWith('public.');
+    const ack = { op: 'sub', cid: message.cid, topic, ts: Date.now() };
+
+    if (!isPublic && !ws.account) {
+      this.send(ws, { ...ack, 'err-code': 2002, 'err-msg': 'invalid.auth.state' });
+      return;
+    }
+    if (!MockHTXExchange.parsePrivateTopic(topic)) {
+      this.send(ws, { ...ack, 'err-code': 2001, 'err-msg': 'invalid.topic' });
+      return;
+    }
+
+    ws.topics.add(topic);
+    this.send(ws, { ...ack, 'err-code': 0 });
+    this.sendSnapshot(ws, topic);
+  }
+
+  /**
+   * 订阅成功后推送快照（持仓、账户、资金费率、合约信息）
+   */
+  sendSnapshot(ws, topic) {
+    const { channel, code } = MockHTXExchange.parsePrivateTopic(topic);
+    const codes = code === '*' ? [...this.contracts.keys()] : [code];
+    const ts = Date.now();
+
+    if (channel === 'positions' || channel === 'positions_cross') {
+      const marginMode = channel === 'positions_cross' ? 'cross' : 'isolated';
+      const data = ws.account.getPositions(marginMode).filter(p => code === '*' || p.contract_code === code);
+      this.send(ws, { op: 'notify', topic, ts, uid: String(ws.account.uid), event: 'snapshot', data });
+    } else if (channel.startsWith('accounts')) {
+      this.send(ws, { op: 'notify', topic, ts, uid: String(ws.account.uid), event: 'snapshot', data: this.getAccountPushData(ws.account, channel, code, null) });
+    } else if (channel === 'funding_rate') {
+      const data = codes.map(c => this.getFundingRateItem(c)).filter(Boolean);
+      this.send(ws, { op: 'notify', topic, ts, data });
+    } else if (channel === 'contract_info') {
+      this.send(ws, { op: 'notify', topic, ts, event: 'snapshot', data: this.getContractInfoList(code === '*' ? null : code) });
+    }
+  }
+
+  /**
+   * 把账户事件转成私有频道推送
+   */
+  bindAccount(account) {
+    account.on('order', order => {
+      const channel = order.margin_mode === 'cross' ? 'orders_cross' : 'orders';
+      this.pushToAccount(account, channel, order.contract_code, topic => ({
+        op: 'notify', topic, ts: Date.now(), uid: String(account.uid), ...MockAccount.toOrderView(order)
+      }));
+    });
+
+    account.on('match', order => {
+      const channel = order.margin_mode === 'cross' ? 'matchorders_cross' : 'matchorders';
+      this.pushToAccount(account, channel, order.contract_code, topic => ({
+        op: 'notify', topic, ts: Date.now(), uid: String(account.uid),
+        symbol: order.symbol, contract_code: order.contract_code, margin_mode: order.margin_mode,
+        margin_account: order.margin_account, status: order.status, order_id: order.order_id,
+        order_id_str: order.order_id_str, client_order_id: order.client_order_id, order_type: order.order_type,
+        direction: order.direction, offset: order.offset, lever_rate: order.lever_rate,
+        volume: order.volume, trade_volume: order.trade_volume, created_at: order.created_at, trade: order.trade
+      }));
+    });
+
+    account.on('positions', ({ contractCode, direction, marginMode, event }) => {
+      const channel = marginMode === 'cross' ? 'positions_cross' : 'positions';
+      const data = [account.getPositionView(contractCode, direction, marginMode)];
+      this.pushToAccount(account, channel, contractCode, topic => ({
+        op: 'notify', topic, ts: Date.now(), uid: String(account.uid), event, data
+      }));
+    });
+
+    account.on('accounts', ({ contractCode, event }) => {
+      ['accounts', 'accounts_cross', 'accounts_unify'].forEach(channel => {
+        this.pushToAccount(account, channel, contractCode, (topic, code) => ({
+          op: 'notify', topic, ts: Date.now(), uid: String(account.uid), event,
+          data: this.getAccountPushData(account, channel, code, contractCode)
+        }));
+      });
+    });
+  }
+
+  /**
+   * 账户推送的 data
+   * @param {string} code - 订阅的代码（* / 合约 / 保证金币种）
+   * @param {string} contractCode - 发生变化的合约（快照时为 null）
+   */
+  getAccountPushData(account, channel, code, contractCode) {
+    if (channel === 'accounts_unify') {
+      return [account.getAccountView('unified')];
+    }
+    if (channel === 'accounts_cross') {
+      return [account.getAccountView('cross')];
+    }
+    const codes = contractCode ? [contractCode] : code === '*' ? [...this.contracts.keys()] : [code];
+    return codes.map(c => account.getAccountView('isolated', c));
+  }
+
+  /**
+   * 推送给该账户所有订阅了对应频道的连接
+   * @param {Function} build - (订阅的 topic, 订阅的代码) => 消息
+   */
+  pushToAccount(account, channel, contractCode, build) {
+    this.privateWss.clients.forEach(ws => {
+      if (ws.account !== account) return;
+      ws.topics.forEach(topic => {
+        const parsed = MockHTXExchange.parsePrivateTopic(topic);
+        if (parsed.channel !== channel) return;
+        // 全仓和统一账户的余额按保证金币种订阅，任意合约变化都推送
+        const matched = parsed.code === '*' || parsed.code === contractCode
+          || channel === 'accounts_cross' || channel === 'accounts_unify';
+        if (matched) {
+          this.send(ws, build(topic, parsed.code));
+        }
+      });
+    });
+  }
+
+  /**
+   * 解析私有频道 topic，如 orders_cross.BTC-USDT、public.*.funding_rate
+   * @returns {{channel, code}|null} channel 为小写
+   */
+  static parsePrivateTopic(topic) {
+    const parts = topic.split('.');
+    if (parts[0] === 'public' && parts.length === 3) {
+      return { channel: parts[2].toLowerCase(), code: parts[1].toUpperCase() };
+    }
+    const channels = ['orders', 'orders_cross', 'matchorders', 'matchorders_cross', 'positions', 'positions_cross',
+      'accounts', 'accounts_cross', 'accounts_unify', 'trigger_order', 'trigger_order_cross'];
+    const channel = parts[0].toLowerCase();
+    if (parts.length !== 2 || !channels.includes(channel)) {
+      return null;
+    }
+    return { channel, code: parts[1].toUpperCase() };
+  }
+
+  /**
+   * 定时推送资金费率（public.$contract_code.funding_rate，不需要鉴权）
+   */
+  pushFundingRates() {
+    const ts = Date.now();
+    this.privateWss.clients.forEach(ws => {
+      ws.topics.forEach(topic => {
+        const parsed = MockHTXExchange.parsePrivateTopic(topic);
+        if (parsed.channel !== 'funding_rate') return;
+        const codes = parsed.code === '*' ? [...this.contracts.keys()] : [parsed.code];
+        const data = codes.map(code => this.getFundingRateItem(code)).filter(Boolean);
+        this.send(ws, { op: 'notify', topic, ts, data });
+      });
+    });
+  }
+
+  // ==================== 行情 ====================
+
+  /**
+   * 行情和指数连接：mark_price 只能在指数连接上订阅，其余频道只能在行情连接上订阅
+   */
+  handleMarketConnection(ws, { index = false } = {}) {
+    ws.topics = new Set();
+
+    ws.on('message', (raw) => {
+      let message;
+      try {
+        message = JSON.parse(raw.toString());
+      } catch (error) {
+        return;
+      }
+
+      if (message.sub) {
+        const parsed = MockHTXExchange.parseMarketTopic(message.sub);
+        if (!parsed || !this.simulators.has(parsed.code) || (parsed.type === 'markPrice') !== index) {
+          this.send(ws, { id: message.id, status: 'error', 'err-code': 'bad-request', 'err-msg': `invalid topic ${message.sub}`, ts: Date.now() });
+          return;
+        }
+        ws.topics.add(message.sub);
+        this.send(ws, { id: message.id, status: 'ok', subbed: message.sub, ts: Date.now() });
+      } else if (message.unsub) {
+        ws.topics.delete(message.unsub);
+        this.send(ws, { id: message.id, status: 'ok', unsubbed: message.unsub, ts: Date.now() });
+      }
+    });
+  }
+
+  /**
+   * 推送一个合约的行情给所有订阅者
+   */
+  pushMarket(simulator) {
+    const code = simulator.contractCode;
+    const ts = Date.now();
+    let detail = null; // 多个订阅共用同一份 detail
+
+    [...this.marketWss.clients, ...this.indexWss.clients].forEach(ws => {
+      ws.topics.forEach(topic => {
+        const parsed = MockHTXExchange.parseMarketTopic(topic);
+        if (!parsed || parsed.code !== code) return;
+
+        let tick = null;
+        switch (parsed.type) {
+          case 'detail':
+          case 'ticker':
+            detail = detail || simulator.getDetail();
+            tick = detail;
+            break;
+          case 'kline':
+          case 'markPrice':
+            tick = simulator.getCurrentCandle(parsed.param);
+            break;
+          case 'depth': {
+            const levels = parsed.param.startsWith('size_') ? parseInt(parsed.param.slice(5), 10) || 20 : 20;
+            const depth = simulator.getDepth(levels);
+            // 增量频道每次都推送快照，客户端按快照重建订单簿
+            tick = parsed.param.endsWith('.high_freq')
+              ? { ...depth, ch: topic, event: 'snapshot', mrid: depth.version, id: Math.floor(ts / 1000) }
+              : { ...depth, ch: topic, mrid: depth.version, id: Math.floor(ts / 1000) };
+            break;
+          }
+          case 'trade':
+            tick = { id: ts, ts, data: simulator.lastTrades };
+            break;
+          case 'bbo': {
+            const depth = simulator.getDepth(1);
+            tick = { ch: topic, mrid: depth.version, id: Math.floor(ts / 1000), bid: depth.bids[0], ask: depth.asks[0], ts, version: depth.version };
+            break;
+          }
+          default:
+            break;
+        }
+
+        if (tick) {
+          this.send(ws, { ch: topic, ts, tick });
+        }
+      });
+    });
+  }
+
+  /**
+   * 解析行情 topic，如 market.BTC-USDT.kline.1min、market.BTC-USDT.depth.size_20.high_freq、market.BTC-USDT.mark_price.1min
+   * @returns {{code, type, param}|null}
+   */
+  static parseMarketTopic(topic) {
+    const parts = topic.split('.');
+    if (parts[0] !== 'market' || parts.length < 3) {
+      return null;
+    }
+    const code = parts[1].toUpperCase();
+    const rest = parts.slice(2);
+
+    if (rest[0] === 'trade' && rest[1] === 'detail') return { code, type: 'trade', param: null };
+    if (rest.length === 1 && ['detail', 'ticker', 'bbo'].includes(rest[0])) return { code, type: rest[0], param: null };
+    if (rest[0] === 'kline' && rest.length === 2) return { code, type: 'kline', param: rest[1] };
+    if (rest[0] === 'mark_price' && rest.length === 2) return { code, type: 'markPrice', param: rest[1] };
+    if (rest[0] === 'depth' && rest.length >= 2) return { code, type: 'depth', param: rest.slice(1).join('.') };
+    return null;
+  }
+
+  // ==================== 连接工具 ====================
+
+  send(ws, message) {
+    if (ws.readyState === ws.OPEN) {
+      ws.send(pako.gzip(JSON.stringify(message)));
+    }
+  }
+
+  /**
+   * 心跳：私有频道 {op:'ping'}，行情和指数 {ping}
+   */
+  sendPings() {
+    const ts = Date.now();
+    this.privateWss.clients.forEach(ws => this.send(ws, { op: 'ping', ts: String(ts) }));
+    [...this.marketWss.clients, ...this.indexWss.clients].forEach(ws => this.send(ws, { ping: ts }));
+  }
+}
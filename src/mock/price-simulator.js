@@ -0,0 +1,255 @@
+/**
+ * 模拟行情：按脚本或随机游走生成价格，并维护各周期K线、盘口和成交
+ * 供 MockHTXExchange 使用
+ *
+ * 价格脚本（每个合约）：
+ * {
+ *   "start": 65000,                     // 初始价格
+ *   "path": [                           // 依次执行的价格段，执行完后保持随机游走
+ *     { "duration": 60000, "to": 66000 },                    // 60 秒内线性走到 66000
+ *     { "duration": 30000, "to": 64000, "volatility": 0.002 } // 每个 tick 叠加 ±0.2% 的随机波动
+ *   ],
+ *   "loop": false,                      // 执行完后是否从头重复
+ *   "volatility": 0.0005                // 没有价格段时每个 tick 的随机波动
+ * }
+ */
+
+// 各周期的秒数
+const PERIOD_SECONDS = {
+  '1min': 60,
+  '5min': 5 * 60,
+  '15min': 15 * 60,
+  '30min': 30 * 60,
+  '60min': 60 * 60,
+  '4hour': 4 * 60 * 60,
+  '1day': 24 * 60 * 60,
+  '1week': 7 * 24 * 60 * 60,
+  '1mon': 30 * 24 * 60 * 60
+};
+
+const HISTORY_SIZE = 300; // 每个周期预生成的历史K线数量
+
+export class PriceSimulator {
+  /**
+   * @param {string} contractCode - 合约代码
+   * @param {object} script - 价格脚本，见文件顶部说明
+   * @param {object} contract - { contractSize, priceTick }
+   */
+  constructor(contractCode, script, contract) {
+    this.contractCode = contractCode;
+    this.contractSize = contract.contractSize;
+    this.priceTick = contract.priceTick;
+    // 价格小数位数，如 0.1 -> 1，0.5 -> 1，1e-7 -> 7
+    const tickText = String(contract.priceTick);
+    this.pricePrecision = tickText.includes('e-')
+      ? parseInt(tickText.split('e-')[1], 10)
+      : (tickText.split('.')[1] || '').length;
+    this.path = script.path || [];
+    this.loop = script.loop === true;
+    this.volatility = script.volatility ?? 0.0005;
+
+    this.price = this.roundPrice(script.start);
+    this.segmentIndex = 0;
+    this.segmentStart = Date.now();
+    this.segmentFrom = this.price;
+
+    this.series = new Map(); // period -> K线（旧 → 新）
+    this.depthVersion = 0;
+    this.tradeId = Date.now() * 100;
+    this.lastTrades = [];
+  }
+
+  /**
+   * 推进一个 tick，返回新价格
+   */
+  step(now = Date.now()) {
+    const previous = this.price;
+    let next;
+
+    const segment = this.path[this.segmentIndex];
+    if (segment) {
+      const progress = Math.min(1, (now - this.segmentStart) / segment.duration);
+      const base = this.segmentFrom + (segment.to - this.segmentFrom) * progress;
+      next = base * (1 + PriceSimulator.noise(segment.volatility ?? 0));
+
+      if (progress >= 1) {
+        this.segmentIndex++;
+        this.segmentStart = now;
+        this.segmentFrom = segment.to;
+        if (this.loop && this.segmentIndex >= this.path.length) {
+          this.segmentIndex = 0;
+        }
+      }
+    } else {
+      next = previous * (1 + PriceSimulator.noise(this.volatility));
+    }
+
+    this.price = Math.max(this.priceTick, this.roundPrice(next));
+    this.updateCandles(now, previous);
+    return this.price;
+  }
+
+  /**
+   * 用最新价格更新所有已生成的周期
+   */
+  updateCandles(now, previous) {
+    const trades = this.generateTrades(now, previous);
+    const volume = trades.reduce((sum, t) => sum + t.amount, 0);
+    const quantity = volume * this.contractSize;
+
+    this.series.forEach((candles, period) => {
+      const id = PriceSimulator.bucket(now, period);
+      const latest = candles[candles.length - 1];
+      if (latest && latest.id === id) {
+        latest.close = this.price;
+        latest.high = Math.max(latest.high, this.price);
+        latest.low = Math.min(latest.low, this.price);
+        latest.vol += volume;
+        latest.amount += quantity;
+        latest.trade_turnover += quantity * this.price;
+        latest.count += trades.length;
+      } else {
+        candles.push(this.createCandle(id, latest ? latest.close : this.price, this.price, volume));
+        if (candles.length > HISTORY_SIZE * 4) {
+          candles.shift();
+        }
+      }
+    });
+  }
+
+  /**
+   * 获取K线（旧 → 新），首次请求时向前生成历史数据
+   */
+  getCandles(period, size = 150) {
+    if (!PERIOD_SECONDS[period]) {
+      return null;
+    }
+    if (!this.series.has(period)) {
+      this.series.set(period, this.generateHistory(period, Math.max(HISTORY_SIZE, size)));
+    }
+    const candles = this.series.get(period);
+    return candles.slice(-size);
+  }
+
+  /**
+   * 当前K线（推送用）
+   */
+  getCurrentCandle(period) {
+    const candles = this.getCandles(period, 1);
+    return candles ? candles[candles.length - 1] : null;
+  }
+
+  /**
+   * 向前随机游走生成历史K线，最后一根收盘价等于当前价格
+   */
+  generateHistory(period, size) {
+    const seconds = PERIOD_SECONDS[period];
+    const volatility = Math.max(this.volatility, 0.0005) * Math.sqrt(seconds / 10);
+    const currentId = PriceSimulator.bucket(Date.now(), period);
+
+    const candles = [];
+    let close = this.price;
+    for (let i = 0; i < size; i++) {
+      const open = this.roundPrice(close * (1 + PriceSimulator.noise(volatility)));
+      const volume = Math.round(50 + Math.random() * 500);
+      candles.unshift(this.createCandle(currentId - i * seconds, open, close, volume));
+      close = open;
+    }
+    return candles;
+  }
+
+  createCandle(id, open, close, volume) {
+    const spread = Math.abs(close - open) * Math.random() * 0.5;
+    const quantity = volume * this.contractSize;
+    return {
+      id,
+      open,
+      close,
+      high: this.roundPrice(Math.max(open, close) + spread),
+      low: this.roundPrice(Math.min(open, close) - spread),
+      vol: volume,
+      amount: quantity,
+      trade_turnover: quantity * close,
+      count: Math.max(1, Math.round(volume / 10))
+    };
+  }
+
+  /**
+   * 生成本 tick 的成交（方向跟随价格变化）
+   */
+  generateTrades(now, previous) {
+    const count = 1 + Math.floor(Math.random() * 3);
+    const direction = this.price >= previous ? 'buy' : 'sell';
+    const trades = [];
+    for (let i = 0; i < count; i++) {
+      const amount = 1 + Math.floor(Math.random() * 200);
+      const quantity = amount * this.contractSize;
+      trades.push({
+        id: ++this.tradeId,
+        ts: now,
+        price: this.price,
+        amount,
+        quantity,
+        trade_turnover: quantity * this.price,
+        direction: Math.random() < 0.7 ? direction : (direction === 'buy' ? 'sell' : 'buy')
+      });
+    }
+    this.lastTrades = trades;
+    return trades;
+  }
+
+  /**
+   * 围绕当前价格生成盘口
+   * @param {number} levels - 档位数量
+   */
+  getDepth(levels = 20) {
+    const bids = [];
+    const asks = [];
+    for (let i = 0; i < levels; i++) {
+      const offset = this.priceTick * (i + 1);
+      bids.push([this.roundPrice(this.price - offset), 1 + Math.floor(Math.random() * 500)]);
+      asks.push([this.roundPrice(this.price + offset), 1 + Math.floor(Math.random() * 500)]);
+    }
+    return { bids, asks, version: ++this.depthVersion, ts: Date.now() };
+  }
+
+  /**
+   * 24 小时行情（market.$contract_code.detail）
+   */
+  getDetail() {
+    const day = this.getCandles('60min', 24);
+    const depth = this.getDepth(1);
+    return {
+      id: Math.floor(Date.now() / 1000),
+      open: day[0].open,
+      close: this.price,
+      high: Math.max(...day.map(c => c.high), this.price),
+      low: Math.min(...day.map(c => c.low), this.price),
+      amount: day.reduce((sum, c) => sum + c.amount, 0),
+      vol: day.reduce((sum, c) => sum + c.vol, 0),
+      trade_turnover: day.reduce((sum, c) => sum + c.trade_turnover, 0),
+      count: day.reduce((sum, c) => sum + c.count, 0),
+      ask: depth.asks[0],
+      bid: depth.bids[0]
+    };
+  }
+
+  roundPrice(price) {
+    return Number((Math.round(price / this.priceTick) * this.priceTick).toFixed(this.pricePrecision));
+  }
+
+  /**
+   * 周期起始时间（秒）
+   */
+  static bucket(now, period) {
+    const seconds = PERIOD_SECONDS[period];
+    return Math.floor(now / 1000 / seconds) * seconds;
+  }
+
+  /**
+   * 均匀分布的随机波动 [-volatility, volatility]
+   */
+  static noise(volatility) {
+    return (Math.random() * 2 - 1) * volatility;
+  }
+}
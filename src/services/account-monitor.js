@@ -0,0 +1,214 @@
+import { ExchangeAdapter } from '../exchanges/exchange-adapter.js';
+
+/**
+ * 账户监控
+ * 跟踪各账户（多账户时按账户标签区分；统一账户、全仓账户按保证金币种，逐仓账户按合约）的权益、可用保证金、冻结保证金、
+ * 未实现盈亏和交易所保证金率（riskRate）的变化，指标越过阈值时触发 alert 事件，恢复时再触发一次
+ *
+ * 保证金占用率 = (权益 - 可用保证金) / 权益，即持仓保证金和挂单冻结占权益的比例
+ *
+ * 事件：
+ * - alert ({ rule, state: triggered / recovered, value, threshold, account })
+ *   rule：marginRatio（占用率过高）/ available（可用余额过低）/ riskRate（保证金率过低）
+ */
+export class AccountMonitor {
+  /**
+   * @param {object} config - 见 market-config.js 的 accountConfig
+   */
+  constructor(config = {}) {
+    this.setConfig(config);
+
+    // 账户 key -> { account, marginRatio, history, alerts, updatedAt }
+    this.accounts = new Map();
+    this.eventHandlers = {
+      alert: []
+    };
+  }
+
+  setConfig(config = {}) {
+    this.config = {
+      enabled: config.enabled !== false,
+      marginRatioThreshold: config.marginRatioThreshold || 80, // 百分比
+      minAvailable: config.minAvailable || 0, // 以保证金币种计，0 为不检查
+      riskRateThreshold: config.riskRateThreshold || 0, // 0 为不检查
+      minNotifyInterval: config.minNotifyInterval || 10 * 60 * 1000,
+      sampleInterval: config.sampleInterval || 60 * 1000,
+      historyWindow: config.historyWindow || 24 * 60 * 60 * 1000
+    };
+  }
+
+  /**
+   * 处理账户推送（统一格式的 Account），缺失的字段沿用上次的值
+   * @returns {object|null} 更新后的账户快照，权益为 0 的逐仓账户返回 null
+   */
+  update(account, now = Date.now()) {
+    const key = AccountMonitor.getKey(account);
+    const state = this.accounts.get(key) || { account: {}, history: [], alerts: {} };
+
+    const merged = { ...state.account };
+    Object.entries(account).forEach(([field, value]) => {
+      if (value !== undefined) {
+        merged[field] = value;
+      }
+    });
+    state.account = merged;
+    state.updatedAt = now;
+
+    // 没有资金的逐仓账户（订阅 accounts.* 时每个合约都会推送）不跟踪
+    if (merged.accountType === 'isolated' && !(merged.marginBalance > 0)) {
+      this.accounts.delete(key);
+      return null;
+    }
+    this.accounts.set(key, state);
+
+    state.marginRatio = AccountMonitor.getMarginRatio(merged);
+    this.sample(state, now);
+
+    if (this.config.enabled) {
+      this.checkThresholds(state, now);
+    }
+    return this.toSnapshot(key, state);
+  }
+
+  /**
+   * 按采样间隔记录历史，只保留 historyWindow 内的样本
+   */
+  sample(state, now) {
+    const { account, marginRatio, history } = state;
+    const last = history[history.length - 1];
+    const point = {
+      ts: now,
+      marginBalance: account.marginBalance ?? null,
+      marginAvailable: account.marginAvailable ?? null,
+      profitUnreal: account.profitUnreal ?? null,
+      marginRatio,
+      riskRate: account.riskRate ?? null
+    };
+
+    if (last && now - last.ts < this.config.sampleInterval) {
+      history[history.length - 1] = { ...point, ts: last.ts };
+    } else {
+      history.push(point);
+    }
+
+    const cutoff = now - this.config.historyWindow;
+    while (history.length > 1 && history[0].ts < cutoff) {
+      history.shift();
+    }
+  }
+
+  /**
+   * 检查阈值：进入风险区时提醒（持续处于风险区时按最小间隔重复），回到安全区时发送一次恢复提醒
+   */
+  checkThresholds(state, now) {
+    const { account, marginRatio } = state;
+    const { marginRatioThreshold, minAvailable, riskRateThreshold } = this.config;
+
+    const rules = [
+      {
+        rule: 'marginRatio',
+        value: marginRatio === null ? null : marginRatio * 100,
+        threshold: marginRatioThreshold,
+        breached: value => value >= marginRatioThreshold
+      },
+      {
+        rule: 'available',
+        value: account.marginAvailable ?? null,
+        threshold: minAvailable,
+        breached: value => minAvailable > 0 && value < minAvailable
+      },
+      {
+        rule: 'riskRate',
+        value: account.riskRate ?? null,
+        threshold: riskRateThreshold,
+        breached: value => riskRateThreshold > 0 && value < riskRateThreshold
+      }
+    ];
+
+    rules.forEach(({ rule, value, threshold, breached }) => {
+      if (value === null || !Number.isFinite(value)) {
+        return;
+      }
+      const alert = state.alerts[rule] || (state.alerts[rule] = { active: false, lastNotifyTime: 0 });
+
+      if (breached(value)) {
+        if (!alert.active || now - alert.lastNotifyTime >= this.config.minNotifyInterval) {
+          alert.active = true;
+          alert.lastNotifyTime = now;
+          this.emit('alert', { rule, state: 'triggered', value, threshold, account: { ...account, marginRatio } });
+        }
+      } else if (alert.active) {
+        alert.active = false;
+        this.emit('alert', { rule, state: 'recovered', value, threshold, account: { ...account, marginRatio } });
+      }
+    });
+  }
+
+  /**
+   * 所有账户的快照（供 Web 界面展示）
+   */
+  getAccounts() {
+    return Array.from(this.accounts, ([key, state]) => this.toSnapshot(key, state));
+  }
+
+  /**
+   * 账户快照：当前值 + 历史窗口内的权益变化和最高 / 最低值
+   */
+  toSnapshot(key, state) {
+    const { account, marginRatio, history, alerts, updatedAt } = state;
+    const balances = history.map(point => point.marginBalance).filter(value => value !== null);
+    const first = balances[0];
+
+    return {
+      key,
+      exchange: account.exchange,
+      account: account.account ?? null, // 账户标签
+      accountType: account.accountType,
+      marginAsset: account.marginAsset,
+      contractCode: account.contractCode,
+      marginBalance: account.marginBalance ?? null,
+      marginAvailable: account.marginAvailable ?? null,
+      marginFrozen: account.marginFrozen ?? null,
+      marginPosition: account.marginPosition ?? null,
+      profitUnreal: account.profitUnreal ?? null,
+      riskRate: account.riskRate ?? null,
+      marginRatio,
+      balanceChange: first !== undefined && account.marginBalance !== undefined ? account.marginBalance - first : null,
+      balanceHigh: balances.length > 0 ? Math.max(...balances) : null,
+      balanceLow: balances.length > 0 ? Math.min(...balances) : null,
+      historyStart: history[0]?.ts ?? null,
+      activeAlerts: Object.keys(alerts).filter(rule => alerts[rule].active),
+      updatedAt
+    };
+  }
+
+  /**
+   * 账户 key：交易所（多账户时带账户标签）+ 账户类型 + 保证金币种（逐仓再加合约）
+   */
+  static getKey({ exchange, account, accountType, marginAsset, contractCode }) {
+    const base = `${ExchangeAdapter.getKey(exchange, account)}:${accountType}:${marginAsset || '--'}`;
+    return accountType === 'isolated' && contractCode ? `${base}:${contractCode}` : base;
+  }
+
+  /**
+   * 保证金占用率（小数），权益未知或为 0 时为 null
+   */
+  static getMarginRatio({ marginBalance, marginAvailable }) {
+    if (!(marginBalance > 0) || marginAvailable === undefined || marginAvailable === null) {
+      return null;
+    }
+    return Math.max(0, marginBalance - marginAvailable) / marginBalance;
+  }
+
+  on(event, handler) {
+    if (this.eventHandlers[event]) {
+      this.eventHandlers[event].push(handler);
+    }
+  }
+
+  emit(event, ...args) {
+    if (this.eventHandlers[event]) {
+      this.eventHandlers[event].forEach(handler => handler(...args));
+    }
+  }
+}
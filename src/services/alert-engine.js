@@ -0,0 +1,465 @@
+import { createLogger } from '../utils/logger.js';
+
+const logger = createLogger('告警引擎');
+
+/**
+ * 规则类型注册表：type -> { trigger, evaluate, format, historyWindow, candleSize }
+ * - trigger：price（默认，每次价格推送时评估）/ candle（K线收盘时评估，周期为 rule.condition.period）
+ * - evaluate(rule, tick, history)：满足条件时返回触发详情（match），否则返回 null
+ *   price：tick 为 { symbol, price, ts }，history 为该合约的 [{ price, timestamp }]（含本次）
+ *   candle：tick 为 { symbol, period, price（收盘价）, ts }，history 为已收盘的K线（新→旧，第一根为刚收盘的K线）
+ * - format(rule, tick, match)：通知内容 { telegram, barkTitle, barkBody, options }
+ * - historyWindow(rule)：price 类型需要保留的价格历史时长（毫秒，可选）
+ * - candleSize(rule)：candle 类型评估时需要的已收盘K线条数
+ */
+const ruleTypes = new Map();
+
+/**
+ * 注册规则类型（新增告警类型不需要修改监控程序）
+ */
+export function registerAlertRuleType(type, definition) {
+  ruleTypes.set(type, definition);
+}
+
+/**
+ * 已注册的规则类型
+ */
+export function getAlertRuleTypes() {
+  return Array.from(ruleTypes.keys());
+}
+
+/**
+ * 告警引擎
+ * 按声明式规则评估行情价格和收盘K线，触发时发出 alert 事件，由监控程序按规则的渠道发送通知
+ *
+ * 规则（Redis 配置中的 alertRules；旧的 priceTargets / priceChangeConfig 由 fromLegacyConfig 转换）：
+ *   { id, type, symbol（合约代码、合约代码数组或 *）, condition（由规则类型解释）,
+ *     cooldown（毫秒，同一规则同一合约两次提醒的最小间隔，0 为不限制）, channels（telegram / bark，不设置时发送到全部渠道）,
+ *     enabled（默认 true）, once（触发一次后停用）, lastTriggeredAt（上次触发时间，重启后继续冷却）}
+ *
+ * 内置规则类型：
+ * - priceTarget：condition { direction: above / below, price, rangePercent }，
+ *   rangePercent > 0 时只在 目标价 ~ 目标价 ±幅度 范围内提醒（避免价格远离目标后持续提醒）
+ * - priceChange：condition { windows: [{ name, duration, threshold（百分比）, amountThreshold（价格）}] }，
+ *   任一窗口的涨跌幅或涨跌额达到阈值时触发，通知变化幅度最大的窗口
+ * 技术指标规则类型（K线收盘时评估）见 indicator-alerts.js
+ *
+ * 事件：
+ * - alert ({ rule, symbol, price, ts, match, message })：规则满足条件
+ * - delivered ({ rule, symbol, price, ts, match, message })：通知已送达，已记录触发时间（冷却、once 从此时生效）
+ */
+export class AlertEngine {
+  /**
+   * @param {object} options
+   * @param {Function} options.deliver - 发送通知 async (alert) => 是否送达；送达后才记录触发状态，
+   *   未送达或出错时下次满足条件继续提醒，发送期间该规则不再评估（不设置时触发即记录）
+   */
+  constructor(rules = [], options = {}) {
+    this.rules = [];
+    this.deliver = options.deliver || null;
+    // `${rule.id}|${symbol}` -> { lastTriggeredAt, done, delivering }
+    this.states = new Map();
+    // symbol -> [{ price, timestamp }]
+    this.history = new Map();
+    this.eventHandlers = {
+      alert: [],
+      delivered: []
+    };
+    this.setRules(rules);
+  }
+
+  /**
+   * 替换全部规则（配置热重载），保留仍然存在的规则的冷却状态
+   */
+  setRules(rules = []) {
+    this.rules = rules
+      .map((rule, index) => ({
+        enabled: true,
+        cooldown: 0,
+        ...rule,
+        id: rule.id || `${rule.type}:${index}`
+      }))
+      .filter(rule => {
+        if (!ruleTypes.has(rule.type)) {
+          logger.warn(`未知的告警规则类型: ${rule.type}（可选: ${getAlertRuleTypes().join(', ')}），已忽略`);
+          return false;
+        }
+        return true;
+      });
+
+    const ids = new Set(this.rules.map(rule => rule.id));
+    for (const key of Array.from(this.states.keys())) {
+      if (!ids.has(key.split('|')[0])) {
+        this.states.delete(key);
+      }
+    }
+  }
+
+  getRules() {
+    return this.rules;
+  }
+
+  /**
+   * 处理一次价格推送，按顺序评估价格类规则
+   * @returns {Array} 本次触发的告警（同时发出 alert 事件）
+   */
+  onPrice(symbol, price, ts = Date.now()) {
+    const tick = { symbol, price, ts };
+    const rules = this.getActiveRules(symbol, 'price');
+    const history = this.updateHistory(tick, rules);
+    return this.evaluateRules(rules, tick, history);
+  }
+
+  /**
+   * 处理一根K线收盘，评估该周期的K线类规则
+   * @param {Array} candles - 已收盘的K线（新→旧）
+   * @returns {Array} 本次触发的告警（同时发出 alert 事件）
+   */
+  onCandleClose(symbol, period, candles, ts = Date.now()) {
+    if (!candles || candles.length === 0) {
+      return [];
+    }
+    const tick = { symbol, period, price: candles[0].close, ts };
+    const rules = this.getActiveRules(symbol, 'candle').filter(rule => rule.condition?.period === period);
+    return this.evaluateRules(rules, tick, candles);
+  }
+
+  /**
+   * K线类规则需要的K线序列（同一合约同一周期取最大条数），由监控程序加载并订阅实时推送
+   * size 包含未收盘的当前K线：收盘事件只传已收盘的K线，比序列少一根
+   * @param {string[]} defaultSymbols - symbol 为 * 的规则使用的合约
+   * @returns {Array<{symbol, period, size}>}
+   */
+  getCandleSeries(defaultSymbols = []) {
+    const series = new Map();
+    this.rules.forEach(rule => {
+      const type = ruleTypes.get(rule.type);
+      if (!rule.enabled || type.trigger !== 'candle' || !rule.condition?.period) {
+        return;
+      }
+      const symbols = rule.symbol === '*' ? defaultSymbols : [].concat(rule.symbol);
+      symbols.forEach(symbol => {
+        const key = `${symbol}:${rule.condition.period}`;
+        const size = Math.max(series.get(key)?.size || 0, type.candleSize(rule) + 1);
+        series.set(key, { symbol, period: rule.condition.period, size });
+      });
+    });
+    return Array.from(series.values());
+  }
+
+  getActiveRules(symbol, trigger) {
+    return this.rules.filter(rule =>
+      rule.enabled &&
+      (ruleTypes.get(rule.type).trigger || 'price') === trigger &&
+      AlertEngine.matchesSymbol(rule, symbol)
+    );
+  }
+
+  /**
+   * 按顺序评估规则：跳过冷却中、发送中和已完成的一次性规则，触发时发出 alert 事件并发送通知（送达后记录状态）
+   */
+  evaluateRules(rules, tick, history) {
+    const { symbol, price, ts } = tick;
+    const alerts = [];
+
+    rules.forEach(rule => {
+      const stateKey = `${rule.id}|${symbol}`;
+      const state = this.states.get(stateKey) || { lastTriggeredAt: 0, done: false, delivering: false };
+      this.states.set(stateKey, state);
+
+      const lastTriggeredAt = Math.max(state.lastTriggeredAt, rule.lastTriggeredAt || 0);
+      if (state.done || state.delivering || (rule.cooldown > 0 && lastTriggeredAt > 0 && ts - lastTriggeredAt < rule.cooldown)) {
+        return;
+      }
+
+      const type = ruleTypes.get(rule.type);
+      const match = type.evaluate(rule, tick, history);
+      if (!match) {
+        return;
+      }
+
+      const alert = { rule, symbol, price, ts, match, message: type.format(rule, tick, match) };
+      alerts.push(alert);
+      this.emit('alert', alert);
+
+      if (!this.deliver) {
+        this.markDelivered(state, alert);
+        return;
+      }
+      state.delivering = true;
+      Promise.resolve()
+        .then(() => this.deliver(alert))
+        .then(delivered => {
+          if (delivered) {
+            this.markDelivered(state, alert);
+          } else {
+            logger.warn(`告警 ${rule.id} (${symbol}) 通知未送达，下次满足条件时重新提醒`);
+          }
+        })
+        .catch(error => logger.error(`告警 ${rule.id} (${symbol}) 通知失败:`, error.message))
+        .finally(() => {
+          state.delivering = false;
+        });
+    });
+
+    return alerts;
+  }
+
+  /**
+   * 记录触发状态（冷却、once）并发出 delivered 事件
+   */
+  markDelivered(state, alert) {
+    state.lastTriggeredAt = alert.ts;
+    state.done = Boolean(alert.rule.once);
+    this.emit('delivered', alert);
+  }
+
+  /**
+   * 记录价格历史，只保留规则需要的最长时间窗口（多保留 5 秒）
+   */
+  updateHistory(tick, rules) {
+    const window = Math.max(0, ...rules.map(rule => ruleTypes.get(rule.type).historyWindow?.(rule) || 0));
+    if (window === 0) {
+      this.history.delete(tick.symbol);
+      return [{ price: tick.price, timestamp: tick.ts }];
+    }
+
+    const cutoff = tick.ts - window - 5000;
+    const history = (this.history.get(tick.symbol) || []).filter(item => item.timestamp > cutoff);
+    history.push({ price: tick.price, timestamp: tick.ts });
+    this.history.set(tick.symbol, history);
+    return history;
+  }
+
+  static matchesSymbol(rule, symbol) {
+    if (rule.symbol === '*') {
+      return true;
+    }
+    return Array.isArray(rule.symbol) ? rule.symbol.includes(symbol) : rule.symbol === symbol;
+  }
+
+  /**
+   * 旧配置转换成规则：priceTargets 的每个目标为一条 priceTarget 规则，
+   * priceChangeConfig 为监控合约上的一条 priceChange 规则
+   * 规则带有 source（priceTargets / priceChangeConfig），监控程序据此把触发状态写回原配置
+   * @param {string[]} watchContracts - 多时间窗口监控的合约
+   */
+  static fromLegacyConfig(config = {}, watchContracts = config.watchContracts || []) {
+    const rules = [];
+
+    if (config.priceTargets?.enabled) {
+      const targets = config.priceTargets.targets || [];
+      const ids = AlertEngine.getLegacyTargetIds(targets);
+      targets.forEach((target, index) => {
+        rules.push({
+          id: ids[index],
+          source: 'priceTargets',
+          type: 'priceTarget',
+          symbol: target.symbol,
+          condition: {
+            direction: target.direction,
+            price: target.targetPrice,
+            rangePercent: target.rangePercent || 0
+          },
+          cooldown: (target.notifyInterval || 0) * 1000, // 旧配置以秒计
+          once: Boolean(target.notifyOnce),
+          lastTriggeredAt: target.lastNotifyTime || 0
+        });
+      });
+    }
+
+    const priceChangeConfig = config.priceChangeConfig;
+    if (priceChangeConfig?.enabled && priceChangeConfig.timeWindows?.length > 0) {
+      rules.push({
+        id: 'priceChangeConfig',
+        source: 'priceChangeConfig',
+        type: 'priceChange',
+        symbol: watchContracts,
+        condition: { windows: priceChangeConfig.timeWindows },
+        cooldown: priceChangeConfig.minNotifyInterval || 0
+      });
+    }
+
+    return rules;
+  }
+
+  /**
+   * 旧价格目标的规则 id（按内容生成，删除其他目标后不变）
+   * 包含幅度、提醒间隔和是否只提醒一次，同一价格的不同目标分别冷却
+   */
+  static getLegacyTargetId(target) {
+    const { symbol, direction, targetPrice, rangePercent = 0, notifyInterval = 0, notifyOnce } = target;
+    return `priceTarget:${symbol}:${direction}:${targetPrice}:range=${rangePercent}:interval=${notifyInterval}${notifyOnce ? ':once' : ''}`;
+  }
+
+  /**
+   * 全部旧价格目标的规则 id，内容完全相同的目标依次加上 #2、#3...
+   */
+  static getLegacyTargetIds(targets) {
+    const counts = new Map();
+    return targets.map(target => {
+      const id = AlertEngine.getLegacyTargetId(target);
+      const count = (counts.get(id) || 0) + 1;
+      counts.set(id, count);
+      return count > 1 ? `${id}#${count}` : id;
+    });
+  }
+
+  on(event, handler) {
+    if (this.eventHandlers[event]) {
+      this.eventHandlers[event].push(handler);
+    }
+  }
+
+  emit(event, ...args) {
+    if (this.eventHandlers[event]) {
+      this.eventHandlers[event].forEach(handler => handler(...args));
+    }
+  }
+}
+
+// ==================== 内置规则类型 ====================
+
+registerAlertRuleType('priceTarget', {
+  evaluate({ condition }, { price }) {
+    const { direction, price: targetPrice, rangePercent = 0 } = condition;
+    let low = targetPrice;
+    let high = targetPrice;
+
+    if (direction === 'above') {
+      // 向上突破：价格 >= 目标价（有幅度时不超过 目标价 + 幅度）
+      high = rangePercent > 0 ? targetPrice * (1 + rangePercent / 100) : Infinity;
+    } else if (direction === 'below') {
+      // 向下突破：价格 <= 目标价（有幅度时不低于 目标价 - 幅度）
+      low = rangePercent > 0 ? targetPrice * (1 - rangePercent / 100) : -Infinity;
+    } else {
+      return null;
+    }
+
+    if (price < low || price > high) {
+      logger.trace(`未触发: ${price.toFixed(2)} 不在 ${low.toFixed(2)} ~ ${high.toFixed(2)}`);
+      return null;
+    }
+    const directionText = direction === 'above' ? '达到' : '跌破';
+    return {
+      low,
+      high,
+      triggerType: `${directionText} ${targetPrice}${rangePercent > 0 ? ` (${rangePercent}% 范围内)` : ''}`
+    };
+  },
+
+  format({ condition }, { symbol, price }, { low, high, triggerType }) {
+    const { direction, price: targetPrice, rangePercent = 0 } = condition;
+    const emoji = direction === 'above' ? '🎯' : '⚠️';
+    const directionText = direction === 'above' ? '达到' : '跌破';
+    const rangeText = rangePercent > 0
+      ? `\n通知范围: \`${low.toFixed(2)}\` ~ \`${high.toFixed(2)}\` USDT (${rangePercent}% 幅度)`
+      : '';
+
+    const telegram = `
+${emoji} *价格目标${directionText}*
+
+🎯 *${symbol}*
+
+📊 *价格信息*
+目标价格: \`${targetPrice.toFixed(2)}\` USDT${rangeText}
+当前价格: \`${price.toFixed(2)}\` USDT
+触发条件: ${triggerType}
+
+⏰ ${new Date().toLocaleString('zh-CN')}
+`.trim();
+
+    return {
+      telegram,
+      barkTitle: `${emoji} ${symbol} ${triggerType}`,
+      barkBody: `📊 当前价格: ${price.toFixed(2)} USDT\n⏰ ${new Date().toLocaleString('zh-CN')}`,
+      options: { sound: 'bell', level: 'timeSensitive' }
+    };
+  }
+});
+
+registerAlertRuleType('priceChange', {
+  historyWindow: ({ condition }) => Math.max(0, ...(condition.windows || []).map(window => window.duration)),
+
+  /**
+   * 各窗口以窗口起点之前最近的价格为基准（历史不够长的窗口跳过）
+   */
+  evaluate({ condition }, { symbol, price, ts }, history) {
+    const changes = [];
+    for (const window of condition.windows || []) {
+      const windowStart = ts - window.duration;
+      let base = null;
+      for (const item of history) {
+        if (item.timestamp > windowStart) {
+          break;
+        }
+        base = item;
+      }
+      if (!base) {
+        continue;
+      }
+
+      const priceChange = price - base.price;
+      const priceChangePercent = (priceChange / base.price) * 100;
+      changes.push({
+        window: window.name,
+        duration: window.duration,
+        basePrice: base.price,
+        currentPrice: price,
+        priceChange,
+        priceChangePercent,
+        actualTimeSpan: (ts - base.timestamp) / 1000,
+        meetsThreshold: Math.abs(priceChangePercent) >= window.threshold || Math.abs(priceChange) >= window.amountThreshold
+      });
+    }
+
+    if (changes.length > 0) {
+      const shortest = changes[0];
+      logger.debug(`${shortest.priceChangePercent >= 0 ? '📈' : '📉'} ${symbol}: ${price.toFixed(2)} (${shortest.window} ${shortest.priceChangePercent >= 0 ? '+' : ''}${shortest.priceChangePercent.toFixed(2)}% / ${shortest.priceChange >= 0 ? '+' : ''}${shortest.priceChange.toFixed(2)} USDT)`);
+    }
+
+    // 通知变化幅度最大的窗口
+    const significant = changes.filter(change => change.meetsThreshold);
+    if (significant.length === 0) {
+      return null;
+    }
+    return significant.reduce((max, change) =>
+      Math.abs(change.priceChangePercent) > Math.abs(max.priceChangePercent) ? change : max
+    );
+  },
+
+  format(rule, { symbol }, change) {
+    const up = change.priceChangePercent > 0;
+    const emoji = up ? '📈' : '📉';
+    const changeEmoji = up ? '🟢' : '🔴';
+    const direction = up ? '上涨' : '下跌';
+
+    const telegram = `
+${emoji} *行情${direction}提醒*
+
+${changeEmoji} *${symbol}*
+
+📊 *价格信息*
+起始价格: \`${change.basePrice.toFixed(2)}\` USDT (${change.window}前)
+当前价格: \`${change.currentPrice.toFixed(2)}\` USDT
+价格变化: \`${change.priceChange >= 0 ? '+' : ''}${change.priceChange.toFixed(2)}\` USDT
+变化幅度: \`${change.priceChangePercent >= 0 ? '+' : ''}${change.priceChangePercent.toFixed(2)}%\`
+
+⏱️ *趋势分析*
+时间跨度: ${change.window} (${change.actualTimeSpan.toFixed(0)}秒)
+持续${direction}: ${Math.abs(change.priceChangePercent).toFixed(2)}%
+
+⏰ ${new Date().toLocaleString('zh-CN')}
+`.trim();
+
+    return {
+      telegram,
+      barkTitle: `${emoji} ${symbol} ${direction} ${Math.abs(change.priceChangePercent).toFixed(2)}%`,
+      barkBody: `${changeEmoji} ${change.window}内${direction} ${Math.abs(change.priceChange).toFixed(2)} USDT
+📊 ${change.basePrice.toFixed(2)} → ${change.currentPrice.toFixed(2)}
+⏰ ${new Date().toLocaleString('zh-CN')}`,
+      // 行情推送无音效、被动通知，不会打断用户
+      options: { sound: '', level: 'passive' }
+    };
+  }
+});
@@ -1,4 +1,5 @@
 import axios from 'axios';
+import { ExchangeAdapter } from '../exchanges/exchange-adapter.js';
 
 /**
  * Bark 通知器（iOS 专用，低延迟推送）
@@ -16,9 +17,9 @@ export class BarkNotifier {
       profitThreshold: config.profitThreshold || 3,
       // 亏损通知阈值（百分比）
       lossThreshold: config.lossThreshold || -5,
-      // 盈利通知阈值（绝对金额 USDT）
+      // 盈利通知阈值（绝对金额 USDT，币本位按折合美元计）
       profitAmountThreshold: config.profitAmountThreshold || null,
-      // 亏损通知阈值（绝对金额 USDT）
+      // 亏损通知阈值（绝对金额 USDT，币本位按折合美元计）
       lossAmountThreshold: config.lossAmountThreshold || null,
       // 时间通知间隔（毫秒）
       timeInterval: config.timeInterval || 3600000, // 默认 1 小时
@@ -86,6 +87,11 @@ export class BarkNotifier {
         queryParams.push(`level=${options.level}`);
       }
       
+      // 重要警告（critical）的音量 0-10，静音模式下也会响铃
+      if (options.volume !== undefined) {
+        queryParams.push(`volume=${options.volume}`);
+      }
+      
       if (options.icon) {
         queryParams.push(`icon=${encodeURIComponent(options.icon)}`);
       }
@@ -261,6 +267,8 @@ export class BarkNotifier {
    */
   async notifyPositionPnL(positionData) {
     const {
+      exchange,
+      account,
       contractCode,
       direction,
       volume,
@@ -268,28 +276,36 @@ export class BarkNotifier {
       lastPrice,
       costOpen,
       profitUnreal,
-      profitRate
+      profitUnrealUsd = profitUnreal,
+      profitRate,
+      fundingCost,
+      inverse = false,
+      marginAsset = 'USDT',
+      baseCurrency = contractCode.split('-')[0]
     } = positionData;
     
-    const key = `${contractCode}_${direction}`;
+    const key = `${ExchangeAdapter.getKey(exchange, account)}:${contractCode}_${direction}`; // 不同交易所、账户的同一合约分别判断
     
-    if (!this.shouldNotify(key, profitRate, profitUnreal)) {
+    // 金额阈值按折合美元判断（币本位盈亏以币计）
+    if (!this.shouldNotify(key, profitRate, profitUnrealUsd)) {
       return false;
     }
     
-    const directionText = direction === 'buy' ? '多仓' : '空仓';
+    const directionText = direction === 'long' ? '多仓' : '空仓';
     const emoji = profitRate >= 0 ? '📈' : '📉';
+    const accountText = account ? `[${account}] ` : '';
     
     // 标题
     const title = profitRate >= this.config.profitThreshold 
-      ? `🎉 ${contractCode} 盈利 ${profitRate.toFixed(2)}%`
-      : `⚠️ ${contractCode} 亏损 ${Math.abs(profitRate).toFixed(2)}%`;
+      ? `🎉 ${accountText}${contractCode} 盈利 ${profitRate.toFixed(2)}%`
+      : `⚠️ ${accountText}${contractCode} 亏损 ${Math.abs(profitRate).toFixed(2)}%`;
     
     // 内容
     const body = `${emoji} ${directionText} ${volume}张
-💰 盈亏: ${profitUnreal.toFixed(2)} USDT
+💰 盈亏: ${inverse ? `${profitUnreal.toFixed(6)} ${marginAsset} (≈ ${profitUnrealUsd.toFixed(2)} USD)` : `${profitUnreal.toFixed(2)} ${marginAsset}`}
 📊 价格: ${lastPrice.toFixed(2)} (成本 ${costOpen.toFixed(2)})
-📍 持仓: ${actualPosition.toFixed(4)} ${contractCode.split('-')[0]}`;
+📍 持仓: ${actualPosition.toFixed(inverse ? 6 : 4)} ${baseCurrency}${fundingCost !== null && fundingCost !== undefined ? `
+💸 资金费: 预计${fundingCost >= 0 ? '支付' : '收取'} ${Math.abs(fundingCost).toFixed(inverse ? 8 : 4)} ${marginAsset}` : ''}`;
     
     // 根据盈亏设置不同的音效和级别
     const isProfitable = profitRate >= this.config.profitThreshold;
@@ -320,8 +336,9 @@ export class BarkNotifier {
 
   /**
    * 发送定时汇总通知
+   * @param {object|null} realized - 已实现盈亏汇总（见 PnlLedger.getSummary）
    */
-  async notifyTimeSummary(positions) {
+  async notifyTimeSummary(positions, realized = null, portfolio = null) {
     if (!this.shouldNotifyByTime()) {
       return false;
     }
@@ -333,9 +350,10 @@ export class BarkNotifier {
     let totalProfit = 0;
     let totalMargin = 0;
     
+    // 币本位持仓按折合美元汇总
     positions.forEach(pos => {
-      totalProfit += pos.profitUnreal;
-      totalMargin += pos.positionMargin;
+      totalProfit += pos.profitUnrealUsd ?? pos.profitUnreal;
+      totalMargin += pos.positionMarginUsd ?? pos.positionMargin;
     });
     
     const totalRate = totalMargin > 0 ? (totalProfit / totalMargin * 100) : 0;
@@ -344,16 +362,27 @@ export class BarkNotifier {
     
     const positionLines = positions.map(pos => {
       const emoji = pos.profitRate >= 0 ? '📈' : '📉';
-      const dir = pos.direction === 'buy' ? '多' : '空';
-      return `${emoji} ${pos.contractCode} ${dir}: ${pos.profitUnreal.toFixed(2)} (${pos.profitRate.toFixed(2)}%)`;
+      const dir = pos.direction === 'long' ? '多' : '空';
+      const profitText = pos.inverse ? `${pos.profitUnreal.toFixed(6)} ${pos.marginAsset}` : pos.profitUnreal.toFixed(2);
+      return `${emoji} ${pos.account ? `[${pos.account}] ` : ''}${pos.contractCode} ${dir}: ${profitText} (${pos.profitRate.toFixed(2)}%)`;
     }).join('\n');
     
-    const body = `💰 总盈亏: ${totalProfit.toFixed(2)} USDT
+    let body = `💰 总盈亏: ${totalProfit.toFixed(2)} ${positions.some(pos => pos.inverse) ? 'USD' : 'USDT'}
 📊 总收益率: ${totalRate.toFixed(2)}%
 📋 持仓数: ${positions.length}
 
 ${positionLines}`;
     
+    if (realized) {
+      const format = value => `${value >= 0 ? '+' : ''}${value.toFixed(2)}`;
+      body += `\n\n📒 已实现: 今日 ${format(realized.today.netUsd)} | 本周 ${format(realized.week.netUsd)} | 本月 ${format(realized.month.netUsd)} USD`;
+    }
+    
+    if (portfolio) {
+      const leverageText = portfolio.leverage !== null ? `${portfolio.leverage.toFixed(2)}x` : '--';
+      body += `\n🧮 净敞口 ${portfolio.netExposure.toFixed(2)} | 总敞口 ${portfolio.grossExposure.toFixed(2)} USDT | 杠杆 ${leverageText}`;
+    }
+    
     const options = {
       sound: 'bell',
       level: 'active'
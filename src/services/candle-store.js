@@ -0,0 +1,255 @@
+import { createLogger } from '../utils/logger.js';
+import { HTXRestClient } from '../core/rest-client.js';
+
+const logger = createLogger('K线存储');
+
+// 各周期的毫秒数
+const PERIOD_MS = {
+  '1min': 60 * 1000,
+  '5min': 5 * 60 * 1000,
+  '15min': 15 * 60 * 1000,
+  '30min': 30 * 60 * 1000,
+  '60min': 60 * 60 * 1000,
+  '4hour': 4 * 60 * 60 * 1000,
+  '1day': 24 * 60 * 60 * 1000,
+  '1week': 7 * 24 * 60 * 60 * 1000,
+  '1mon': 30 * 24 * 60 * 60 * 1000
+};
+
+const MAX_REST_SIZE = 2000; // HTX K线接口单次最多 2000 条
+
+/**
+ * K线存储
+ * 首次通过 REST 加载历史K线，之后由 market.$code.kline.$period 推送实时更新（包括未收盘的当前K线）
+ * 未设置行情客户端时（如 Web 服务进程），退化为带短时缓存的 REST 查询
+ *
+ * 所有返回的K线均为 新→旧 顺序，数值字段已转换为数字
+ *
+ * 事件：
+ * - close ({ symbol, period, candle, candles })：实时推送的序列收到下一根K线时，上一根K线收盘，
+ *   candle 为刚收盘的K线，candles 为已收盘的K线（新→旧，不含未收盘的当前K线）
+ */
+export class CandleStore {
+  constructor() {
+    this.marketClient = null;
+
+    // `${symbol}:${period}` -> { candles, capacity, streaming, needsRefill, fetchedAt }
+    this.series = new Map();
+    this.inflight = new Map(); // 正在进行的 REST 请求（同一序列并发请求只发一次）
+
+    this.rest = new HTXRestClient(); // 公共行情接口（限频和重试由 REST 客户端处理）
+
+    this.eventHandlers = {
+      close: []
+    };
+  }
+
+  /**
+   * 设置行情客户端（由 realtime-pnl.js 传入），之后加载的序列都会订阅实时推送
+   */
+  setMarketClient(marketClient) {
+    this.marketClient = marketClient;
+    if (!marketClient) return;
+
+    marketClient.on('kline', ({ topic, contractCode, tick }) => {
+      const period = topic.split('.')[3];
+      this.applyTick(contractCode, period, tick);
+    });
+
+    // 断线期间可能漏掉K线，重连后下次读取时从 REST 补齐
+    marketClient.on('connected', () => {
+      this.series.forEach(series => {
+        if (series.streaming) {
+          series.needsRefill = true;
+        }
+      });
+    });
+
+    // 已加载的序列补订阅
+    this.series.forEach((series, key) => {
+      const [symbol, period] = key.split(':');
+      this.subscribe(symbol, period, series);
+    });
+  }
+
+  /**
+   * 获取K线
+   * @param {string} symbol - 合约代码，如 BTC-USDT
+   * @param {string} period - 周期：1min, 5min, 15min, 30min, 60min, 4hour, 1day, 1week, 1mon
+   * @param {number} size - 数据条数
+   * @returns {Promise<Array|null>} 新→旧顺序的K线，获取失败返回 null
+   */
+  async getCandles(symbol, period, size = 200) {
+    symbol = symbol.toUpperCase();
+    const key = `${symbol}:${period}`;
+    const series = this.series.get(key);
+
+    if (series && !this.isStale(series, period) && size <= series.capacity) {
+      return series.candles.slice(0, size);
+    }
+
+    const filled = await this.fill(symbol, period, Math.max(size, series?.capacity || 0));
+    return filled ? filled.candles.slice(0, size) : null;
+  }
+
+  /**
+   * 序列是否需要从 REST 重新加载
+   */
+  isStale(series, period) {
+    if (series.needsRefill) {
+      return true;
+    }
+    if (series.streaming && this.marketClient?.isConnected) {
+      return false;
+    }
+    // 没有实时推送时，缓存不超过一个周期（最长 1 分钟）
+    const maxAge = Math.min(PERIOD_MS[period] || 60000, 60000);
+    return Date.now() - series.fetchedAt > maxAge;
+  }
+
+  /**
+   * 从 REST 加载序列（同一序列的并发请求合并）
+   */
+  async fill(symbol, period, size) {
+    const key = `${symbol}:${period}`;
+    if (this.inflight.has(key)) {
+      return this.inflight.get(key);
+    }
+
+    const promise = (async () => {
+      const candles = await this.fetchFromRest(symbol, period, Math.min(size, MAX_REST_SIZE));
+      if (!candles) {
+        return this.series.get(key) || null;
+      }
+
+      const series = this.series.get(key) || { streaming: false };
+      series.candles = candles;
+      series.capacity = Math.min(size, MAX_REST_SIZE);
+      series.needsRefill = false;
+      series.fetchedAt = Date.now();
+      this.series.set(key, series);
+
+      this.subscribe(symbol, period, series);
+      return series;
+    })();
+
+    this.inflight.set(key, promise);
+    try {
+      return await promise;
+    } finally {
+      this.inflight.delete(key);
+    }
+  }
+
+  /**
+   * 订阅序列的实时推送
+   */
+  subscribe(symbol, period, series) {
+    if (!this.marketClient || series.streaming) {
+      return;
+    }
+    this.marketClient.subscribe(`market.${symbol}.kline.${period}`);
+    series.streaming = true;
+    logger.debug(`订阅K线推送: ${symbol} ${period}`);
+  }
+
+  /**
+   * 应用K线推送：同一根K线覆盖，新K线插入到最前面
+   */
+  applyTick(symbol, period, tick) {
+    const series = this.series.get(`${symbol}:${period}`);
+    if (!series || !tick || !series.candles) {
+      return;
+    }
+
+    const candle = CandleStore.normalize(tick);
+    const latest = series.candles[0];
+
+    if (!latest) {
+      series.candles.unshift(candle);
+      return;
+    }
+
+    if (candle.id === latest.id) {
+      series.candles[0] = candle;
+    } else if (candle.id > latest.id) {
+      // 跳过了K线（推送丢失），下次读取时从 REST 补齐
+      const periodSeconds = (PERIOD_MS[period] || 0) / 1000;
+      if (periodSeconds && candle.id - latest.id > periodSeconds) {
+        series.needsRefill = true;
+      }
+      series.candles.unshift(candle);
+      if (series.candles.length > series.capacity) {
+        series.candles.length = series.capacity;
+      }
+      this.emit('close', { symbol, period, candle: latest, candles: series.candles.slice(1) });
+    }
+  }
+
+  /**
+   * 清除没有实时推送的缓存（实时推送的序列始终是最新的）
+   */
+  invalidate() {
+    this.series.forEach((series, key) => {
+      if (!series.streaming) {
+        this.series.delete(key);
+      }
+    });
+  }
+
+  on(event, handler) {
+    if (this.eventHandlers[event]) {
+      this.eventHandlers[event].push(handler);
+    }
+  }
+
+  emit(event, ...args) {
+    if (this.eventHandlers[event]) {
+      this.eventHandlers[event].forEach(handler => handler(...args));
+    }
+  }
+
+  /**
+   * 从 REST 获取K线
+   * @returns {Promise<Array|null>} 新→旧顺序
+   */
+  async fetchFromRest(symbol, period, size) {
+    try {
+      const data = await this.rest.publicGet('/linear-swap-ex/market/history/kline', {
+        contract_code: symbol,
+        period: period,
+        size: size
+      });
+
+      if (data.status === 'ok' && data.data) {
+        // 接口返回 旧→新，转换为 新→旧
+        const candles = data.data.reverse().map(CandleStore.normalize);
+        logger.debug(`REST 加载K线: ${symbol} ${period} (${candles.length} 条)`);
+        return candles;
+      }
+
+      logger.error(`获取K线数据失败 (${symbol} ${period}):`, HTXRestClient.getErrorMessage(data));
+    } catch (error) {
+      logger.error(`获取K线数据失败 (${symbol} ${period}):`, error.message);
+    }
+    return null;
+  }
+
+  /**
+   * 统一K线字段类型
+   */
+  static normalize(k) {
+    return {
+      ...k,
+      open: +k.open,
+      high: +k.high,
+      low: +k.low,
+      close: +k.close,
+      amount: +k.amount || 0,
+      vol: +k.vol || 0
+    };
+  }
+}
+
+// 创建全局实例（同一进程内的分析器和信号生成器共用）
+export const candleStore = new CandleStore();
@@ -0,0 +1,300 @@
+import { createLogger } from '../utils/logger.js';
+import { redisClient } from '../config/redis-client.js';
+import { HTXRestClient } from '../core/rest-client.js';
+import { HTX_MARKETS, getContractMarket } from '../config/endpoints.js';
+
+const logger = createLogger('合约信息');
+
+const CACHE_TTL = 6 * 60 * 60 * 1000; // 内存/Redis 缓存 6 小时后从交易所刷新
+
+/**
+ * 合约信息服务
+ * 启动时从各业务线的合约信息接口加载面值和价格精度（优先读 Redis 缓存），
+ * 之后由 public.$contract_code.contract_info 推送更新。默认只加载 U 本位永续，其余业务线通过 setMarkets 开启
+ *
+ * 返回的合约信息：
+ * { contractCode, symbol, market, inverse, marginAsset, contractSize, priceTick, pricePrecision, status,
+ *   supportMarginMode, contractType, deliveryTime, minVolume, volumeStep, openLimit, closeLimit }
+ * - 币本位合约（inverse）的 contractSize 为每张合约的美元面值，marginAsset 为币种（如 BTC）
+ * - contractType / deliveryTime 只有交割合约有（this_week / next_week / quarter / next_quarter，交割时间毫秒）
+ * - openLimit / closeLimit 为单笔下单最大张数，需要 API Key（swap_order_limit，仅 U 本位），未加载时为 null
+ */
+export class ContractInfoService {
+  constructor() {
+    this.contracts = new Map(); // contract_code -> 合约信息
+    this.loadedAt = 0;
+    this.loading = null; // 正在进行的加载（并发调用只请求一次）
+    this.rest = new HTXRestClient(); // 设置 API Key 后可查询下单数量限制
+    this.markets = ['linear-swap']; // 需要加载的业务线，见 HTX_MARKETS
+  }
+
+  /**
+   * 设置需要加载的业务线（新增业务线时下次 load 重新从交易所加载）
+   * @param {string[]} markets - 如 ['linear-swap', 'swap', 'futures']
+   */
+  setMarkets(markets) {
+    const added = markets.some(market => !this.markets.includes(market));
+    this.markets = Array.from(new Set(markets));
+    if (added) {
+      this.loadedAt = 0;
+    }
+  }
+
+  /**
+   * 设置 API Key（可选），设置后加载时同时查询单笔下单数量限制
+   */
+  setCredentials(accessKey, secretKey) {
+    this.rest.setCredentials(accessKey, secretKey);
+  }
+
+  /**
+   * 监听合约信息推送（由 realtime-pnl.js 传入私有频道客户端）
+   */
+  setClient(client) {
+    client.on('contractInfo', (data) => {
+      this.applyUpdate(Array.isArray(data) ? data : [data]);
+    });
+
+    client.subscribeContractInfo('*').catch(error => {
+      logger.warn(`合约信息推送订阅失败: ${error.message}`);
+    });
+  }
+
+  /**
+   * 加载合约信息（缓存未过期时直接返回）
+   * @param {object} options
+   * @param {boolean} options.force - 跳过 Redis 缓存，直接从交易所加载
+   * @returns {Promise<boolean>} 是否有可用的合约信息
+   */
+  async load({ force = false } = {}) {
+    if (!force && this.contracts.size > 0 && Date.now() - this.loadedAt < CACHE_TTL) {
+      return true;
+    }
+    if (this.loading) {
+      return this.loading;
+    }
+
+    this.loading = (async () => {
+      if (!force && await this.loadFromRedis()) {
+        return true;
+      }
+
+      const loaded = await this.fetchFromRest();
+      if (loaded) {
+        await redisClient.saveContracts(this.toJSON());
+        return true;
+      }
+
+      // 交易所不可用时，使用已有数据（哪怕已过期）
+      return this.contracts.size > 0 || await this.loadFromRedis({ ignoreAge: true });
+    })();
+
+    try {
+      return await this.loading;
+    } finally {
+      this.loading = null;
+    }
+  }
+
+  /**
+   * 从 Redis 读取缓存
+   */
+  async loadFromRedis({ ignoreAge = false } = {}) {
+    const cached = await redisClient.getContracts();
+    if (!cached || !cached.contracts) {
+      return false;
+    }
+    if (!ignoreAge && Date.now() - cached.updatedAt > CACHE_TTL) {
+      return false;
+    }
+    // 旧缓存只有 U 本位永续
+    const cachedMarkets = cached.markets || ['linear-swap'];
+    if (!ignoreAge && this.markets.some(market => !cachedMarkets.includes(market))) {
+      return false;
+    }
+
+    this.contracts = new Map(Object.entries(cached.contracts));
+    this.loadedAt = cached.updatedAt;
+    logger.debug(`从 Redis 加载合约信息 (${this.contracts.size} 个)`);
+    return true;
+  }
+
+  /**
+   * 从交易所加载合约信息（任一业务线加载失败都视为失败）
+   */
+  async fetchFromRest() {
+    try {
+      const contracts = new Map();
+      for (const market of this.markets) {
+        const { contractInfoPath, contractInfoParams, name } = HTX_MARKETS[market];
+        const data = await this.rest.publicGet(contractInfoPath, contractInfoParams);
+
+        if (data.status !== 'ok' || !Array.isArray(data.data)) {
+          logger.error(`加载${name}合约信息失败:`, HTXRestClient.getErrorMessage(data));
+          return false;
+        }
+
+        data.data.forEach(item => {
+          const previous = this.contracts.get(item.contract_code);
+          contracts.set(item.contract_code, ContractInfoService.normalize(item, previous, market));
+        });
+      }
+      this.contracts = contracts;
+
+      if (this.rest.hasCredentials() && this.markets.includes('linear-swap')) {
+        await this.fetchOrderLimits();
+      }
+
+      this.loadedAt = Date.now();
+      logger.info(`✅ 已加载 ${contracts.size} 个合约信息`);
+      return true;
+    } catch (error) {
+      logger.error('加载合约信息失败:', error.message);
+      return false;
+    }
+  }
+
+  /**
+   * 查询单笔下单数量限制（swap_order_limit，需要 API Key）
+   */
+  async fetchOrderLimits() {
+    try {
+      const data = await this.rest.privatePost('/linear-swap-api/v1/swap_order_limit', { order_price_type: 'limit' }, 'read');
+
+      if (data.status !== 'ok' || !data.data) {
+        logger.warn('查询下单数量限制失败:', data.err_msg);
+        return;
+      }
+
+      (data.data.list || []).forEach(item => {
+        const contract = this.contracts.get(item.contract_code);
+        if (contract) {
+          contract.openLimit = Number(item.open_limit);
+          contract.closeLimit = Number(item.close_limit);
+        }
+      });
+    } catch (error) {
+      logger.warn('查询下单数量限制失败:', error.message);
+    }
+  }
+
+  /**
+   * 应用合约信息推送（只更新推送中包含的合约）
+   */
+  applyUpdate(items) {
+    if (this.contracts.size === 0) {
+      return; // 尚未完成首次加载
+    }
+
+    items.forEach(item => {
+      if (!item || !item.contract_code) return;
+      const previous = this.contracts.get(item.contract_code);
+      this.contracts.set(item.contract_code, ContractInfoService.normalize(item, previous, previous?.market));
+    });
+
+    redisClient.saveContracts(this.toJSON()).catch(() => {});
+  }
+
+  /**
+   * 获取合约信息
+   * @param {string} contractCode - 合约代码，如 "SOL-USDT"
+   * @returns {object|null}
+   */
+  get(contractCode) {
+    return this.contracts.get(contractCode) || null;
+  }
+
+  /**
+   * 合约面值（每张合约代表多少币），未知合约返回 null
+   */
+  getContractSize(contractCode) {
+    return this.get(contractCode)?.contractSize ?? null;
+  }
+
+  /**
+   * 最小价格变动单位，未知合约返回 null
+   */
+  getPriceTick(contractCode) {
+    return this.get(contractCode)?.priceTick ?? null;
+  }
+
+  /**
+   * 下单数量限制（张）
+   * @returns {{minVolume, volumeStep, openLimit, closeLimit}|null}
+   */
+  getVolumeLimits(contractCode) {
+    const contract = this.get(contractCode);
+    if (!contract) return null;
+    const { minVolume, volumeStep, openLimit, closeLimit } = contract;
+    return { minVolume, volumeStep, openLimit, closeLimit };
+  }
+
+  /**
+   * 按价格精度格式化价格（四舍五入到最小变动单位）
+   * @returns {string|null} 未知合约返回 null
+   */
+  formatPrice(price, contractCode) {
+    const contract = this.get(contractCode);
+    if (!contract) return null;
+
+    const numPrice = typeof price === 'string' ? parseFloat(price) : price;
+    const rounded = Math.round(numPrice / contract.priceTick) * contract.priceTick;
+    return rounded.toFixed(contract.pricePrecision);
+  }
+
+  /**
+   * 所有合约信息（供 Web 接口和 Redis 使用）
+   */
+  toJSON() {
+    return {
+      contracts: Object.fromEntries(this.contracts),
+      markets: this.markets,
+      updatedAt: this.loadedAt || Date.now()
+    };
+  }
+
+  /**
+   * 统一合约信息字段
+   * @param {object} item - swap_contract_info / contract_contract_info / contract_info 推送中的合约
+   * @param {object} previous - 已有的合约信息（保留下单数量限制）
+   * @param {string} market - 业务线，不传时按合约代码判断
+   */
+  static normalize(item, previous = null, market = null) {
+    const priceTick = Number(item.price_tick);
+    const contractMarket = market || getContractMarket(item.contract_code);
+    const inverse = HTX_MARKETS[contractMarket].inverse;
+    return {
+      contractCode: item.contract_code,
+      symbol: item.symbol,
+      market: contractMarket,
+      inverse,
+      marginAsset: inverse ? item.symbol : (item.trade_partition || item.contract_code.split('-')[1] || 'USDT'),
+      contractSize: Number(item.contract_size),
+      priceTick,
+      pricePrecision: ContractInfoService.getPrecision(item.price_tick),
+      status: item.contract_status,
+      supportMarginMode: item.support_margin_mode || null, // cross / isolated / all
+      contractType: item.contract_type || null,
+      deliveryTime: item.delivery_time ? Number(item.delivery_time) : null,
+      minVolume: 1, // 按整数张下单
+      volumeStep: 1,
+      openLimit: previous?.openLimit ?? null,
+      closeLimit: previous?.closeLimit ?? null
+    };
+  }
+
+  /**
+   * 根据最小变动单位计算小数位数，如 0.01 -> 2，0.5 -> 1，1 -> 0
+   */
+  static getPrecision(tick) {
+    const text = String(tick);
+    if (text.includes('e-')) {
+      return parseInt(text.split('e-')[1], 10);
+    }
+    const decimals = text.split('.')[1];
+    return decimals ? decimals.replace(/0+$/, '').length : 0;
+  }
+}
+
+// 创建全局实例（同一进程内共用）
+export const contractInfo = new ContractInfoService();
@@ -1,4 +1,5 @@
 import { redisClient } from '../config/redis-client.js';
+import { pnlLedger } from './pnl-ledger.js';
 
 /**
  * 数据收集器
@@ -58,6 +59,50 @@ export class DataCollector {
     await this.redis.savePositions(positions);
   }
 
+  /**
+   * 替换全部持仓的盈亏数据（监控程序定期上报，多账户时带账户标签）
+   * @param {object} positions - 持仓 key -> calculatePnL 生成的持仓盈亏数据
+   */
+  async updatePositions(positions) {
+    await this.redis.savePositions(positions);
+  }
+
+  /**
+   * 更新 WebSocket 连接状态
+   * @param {object} connections - { private: {...}, market: {...} }
+   */
+  async updateConnections(connections) {
+    await this.redis.saveConnections({
+      ...connections,
+      timestamp: Date.now()
+    });
+  }
+
+  /**
+   * 更新账户监控快照
+   * @param {Array} accounts - AccountMonitor.getAccounts() 的结果
+   */
+  async updateAccounts(accounts) {
+    await this.redis.saveAccounts(accounts);
+  }
+
+  /**
+   * 更新组合敞口汇总
+   * @param {object} portfolio - PortfolioAggregator.getSummary() 的结果，另附 activeAlerts
+   */
+  async updatePortfolio(portfolio) {
+    await this.redis.savePortfolio(portfolio);
+  }
+
+  /**
+   * 更新订单簿摘要
+   * @param {string} symbol - 合约代码
+   * @param {object} summary - OrderBook.getSummary() 的结果
+   */
+  async updateOrderBook(symbol, summary) {
+    await this.redis.saveOrderBook(symbol, summary);
+  }
+
   /**
    * 获取价格数据
    * @param {string} symbol - 合约代码
@@ -79,16 +124,32 @@ export class DataCollector {
    * 获取所有数据
    */
   async getAllData() {
-    const [prices, positions, quant] = await Promise.all([
+    const [prices, positions, quant, connections, orderBooks, realized, accounts, portfolio] = await Promise.all([
       this.redis.getAllPrices(),
       this.redis.getPositions(),
-      this.redis.getQuantData()
+      this.redis.getQuantData(),
+      this.redis.getConnections(),
+      this.redis.getAllOrderBooks(),
+      pnlLedger.getSummary(),
+      this.redis.getAccounts(),
+      this.redis.getPortfolio()
     ]);
     
     return {
       prices: prices || {},
       positions: positions || {},
       quant: quant,
+      connections: connections || {},
+      orderBooks: orderBooks || {},
+      accounts: accounts || [],
+      portfolio,
+      // 已实现盈亏（平仓盈亏 - 手续费 + 资金费，折合美元），各合约明细见 realized
+      summary: {
+        todayPnl: realized.today.netUsd,
+        weekPnl: realized.week.netUsd,
+        monthPnl: realized.month.netUsd
+      },
+      realized,
       timestamp: Date.now()
     };
   }
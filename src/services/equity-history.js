@@ -0,0 +1,116 @@
+import { redisClient } from '../config/redis-client.js';
+
+const MINUTE_MS = 60 * 1000;
+const HOUR_MS = 60 * MINUTE_MS;
+const DAY_MS = 24 * HOUR_MS;
+
+// 降采样精度：时间桶长度和保留时长
+export const EQUITY_RESOLUTIONS = {
+  '1m': { interval: MINUTE_MS, retention: 2 * DAY_MS },
+  '1h': { interval: HOUR_MS, retention: 90 * DAY_MS },
+  '1d': { interval: DAY_MS, retention: 3 * 365 * DAY_MS }
+};
+
+// 查询范围 -> 时长和使用的精度（all 为全部日线）
+export const EQUITY_RANGES = {
+  '1h': { duration: HOUR_MS, resolution: '1m' },
+  '1d': { duration: DAY_MS, resolution: '1m' },
+  '7d': { duration: 7 * DAY_MS, resolution: '1h' },
+  '30d': { duration: 30 * DAY_MS, resolution: '1h' },
+  '90d': { duration: 90 * DAY_MS, resolution: '1h' },
+  '1y': { duration: 365 * DAY_MS, resolution: '1d' },
+  all: { duration: null, resolution: '1d' }
+};
+
+/**
+ * 权益曲线
+ * 监控程序定期写入权益快照，按 1m / 1h / 1d 三种精度降采样保存到 Redis（有序集合，分值为时间桶），
+ * 每个时间桶保留最后一次权益和桶内最高 / 最低值
+ *
+ * 曲线：
+ * - real：真实账户权益（各账户折合 USDT 之和）
+ * - quant：量化交易的策略资金（余额 + 持仓未实现盈亏，模拟模式即虚拟余额）
+ */
+export class EquityHistory {
+  constructor() {
+    this.redis = redisClient;
+    // `${series}:${resolution}` -> 当前时间桶（减少读 Redis）
+    this.buckets = new Map();
+  }
+
+  /**
+   * 写入权益快照
+   * @param {string} series - real / quant
+   * @param {number} equity - 权益
+   */
+  async record(series, equity, ts = Date.now()) {
+    if (!Number.isFinite(equity)) {
+      return;
+    }
+
+    await Promise.all(Object.entries(EQUITY_RESOLUTIONS).map(async ([resolution, { interval, retention }]) => {
+      const bucketTs = Math.floor(ts / interval) * interval;
+      const cacheKey = `${series}:${resolution}`;
+
+      let bucket = this.buckets.get(cacheKey);
+      if (!bucket || bucket.ts !== bucketTs) {
+        // 重启后继续写入同一个时间桶时，沿用已保存的最高 / 最低值
+        const [saved] = await this.redis.getEquityPoints(series, resolution, bucketTs, bucketTs);
+        bucket = saved || { ts: bucketTs, equity, high: equity, low: equity };
+      }
+
+      bucket = {
+        ts: bucketTs,
+        equity,
+        high: Math.max(bucket.high, equity),
+        low: Math.min(bucket.low, equity)
+      };
+      this.buckets.set(cacheKey, bucket);
+      await this.redis.saveEquityPoint(series, resolution, bucket, retention);
+    }));
+  }
+
+  /**
+   * 查询权益曲线和回撤
+   * @param {string} series - real / quant
+   * @param {string} range - 见 EQUITY_RANGES，默认 1d
+   * @returns {Promise<{series, range, resolution, points, peak, maxDrawdown, change, changePercent}>}
+   *   points 为 [{ ts, equity, high, low, drawdown }]，drawdown 为距此前最高权益的回撤（小数，≤ 0）
+   */
+  async getCurve(series, range = '1d', now = Date.now()) {
+    const { duration, resolution } = EQUITY_RANGES[range] || EQUITY_RANGES['1d'];
+    const startTime = duration ? now - duration : '-inf';
+    const points = await this.redis.getEquityPoints(series, resolution, startTime);
+    return { series, range, resolution, ...EquityHistory.withDrawdown(points) };
+  }
+
+  /**
+   * 计算回撤：以区间内的历史最高权益为基准（桶内最高值也计入）
+   */
+  static withDrawdown(points) {
+    let peak = null;
+    let maxDrawdown = 0;
+
+    const result = points.map(point => {
+      peak = peak === null ? point.high ?? point.equity : Math.max(peak, point.high ?? point.equity);
+      const drawdown = peak > 0 ? Math.min(0, (point.equity - peak) / peak) : 0;
+      const lowDrawdown = peak > 0 ? Math.min(0, ((point.low ?? point.equity) - peak) / peak) : 0;
+      maxDrawdown = Math.min(maxDrawdown, drawdown, lowDrawdown);
+      return { ...point, drawdown };
+    });
+
+    const first = points[0]?.equity;
+    const last = points[points.length - 1]?.equity;
+    const change = first !== undefined ? last - first : 0;
+    return {
+      points: result,
+      peak,
+      maxDrawdown,
+      change,
+      changePercent: first > 0 ? change / first : 0
+    };
+  }
+}
+
+// 创建全局实例
+export const equityHistory = new EquityHistory();
@@ -0,0 +1,245 @@
+import { createLogger } from '../utils/logger.js';
+import { registerAlertRuleType } from './alert-engine.js';
+import { MarketAnalyzer } from './market-analyzer.js';
+
+const logger = createLogger('指标告警');
+
+const analyzer = new MarketAnalyzer();
+
+/**
+ * 技术指标告警规则类型（K线收盘时由 AlertEngine.onCandleClose 评估）
+ * 指标由 MarketAnalyzer 计算，比较刚收盘的K线和上一根K线的指标值，只在穿越时触发一次
+ *
+ * 规则的 condition 都包含 period（K线周期：1min, 5min, 15min, 30min, 60min, 4hour, 1day）：
+ * - rsi：{ length（默认 14）, level, direction: above（上穿）/ below（下穿）}
+ * - maCross：{ fast（默认 20）, slow（默认 50）, direction: golden（金叉）/ death（死叉）/ any }
+ * - macdCross：{ line: signal（DIF 与 DEA 交叉，默认）/ zero（DIF 穿越 0 轴）, direction: bullish（金叉 / 上穿）/ bearish（死叉 / 下穿）/ any }，
+ *   DIF = EMA12 - EMA26，DEA = DIF 的 9 周期 EMA（见 MarketAnalyzer.calculateMACDSignal）
+ * - bollinger：{ length（默认 20）, stdDev（默认 2）, direction: upper（收盘突破上轨）/ lower（收盘跌破下轨）/ any }
+ * - closeLevel：{ level, direction: above（收盘站上）/ below（收盘跌破）}
+ */
+
+/**
+ * 从第 offset 根开始取 size 根K线（MarketAnalyzer 的指标按传入的K线窗口计算）
+ */
+function windowAt(candles, offset, size) {
+  const window = candles.slice(offset, offset + size);
+  return window.length === size ? window : null;
+}
+
+/**
+ * 两根K线之间数值穿越水平线的方向：up / down / null
+ */
+function crossing(prev, current, level) {
+  if (prev === null || current === null) {
+    return null;
+  }
+  if (prev <= level && current > level) {
+    return 'up';
+  }
+  if (prev >= level && current < level) {
+    return 'down';
+  }
+  return null;
+}
+
+function formatPrice(value) {
+  return value >= 100 ? value.toFixed(2) : value.toFixed(4);
+}
+
+/**
+ * 各指标类型共用的通知格式
+ */
+function format(rule, { symbol, period, price }, match) {
+  const telegram = `
+📐 *指标告警*
+
+🎯 *${symbol}* (${period})
+
+📊 *触发条件*
+${match.text}
+${match.detail ? `${match.detail}\n` : ''}收盘价格: \`${formatPrice(price)}\` USDT
+
+⏰ ${new Date().toLocaleString('zh-CN')}
+`.trim();
+
+  return {
+    telegram,
+    barkTitle: `📐 ${symbol} ${period} ${match.text}`,
+    barkBody: `${match.detail ? `${match.detail.replace(/`/g, '')}\n` : ''}📊 收盘价格: ${formatPrice(price)} USDT\n⏰ ${new Date().toLocaleString('zh-CN')}`,
+    options: { sound: 'bell', level: 'active' }
+  };
+}
+
+registerAlertRuleType('rsi', {
+  trigger: 'candle',
+  candleSize: ({ condition }) => (condition.length || 14) + 2,
+
+  evaluate({ condition }, { symbol, period }, candles) {
+    const length = condition.length || 14;
+    const current = windowAt(candles, 0, length + 1);
+    const prev = windowAt(candles, 1, length + 1);
+    if (!current || !prev) {
+      return null;
+    }
+
+    const rsi = analyzer.calculateRSI(current, length);
+    const prevRsi = analyzer.calculateRSI(prev, length);
+    logger.debug(`${symbol} ${period} RSI(${length}): ${prevRsi.toFixed(2)} → ${rsi.toFixed(2)}`);
+
+    const cross = crossing(prevRsi, rsi, condition.level);
+    if (cross !== (condition.direction === 'below' ? 'down' : 'up')) {
+      return null;
+    }
+    return {
+      rsi,
+      prevRsi,
+      text: `RSI(${length}) ${cross === 'up' ? '上穿' : '下穿'} ${condition.level}`,
+      detail: `RSI: \`${prevRsi.toFixed(2)}\` → \`${rsi.toFixed(2)}\``
+    };
+  },
+
+  format
+});
+
+registerAlertRuleType('maCross', {
+  trigger: 'candle',
+  candleSize: ({ condition }) => Math.max(condition.fast || 20, condition.slow || 50) + 1,
+
+  evaluate({ condition }, { symbol, period }, candles) {
+    const fast = condition.fast || 20;
+    const slow = condition.slow || 50;
+    const ma = (offset, length) => {
+      const window = windowAt(candles, offset, length);
+      return window ? analyzer.calculateMA(window, length) : null;
+    };
+
+    const fastMa = ma(0, fast);
+    const slowMa = ma(0, slow);
+    const prevFastMa = ma(1, fast);
+    const prevSlowMa = ma(1, slow);
+    if ([fastMa, slowMa, prevFastMa, prevSlowMa].includes(null)) {
+      return null;
+    }
+    logger.debug(`${symbol} ${period} MA${fast}/MA${slow}: ${formatPrice(fastMa)} / ${formatPrice(slowMa)}`);
+
+    // 快线减慢线穿越 0 即均线交叉
+    const cross = crossing(prevFastMa - prevSlowMa, fastMa - slowMa, 0);
+    const expected = { golden: 'up', death: 'down' }[condition.direction];
+    if (!cross || (expected && cross !== expected)) {
+      return null;
+    }
+    return {
+      fastMa,
+      slowMa,
+      text: `MA${fast}/MA${slow} ${cross === 'up' ? '金叉' : '死叉'}`,
+      detail: `MA${fast}: \`${formatPrice(fastMa)}\`  MA${slow}: \`${formatPrice(slowMa)}\``
+    };
+  },
+
+  format
+});
+
+// MACD 的 DEA 需要 9 个 DIF，每个 DIF 需要 26 条K线
+const MACD_SIZE = 26 + 9 - 1;
+
+registerAlertRuleType('macdCross', {
+  trigger: 'candle',
+  candleSize: () => MACD_SIZE + 1,
+
+  evaluate({ condition }, { symbol, period, price }, candles) {
+    const current = windowAt(candles, 0, MACD_SIZE);
+    const prev = windowAt(candles, 1, MACD_SIZE);
+    if (!current || !prev) {
+      return null;
+    }
+
+    const macd = analyzer.calculateMACDSignal(current);
+    const prevMacd = analyzer.calculateMACDSignal(prev);
+    logger.debug(`${symbol} ${period} MACD DIF/DEA: ${macd.dif.toFixed(4)} / ${macd.dea.toFixed(4)}`);
+
+    // DIF 减 DEA（即柱状图）穿越 0 为金叉 / 死叉；单边行情中 DIF 与 DEA 收敛，浮点误差不算穿越
+    const zeroLine = condition.line === 'zero';
+    const value = ({ dif, histogram }) => {
+      const v = zeroLine ? dif : histogram;
+      return Math.abs(v) < price * 1e-9 ? 0 : v;
+    };
+    const cross = crossing(value(prevMacd), value(macd), 0);
+    const expected = { bullish: 'up', bearish: 'down' }[condition.direction];
+    if (!cross || (expected && cross !== expected)) {
+      return null;
+    }
+
+    const text = zeroLine
+      ? `MACD DIF ${cross === 'up' ? '上穿' : '下穿'} 0 轴`
+      : `MACD ${cross === 'up' ? '金叉' : '死叉'}`;
+    return {
+      ...macd,
+      text,
+      detail: `DIF: \`${macd.dif.toFixed(4)}\`  DEA: \`${macd.dea.toFixed(4)}\``
+    };
+  },
+
+  format
+});
+
+registerAlertRuleType('bollinger', {
+  trigger: 'candle',
+  candleSize: ({ condition }) => (condition.length || 20) + 1,
+
+  /**
+   * 上一根K线收盘在上一根的布林带内，本根K线收盘在本根的布林带外
+   */
+  evaluate({ condition }, { symbol, period, price }, candles) {
+    const length = condition.length || 20;
+    const stdDev = condition.stdDev || 2;
+    const current = windowAt(candles, 0, length);
+    const prev = windowAt(candles, 1, length);
+    if (!current || !prev) {
+      return null;
+    }
+
+    const bands = analyzer.calculateBollingerBands(current, length, stdDev);
+    const prevBands = analyzer.calculateBollingerBands(prev, length, stdDev);
+    const prevClose = candles[1].close;
+    logger.debug(`${symbol} ${period} BOLL(${length},${stdDev}): ${formatPrice(bands.lower)} ~ ${formatPrice(bands.upper)}`);
+
+    let side = null;
+    if (prevClose <= prevBands.upper && price > bands.upper) {
+      side = 'upper';
+    } else if (prevClose >= prevBands.lower && price < bands.lower) {
+      side = 'lower';
+    }
+    if (!side || (condition.direction !== 'any' && side !== (condition.direction || 'upper'))) {
+      return null;
+    }
+    return {
+      bands,
+      text: side === 'upper' ? `收盘突破布林上轨 (${length},${stdDev})` : `收盘跌破布林下轨 (${length},${stdDev})`,
+      detail: `上轨: \`${formatPrice(bands.upper)}\`  中轨: \`${formatPrice(bands.middle)}\`  下轨: \`${formatPrice(bands.lower)}\``
+    };
+  },
+
+  format
+});
+
+registerAlertRuleType('closeLevel', {
+  trigger: 'candle',
+  candleSize: () => 2,
+
+  evaluate({ condition }, { price }, candles) {
+    if (candles.length < 2) {
+      return null;
+    }
+    const cross = crossing(candles[1].close, price, condition.level);
+    if (cross !== (condition.direction === 'below' ? 'down' : 'up')) {
+      return null;
+    }
+    return {
+      text: `收盘${cross === 'up' ? '站上' : '跌破'} ${condition.level}`,
+      detail: `上根收盘: \`${formatPrice(candles[1].close)}\``
+    };
+  },
+
+  format
+});
@@ -1,179 +1,31 @@
-import axios from 'axios';
-import crypto from 'crypto';
 import { createLogger } from '../utils/logger.js';
+import { candleStore } from './candle-store.js';
 
 const logger = createLogger('市场分析');
 
 /**
  * 市场数据分析器
  * 提供火币 App 没有的高级分析功能
- * 使用 API Key 认证，避免 IP 限制
+ * K线来自 candleStore（REST 请求由 HTXRestClient 统一限频）
  */
 export class MarketAnalyzer {
   constructor(accessKey = null, secretKey = null) {
-    this.baseUrl = 'https://api.hbdm.com';
     this.accessKey = accessKey;
     this.secretKey = secretKey;
-    this.cache = new Map(); // 缓存 K线数据
-    this.cacheExpiry = 5 * 60 * 1000; // 缓存 5 分钟（减少 API 调用）
-    this.requestDelay = 500; // 请求间隔 500ms（避免限流）
-    this.lastRequestTime = 0; // 上次请求时间
   }
 
   /**
-   * 生成签名（如果提供了 API Key）
-   */
-  generateSignature(method, host, path, params) {
-    if (!this.accessKey || !this.secretKey) {
-      return null;
-    }
-
-    const timestamp = new Date().toISOString().replace(/\.\d{3}Z$/, '');
-    
-    const signParams = {
-      AccessKeyId: this.accessKey,
-      SignatureMethod: 'HmacSHA256',
-      SignatureVersion: '2',
-      Timestamp: timestamp,
-      ...params
-    };
-
-    // 按字母顺序排序参数
-    const sortedParams = Object.keys(signParams)
-      .sort()
-      .map(key => `${encodeURIComponent(key)}=${encodeURIComponent(signParams[key])}`)
-      .join('&');
-
-    // 构建签名字符串
-    const signString = `${method}\n${host}\n${path}\n${sortedParams}`;
-
-    // 生成签名
-    const signature = crypto
-      .createHmac('sha256', this.secretKey)
-      .update(signString)
-      .digest('base64');
-
-    return {
-      ...signParams,
-      Signature: signature
-    };
-  }
-
-  /**
-   * 获取 K线数据（使用公开 API，不需要签名）
+   * 获取 K线数据（来自K线存储：实时推送 + REST 补齐）
    * @param {string} symbol - 合约代码，如 ETH-USDT
    * @param {string} period - 周期：1min, 5min, 15min, 30min, 60min, 4hour, 1day, 1week
    * @param {number} size - 数据条数
    */
   async getKlineData(symbol, period, size = 200) {
-    logger.trace(`原始 symbol: "${symbol}"`);
-    
-    const cacheKey = `${symbol}_${period}_${size}`;
-    const cached = this.cache.get(cacheKey);
-    
-    // 检查缓存
-    if (cached && Date.now() - cached.timestamp < this.cacheExpiry) {
-      logger.debug(`使用缓存数据: ${symbol} ${period}`);
-      return cached.data; // 缓存的数据已经是 { klines, latestPrice } 格式
-    }
-
-    // 限流：确保请求间隔至少 500ms
-    const now = Date.now();
-    const timeSinceLastRequest = now - this.lastRequestTime;
-    if (timeSinceLastRequest < this.requestDelay) {
-      await new Promise(resolve => setTimeout(resolve, this.requestDelay - timeSinceLastRequest));
+    const klines = await candleStore.getCandles(symbol, period, size);
+    if (!klines) {
+      return { klines: [], latestPrice: null };
     }
-
-    // 最多重试 3 次，使用指数退避
-    let lastError = null;
-    for (let retry = 0; retry < 3; retry++) {
-      try {
-        // 指数退避：第1次立即，第2次等1秒，第3次等2秒
-        if (retry > 0) {
-          const backoffDelay = Math.pow(2, retry - 1) * 1000;
-          logger.debug(`重试 ${retry}/3，等待 ${backoffDelay}ms...`);
-          await new Promise(resolve => setTimeout(resolve, backoffDelay));
-        }
-
-        const path = '/linear-swap-ex/market/history/kline';
-        const params = {
-          contract_code: symbol.toUpperCase(),  // 保留连字符，如 ETH-USDT
-          period: period,
-          size: size
-        };
-
-        logger.trace(`请求参数:`, params);
-
-        // K线数据是公开的，直接使用公开 API
-        const queryString = Object.keys(params)
-          .map(key => `${encodeURIComponent(key)}=${encodeURIComponent(params[key])}`)
-          .join('&');
-        
-        const url = `${this.baseUrl}${path}?${queryString}`;
-        logger.trace(`完整 URL: ${url}`);
-
-        this.lastRequestTime = Date.now();
-
-        const response = await axios.get(url, {
-          timeout: 15000, // 增加超时时间到 15 秒
-          headers: {
-            'User-Agent': 'Mozilla/5.0',
-            'Accept': 'application/json',
-            'Content-Type': 'application/json'
-          }
-        });
-
-        if (response.data.status === 'ok') {
-          // 反转数组：从旧→新 变成 新→旧，并转换数值类型
-          const data = response.data.data.reverse().map(k => ({
-            ...k,
-            open: +k.open,
-            high: +k.high,
-            low: +k.low,
-            close: +k.close,
-            amount: +k.amount || 0,
-            vol: +k.vol || 0
-          }));
-          
-          // 调试：打印K线数据顺序
-          if (data.length >= 2) {
-            logger.trace(`K线数据顺序检查 (${symbol} ${period}):`);
-            logger.trace(`   第1条 (最新): ${new Date(data[0].id * 1000).toLocaleString('zh-CN')} - ${data[0].close}`);
-            logger.trace(`   最后1条 (最早): ${new Date(data[data.length - 1].id * 1000).toLocaleString('zh-CN')} - ${data[data.length - 1].close}`);
-          }
-          
-          // 缓存数据（保存为对象格式）
-          const resultData = { klines: data, latestPrice: data[0]?.close || null };
-          this.cache.set(cacheKey, {
-            data: resultData,
-            timestamp: Date.now()
-          });
-          logger.debug(`成功获取 K线数据: ${symbol} ${period} (${data.length} 条)`);
-          return resultData;
-        } else {
-          lastError = new Error(`API 返回错误: ${response.data.err_msg || response.data['err-msg'] || 'Unknown error'}`);
-        }
-      } catch (error) {
-        lastError = error;
-        const errorMsg = error.response?.data?.err_msg || error.response?.data?.['err-msg'] || error.message;
-        logger.warn(`获取失败 (${symbol} ${period}, 尝试 ${retry + 1}/3): ${errorMsg}`);
-        
-        // 如果是 404 或参数错误，不要重试
-        if (error.response?.status === 404 || errorMsg.includes('invalid')) {
-          logger.error(`参数错误，停止重试`);
-          break;
-        }
-        
-        if (retry < 2) {
-          // 不是最后一次重试，继续
-          continue;
-        }
-      }
-    }
-
-    // 所有重试都失败了
-    logger.error(`获取K线数据最终失败 (${symbol} ${period}):`, lastError.message);
-    return { klines: [], latestPrice: null };
+    return { klines, latestPrice: klines[0]?.close || null };
   }
 
   /**
@@ -516,6 +368,36 @@ export class MarketAnalyzer {
     };
   }
 
+  /**
+   * 计算 MACD 的 DIF、DEA（DIF 的 EMA）和柱状图
+   * 每个 DIF 由 calculateMACD 按 26 条K线计算，DEA 需要最近 signalPeriod 个 DIF
+   * @param {Array} klines - K线数据（新→旧），至少 25 + signalPeriod 条，只使用最新的部分
+   * @param {number} signalPeriod - DEA 周期，默认 9
+   * @returns {{dif, dea, histogram}|null} histogram = (DIF - DEA) × 2
+   */
+  calculateMACDSignal(klines, signalPeriod = 9) {
+    if (klines.length < 25 + signalPeriod) return null;
+
+    // difs[0] 为最新K线的 DIF
+    const difs = [];
+    for (let i = 0; i < signalPeriod; i++) {
+      difs.push(this.calculateMACD(klines.slice(i, i + 26)).dif);
+    }
+
+    // 与 calculateMACD 相同：以最早的值为初值，向最新的值递推
+    const k = 2 / (signalPeriod + 1);
+    let dea = difs[difs.length - 1];
+    for (let i = difs.length - 2; i >= 0; i--) {
+      dea = difs[i] * k + dea * (1 - k);
+    }
+
+    return {
+      dif: difs[0],
+      dea,
+      histogram: (difs[0] - dea) * 2
+    };
+  }
+
   /**
    * 计算布林带
    * @param {Array} klines - K线数据
@@ -552,7 +434,7 @@ export class MarketAnalyzer {
     // 如果需要清除缓存
     if (clearCache) {
       logger.debug('清除缓存，获取最新数据...');
-      this.cache.clear();
+      candleStore.invalidate();
     }
     
     let multiTimeframe, priceRange, volatility, klines1h, klines4h;
@@ -800,7 +682,7 @@ export class MarketAnalyzer {
 
     // 清除缓存，确保获取最新数据
     logger.debug('清除缓存，获取最新数据...');
-    this.cache.clear();
+    candleStore.invalidate();
 
     const report = {
       symbol: symbol,
@@ -0,0 +1,194 @@
+import { redisClient } from '../config/redis-client.js';
+import { createLogger } from '../utils/logger.js';
+import { ExchangeAdapter } from '../exchanges/exchange-adapter.js';
+
+const logger = createLogger('盈亏账本');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * 已实现盈亏账本
+ * 记录每笔成交（平仓盈亏、手续费）和每次资金费结算，按自然日（本地时区）存入 Redis，
+ * 汇总今日、本周（周一开始）、本月各合约的已实现盈亏
+ *
+ * 账本条目：
+ *   { id, type: fill / funding, exchange, account（账户标签，单账户为 null）, contractCode, marginAsset, realizedProfit, fee, funding, usdRate, ts, ... }
+ *   净盈亏 = 平仓盈亏 - 手续费 + 资金费（以 marginAsset 计），币本位按 usdRate（成交价 / 结算时价格）折合美元
+ *
+ * 监控程序写入，Web 服务通过 dataCollector 读取汇总
+ */
+export class PnlLedger {
+  constructor() {
+    this.redis = redisClient;
+    this.summary = null; // 最近一次汇总（定时通知同步读取）
+  }
+
+  /**
+   * 记录成交（统一格式的 Fill，见 ExchangeAdapter）
+   * @returns {Promise<boolean>} 是否为新成交
+   */
+  async recordFill(fill) {
+    return this.record({
+      id: `fill:${ExchangeAdapter.getKey(fill.exchange, fill.account)}:${fill.tradeId}`,
+      type: 'fill',
+      exchange: fill.exchange,
+      account: fill.account ?? null,
+      contractCode: fill.contractCode,
+      marginAsset: fill.marginAsset,
+      orderId: fill.orderId,
+      side: fill.side,
+      action: fill.action,
+      marginMode: fill.marginMode,
+      volume: fill.volume,
+      price: fill.price,
+      realizedProfit: fill.realizedProfit,
+      fee: fill.fee,
+      feeEstimated: fill.feeEstimated,
+      funding: 0,
+      usdRate: fill.inverse ? fill.price : 1,
+      ts: fill.ts
+    });
+  }
+
+  /**
+   * 记录资金费结算（统一格式的 FundingRecord）
+   * @param {number} usdRate - 币本位折合美元的价格，U 本位为 1
+   * @returns {Promise<boolean>} 是否为新流水
+   */
+  async recordFunding(record, usdRate = 1) {
+    return this.record({
+      id: `funding:${ExchangeAdapter.getKey(record.exchange, record.account)}:${record.id}`,
+      type: 'funding',
+      exchange: record.exchange,
+      account: record.account ?? null,
+      contractCode: record.contractCode,
+      marginAsset: record.marginAsset,
+      realizedProfit: 0,
+      fee: 0,
+      funding: record.amount,
+      usdRate,
+      ts: record.ts
+    });
+  }
+
+  async record(entry) {
+    const added = await this.redis.addLedgerEntry(PnlLedger.formatDate(entry.ts), entry);
+    if (added) {
+      const net = PnlLedger.getNet(entry);
+      logger.info(`📒 ${entry.type === 'fill' ? '成交' : '资金费'} ${entry.account ? `[${entry.account}] ` : ''}${entry.contractCode}: 净盈亏 ${net >= 0 ? '+' : ''}${net.toFixed(entry.usdRate === 1 ? 4 : 8)} ${entry.marginAsset}`);
+      await this.getSummary();
+    }
+    return added;
+  }
+
+  /**
+   * 今日 / 本周 / 本月的已实现盈亏汇总（从 Redis 读取并缓存）
+   * @returns {Promise<{today, week, month, updatedAt}>} 每个周期为 { startTime, realizedProfit, fee, funding, netUsd, fills, contracts }，
+   *   realizedProfit / fee / funding 为折合美元，contracts 为各账户各合约的明细（以 marginAsset 计，另附 netUsd）
+   */
+  async getSummary(now = Date.now()) {
+    const starts = PnlLedger.getPeriodStarts(now);
+    const earliest = Math.min(starts.week, starts.month);
+
+    const dates = [];
+    for (let day = earliest; day <= now; day += DAY_MS) {
+      dates.push(PnlLedger.formatDate(day));
+    }
+    const entries = await this.redis.getLedgerEntries(Array.from(new Set(dates)));
+
+    this.summary = {
+      today: PnlLedger.summarize(entries, starts.today),
+      week: PnlLedger.summarize(entries, starts.week),
+      month: PnlLedger.summarize(entries, starts.month),
+      updatedAt: now
+    };
+    return this.summary;
+  }
+
+  /**
+   * 最近一次汇总，未汇总过时为 null
+   */
+  getCachedSummary() {
+    return this.summary;
+  }
+
+  /**
+   * 净盈亏（以 marginAsset 计）
+   */
+  static getNet(entry) {
+    return entry.realizedProfit - entry.fee + entry.funding;
+  }
+
+  /**
+   * 汇总某时间之后的条目
+   */
+  static summarize(entries, since) {
+    const total = { startTime: since, realizedProfit: 0, fee: 0, funding: 0, netUsd: 0, fills: 0, contracts: [] };
+    const contracts = new Map();
+
+    entries.filter(entry => entry.ts >= since).forEach(entry => {
+      const key = `${ExchangeAdapter.getKey(entry.exchange, entry.account)}:${entry.contractCode}`;
+      if (!contracts.has(key)) {
+        contracts.set(key, {
+          exchange: entry.exchange,
+          account: entry.account ?? null,
+          contractCode: entry.contractCode,
+          marginAsset: entry.marginAsset,
+          realizedProfit: 0,
+          fee: 0,
+          funding: 0,
+          net: 0,
+          netUsd: 0,
+          fills: 0
+        });
+      }
+      const item = contracts.get(key);
+      const rate = entry.usdRate || 1;
+      const net = PnlLedger.getNet(entry);
+
+      item.realizedProfit += entry.realizedProfit;
+      item.fee += entry.fee;
+      item.funding += entry.funding;
+      item.net += net;
+      item.netUsd += net * rate;
+
+      total.realizedProfit += entry.realizedProfit * rate;
+      total.fee += entry.fee * rate;
+      total.funding += entry.funding * rate;
+      total.netUsd += net * rate;
+
+      if (entry.type === 'fill') {
+        item.fills++;
+        total.fills++;
+      }
+    });
+
+    total.contracts = Array.from(contracts.values()).sort((a, b) => b.netUsd - a.netUsd);
+    return total;
+  }
+
+  /**
+   * 今日、本周（周一 0 点）、本月（1 日 0 点）的开始时间
+   */
+  static getPeriodStarts(now = Date.now()) {
+    const today = new Date(now);
+    today.setHours(0, 0, 0, 0);
+    const week = new Date(today);
+    week.setDate(today.getDate() - (today.getDay() + 6) % 7);
+    const month = new Date(today);
+    month.setDate(1);
+    return { today: today.getTime(), week: week.getTime(), month: month.getTime() };
+  }
+
+  /**
+   * 本地日期，如 2024-06-28
+   */
+  static formatDate(ts) {
+    const date = new Date(ts);
+    const pad = value => String(value).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+  }
+}
+
+// 创建全局实例
+export const pnlLedger = new PnlLedger();
@@ -0,0 +1,212 @@
+/**
+ * 组合敞口
+ * 汇总所有交易所、所有账户、所有合约的持仓（calculatePnL 生成的持仓盈亏数据），计算总敞口、净敞口、
+ * 各币种的净头寸、总保证金、总未实现盈亏和实际杠杆（同时按账户分别汇总），
+ * 合计指标越过阈值时触发 alert 事件，恢复时再触发一次
+ *
+ * 金额均为折合 USDT（币本位持仓按最新价折算）：
+ * - 总敞口 = Σ 持仓价值，净敞口 = 多仓价值 - 空仓价值
+ * - 实际杠杆 = 总敞口 / 权益（权益优先使用账户监控的真实权益，没有时为 总保证金 + 总未实现盈亏）
+ *
+ * 事件：
+ * - alert ({ rule, state: triggered / recovered, value, threshold, summary })
+ *   rule：netExposure（净敞口绝对值过高）/ grossExposure（总敞口过高）/ leverage（实际杠杆过高）
+ */
+import { ExchangeAdapter } from '../exchanges/exchange-adapter.js';
+
+export class PortfolioAggregator {
+  /**
+   * @param {object} config - 见 market-config.js 的 portfolioConfig
+   */
+  constructor(config = {}) {
+    this.setConfig(config);
+
+    // 持仓 key（getPositionKey）-> 最近一次的持仓盈亏数据
+    this.positions = new Map();
+    // rule -> { active, lastNotifyTime }
+    this.alerts = {};
+    this.eventHandlers = {
+      alert: []
+    };
+  }
+
+  setConfig(config = {}) {
+    this.config = {
+      enabled: config.enabled !== false,
+      maxNetExposure: config.maxNetExposure || 0, // USDT，0 为不检查
+      maxGrossExposure: config.maxGrossExposure || 0, // USDT，0 为不检查
+      maxLeverage: config.maxLeverage || 0, // 倍，0 为不检查
+      minNotifyInterval: config.minNotifyInterval || 10 * 60 * 1000
+    };
+  }
+
+  /**
+   * 更新单个持仓的盈亏数据
+   */
+  update(key, positionData) {
+    this.positions.set(key, positionData);
+  }
+
+  /**
+   * 只保留仍然存在的持仓（持仓推送后调用）
+   * @param {Set<string>} keys - 当前全部持仓的 key
+   */
+  sync(keys) {
+    for (const key of Array.from(this.positions.keys())) {
+      if (!keys.has(key)) {
+        this.positions.delete(key);
+      }
+    }
+  }
+
+  getPositions() {
+    return Array.from(this.positions.values());
+  }
+
+  /**
+   * 组合汇总
+   * @param {number|null} equity - 账户真实权益（USDT），未知时为 null
+   * @param {object} accountEquity - 各账户（适配器 key，见 ExchangeAdapter.getKey）的真实权益，用于分账户的杠杆
+   * @returns {object} { positionCount, longExposure, shortExposure, grossExposure, netExposure, marginUsed,
+   *   profitUnreal, equity, equitySource: account / margin, leverage, coins, accounts, updatedAt }
+   *   coins 为各币种 [{ coin, quantity（净头寸，币数，空为负）, longExposure, shortExposure, netExposure, profitUnreal }]，按净敞口绝对值排序；
+   *   accounts 为各账户 [{ key, exchange, account, ...同上的汇总字段（不含 accounts） }]，按 key 排序
+   */
+  getSummary(equity = null, now = Date.now(), accountEquity = {}) {
+    const groups = new Map();
+    this.positions.forEach(pos => {
+      const key = ExchangeAdapter.getKey(pos.exchange, pos.account);
+      if (!groups.has(key)) {
+        groups.set(key, { key, exchange: pos.exchange, account: pos.account || null, positions: [] });
+      }
+      groups.get(key).positions.push(pos);
+    });
+
+    const accounts = Array.from(groups.values())
+      .sort((a, b) => a.key.localeCompare(b.key))
+      .map(({ positions, ...info }) => ({
+        ...info,
+        ...PortfolioAggregator.summarize(positions, accountEquity[info.key] ?? null, now)
+      }));
+
+    return {
+      ...PortfolioAggregator.summarize(Array.from(this.positions.values()), equity, now),
+      accounts
+    };
+  }
+
+  /**
+   * 一组持仓的敞口、保证金、盈亏、各币种净头寸和实际杠杆
+   */
+  static summarize(positions, equity, now) {
+    const summary = {
+      positionCount: 0,
+      longExposure: 0,
+      shortExposure: 0,
+      grossExposure: 0,
+      netExposure: 0,
+      marginUsed: 0,
+      profitUnreal: 0,
+      equity: null,
+      equitySource: null,
+      leverage: null,
+      coins: [],
+      updatedAt: now
+    };
+    const coins = new Map();
+
+    positions.forEach(pos => {
+      const coin = pos.baseCurrency || pos.contractCode.split('-')[0];
+      if (!coins.has(coin)) {
+        coins.set(coin, { coin, quantity: 0, longExposure: 0, shortExposure: 0, netExposure: 0, profitUnreal: 0 });
+      }
+      const item = coins.get(coin);
+      const sign = pos.direction === 'long' ? 1 : -1;
+      const value = pos.positionValueUsd ?? pos.positionValue;
+      const profit = pos.profitUnrealUsd ?? pos.profitUnreal;
+
+      item.quantity += sign * pos.actualPosition;
+      item.netExposure += sign * value;
+      item.profitUnreal += profit;
+      if (sign > 0) {
+        item.longExposure += value;
+        summary.longExposure += value;
+      } else {
+        item.shortExposure += value;
+        summary.shortExposure += value;
+      }
+
+      summary.positionCount++;
+      summary.marginUsed += pos.positionMarginUsd ?? pos.positionMargin;
+      summary.profitUnreal += profit;
+    });
+
+    summary.grossExposure = summary.longExposure + summary.shortExposure;
+    summary.netExposure = summary.longExposure - summary.shortExposure;
+    summary.coins = Array.from(coins.values()).sort((a, b) => Math.abs(b.netExposure) - Math.abs(a.netExposure));
+
+    if (equity !== null && equity > 0) {
+      summary.equity = equity;
+      summary.equitySource = 'account';
+    } else if (summary.positionCount > 0) {
+      summary.equity = summary.marginUsed + summary.profitUnreal;
+      summary.equitySource = 'margin';
+    }
+    summary.leverage = summary.equity > 0 ? summary.grossExposure / summary.equity : null;
+
+    return summary;
+  }
+
+  /**
+   * 检查阈值：进入风险区时提醒（持续处于风险区时按最小间隔重复），回到安全区时发送一次恢复提醒
+   */
+  checkThresholds(summary, now = Date.now()) {
+    if (!this.config.enabled) {
+      return;
+    }
+    const { maxNetExposure, maxGrossExposure, maxLeverage } = this.config;
+
+    const rules = [
+      { rule: 'netExposure', value: Math.abs(summary.netExposure), threshold: maxNetExposure },
+      { rule: 'grossExposure', value: summary.grossExposure, threshold: maxGrossExposure },
+      { rule: 'leverage', value: summary.leverage, threshold: maxLeverage }
+    ];
+
+    rules.forEach(({ rule, value, threshold }) => {
+      if (!(threshold > 0) || value === null || !Number.isFinite(value)) {
+        return;
+      }
+      const alert = this.alerts[rule] || (this.alerts[rule] = { active: false, lastNotifyTime: 0 });
+
+      if (value > threshold) {
+        if (!alert.active || now - alert.lastNotifyTime >= this.config.minNotifyInterval) {
+          alert.active = true;
+          alert.lastNotifyTime = now;
+          this.emit('alert', { rule, state: 'triggered', value, threshold, summary });
+        }
+      } else if (alert.active) {
+        alert.active = false;
+        this.emit('alert', { rule, state: 'recovered', value, threshold, summary });
+      }
+    });
+  }
+
+  /**
+   * 当前处于风险区的规则
+   */
+  getActiveAlerts() {
+    return Object.keys(this.alerts).filter(rule => this.alerts[rule].active);
+  }
+
+  on(event, handler) {
+    if (this.eventHandlers[event]) {
+      this.eventHandlers[event].push(handler);
+    }
+  }
+
+  emit(event, ...args) {
+    if (this.eventHandlers[event]) {
+      this.eventHandlers[event].forEach(handler => handler(...args));
+    }
+  }
+}
@@ -3,6 +3,8 @@ import { SimpleSignalGenerator } from '../services/simple-signal-generator.js';
 import { ScalpingSignalGenerator } from '../services/scalping-signal-generator.js';
 import { createLogger } from '../utils/logger.js';
 import { redisClient } from '../config/redis-client.js';
+import { createExchange } from '../exchanges/index.js';
+import { calcPositionPnl } from '../utils/pnl.js';
 
 const logger = createLogger('量化交易');
 
@@ -20,6 +22,8 @@ export class QuantTrader {
       secretKey: config.secretKey,
       symbol: config.symbol || 'BTC-USDT',
       leverage: config.leverage || 5,
+      marginMode: config.marginMode === 'cross' ? 'cross' : 'isolated', // 保证金模式：'isolated' 逐仓，'cross' 全仓
+      unifiedAccount: config.unifiedAccount !== false, // 统一账户（余额推送走 accounts_unify），默认开启
       initialBalance: config.initialBalance || 1000,
       positionSize: config.positionSize || 0.1,
       stopLoss: config.stopLoss || 0.02,
@@ -70,11 +74,13 @@ export class QuantTrader {
     
     // 订单监控
     this.pendingOrders = new Map(); // 待确认订单 Map<orderId, {type, timeout, retryCount}>
-    this.wsClient = null; // 复用 realtime-pnl.js 的 WebSocket 客户端
+    this.privateStreamsAttached = false; // 是否已接入交易所的订单和账户推送
+    this.wsConnectionState = null; // 私有频道连接状态（实盘模式依赖订单推送）
+    this.marketClient = null; // 复用 realtime-pnl.js 的行情客户端（订单簿等）
+    this.onExchangeOrder = (order) => this.handleOrderUpdate(order);
     
-    // crypto 模块（延迟加载）
-    this._crypto = null;
-    this._initCrypto();
+    // 交易所适配器（下单、查询、推送），由 realtime-pnl.js 传入，未传时按 API Key 创建 HTX 适配器
+    this.exchange = config.exchange || createExchange('htx', { accessKey: config.accessKey, secretKey: config.secretKey });
     
     // 信号历史（最多保留20条）
     this.signalHistory = [];
@@ -100,18 +106,6 @@ export class QuantTrader {
     this.startConfigReloader();
   }
   
-  /**
-   * 初始化 crypto 模块
-   */
-  async _initCrypto() {
-    try {
-      const crypto = await import('crypto');
-      this._crypto = crypto.default || crypto;
-    } catch (error) {
-      logger.error('初始化 crypto 模块失败:', error.message);
-    }
-  }
-  
   /**
    * 启动配置热重载（使用 Redis Pub/Sub 立即监听）
    */
@@ -362,6 +356,11 @@ export class QuantTrader {
    * 从 Redis 加载状态
    */
   async loadState() {
+    // 合约面值和价格精度（开仓、计算盈亏都依赖）
+    if (!await this.exchange.loadContracts() || !this.exchange.getContract(this.config.symbol)) {
+      logger.error(`❌ 未能加载 ${this.config.symbol} 的合约信息，开仓和盈亏计算将不可用`);
+    }
+
     try {
       const savedState = await redisClient.getCache(this.redisKey);
       
@@ -418,17 +417,24 @@ export class QuantTrader {
   /**
    * 实盘模式：从 WebSocket 更新持仓数据
    * 由 realtime-pnl.js 调用
+   * @param {Array} positionsData - 该保证金模式下的全部持仓（交易所适配器的统一格式）
+   * @param {string} marginMode - 持仓所属的保证金模式：isolated / cross
    */
-  onPositionsUpdate(positionsData) {
+  onPositionsUpdate(positionsData, marginMode = 'isolated') {
     if (this.config.testMode) {
       return; // 测试模式不处理 WebSocket 持仓
     }
+
+    // 只处理策略所用保证金模式的持仓，另一模式的推送不影响策略持仓
+    if (marginMode !== this.config.marginMode) {
+      return;
+    }
     
     // 🔥 调试日志：打印原始数据
     logger.debug(`📡 收到持仓推送，原始数据数量: ${positionsData ? positionsData.length : 0}`);
     if (positionsData && positionsData.length > 0) {
       positionsData.forEach((pos, index) => {
-        logger.debug(`  [${index}] contract: ${pos.contract_code}, direction: ${pos.direction}, volume: ${pos.volume}, cost_open: ${pos.cost_open}`);
+        logger.debug(`  [${index}] contract: ${pos.contractCode}, direction: ${pos.direction}, volume: ${pos.volume}, costOpen: ${pos.costOpen}`);
       });
     }
     
@@ -447,11 +453,11 @@ export class QuantTrader {
     positionsData.forEach(pos => {
       // 🔥 调试日志：显示过滤条件
       const isVolumeValid = pos.volume > 0;
-      const isSymbolMatch = pos.contract_code === this.config.symbol;
-      logger.debug(`  过滤检查: volume=${pos.volume} (${isVolumeValid}), symbol=${pos.contract_code} vs ${this.config.symbol} (${isSymbolMatch})`);
+      const isSymbolMatch = pos.contractCode === this.config.symbol;
+      logger.debug(`  过滤检查: volume=${pos.volume} (${isVolumeValid}), symbol=${pos.contractCode} vs ${this.config.symbol} (${isSymbolMatch})`);
       
       if (isVolumeValid && isSymbolMatch) {
-        const direction = pos.direction === 'buy' ? 'long' : 'short';
+        const direction = pos.direction;
         
         // 查找是否已存在相同方向的持仓
         const existingPos = this.positions.find(p => p.direction === direction);
@@ -461,10 +467,11 @@ export class QuantTrader {
           logger.debug(`  更新已存在的 ${direction} 持仓`);
           newPositions.push({
             ...existingPos,
-            entryPrice: Number(pos.cost_open), // 更新开仓均价
-            size: Number(pos.volume), // 更新持仓量
-            value: Number(pos.position_margin) * this.config.leverage,
-            leverage: Number(pos.lever_rate),
+            entryPrice: pos.costOpen, // 更新开仓均价
+            size: pos.volume, // 更新持仓量
+            value: pos.positionMargin, // 占用保证金
+            leverage: pos.leverage,
+            marginMode: pos.marginMode,
           });
         } else {
           // 新持仓
@@ -472,14 +479,15 @@ export class QuantTrader {
           newPositions.push({
             id: Date.now() + Math.random(),
             direction: direction,
-            entryPrice: Number(pos.cost_open),
-            size: Number(pos.volume),
-            value: Number(pos.position_margin) * this.config.leverage,
-            leverage: Number(pos.lever_rate),
+            entryPrice: pos.costOpen,
+            size: pos.volume,
+            value: pos.positionMargin, // 占用保证金
+            leverage: pos.leverage,
+            marginMode: pos.marginMode,
             openTime: new Date(),
             openFee: 0, // WebSocket 无法获取历史手续费
-            highestPrice: direction === 'long' ? Number(pos.cost_open) : null,
-            lowestPrice: direction === 'short' ? Number(pos.cost_open) : null,
+            highestPrice: direction === 'long' ? pos.costOpen : null,
+            lowestPrice: direction === 'short' ? pos.costOpen : null,
             suggestion: null,
           });
         }
@@ -618,6 +626,7 @@ export class QuantTrader {
   
   /**
    * 查询真实账户余额（实盘模式和模拟下单模式）
+   * 统一账户按保证金币种查询，非统一账户按策略的保证金模式查询逐仓或全仓账户
    */
   async fetchRealBalance() {
     if (this.config.testMode) {
@@ -625,44 +634,18 @@ export class QuantTrader {
     }
 
     try {
-      const axios = (await import('axios')).default;
-      const timestamp = new Date().toISOString().replace(/\.\d{3}Z$/, '');
-      
-      // 🔥 使用新的统一账户接口（GET请求，不需要contract_code）
-      const path = '/linear-swap-api/v3/unified_account_info';
-
-      // 生成签名（GET请求，query参数）
-      const signature = this.generateSignature('GET', 'api.hbdm.com', path, {
-        AccessKeyId: this.config.accessKey,
-        SignatureMethod: 'HmacSHA256',
-        SignatureVersion: '2',
-        Timestamp: timestamp,
-      });
-
-      const url = `https://api.hbdm.com${path}`;
-      const response = await axios.get(url, {
-        params: signature, // GET请求参数在query中
-      });
-
-      // 新接口返回格式：{ code: 200, msg: 'ok', data: [...] }
-      if ((response.data.code === 200 || response.data.msg === 'ok') && response.data.data && response.data.data.length > 0) {
-        // 找到 USDT 资产
-        const usdtAccount = response.data.data.find(account => account.margin_asset === 'USDT');
-        
-        if (usdtAccount) {
-          return {
-            marginBalance: usdtAccount.margin_balance || 0, // 账户权益
-            marginAvailable: usdtAccount.withdraw_available || 0, // 可用余额
-            marginFrozen: usdtAccount.margin_frozen || 0, // 冻结保证金
-            profitUnreal: usdtAccount.cross_profit_unreal || 0, // 未实现盈亏
-          };
-        } else {
-          logger.warn('未找到 USDT 资产账户');
-          return null;
-        }
+      const account = await this.exchange.getBalance(this.getTradingStreamOptions());
+      if (!account) {
+        logger.warn(`未找到 ${this.getQuoteCurrency()} 资产账户`);
+        return null;
       }
 
-      return null;
+      return {
+        marginBalance: account.marginBalance ?? 0, // 账户权益
+        marginAvailable: account.marginAvailable ?? 0, // 可用余额
+        marginFrozen: account.marginFrozen ?? 0, // 冻结保证金
+        profitUnreal: account.profitUnreal ?? 0, // 未实现盈亏
+      };
     } catch (error) {
       logger.error('查询账户余额失败:', error.message);
       if (error.response?.data) {
@@ -685,7 +668,7 @@ export class QuantTrader {
     logger.info(`   模式: ${modeEmoji} ${modeText}${dryRunText}`);
     logger.info(`   交易对: ${this.config.symbol}`);
     logger.info(`   策略资金: ${this.balance.toFixed(2)} USDT ${this.config.testMode ? '(模拟)' : '(用于计算开仓)'}`);
-    logger.info(`   杠杆: ${this.config.leverage}x`);
+    logger.info(`   杠杆: ${this.config.leverage}x | 保证金模式: ${this.config.marginMode === 'cross' ? '全仓' : '逐仓'}${this.config.unifiedAccount ? ' (统一账户)' : ''}`);
     logger.info(`   仓位: ${(this.config.positionSize * 100).toFixed(0)}%`);
     logger.info(`   止损: ${(this.config.stopLoss * 100).toFixed(0)}% | 止盈: ${(this.config.takeProfit * 100).toFixed(0)}%`);
     logger.info(`   最小信心指数: ${this.config.minConfidence}%`);
@@ -744,6 +727,7 @@ export class QuantTrader {
     // 1. 价格变化 >= 0.3%（避免过于频繁触发API限流）
     // 2. 或者距离上次检查超过30秒（兜底）
     const shouldCheck = !this.isCheckingSignal && 
+                       this.isPrivateChannelReady() &&
                        this.positions.length < this.config.maxPositions &&
                        (priceChangePercent >= 0.003 || timeSinceLastCheck > this.config.signalCheckInterval);
     
@@ -770,6 +754,32 @@ export class QuantTrader {
     this.updateDataCollector();
   }
 
+  /**
+   * 私有频道是否可用
+   * 实盘模式依赖订单和账户推送确认成交，断线或订阅未成功期间不开新仓；测试模式不受影响
+   */
+  isPrivateChannelReady() {
+    if (this.config.testMode || !this.privateStreamsAttached) {
+      return true;
+    }
+    return this.exchange.isTradingStreamReady(this.getTradingStreamOptions());
+  }
+
+  /**
+   * 订单和账户推送的订阅参数（交易所适配器据此选择频道）
+   */
+  getTradingStreamOptions() {
+    const { symbol, marginMode, unifiedAccount } = this.config;
+    return { contractCode: symbol, marginMode, unifiedAccount };
+  }
+
+  /**
+   * 保证金币种，如 BTC-USDT -> USDT
+   */
+  getQuoteCurrency() {
+    return this.config.symbol.split('-')[1] || 'USDT';
+  }
+
   /**
    * 更新数据收集器
    */
@@ -795,26 +805,10 @@ export class QuantTrader {
     const positionsToClose = [];
     
     for (const position of this.positions) {
-      const { direction, entryPrice, openTime, value } = position;
+      const { direction, entryPrice, openTime } = position;
       
-      // 火币官方公式：盈亏(USDT) = (平仓价 - 开仓价) × 合约张数 × 合约面值
-      // 注意：盈亏与杠杆无关！杠杆只影响保证金占用
-      const contractSize = this.getContractSize(this.config.symbol);
-      let profitUSDT;
-      if (direction === 'long') {
-        profitUSDT = (currentPrice - entryPrice) * position.size * contractSize;
-      } else {
-        profitUSDT = (entryPrice - currentPrice) * position.size * contractSize;
-      }
-      
-      // ROE = 盈亏 / 保证金
-      const margin = value;
-      const roe = profitUSDT / margin;
-      
-      // 计算价格变化百分比（用于日志显示）
-      const priceChangePercent = direction === 'long'
-        ? (currentPrice - entryPrice) / entryPrice
-        : (entryPrice - currentPrice) / entryPrice;
+      // ROE = 盈亏 / 保证金，priceChangePercent 用于日志显示
+      const { profitUnreal: profitUSDT, roe, priceChangePercent } = this.getPositionPnl(position, currentPrice);
       
       // 计算离线时长
       const offlineTime = Date.now() - new Date(openTime).getTime();
@@ -862,7 +856,7 @@ export class QuantTrader {
   async checkPositions(currentPrice) {
     for (let i = this.positions.length - 1; i >= 0; i--) {
       const position = this.positions[i];
-      const { direction, entryPrice, size, highestPrice, lowestPrice, value } = position;
+      const { direction, entryPrice, size, highestPrice, lowestPrice } = position;
 
       // 更新最高/最低价（用于移动止损）
       if (direction === 'long') {
@@ -871,19 +865,8 @@ export class QuantTrader {
         position.lowestPrice = Math.min(lowestPrice || entryPrice, currentPrice);
       }
 
-      // 火币官方公式：盈亏(USDT) = (平仓价 - 开仓价) × 合约张数 × 合约面值
-      // 注意：盈亏与杠杆无关！杠杆只影响保证金占用
-      const contractSize = this.getContractSize(this.config.symbol);
-      let profitUSDT;
-      if (direction === 'long') {
-        profitUSDT = (currentPrice - entryPrice) * size * contractSize;
-      } else {
-        profitUSDT = (entryPrice - currentPrice) * size * contractSize;
-      }
-      
       // ROE（收益率）= 盈亏 / 保证金
-      const margin = value;
-      const roe = profitUSDT / margin;
+      const { profitUnreal: profitUSDT, roe } = this.getPositionPnl(position, currentPrice);
 
       // 调试日志
       logger.debug(`${direction.toUpperCase()} 持仓检查: 入场=${entryPrice.toFixed(2)}, 当前=${currentPrice.toFixed(2)}, 张数=${size}, 盈亏=${profitUSDT.toFixed(2)} USDT, ROE=${(roe * 100).toFixed(2)}%, 止损=${(this.config.stopLoss * 100).toFixed(0)}%, 止盈=${(this.config.takeProfit * 100).toFixed(0)}%`);
@@ -913,42 +896,16 @@ export class QuantTrader {
         continue;
       }
 
-      // 移动止损检查（只在盈利时生效）
-      if (direction === 'long' && position.highestPrice) {
-        // 计算当前盈亏
-        const contractSize = this.getContractSize(this.config.symbol);
-        const currentProfitUSDT = (currentPrice - entryPrice) * size * contractSize;
-        const currentROE = currentProfitUSDT / margin;
-        
-        // 只有盈利时才检查移动止损
-        if (currentROE > 0) {
-          // 从最高点回撤的盈亏
-          const drawdownUSDT = (position.highestPrice - currentPrice) * size * contractSize;
-          const drawdownROE = drawdownUSDT / margin;
-          
-          if (drawdownROE >= this.config.trailingStop) {
-            logger.info(`\n� 触发移动止损: ${direction.toUpperCase()} @ ${currentPrice.toFixed(2)} (从最高点回撤 ROE ${(drawdownROE * 100).toFixed(2)}%)`);
-            await this.closePosition(position, currentPrice, '移动止损');
-            continue;
-          }
-        }
-      } else if (direction === 'short' && position.lowestPrice) {
-        // 计算当前盈亏
-        const contractSize = this.getContractSize(this.config.symbol);
-        const currentProfitUSDT = (entryPrice - currentPrice) * size * contractSize;
-        const currentROE = currentProfitUSDT / margin;
-        
-        // 只有盈利时才检查移动止损
-        if (currentROE > 0) {
-          // 从最低点反弹的盈亏
-          const drawupUSDT = (currentPrice - position.lowestPrice) * size * contractSize;
-          const drawupROE = drawupUSDT / margin;
-          
-          if (drawupROE >= this.config.trailingStop) {
-            logger.info(`\n📈 触发移动止损: ${direction.toUpperCase()} @ ${currentPrice.toFixed(2)} (从最低点反弹 ROE ${(drawupROE * 100).toFixed(2)}%)`);
-            await this.closePosition(position, currentPrice, '移动止损');
-            continue;
-          }
+      // 移动止损检查（只在盈利时生效）：从最高点（多仓）/ 最低点（空仓）回吐的收益率达到 trailingStop 时平仓
+      const extremePrice = direction === 'long' ? position.highestPrice : position.lowestPrice;
+      if (extremePrice && roe > 0) {
+        const drawdownROE = this.getPositionPnl(position, extremePrice).roe - roe;
+
+        if (drawdownROE >= this.config.trailingStop) {
+          const drawdownText = direction === 'long' ? '从最高点回撤' : '从最低点反弹';
+          logger.info(`\n📉 触发移动止损: ${direction.toUpperCase()} @ ${currentPrice.toFixed(2)} (${drawdownText} ROE ${(drawdownROE * 100).toFixed(2)}%)`);
+          await this.closePosition(position, currentPrice, '移动止损');
+          continue;
         }
       }
     }
@@ -1298,44 +1255,52 @@ export class QuantTrader {
    * 格式化价格精度（火币要求）
    * @param {number} price - 价格
    * @param {string} symbol - 交易对
-   * @returns {string} 格式化后的价格字符串
+   * @returns {string} 格式化后的价格字符串（按合约最小变动单位取整）
    */
   formatPrice(price, symbol = null) {
     const targetSymbol = symbol || this.config.symbol;
-    
-    // 不同交易对的价格精度要求
-    const precisionMap = {
-      'BTC-USDT': 2,  // BTC 价格精度 2 位小数
-      'ETH-USDT': 2,  // ETH 价格精度 2 位小数
-      'EOS-USDT': 4,  // EOS 价格精度 4 位小数
-      'LTC-USDT': 2,  // LTC 价格精度 2 位小数
-      'BCH-USDT': 2,  // BCH 价格精度 2 位小数
-      'XRP-USDT': 4,  // XRP 价格精度 4 位小数
-      'TRX-USDT': 6,  // TRX 价格精度 6 位小数
-    };
-    
-    const precision = precisionMap[targetSymbol] || 2; // 默认 2 位小数
-    
-    // 确保转换为数字，然后格式化为字符串
-    const numPrice = typeof price === 'string' ? parseFloat(price) : price;
-    return numPrice.toFixed(precision);
+    const formatted = this.exchange.formatPrice(price, targetSymbol);
+    if (formatted === null) {
+      throw new Error(`未找到 ${targetSymbol} 的合约信息，无法确定价格精度`);
+    }
+    return formatted;
+  }
+
+  /**
+   * 持仓盈亏（见 utils/pnl.js），position.value 为占用保证金
+   * @param {number} feeRate - 平仓手续费率，估算平仓净盈亏时传入
+   */
+  getPositionPnl(position, price, feeRate = 0) {
+    return calcPositionPnl({
+      direction: position.direction,
+      volume: position.size,
+      contractSize: this.getContractSize(this.config.symbol),
+      entryPrice: position.entryPrice,
+      marginMode: position.marginMode,
+      positionMargin: position.value,
+      leverage: position.leverage
+    }, { lastPrice: price }, { feeRate });
+  }
+
+  /**
+   * 策略权益 = 余额 + 持仓未实现盈亏（模拟模式即虚拟账户权益，用于权益曲线）
+   */
+  getEquity() {
+    if (!this.lastPrice) {
+      return this.balance;
+    }
+    return this.positions.reduce((equity, pos) => equity + this.getPositionPnl(pos, this.lastPrice).profitUnreal, this.balance);
   }
 
   /**
    * 获取合约面值（每张合约代表多少币）
    */
   getContractSize(symbol) {
-    const contractSizes = {
-      'BTC-USDT': 0.001,  // 1张 = 0.001 BTC
-      'ETH-USDT': 0.01,   // 1张 = 0.01 ETH
-      'EOS-USDT': 1,      // 1张 = 1 EOS
-      'LTC-USDT': 0.1,    // 1张 = 0.1 LTC
-      'BCH-USDT': 0.01,   // 1张 = 0.01 BCH
-      'XRP-USDT': 10,     // 1张 = 10 XRP
-      'TRX-USDT': 100,    // 1张 = 100 TRX
-    };
-    
-    return contractSizes[symbol] || 0.001; // 默认 BTC
+    const contractSize = this.exchange.getContractSize(symbol);
+    if (contractSize === null) {
+      throw new Error(`未找到 ${symbol} 的合约信息，无法确定合约面值`);
+    }
+    return contractSize;
   }
 
   /**
@@ -1382,12 +1347,8 @@ export class QuantTrader {
 
         // 🔥 关键改进：开仓时直接设置止盈止损（一次性完成，零延迟）
         const tpslParams = {
-          tp_trigger_price: takeProfitPrice,
-          tp_order_price: takeProfitPrice,
-          tp_order_price_type: 'limit', // 限价单，减少滑点
-          sl_trigger_price: stopLossPrice,
-          sl_order_price: stopLossPrice,
-          sl_order_price_type: 'limit', // 限价单，减少滑点
+          takeProfit: { triggerPrice: takeProfitPrice, orderPrice: takeProfitPrice, orderPriceType: 'limit' }, // 限价单，减少滑点
+          stopLoss: { triggerPrice: stopLossPrice, orderPrice: stopLossPrice, orderPriceType: 'limit' },
         };
 
         // 1. 使用限价单开仓，同时设置止盈止损
@@ -1405,7 +1366,7 @@ export class QuantTrader {
           async (order) => {
             // 开仓成功，止盈止损已自动设置
             // 🔥 关键修复：使用实际成交价格
-            const filledPrice = order.trade_avg_price || price;
+            const filledPrice = order.avgPrice || price;
             
             logger.info('✅ 开仓订单已成交，止盈止损已同步设置');
             logger.info(`   实际成交价: ${this.formatPrice(filledPrice)} USDT`);
@@ -1428,9 +1389,7 @@ export class QuantTrader {
   }
 
   /**
-   * 设置止盈止损订单（支持创建和修改）
-   * 火币的 swap_cross_tpsl_order 接口可以直接修改现有的止盈止损
-   * 不需要先取消再创建，一次调用即可完成
+   * 设置止盈止损订单（支持创建和修改，由交易所适配器决定是否需要先撤销）
    */
   async setTPSLOrder(direction, size, stopLossPrice, takeProfitPrice) {
     try {
@@ -1441,52 +1400,23 @@ export class QuantTrader {
         return true;
       }
 
-      const axios = (await import('axios')).default;
-
-      const timestamp = new Date().toISOString().replace(/\.\d{3}Z$/, '');
-      const path = '/linear-swap-api/v1/swap_tpsl_order'; // ✅ 逐仓端点
-
-      // 火币止盈止损订单参数
-      const params = {
-        contract_code: this.config.symbol,
-        direction: direction === 'long' ? 'sell' : 'buy', // 平仓方向相反
+      const result = await this.exchange.setTpsl({
+        contractCode: this.config.symbol,
+        positionSide: direction,
         volume: Math.floor(size), // 张数必须是整数
-        // 止损
-        sl_trigger_price: this.formatPrice(stopLossPrice),
-        sl_order_price: this.formatPrice(stopLossPrice),
-        sl_order_price_type: 'limit', // ✅ 限价单，减少滑点
-        // 止盈
-        tp_trigger_price: this.formatPrice(takeProfitPrice),
-        tp_order_price: this.formatPrice(takeProfitPrice),
-        tp_order_price_type: 'limit', // ✅ 限价单，减少滑点
-      };
-
-      // 生成签名
-      const signature = this.generateSignature('POST', 'api.hbdm.com', path, {
-        AccessKeyId: this.config.accessKey,
-        SignatureMethod: 'HmacSHA256',
-        SignatureVersion: '2',
-        Timestamp: timestamp,
+        marginMode: this.config.marginMode,
+        stopLoss: { triggerPrice: stopLossPrice, orderPrice: stopLossPrice, orderPriceType: 'limit' }, // ✅ 限价单，减少滑点
+        takeProfit: { triggerPrice: takeProfitPrice, orderPrice: takeProfitPrice, orderPriceType: 'limit' },
       });
 
-      const url = `https://api.hbdm.com${path}`;
-      const response = await axios.post(url, params, {
-        headers: {
-          'Content-Type': 'application/json',
-        },
-        params: signature,
-      });
-
-      if (response.data.status === 'ok' && response.data.data) {
-        const orderId = response.data.data.order_id || response.data.data.order_id_str;
-        logger.info(`✅ 止盈止损订单设置成功 (订单ID: ${orderId})`);
+      if (result.success) {
+        logger.info(`✅ 止盈止损订单设置成功 (订单ID: ${result.orderId})`);
         logger.info(`   止损价: ${this.formatPrice(stopLossPrice)} USDT`);
         logger.info(`   止盈价: ${this.formatPrice(takeProfitPrice)} USDT`);
-        return { success: true, orderId };
+        return result;
       } else {
-        logger.error('止盈止损订单失败:', response.data.err_msg || '未知错误');
-        logger.error('响应详情:', JSON.stringify(response.data));
-        return { success: false, error: response.data.err_msg };
+        logger.error('止盈止损订单失败:', result.error || '未知错误');
+        return result;
       }
     } catch (error) {
       logger.error('止盈止损订单错误:', error.message);
@@ -1508,35 +1438,16 @@ export class QuantTrader {
         return true;
       }
 
-      const axios = (await import('axios')).default;
-
-      const timestamp = new Date().toISOString().replace(/\.\d{3}Z$/, '');
-      const path = '/linear-swap-api/v1/swap_tpsl_cancelall';
-
-      const params = {
-        contract_code: contractCode,
-        direction: direction === 'long' ? 'sell' : 'buy', // 平仓方向
-      };
-
-      const signature = this.generateSignature('POST', 'api.hbdm.com', path, {
-        AccessKeyId: this.config.accessKey,
-        SignatureMethod: 'HmacSHA256',
-        SignatureVersion: '2',
-        Timestamp: timestamp,
+      const result = await this.exchange.cancelTpsl({
+        contractCode,
+        positionSide: direction,
+        marginMode: this.config.marginMode,
       });
 
-      const url = `https://api.hbdm.com${path}`;
-      const response = await axios.post(url, params, {
-        headers: {
-          'Content-Type': 'application/json',
-        },
-        params: signature,
-      });
-
-      if (response.data.status === 'ok') {
+      if (result.success) {
         return true;
       } else {
-        logger.warn('取消止盈止损订单失败:', response.data.err_msg);
+        logger.warn('取消止盈止损订单失败:', result.error);
         return false;
       }
     } catch (error) {
@@ -1552,7 +1463,7 @@ export class QuantTrader {
    * @param {string} offset - 开平：'open', 'close'
    * @param {number} price - 价格（可选，不传则使用对手价）
    * @param {boolean} returnOrderId - 是否返回订单ID（用于监控）
-   * @param {object} tpsl - 止盈止损参数（可选）{ tp_trigger_price, tp_order_price, tp_order_price_type, sl_trigger_price, sl_order_price, sl_order_price_type }
+   * @param {object} tpsl - 止盈止损参数（可选）{ takeProfit: { triggerPrice, orderPrice, orderPriceType }, stopLoss: { ... } }
    */
   async placeOrder(direction, size, offset = 'open', price = null, returnOrderId = false, tpsl = null) {
     try {
@@ -1565,7 +1476,7 @@ export class QuantTrader {
         
         // 模拟模式也显示止盈止损信息
         if (tpsl && offset === 'open') {
-          logger.info(`   止损: ${this.formatPrice(tpsl.sl_trigger_price)} | 止盈: ${this.formatPrice(tpsl.tp_trigger_price)}`);
+          logger.info(`   止损: ${this.formatPrice(tpsl.stopLoss.triggerPrice)} | 止盈: ${this.formatPrice(tpsl.takeProfit.triggerPrice)}`);
         }
         
         if (returnOrderId) {
@@ -1577,60 +1488,26 @@ export class QuantTrader {
         return true;
       }
 
-      const axios = (await import('axios')).default;
-
-      const timestamp = new Date().toISOString().replace(/\.\d{3}Z$/, '');
-      const path = '/linear-swap-api/v1/swap_order'; // ✅ 逐仓端点
-      
-      const params = {
-        contract_code: this.config.symbol,
+      const request = {
+        contractCode: this.config.symbol,
+        side: direction === 'long' || direction === 'buy' ? 'buy' : 'sell',
+        action: offset,
         volume: Math.floor(size), // 张数必须是整数
-        direction: direction === 'long' || direction === 'buy' ? 'buy' : 'sell',
-        offset: offset,
-        lever_rate: this.config.leverage,
-        order_price_type: price ? 'limit' : 'optimal_5', // 有价格用限价单，否则用对手价
+        price, // 有价格用限价单，否则用对手价
+        leverage: this.config.leverage,
+        marginMode: this.config.marginMode,
       };
 
-      // 限价单必须提供价格
-      if (price) {
-        params.price = this.formatPrice(price);
-      }
-
-      // 🔥 新增：开仓时直接设置止盈止损（一次性完成，避免延迟）
+      // 🔥 开仓时直接设置止盈止损（一次性完成，避免延迟）
       if (tpsl && offset === 'open') {
-        if (tpsl.tp_trigger_price) {
-          params.tp_trigger_price = this.formatPrice(tpsl.tp_trigger_price);
-          params.tp_order_price = this.formatPrice(tpsl.tp_order_price);
-          params.tp_order_price_type = tpsl.tp_order_price_type || 'limit';
-        }
-        if (tpsl.sl_trigger_price) {
-          params.sl_trigger_price = this.formatPrice(tpsl.sl_trigger_price);
-          params.sl_order_price = this.formatPrice(tpsl.sl_order_price);
-          params.sl_order_price_type = tpsl.sl_order_price_type || 'limit';
-        }
-        
-        // 调试日志：显示实际发送的参数
-        logger.debug('📋 开仓订单参数:', JSON.stringify(params, null, 2));
+        request.takeProfit = tpsl.takeProfit;
+        request.stopLoss = tpsl.stopLoss;
       }
 
-      // 生成签名
-      const signature = this.generateSignature('POST', 'api.hbdm.com', path, {
-        AccessKeyId: this.config.accessKey,
-        SignatureMethod: 'HmacSHA256',
-        SignatureVersion: '2',
-        Timestamp: timestamp,
-      });
+      const result = await this.exchange.placeOrder(request);
 
-      const url = `https://api.hbdm.com${path}`;
-      const response = await axios.post(url, params, {
-        headers: {
-          'Content-Type': 'application/json',
-        },
-        params: signature,
-      });
-
-      if (response.data.status === 'ok') {
-        const orderId = response.data.data?.order_id_str || response.data.data?.order_id;
+      if (result.success) {
+        const { orderId } = result;
         logger.info(`✅ 订单提交成功: ${offset === 'open' ? '开仓' : '平仓'} ${direction.toUpperCase()}`);
         logger.info(`   订单ID: ${orderId}`);
         
@@ -1642,11 +1519,11 @@ export class QuantTrader {
         }
         return true;
       } else {
-        logger.error('下单失败:', response.data.err_msg);
-        logger.error('响应详情:', JSON.stringify(response.data));
+        logger.error('下单失败:', result.error);
+        logger.error('响应详情:', JSON.stringify(result.raw));
         
         if (returnOrderId) {
-          return { success: false, error: response.data.err_msg };
+          return { success: false, error: result.error };
         }
         return false;
       }
@@ -1663,42 +1540,6 @@ export class QuantTrader {
     }
   }
 
-  /**
-   * 生成签名（同步方法）
-   */
-  generateSignature(method, host, path, params) {
-    // 在 ES6 模块中，需要在调用方已经 import crypto
-    // 这里直接使用调用方传入的 crypto 实例
-    // 或者使用全局的 crypto（如果有）
-    const crypto = this._crypto;
-    if (!crypto) {
-      throw new Error('crypto module not initialized. Call setCrypto() first.');
-    }
-    
-    const sortedParams = Object.keys(params)
-      .sort()
-      .map(key => `${encodeURIComponent(key)}=${encodeURIComponent(params[key])}`)
-      .join('&');
-
-    const signString = `${method}\n${host}\n${path}\n${sortedParams}`;
-    const signature = crypto
-      .createHmac('sha256', this.config.secretKey)
-      .update(signString)
-      .digest('base64');
-
-    return {
-      ...params,
-      Signature: signature,
-    };
-  }
-  
-  /**
-   * 设置 crypto 模块（由调用方传入）
-   */
-  setCrypto(crypto) {
-    this._crypto = crypto;
-  }
-
   /**
    * 平仓
    */
@@ -1755,39 +1596,20 @@ export class QuantTrader {
    * 完成平仓（更新余额和统计）
    */
   async finishClosePosition(position, price, reason) {
-    const { direction, entryPrice, size, value, openFee } = position;
+    const { direction, entryPrice, size, openFee = 0 } = position;
 
-    // 火币官方公式：盈亏(USDT) = (平仓价 - 开仓价) × 合约张数 × 合约面值
-    // 注意：盈亏与杠杆无关！杠杆只影响保证金占用
-    const contractSize = this.getContractSize(this.config.symbol);
-    let profitBeforeFee;
-    if (direction === 'long') {
-      profitBeforeFee = (price - entryPrice) * size * contractSize;
-    } else {
-      profitBeforeFee = (entryPrice - price) * size * contractSize;
-    }
+    // 平仓手续费基于实际成交金额；净盈亏 = 盈亏 - 平仓手续费（开仓手续费已在开仓时扣除）
+    const pnl = this.getPositionPnl(position, price, this.config.takerFee);
+    const { profitUnreal: profitBeforeFee, closeFee, netProfit: profit, priceChangePercent } = pnl;
     
-    // 计算平仓手续费（基于实际成交金额）
-    const actualTradeValue = size * contractSize * price;
-    const closeFee = actualTradeValue * this.config.takerFee;
-    
-    // 净盈亏 = 盈亏 - 平仓手续费（开仓手续费已在开仓时扣除）
-    const profit = profitBeforeFee - closeFee;
-    
-    // 收益率（ROE）= 盈亏 / 保证金
-    const margin = value;
-    const roe = (profit / margin) * 100;
+    // 收益率（ROE）= 净盈亏 / 保证金
+    const roe = pnl.netRoe * 100;
     const totalFees = openFee + closeFee;
 
     // 更新余额和统计
     this.balance += profit;
     this.stats.totalFees += closeFee;
     
-    // 计算价格变化百分比（用于日志显示）
-    const priceChangePercent = direction === 'long' 
-      ? (price - entryPrice) / entryPrice 
-      : (entryPrice - price) / entryPrice;
-    
     logger.info(`✅ ${this.config.testMode ? '模拟' : '实盘'}平仓: ${direction.toUpperCase()} @ ${price.toFixed(2)}`);
     logger.info(`   开仓价: ${entryPrice.toFixed(2)} | 张数: ${size}`);
     logger.info(`   价格变化: ${(priceChangePercent * 100).toFixed(2)}%`);
@@ -1871,24 +1693,10 @@ export class QuantTrader {
         dryRun: this.config.dryRun, // 模拟下单模式
       },
       positions: this.positions.map(pos => {
-        // 火币官方公式：盈亏(USDT) = (当前价 - 开仓价) × 合约张数 × 合约面值
-        // 注意：盈亏与杠杆无关！
-        const contractSize = this.getContractSize(this.config.symbol);
-        let profitUSDT;
-        if (pos.direction === 'long') {
-          profitUSDT = (this.lastPrice - pos.entryPrice) * pos.size * contractSize;
-        } else {
-          profitUSDT = (pos.entryPrice - this.lastPrice) * pos.size * contractSize;
-        }
-        
-        // ROE = 盈亏 / 保证金
-        const margin = pos.value;
-        const roe = (profitUSDT / margin) * 100;
-        
-        // 价格变化百分比（用于显示）
-        const priceChangePercent = pos.direction === 'long'
-          ? (this.lastPrice - pos.entryPrice) / pos.entryPrice
-          : (pos.entryPrice - this.lastPrice) / pos.entryPrice;
+        // ROE = 盈亏 / 保证金，价格变化百分比用于显示
+        const pnl = this.getPositionPnl(pos, this.lastPrice);
+        const { profitUnreal: profitUSDT, priceChangePercent } = pnl;
+        const roe = pnl.roe * 100;
 
         return {
           direction: pos.direction,
@@ -1905,6 +1713,8 @@ export class QuantTrader {
       }),
       stats: this.stats,
       signalHistory: this.signalHistory, // 信号历史
+      connectionState: this.wsConnectionState, // 私有频道连接状态
+      privateChannelReady: this.isPrivateChannelReady(), // 订单/账户推送是否就绪（实盘）
       canStop: this.positions.length === 0, // 是否可以停止（无持仓时才能停止）
     };
   }
@@ -1932,8 +1742,8 @@ export class QuantTrader {
     this.config.enabled = false;
     
     // 清理订单监听器（如果有）
-    if (this.wsClient && this.wsClient.eventHandlers && this.wsClient.eventHandlers.orders) {
-      this.wsClient.eventHandlers.orders = [];
+    if (this.privateStreamsAttached) {
+      this.exchange.off('order', this.onExchangeOrder);
       logger.info('✅ 已清理订单监听器');
     }
     
@@ -1975,18 +1785,11 @@ export class QuantTrader {
     if (this.positions.length > 0) {
       logger.info(`\n持仓详情:`);
       this.positions.forEach((pos, idx) => {
-        // 火币官方公式：盈亏(USDT) = (当前价 - 开仓价) × 合约张数 × 合约面值
-        const contractSize = this.getContractSize(this.config.symbol);
-        let profitUSDT;
-        if (pos.direction === 'long') {
-          profitUSDT = (this.lastPrice - pos.entryPrice) * pos.size * contractSize;
-        } else {
-          profitUSDT = (pos.entryPrice - this.lastPrice) * pos.size * contractSize;
-        }
-        
         // ROE = 盈亏 / 保证金
-        const margin = pos.value;
-        const roe = (profitUSDT / margin) * 100;
+        const pnl = this.getPositionPnl(pos, this.lastPrice);
+        const profitUSDT = pnl.profitUnreal;
+        const margin = pnl.margin;
+        const roe = pnl.roe * 100;
 
         const emoji = profitUSDT >= 0 ? '🟢' : '🔴';
         const sign = profitUSDT >= 0 ? '+' : '';
@@ -2014,71 +1817,106 @@ export class QuantTrader {
   }
 
   /**
-   * 设置 WebSocket 客户端（由 realtime-pnl.js 传入）
+   * 设置行情客户端（由 realtime-pnl.js 传入）
+   * 订阅交易对的深度和逐笔成交，供信号生成器使用真实盘口和主动买卖数据
    */
-  setWebSocketClient(wsClient) {
-    this.wsClient = wsClient;
+  setMarketClient(marketClient) {
+    this.marketClient = marketClient;
+    if (!marketClient) return;
+
+    marketClient.subscribeDepth(this.config.symbol);
+    marketClient.subscribeTrades(this.config.symbol);
+    if (this.signalGenerator && typeof this.signalGenerator.setMarketClient === 'function') {
+      this.signalGenerator.setMarketClient(marketClient);
+    }
+  }
+
+  /**
+   * 接入交易所的私有推送（由 realtime-pnl.js 在私有频道连接后调用）
+   * 跟踪连接状态；实盘模式订阅订单和账户推送
+   */
+  async attachPrivateStreams() {
+    const exchange = this.exchange;
+    this.privateStreamsAttached = true;
+    this.wsConnectionState = exchange.getConnectionStatus().private.state;
     
-    if (!this.config.testMode && wsClient) {
-      // 订阅订单推送
-      wsClient.subscribeOrders(this.config.symbol);
+    // 跟踪私有频道连接状态
+    exchange.on('connection', (info) => {
+      if (info.stream !== 'private') {
+        return;
+      }
+      const previousState = this.wsConnectionState;
+      this.wsConnectionState = info.state;
+      
+      if (!this.config.testMode && previousState === 'authenticated' && info.state !== 'authenticated') {
+        logger.warn(`⚠️ 私有频道断开 (${info.state})，暂停开新仓，等待重连...`);
+      } else if (!this.config.testMode && info.state === 'authenticated' && previousState && previousState !== 'authenticated') {
+        logger.info('✅ 私有频道已恢复，继续交易');
+      }
       
-      // 订阅账户余额推送（实时更新真实余额）
-      wsClient.subscribeAccounts(this.config.symbol);
+      this.updateDataCollector();
+    });
+    
+    if (!this.config.testMode) {
+      // 监听订单更新（处理所有订单推送，在 handleOrderUpdate 中过滤）
+      exchange.on('order', this.onExchangeOrder);
       
-      // 监听订单更新
-      wsClient.on('orders', (data) => {
-        // 处理所有订单推送，在 handleOrderUpdate 中过滤
-        this.handleOrderUpdate(data);
+      // 监听账户余额更新
+      exchange.on('account', (account) => {
+        this.handleAccountUpdate(account);
       });
       
-      // 监听账户余额更新
-      wsClient.on('accounts', (data) => {
-        this.handleAccountUpdate(data);
+      // 重连后订阅失败或超时：无法确认成交，暂停开新仓
+      exchange.on('subscriptionFailed', ({ topic, errMsg }) => {
+        if (exchange.getTradingTopics(this.getTradingStreamOptions()).includes(topic)) {
+          logger.error(`❌ 私有频道 ${topic} 订阅失败: ${errMsg}，暂停开新仓`);
+          this.updateDataCollector();
+        }
       });
       
-      logger.info('✅ 已复用主程序的 WebSocket 连接订阅订单和账户推送');
+      // 订阅订单推送和账户余额推送（实时更新真实余额）
+      // 任一频道订阅失败都直接抛出，避免在收不到成交推送的情况下实盘交易
+      try {
+        await exchange.subscribeTradingStreams(this.getTradingStreamOptions());
+      } catch (error) {
+        logger.error(`❌ 订单/账户推送订阅失败: ${error.message}`);
+        throw new Error(`实盘交易所需的私有频道未就绪: ${error.message}`);
+      }
+      
+      logger.info(`✅ 已复用主程序的 ${exchange.name} 连接订阅订单和账户推送`);
     }
   }
 
   /**
-   * 处理账户余额更新推送
+   * 处理账户余额更新推送（交易所适配器的统一格式）
    */
-  handleAccountUpdate(data) {
+  handleAccountUpdate(account) {
     // 验证数据
-    if (!data) {
-      logger.warn('⚠️ 收到空的账户推送数据');
+    if (!account || typeof account !== 'object') {
+      logger.warn('⚠️ 收到无效的账户推送数据:', account);
       return;
     }
 
-    // data 可能是单个账户对象或账户数组
-    const accounts = Array.isArray(data) ? data : [data];
-
-    accounts.forEach(account => {
-      // 验证账户对象
-      if (!account || typeof account !== 'object') {
-        logger.warn('⚠️ 收到无效的账户对象:', account);
-        return;
-      }
-
-      // 只处理当前交易对的账户
-      if (account.contract_code && account.contract_code !== this.config.symbol) {
-        return;
-      }
+    // 只处理当前交易对的账户（逐仓按合约，全仓和统一账户按保证金币种）
+    if (account.contractCode && account.contractCode !== this.config.symbol) {
+      return;
+    }
+    if (account.accountType !== 'isolated' && account.marginAsset && account.marginAsset !== this.getQuoteCurrency()) {
+      return;
+    }
 
-      // 更新真实余额
-      if (this.realBalance) {
-        this.realBalance.marginBalance = account.margin_balance || this.realBalance.marginBalance;
-        this.realBalance.marginAvailable = account.margin_available || this.realBalance.marginAvailable;
-        this.realBalance.marginFrozen = account.margin_frozen || this.realBalance.marginFrozen;
-        this.realBalance.profitUnreal = account.profit_unreal || this.realBalance.profitUnreal;
-        
-        logger.debug(`💰 账户余额更新: ${this.realBalance.marginAvailable.toFixed(2)} USDT (可用)`);
-        
-        // 更新前端显示
-        this.updateDataCollector();
-      }
-    });
+    // 更新真实余额
+    if (this.realBalance) {
+      this.realBalance.marginBalance = account.marginBalance ?? this.realBalance.marginBalance;
+      this.realBalance.marginAvailable = account.marginAvailable ?? this.realBalance.marginAvailable;
+      this.realBalance.marginFrozen = account.marginFrozen ?? this.realBalance.marginFrozen;
+      this.realBalance.profitUnreal = account.profitUnreal ?? this.realBalance.profitUnreal;
+      
+      logger.debug(`💰 账户余额更新: ${this.realBalance.marginAvailable.toFixed(2)} USDT (可用)`);
+      
+      // 更新前端显示
+      this.updateDataCollector();
+    }
   }
 
   /**
@@ -2102,12 +1940,11 @@ export class QuantTrader {
       }
 
       // 只处理当前交易对的订单
-      if (order.contract_code && order.contract_code !== this.config.symbol) {
+      if (order.contractCode && order.contractCode !== this.config.symbol) {
         return;
       }
 
-      const orderId = order.order_id_str || order.order_id;
-      const status = order.status;
+      const { orderId, status } = order;
 
       // 检查是否是我们监控的订单
       const pendingOrder = this.pendingOrders.get(orderId);
@@ -2119,7 +1956,7 @@ export class QuantTrader {
       logger.info(`📬 收到订单推送: ${orderId} | 状态: ${this.getOrderStatusText(status)}`);
 
       // 订单状态处理
-      if (status === 6) {
+      if (status === 'filled') {
         // 全部成交
         logger.info(`✅ 订单已成交: ${orderId}`);
         this.pendingOrders.delete(orderId);
@@ -2136,7 +1973,7 @@ export class QuantTrader {
         if (pendingOrder.onSuccess) {
           pendingOrder.onSuccess(order);
         }
-      } else if (status === 7 || status === 10) {
+      } else if (status === 'canceled' || status === 'failed') {
         // 已撤单或失败
         logger.warn(`❌ 订单失败: ${orderId} | 状态: ${this.getOrderStatusText(status)}`);
         this.pendingOrders.delete(orderId);
@@ -2153,7 +1990,7 @@ export class QuantTrader {
         if (pendingOrder.onFailure) {
           pendingOrder.onFailure(order);
         }
-      } else if (status === 4) {
+      } else if (status === 'partial') {
         // 部分成交
         logger.info(`⏳ 订单部分成交: ${orderId}`);
       }
@@ -2165,15 +2002,14 @@ export class QuantTrader {
    */
   getOrderStatusText(status) {
     const statusMap = {
-      1: '准备提交',
-      2: '准备提交',
-      3: '已提交',
-      4: '部分成交',
-      5: '部分成交已撤单',
-      6: '全部成交',
-      7: '已撤单',
-      10: '失败',
-      11: '撤单中',
+      submitting: '准备提交',
+      submitted: '已提交',
+      partial: '部分成交',
+      partial_canceled: '部分成交已撤单',
+      filled: '全部成交',
+      canceled: '已撤单',
+      failed: '失败',
+      canceling: '撤单中',
     };
     return statusMap[status] || `未知(${status})`;
   }
@@ -2212,7 +2048,7 @@ export class QuantTrader {
       // 测试模式：立即标记为成功
       setTimeout(() => {
         if (onSuccess) {
-          onSuccess({ order_id: orderId, status: 6 });
+          onSuccess({ orderId, status: 'filled' });
         }
         this.pendingOrders.delete(orderId);
       }, 100);
@@ -2224,53 +2060,35 @@ export class QuantTrader {
    */
   async checkOrderStatus(orderId, orderInfo) {
     try {
-      const axios = (await import('axios')).default;
-
-      const timestamp = new Date().toISOString().replace(/\.\d{3}Z$/, '');
-      const path = '/linear-swap-api/v1/swap_order_info';
-
-      const params = {
-        contract_code: this.config.symbol,
-        order_id: orderId,
-      };
-
-      const signature = this.generateSignature('POST', 'api.hbdm.com', path, {
-        AccessKeyId: this.config.accessKey,
-        SignatureMethod: 'HmacSHA256',
-        SignatureVersion: '2',
-        Timestamp: timestamp,
+      const order = await this.exchange.getOrder({
+        contractCode: this.config.symbol,
+        orderId,
+        marginMode: this.config.marginMode,
       });
 
-      const url = `https://api.hbdm.com${path}`;
-      const response = await axios.post(url, params, {
-        headers: { 'Content-Type': 'application/json' },
-        params: signature,
-      });
-
-      if (response.data.status === 'ok' && response.data.data && response.data.data.length > 0) {
-        const order = response.data.data[0];
+      if (order) {
         const status = order.status;
 
         logger.info(`🔍 查询订单状态: ${orderId} | 状态: ${this.getOrderStatusText(status)}`);
 
-        if (status === 6) {
+        if (status === 'filled') {
           // 全部成交
           this.pendingOrders.delete(orderId);
           if (orderInfo.timeout) clearTimeout(orderInfo.timeout);
           if (orderInfo.maxTimeout) clearTimeout(orderInfo.maxTimeout);
           if (orderInfo.onSuccess) orderInfo.onSuccess(order);
-        } else if (status === 7 || status === 10) {
+        } else if (status === 'canceled' || status === 'failed') {
           // 已撤单或失败
           this.pendingOrders.delete(orderId);
           if (orderInfo.timeout) clearTimeout(orderInfo.timeout);
           if (orderInfo.maxTimeout) clearTimeout(orderInfo.maxTimeout);
           if (orderInfo.onFailure) orderInfo.onFailure(order);
-        } else if (status === 3 || status === 4) {
+        } else if (status === 'submitted' || status === 'partial') {
           // 还在挂单中，继续等待
           logger.info(`⏳ 订单 ${orderId} 仍在挂单中...`);
         }
       } else {
-        logger.error('查询订单状态失败:', response.data.err_msg);
+        logger.error(`查询订单状态失败: 未找到订单 ${orderId}`);
       }
     } catch (error) {
       logger.error('查询订单状态错误:', error.message);
@@ -2293,12 +2111,12 @@ export class QuantTrader {
         // 这里需要从 orderInfo 中获取原始参数
         // 暂时标记为失败，让上层重试
         if (orderInfo.onFailure) {
-          orderInfo.onFailure({ order_id: orderId, status: 10, reason: 'timeout' });
+          orderInfo.onFailure({ orderId, status: 'failed', reason: 'timeout' });
         }
       } else if (orderInfo.type === 'close') {
         // 重新平仓（使用对手价）
         if (orderInfo.onFailure) {
-          orderInfo.onFailure({ order_id: orderId, status: 10, reason: 'timeout' });
+          orderInfo.onFailure({ orderId, status: 'failed', reason: 'timeout' });
         }
       }
       
@@ -2313,34 +2131,17 @@ export class QuantTrader {
    */
   async cancelOrder(orderId) {
     try {
-      const axios = (await import('axios')).default;
-
-      const timestamp = new Date().toISOString().replace(/\.\d{3}Z$/, '');
-      const path = '/linear-swap-api/v1/swap_cancel';
-
-      const params = {
-        contract_code: this.config.symbol,
-        order_id: orderId,
-      };
-
-      const signature = this.generateSignature('POST', 'api.hbdm.com', path, {
-        AccessKeyId: this.config.accessKey,
-        SignatureMethod: 'HmacSHA256',
-        SignatureVersion: '2',
-        Timestamp: timestamp,
-      });
-
-      const url = `https://api.hbdm.com${path}`;
-      const response = await axios.post(url, params, {
-        headers: { 'Content-Type': 'application/json' },
-        params: signature,
+      const result = await this.exchange.cancelOrder({
+        contractCode: this.config.symbol,
+        orderId,
+        marginMode: this.config.marginMode,
       });
 
-      if (response.data.status === 'ok') {
+      if (result.success) {
         logger.info(`✅ 订单已取消: ${orderId}`);
         return true;
       } else {
-        logger.error('取消订单失败:', response.data.err_msg);
+        logger.error('取消订单失败:', result.error);
         return false;
       }
     } catch (error) {
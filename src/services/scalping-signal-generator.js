@@ -1,5 +1,5 @@
-import axios from 'axios';
 import { createLogger } from '../utils/logger.js';
+import { candleStore } from './candle-store.js';
 
 const logger = createLogger('超短线信号');
 
@@ -11,12 +11,21 @@ export class ScalpingSignalGenerator {
   constructor(accessKey, secretKey) {
     this.accessKey = accessKey;
     this.secretKey = secretKey;
-    this.baseUrl = 'https://api.hbdm.com';
     
     // 价格历史（用于计算实时波动率）
     this.priceHistory = [];
     this.maxHistorySize = 60; // 保留最近60个价格点
     this.priceTimestamps = []; // 记录价格时间戳
+
+    // 行情客户端（提供本地订单簿，可选）
+    this.marketClient = null;
+  }
+
+  /**
+   * 设置行情客户端（由 QuantTrader 传入）
+   */
+  setMarketClient(marketClient) {
+    this.marketClient = marketClient;
   }
 
   /**
@@ -41,12 +50,13 @@ export class ScalpingSignalGenerator {
       // 3. 计算核心指标
       const momentum = this.calculateShortMomentum(kline1m, currentPrice);
       const volatility = this.calculateVolatility(kline1m);
-      const volume = this.calculateVolumeAnalysis(kline1m); // 新增：成交量分析
+      const volume = this.calculateVolumeAnalysis(kline1m, symbol); // 成交量 + 主动买卖分析
       const bollingerBands = this.calculateBollingerBands(kline5m, currentPrice); // 新增：布林带
       const trend = this.calculateMicroTrend(kline5m, currentPrice);
+      const orderBook = this.calculateOrderBookPressure(symbol); // 盘口买卖压力
 
       // 4. 综合决策
-      return this.makeScalpingDecision(momentum, volatility, volume, bollingerBands, trend, currentPrice, config);
+      return this.makeScalpingDecision(momentum, volatility, volume, bollingerBands, trend, orderBook, currentPrice, config);
 
     } catch (error) {
       logger.error('生成超短线信号失败:', error.message);
@@ -87,27 +97,11 @@ export class ScalpingSignalGenerator {
   }
 
   /**
-   * 获取K线数据
+   * 获取K线数据（来自K线存储，包括未收盘的当前K线）
+   * @returns {Promise<Array|null>} 新→旧顺序
    */
   async getKlineData(symbol, period, size) {
-    try {
-      const url = `${this.baseUrl}/linear-swap-ex/market/history/kline`;
-      const response = await axios.get(url, {
-        params: {
-          contract_code: symbol,
-          period: period,
-          size: size
-        }
-      });
-
-      if (response.data.status === 'ok' && response.data.data) {
-        return response.data.data.reverse();
-      }
-      return null;
-    } catch (error) {
-      logger.error(`获取K线失败 (${period}):`, error.message);
-      return null;
-    }
+    return candleStore.getCandles(symbol, period, size);
   }
 
   /**
@@ -240,7 +234,7 @@ export class ScalpingSignalGenerator {
   /**
    * 计算成交量分析（判断资金流向）
    */
-  calculateVolumeAnalysis(kline1m) {
+  calculateVolumeAnalysis(kline1m, symbol) {
     if (!kline1m || kline1m.length < 5) {
       return { score: 0, signals: [] };
     }
@@ -285,6 +279,29 @@ export class ScalpingSignalGenerator {
       logger.debug(`     ⚪ 成交量偏低 (0分)`);
     }
 
+    // 有逐笔成交数据时，用最近1分钟的主动买卖差决定方向（K线成交量无法区分买卖）
+    const flow = this.calculateOrderFlow(symbol);
+    if (flow) {
+      if (flow.deltaRatio >= 0.1) {
+        score = Math.abs(score);
+        signals.push(`主动买入占优 ${(flow.deltaRatio * 100).toFixed(0)}%`);
+      } else if (flow.deltaRatio <= -0.1) {
+        score = -Math.abs(score);
+        signals.push(`主动卖出占优 ${(-flow.deltaRatio * 100).toFixed(0)}%`);
+      } else {
+        // 买卖均衡时成交量放大没有方向意义
+        score = Math.min(score, 0);
+        signals.push('主动买卖均衡');
+      }
+
+      if (flow.largeTrades.length > 0) {
+        signals.push(`1分钟内大单 ${flow.largeTrades.length} 笔`);
+      }
+
+      logger.debug(`     主动买入: ${flow.buyVolume.toFixed(3)} / 主动卖出: ${flow.sellVolume.toFixed(3)}`);
+      logger.debug(`     买卖差占比: ${(flow.deltaRatio * 100).toFixed(1)}%，VWAP: ${flow.vwap?.toFixed(2)}`);
+    }
+
     logger.debug(`     成交量得分: ${score}/100`);
 
     return {
@@ -292,6 +309,78 @@ export class ScalpingSignalGenerator {
       currentVolume,
       avgVolume,
       volumeRatio,
+      flow,
+      signals
+    };
+  }
+
+  /**
+   * 最近1分钟的主动买卖统计（来自逐笔成交）
+   * @returns {object|null} 无逐笔数据或成交太少时返回 null
+   */
+  calculateOrderFlow(symbol) {
+    const tape = this.marketClient?.getTradeTape(symbol);
+    if (!tape) {
+      return null;
+    }
+
+    const metrics = tape.getMetrics(60 * 1000);
+    if (metrics.tradeCount < 10) {
+      return null;
+    }
+    return metrics;
+  }
+
+  /**
+   * 盘口分析（使用本地订单簿的买卖失衡度和价差）
+   */
+  calculateOrderBookPressure(symbol) {
+    const book = this.marketClient?.getOrderBook(symbol);
+    if (!book) {
+      return { score: 0, available: false, signals: [] };
+    }
+
+    let score = 0;
+    let signals = [];
+
+    const spread = book.getSpread();
+    const imbalance = book.getImbalance(0.1); // 最优价 0.1% 以内的挂单
+    const spreadPercent = spread ? spread.spreadPercent : 0;
+    // 价差超过 0.05% 时，来回手续费 + 滑点会吃掉超短线的利润
+    const wideSpread = spreadPercent > 0.05;
+
+    logger.debug(`\n  📖 盘口分析:`);
+    logger.debug(`     价差: ${spreadPercent.toFixed(4)}%`);
+    logger.debug(`     买卖失衡度: ${(imbalance * 100).toFixed(1)}%`);
+
+    if (imbalance >= 0.4) {
+      score = 50;
+      signals.push('买盘明显强于卖盘');
+    } else if (imbalance >= 0.2) {
+      score = 25;
+      signals.push('买盘偏强');
+    } else if (imbalance <= -0.4) {
+      score = -50;
+      signals.push('卖盘明显强于买盘');
+    } else if (imbalance <= -0.2) {
+      score = -25;
+      signals.push('卖盘偏强');
+    } else {
+      signals.push('盘口均衡');
+    }
+
+    if (wideSpread) {
+      signals.push('盘口价差过大');
+    }
+
+    logger.debug(`     盘口得分: ${score}`);
+
+    return {
+      score,
+      available: true,
+      imbalance,
+      spreadPercent,
+      wideSpread,
       signals
     };
   }
@@ -418,7 +507,7 @@ export class ScalpingSignalGenerator {
   /**
    * 超短线决策（高频优化版）
    */
-  makeScalpingDecision(momentum, volatility, volume, bollingerBands, trend, currentPrice, config) {
+  makeScalpingDecision(momentum, volatility, volume, bollingerBands, trend, orderBook, currentPrice, config) {
     // 🔥 核心策略：只看最重要的2个指标
     // 1. 动量（价格变化方向）- 50%权重
     // 2. 成交量（资金流向）- 50%权重
@@ -430,8 +519,8 @@ export class ScalpingSignalGenerator {
     // 核心得分：只看动量+成交量
     const coreScore = momentumScore * 0.5 + volumeScore * 0.5;
     
-    // 辅助得分：布林带、波动率、微趋势
-    const auxScore = bollingerBands.score * 0.3 + volatility.score * 0.1 + trend.score * 0.1;
+    // 辅助得分：布林带、波动率、微趋势、盘口
+    const auxScore = bollingerBands.score * 0.3 + volatility.score * 0.1 + trend.score * 0.1 + orderBook.score * 0.2;
     
     const totalScore = coreScore + auxScore;
     const confidence = Math.min(100, Math.max(0, 50 + totalScore / 2));
@@ -444,7 +533,12 @@ export class ScalpingSignalGenerator {
     // 2. 中等信号（核心得分>15 且 总分>10）：开仓
     // 3. 弱信号：观望
     
-    if (coreScore > 25) {
+    if (orderBook.wideSpread) {
+      // 价差过大时不开仓
+      action = 'hold';
+      reason = '盘口价差过大';
+      logger.debug(`   ⏸️  盘口价差 ${orderBook.spreadPercent.toFixed(4)}% 过大，暂不开仓`);
+    } else if (coreScore > 25) {
       // 强做多信号
       action = 'long';
       reason = '强势做多(动量+成交量)';
@@ -475,7 +569,8 @@ export class ScalpingSignalGenerator {
       ...volume.signals,
       ...bollingerBands.signals,
       ...volatility.signals,
-      ...trend.signals
+      ...trend.signals,
+      ...orderBook.signals
     ];
 
     logger.debug(`\n📊 超短线决策 (高频模式):`);
@@ -487,6 +582,7 @@ export class ScalpingSignalGenerator {
     logger.debug(`      布林带: ${bollingerBands.score.toFixed(0)}`);
     logger.debug(`      波动率: ${volatility.score.toFixed(0)}`);
     logger.debug(`      微趋势: ${trend.score.toFixed(0)}`);
+    logger.debug(`      盘口: ${orderBook.available ? orderBook.score.toFixed(0) : '无数据'}`);
     logger.debug(`      辅助得分: ${auxScore.toFixed(1)}`);
     logger.debug(`   📈 综合:`);
     logger.debug(`      总得分: ${totalScore.toFixed(1)}`);
@@ -506,6 +602,7 @@ export class ScalpingSignalGenerator {
         bollingerBands: bollingerBands.score,
         volatility: volatility.score,
         trend: trend.score,
+        orderBook: orderBook.score,
         coreScore,
         auxScore,
         total: totalScore
@@ -1,5 +1,5 @@
-import axios from 'axios';
 import { createLogger } from '../utils/logger.js';
+import { candleStore } from './candle-store.js';
 
 const logger = createLogger('简化信号');
 
@@ -11,7 +11,6 @@ export class SimpleSignalGenerator {
   constructor(accessKey, secretKey) {
     this.accessKey = accessKey;
     this.secretKey = secretKey;
-    this.baseUrl = 'https://api.hbdm.com';
   }
 
   /**
@@ -46,31 +45,11 @@ export class SimpleSignalGenerator {
   }
 
   /**
-   * 获取K线数据
+   * 获取K线数据（来自K线存储，包括未收盘的当前K线）
+   * @returns {Promise<Array|null>} 新→旧顺序
    */
   async getKlineData(symbol, period, size) {
-    try {
-      const contractCode = symbol; // BTC-USDT
-      const url = `${this.baseUrl}/linear-swap-ex/market/history/kline`;
-      
-      const response = await axios.get(url, {
-        params: {
-          contract_code: contractCode,
-          period: period,
-          size: size
-        }
-      });
-
-      if (response.data.status === 'ok' && response.data.data) {
-        // 反转为新→旧顺序
-        return response.data.data.reverse();
-      }
-
-      return null;
-    } catch (error) {
-      logger.error(`获取K线失败 (${period}):`, error.message);
-      return null;
-    }
+    return candleStore.getCandles(symbol, period, size);
   }
 
   /**
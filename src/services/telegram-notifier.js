@@ -1,4 +1,5 @@
 import axios from 'axios';
+import { ExchangeAdapter } from '../exchanges/exchange-adapter.js';
 
 /**
  * Telegram 通知器
@@ -16,9 +17,9 @@ export class TelegramNotifier {
       profitThreshold: config.profitThreshold || 3,
       // 亏损通知阈值（百分比）
       lossThreshold: config.lossThreshold || -5,
-      // 盈利通知阈值（绝对金额 USDT）
+      // 盈利通知阈值（绝对金额 USDT，币本位按折合美元计）
       profitAmountThreshold: config.profitAmountThreshold || null,
-      // 亏损通知阈值（绝对金额 USDT）
+      // 亏损通知阈值（绝对金额 USDT，币本位按折合美元计）
       lossAmountThreshold: config.lossAmountThreshold || null,
       // 时间通知间隔（毫秒）
       timeInterval: config.timeInterval || 3600000, // 默认 1 小时
@@ -226,6 +227,8 @@ export class TelegramNotifier {
    */
   async notifyPositionPnL(positionData) {
     const {
+      exchange,
+      account,
       contractCode,
       direction,
       volume,
@@ -235,39 +238,49 @@ export class TelegramNotifier {
       lastPrice,
       costOpen,
       profitUnreal,
-      profitRate
+      profitUnrealUsd = profitUnreal,
+      profitRate,
+      fundingRate,
+      fundingCost,
+      inverse = false,
+      marginAsset = 'USDT',
+      baseCurrency = contractCode.split('-')[0],
+      quoteCurrency = 'USDT'
     } = positionData;
     
-    const key = `${contractCode}_${direction}`;
+    const key = `${ExchangeAdapter.getKey(exchange, account)}:${contractCode}_${direction}`; // 不同交易所、账户的同一合约分别判断
     
-    // 检查是否应该通知（智能边界触发，传入金额）
-    if (!this.shouldNotify(key, profitRate, profitUnreal)) {
+    // 检查是否应该通知（智能边界触发，传入金额；币本位按折合美元判断）
+    if (!this.shouldNotify(key, profitRate, profitUnrealUsd)) {
       return false;
     }
     
     // 构建消息
     const emoji = profitRate >= 0 ? '🟢' : '🔴';
-    const directionText = direction === 'buy' ? '多仓' : '空仓';
+    const directionText = direction === 'long' ? '多仓' : '空仓';
     const alertType = profitRate >= this.config.profitThreshold ? '🎉 盈利提醒' : '⚠️ 亏损警告';
+    // 币本位金额以币计，保留更多小数
+    const amountDigits = inverse ? 6 : 2;
     
     const message = `
 ${alertType}
 
-${emoji} *${contractCode}* ${directionText}
+${emoji} *${contractCode}* ${directionText}${account ? ` · 账户 \`${account}\`` : ''}
 
 📊 *持仓信息*
-持仓量: \`${volume}\` 张 (${actualPosition.toFixed(4)} ${contractCode.split('-')[0]})
-持仓价值: \`${positionValue.toFixed(2)}\` USDT
-保证金: \`${positionMargin.toFixed(2)}\` USDT
+持仓量: \`${volume}\` 张 (${actualPosition.toFixed(inverse ? 6 : 4)} ${baseCurrency})
+持仓价值: \`${positionValue.toFixed(amountDigits)}\` ${marginAsset}
+保证金: \`${positionMargin.toFixed(amountDigits)}\` ${marginAsset}
 
 💰 *价格信息*
-最新价: \`${lastPrice.toFixed(2)}\` USDT
-开仓价: \`${costOpen.toFixed(2)}\` USDT
-价差: \`${(lastPrice - costOpen).toFixed(2)}\` USDT
+最新价: \`${lastPrice.toFixed(2)}\` ${quoteCurrency}
+开仓价: \`${costOpen.toFixed(2)}\` ${quoteCurrency}
+价差: \`${(lastPrice - costOpen).toFixed(2)}\` ${quoteCurrency}
 
 📈 *盈亏情况*
-未实现盈亏: \`${profitUnreal.toFixed(4)}\` USDT
-收益率: \`${profitRate.toFixed(2)}%\`
+未实现盈亏: \`${profitUnreal.toFixed(inverse ? 8 : 4)}\` ${marginAsset}${inverse ? ` (≈ ${profitUnrealUsd.toFixed(2)} USD)` : ''}
+收益率: \`${profitRate.toFixed(2)}%\`${fundingCost !== null && fundingCost !== undefined ? `
+资金费率: \`${(fundingRate * 100).toFixed(4)}%\` (预计${fundingCost >= 0 ? '支付' : '收取'} \`${Math.abs(fundingCost).toFixed(inverse ? 8 : 4)}\` ${marginAsset})` : ''}
 
 ⏰ ${new Date().toLocaleString('zh-CN')}
 `.trim();
@@ -290,8 +303,9 @@ ${emoji} *${contractCode}* ${directionText}
 
   /**
    * 发送定时汇总通知
+   * @param {object|null} realized - 已实现盈亏汇总（见 PnlLedger.getSummary）
    */
-  async notifyTimeSummary(positions) {
+  async notifyTimeSummary(positions, realized = null, portfolio = null) {
     if (!this.shouldNotifyByTime()) {
       return false;
     }
@@ -305,32 +319,56 @@ ${emoji} *${contractCode}* ${directionText}
     let totalMargin = 0;
     let totalValue = 0;
     
+    // 币本位持仓按折合美元汇总
     const positionLines = positions.map(pos => {
-      totalProfit += pos.profitUnreal;
-      totalMargin += pos.positionMargin;
-      totalValue += pos.positionValue;
+      totalProfit += pos.profitUnrealUsd ?? pos.profitUnreal;
+      totalMargin += pos.positionMarginUsd ?? pos.positionMargin;
+      totalValue += pos.positionValueUsd ?? pos.positionValue;
       
       const emoji = pos.profitRate >= 0 ? '🟢' : '🔴';
-      const directionText = pos.direction === 'buy' ? '多' : '空';
+      const directionText = pos.direction === 'long' ? '多' : '空';
+      const profitText = pos.inverse
+        ? `${pos.profitUnreal.toFixed(6)} ${pos.marginAsset}`
+        : `${pos.profitUnreal.toFixed(2)} ${pos.marginAsset || 'USDT'}`;
       
-      return `${emoji} ${pos.contractCode} ${directionText}: ${pos.profitUnreal.toFixed(2)} USDT (${pos.profitRate.toFixed(2)}%)`;
+      return `${emoji} ${pos.account ? `[${pos.account}] ` : ''}${pos.contractCode} ${directionText}: ${profitText} (${pos.profitRate.toFixed(2)}%)`;
     }).join('\n');
+    const totalUnit = positions.some(pos => pos.inverse) ? 'USD' : 'USDT';
     
     const totalRate = totalMargin > 0 ? (totalProfit / totalMargin * 100) : 0;
     const overallEmoji = totalRate >= 0 ? '🟢' : '🔴';
     
+    // 已实现盈亏（平仓盈亏 - 手续费 + 资金费，折合美元）
+    const formatPnl = value => `${value >= 0 ? '+' : ''}${value.toFixed(2)}`;
+    const realizedSection = realized ? `
+📒 *已实现盈亏* (USD)
+今日: \`${formatPnl(realized.today.netUsd)}\` (${realized.today.fills} 笔)
+本周: \`${formatPnl(realized.week.netUsd)}\` (${realized.week.fills} 笔)
+本月: \`${formatPnl(realized.month.netUsd)}\` (${realized.month.fills} 笔)
+${realized.today.contracts.map(item => `${item.account ? `[${item.account}] ` : ''}${item.contractCode}: ${formatPnl(item.net)} ${item.marginAsset}`).join('\n')}
+` : '';
+    
+    // 组合敞口（所有持仓合计，折合 USDT）
+    const portfolioSection = portfolio ? `
+🧮 *组合敞口* (USDT)
+净敞口: \`${portfolio.netExposure.toFixed(2)}\` | 总敞口: \`${portfolio.grossExposure.toFixed(2)}\`
+实际杠杆: \`${portfolio.leverage !== null ? `${portfolio.leverage.toFixed(2)}x` : '--'}\`
+${portfolio.coins.map(item => `${item.coin}: ${item.quantity >= 0 ? '+' : ''}${item.quantity.toFixed(4)} (${item.netExposure.toFixed(2)})`).join('\n')}${(portfolio.accounts || []).length > 1 ? `
+${portfolio.accounts.map(item => `[${item.account || item.key}] 净敞口 ${item.netExposure.toFixed(2)} | 盈亏 ${item.profitUnreal.toFixed(2)}`).join('\n')}` : ''}
+` : '';
+    
     const message = `
 📊 *持仓定时汇总*
 
 ${overallEmoji} *总体情况*
-总盈亏: \`${totalProfit.toFixed(2)}\` USDT
+总盈亏: \`${totalProfit.toFixed(2)}\` ${totalUnit}
 总收益率: \`${totalRate.toFixed(2)}%\`
-总保证金: \`${totalMargin.toFixed(2)}\` USDT
-总持仓价值: \`${totalValue.toFixed(2)}\` USDT
+总保证金: \`${totalMargin.toFixed(2)}\` ${totalUnit}
+总持仓价值: \`${totalValue.toFixed(2)}\` ${totalUnit}
 
 📋 *各持仓详情*
 ${positionLines}
-
+${portfolioSection}${realizedSection}
 ⏰ ${new Date().toLocaleString('zh-CN')}
 `.trim();
     
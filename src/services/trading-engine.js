@@ -1,7 +1,8 @@
 import { MarketAnalyzer } from './market-analyzer.js';
 import { HTXFuturesClient } from '../core/client.js';
-import axios from 'axios';
-import crypto from 'crypto';
+import { HTXMarketClient } from '../core/market-client.js';
+import { HTXRestClient } from '../core/rest-client.js';
+import { calcPositionPnl } from '../utils/pnl.js';
 
 /**
  * 量化交易引擎
@@ -25,7 +26,9 @@ export class TradingEngine {
     };
 
     this.analyzer = new MarketAnalyzer(config.accessKey, config.secretKey);
+    this.rest = new HTXRestClient({ accessKey: config.accessKey, secretKey: config.secretKey });
     this.client = null;
+    this.marketClient = null;
     
     // 交易状态
     this.balance = this.config.initialBalance;
@@ -78,68 +81,43 @@ export class TradingEngine {
   async connectWebSocket() {
     console.log('🔗 连接实时行情...');
     
-    // 使用公共 WebSocket（不需要认证，只获取行情）
-    const WebSocket = (await import('ws')).default;
-    const pako = (await import('pako')).default;
-    
-    this.ws = new WebSocket('wss://api.hbdm.com/linear-swap-ws');
-    
-    this.ws.on('open', () => {
-      console.log('✅ 实时行情连接成功');
-      
-      // 订阅行情
-      const subMessage = {
-        sub: `market.${this.config.symbol}.ticker`,
-        id: `ticker_${Date.now()}`
-      };
-      this.ws.send(JSON.stringify(subMessage));
-      console.log(`📊 订阅 ${this.config.symbol} 实时行情\n`);
-    });
-
-    this.ws.on('message', (data) => {
-      try {
-        const text = pako.inflate(data, { to: 'string' });
-        const message = JSON.parse(text);
+    // 使用公共行情客户端（不需要认证，只获取行情）
+    this.marketClient = new HTXMarketClient();
+    const topic = `market.${this.config.symbol}.ticker`;
 
-        // 处理 ping
-        if (message.ping) {
-          this.ws.send(JSON.stringify({ pong: message.ping }));
-          return;
-        }
+    // 处理行情推送 - 每次收到新价格立即检查
+    this.marketClient.on('ticker', ({ tick }) => {
+      if (!tick || !tick.last) {
+        return;
+      }
 
-        // 处理行情推送 - 每次收到新价格立即检查
-        if (message.tick && message.tick.last) {
-          const newPrice = parseFloat(message.tick.last);
-          
-          // 价格变化才处理（避免重复）
-          if (newPrice !== this.lastPrice) {
-            this.lastPrice = newPrice;
-            
-            // 立即检查持仓和交易信号
-            this.onPriceUpdate(newPrice).catch(error => {
-              console.error('❌ 价格更新处理错误:', error.message);
-            });
-          }
-        }
-      } catch (error) {
-        // 忽略解析错误
+      const newPrice = parseFloat(tick.last);
+      
+      // 价格变化才处理（避免重复）
+      if (newPrice !== this.lastPrice) {
+        this.lastPrice = newPrice;
+        
+        // 立即检查持仓和交易信号
+        this.onPriceUpdate(newPrice).catch(error => {
+          console.error('❌ 价格更新处理错误:', error.message);
+        });
       }
     });
 
-    this.ws.on('error', (error) => {
-      console.error('❌ WebSocket 错误:', error.message);
+    this.marketClient.on('disconnected', () => {
+      console.log('🔌 实时行情连接关闭');
     });
 
-    this.ws.on('close', () => {
-      console.log('🔌 WebSocket 连接关闭');
-      if (this.isRunning) {
-        console.log('⏳ 5秒后重连...');
-        setTimeout(() => this.connectWebSocket(), 5000);
-      }
-    });
+    this.marketClient.subscribe(topic);
 
-    // 等待连接建立
-    await new Promise(resolve => setTimeout(resolve, 2000));
+    try {
+      await this.marketClient.connect();
+      console.log('✅ 实时行情连接成功');
+      console.log(`📊 订阅 ${this.config.symbol} 实时行情\n`);
+    } catch (error) {
+      // 首次连接失败由客户端自动重连
+      console.error('❌ 实时行情连接失败:', error.message);
+    }
   }
 
   /**
@@ -304,21 +282,29 @@ export class TradingEngine {
     });
   }
 
+  /**
+   * 持仓盈亏（见 utils/pnl.js），size 为币数，position.value 为占用保证金
+   */
+  getPositionPnl(position, price) {
+    return calcPositionPnl({
+      direction: position.direction,
+      volume: position.size,
+      entryPrice: position.entryPrice,
+      positionMargin: position.value,
+      leverage: position.leverage
+    }, { lastPrice: price });
+  }
+
   /**
    * 平仓
    */
   async closePosition(position, price, reason) {
-    const { direction, entryPrice, size, value } = position;
+    const { direction, size } = position;
 
-    // 计算盈亏
-    let profit;
-    if (direction === 'long') {
-      profit = (price - entryPrice) * size;
-    } else {
-      profit = (entryPrice - price) * size;
-    }
-
-    const profitPercent = (profit / value) * 100;
+    // 计算盈亏，收益率基于保证金
+    const pnl = this.getPositionPnl(position, price);
+    const profit = pnl.profitUnreal;
+    const profitPercent = pnl.roe * 100;
 
     if (this.config.testMode) {
       // 测试模式：更新余额
@@ -374,7 +360,6 @@ export class TradingEngine {
    */
   async placeOrder(direction, size, price, isClose = false) {
     try {
-      const timestamp = new Date().toISOString().replace(/\.\d{3}Z$/, '');
       const path = '/linear-swap-api/v1/swap_order';
       
       const params = {
@@ -386,26 +371,12 @@ export class TradingEngine {
         order_price_type: 'optimal_5', // 对手价
       };
 
-      // 生成签名
-      const signature = this.generateSignature('POST', 'api.hbdm.com', path, {
-        AccessKeyId: this.config.accessKey,
-        SignatureMethod: 'HmacSHA256',
-        SignatureVersion: '2',
-        Timestamp: timestamp,
-      });
-
-      const url = `https://api.hbdm.com${path}`;
-      const response = await axios.post(url, params, {
-        headers: {
-          'Content-Type': 'application/json',
-        },
-        params: signature,
-      });
+      const data = await this.rest.privatePost(path, params, 'trade');
 
-      if (response.data.status === 'ok') {
+      if (data.status === 'ok') {
         return true;
       } else {
-        console.error('❌ 下单失败:', response.data.err_msg);
+        console.error('❌ 下单失败:', data.err_msg);
         return false;
       }
     } catch (error) {
@@ -414,27 +385,6 @@ export class TradingEngine {
     }
   }
 
-  /**
-   * 生成签名
-   */
-  generateSignature(method, host, path, params) {
-    const sortedParams = Object.keys(params)
-      .sort()
-      .map(key => `${encodeURIComponent(key)}=${encodeURIComponent(params[key])}`)
-      .join('&');
-
-    const signString = `${method}\n${host}\n${path}\n${sortedParams}`;
-    const signature = crypto
-      .createHmac('sha256', this.config.secretKey)
-      .update(signString)
-      .digest('base64');
-
-    return {
-      ...params,
-      Signature: signature,
-    };
-  }
-
   /**
    * 打印状态
    */
@@ -453,21 +403,12 @@ export class TradingEngine {
       console.log(`${'─'.repeat(80)}`);
       
       this.positions.forEach((pos, idx) => {
-        // 计算盈亏
-        let profitUSDT, profitPercent;
-        if (pos.direction === 'long') {
-          profitUSDT = (this.lastPrice - pos.entryPrice) * pos.size;
-          profitPercent = (this.lastPrice - pos.entryPrice) / pos.entryPrice * 100;
-        } else {
-          profitUSDT = (pos.entryPrice - this.lastPrice) * pos.size;
-          profitPercent = (pos.entryPrice - this.lastPrice) / pos.entryPrice * 100;
-        }
-
-        // 计算保证金（仓位价值 / 杠杆）
-        const margin = pos.value;
-        
-        // 计算收益率（基于保证金）
-        const roe = (profitUSDT / margin) * 100;
+        // 计算盈亏和收益率（基于保证金）
+        const pnl = this.getPositionPnl(pos, this.lastPrice);
+        const profitUSDT = pnl.profitUnreal;
+        const profitPercent = pnl.priceChangePercent * 100;
+        const margin = pnl.margin;
+        const roe = pnl.roe * 100;
 
         // 计算持仓时长
         const holdTime = Math.floor((Date.now() - pos.openTime.getTime()) / 1000 / 60); // 分钟
@@ -539,6 +480,10 @@ export class TradingEngine {
       this.client.close();
     }
 
+    if (this.marketClient) {
+      this.marketClient.close();
+    }
+
     // 打印最终报告
     this.printFinalReport();
   }
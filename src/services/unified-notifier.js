@@ -77,15 +77,18 @@ export class UnifiedNotifier {
 
   /**
    * 发送定时汇总通知到所有启用的通知器
+   * @param {Array} positions - 持仓盈亏
+   * @param {object|null} realized - 已实现盈亏汇总（见 PnlLedger.getSummary）
+   * @param {object|null} portfolio - 组合敞口汇总（见 PortfolioAggregator.getSummary）
    */
-  async notifyTimeSummary(positions) {
+  async notifyTimeSummary(positions, realized = null, portfolio = null) {
     if (this.notifiers.length === 0) {
       return false;
     }
     
     const results = await Promise.allSettled(
       this.notifiers.map(notifier => 
-        notifier.instance.notifyTimeSummary(positions)
+        notifier.instance.notifyTimeSummary(positions, realized, portfolio)
       )
     );
     
@@ -97,18 +100,22 @@ export class UnifiedNotifier {
    * @param {string} message - 消息内容（Telegram 使用）
    * @param {string} title - 标题（Bark 使用）
    * @param {string} body - 内容（Bark 使用）
-   * @param {object} options - 额外选项
+   * @param {object} options - 额外选项，channels 为发送的渠道（telegram / bark），不设置时发送到全部渠道
    */
   async notify(message, title = '', body = '', options = {}) {
-    if (this.notifiers.length === 0) {
+    const { channels, ...notifyOptions } = options;
+    const notifiers = channels?.length > 0
+      ? this.notifiers.filter(notifier => channels.includes(notifier.name.toLowerCase()))
+      : this.notifiers;
+    if (notifiers.length === 0) {
       return false;
     }
     
-    const promises = this.notifiers.map(notifier => {
+    const promises = notifiers.map(notifier => {
       if (notifier.name === 'Telegram') {
-        return notifier.instance.notify(message, options);
+        return notifier.instance.notify(message, notifyOptions);
       } else if (notifier.name === 'Bark') {
-        return notifier.instance.notify(title || '通知', body || message, options);
+        return notifier.instance.notify(title || '通知', body || message, notifyOptions);
       }
     });
     
@@ -116,6 +123,207 @@ export class UnifiedNotifier {
     return results.some(result => result.status === 'fulfilled' && result.value === true);
   }
 
+  /**
+   * 发送资金费率提醒
+   * @param {object} alert
+   * @param {string} alert.type - threshold（费率超过阈值）/ settlement（持仓期间即将结算）
+   * @param {string} alert.contractCode - 合约代码
+   * @param {number} alert.fundingRate - 本期资金费率
+   * @param {number|null} alert.estimatedRate - 预测下期资金费率
+   * @param {number|null} alert.settlementTime - 下次结算时间（毫秒时间戳）
+   * @param {Array} alert.positions - 当前持仓 [{ account, direction: long / short, asset, positionValue, fundingCost }]，
+   *   account 为账户标签（单账户为 null），asset 为金额币种（币本位为币），fundingCost 为正表示支付
+   */
+  async notifyFundingRate(alert) {
+    const { type, contractCode, fundingRate, estimatedRate, settlementTime, positions = [] } = alert;
+
+    const formatRate = rate => (rate === null || rate === undefined ? '--' : `${(rate * 100).toFixed(4)}%`);
+    const minutesLeft = settlementTime ? Math.max(0, Math.round((settlementTime - Date.now()) / 60000)) : null;
+    const settlementText = settlementTime
+      ? `${new Date(settlementTime).toLocaleTimeString('zh-CN')}${minutesLeft !== null ? ` (${minutesLeft} 分钟后)` : ''}`
+      : '--';
+
+    const totalCost = positions.reduce((sum, p) => sum + p.fundingCost, 0);
+    const positionLines = positions.map(p => {
+      const directionText = p.direction === 'long' ? '多仓' : '空仓';
+      const asset = p.asset || 'USDT';
+      const inverse = asset !== 'USDT';
+      const costText = p.fundingCost >= 0 ? `支付 ${p.fundingCost.toFixed(inverse ? 8 : 4)}` : `收取 ${Math.abs(p.fundingCost).toFixed(inverse ? 8 : 4)}`;
+      return `${p.account ? `[${p.account}] ` : ''}${directionText} ${p.positionValue.toFixed(inverse ? 6 : 2)} ${asset} → ${costText} ${asset}`;
+    });
+
+    const header = type === 'settlement' ? '⏳ *资金费即将结算*' : '💸 *资金费率异常*';
+    const telegramMessage = `
+${header}
+
+*${contractCode}*
+本期费率: \`${formatRate(fundingRate)}\`
+预测下期: \`${formatRate(estimatedRate)}\`
+结算时间: ${settlementText}
+${positionLines.length > 0 ? `\n📊 *持仓资金费*\n${positionLines.join('\n')}\n` : ''}
+⏰ ${new Date().toLocaleString('zh-CN')}
+`.trim();
+
+    const barkTitle = type === 'settlement'
+      ? `⏳ ${contractCode} 资金费 ${minutesLeft} 分钟后结算`
+      : `💸 ${contractCode} 资金费率 ${formatRate(fundingRate)}`;
+    const barkBody = [
+      `本期 ${formatRate(fundingRate)} | 预测 ${formatRate(estimatedRate)}`,
+      `结算 ${settlementText}`,
+      ...positionLines
+    ].join('\n');
+
+    // 持仓需要支付资金费时提高提醒级别
+    const paying = totalCost > 0;
+    return this.notify(telegramMessage, barkTitle, barkBody, {
+      sound: paying ? 'bell' : '',
+      level: paying ? 'timeSensitive' : 'active'
+    });
+  }
+
+  /**
+   * 发送强平风险提醒（高优先级：Bark 重要警告，Telegram 不静音）
+   * @param {object} position - realtime-pnl.js 计算出的持仓数据，需要 liquidationPrice / liquidationDistance
+   * @param {number} alertDistance - 提醒阈值（百分比）
+   */
+  async notifyLiquidationRisk(position, alertDistance) {
+    const {
+      account, contractCode, direction, leverage, markPrice, lastPrice, costOpen, liquidationPrice, liquidationEstimated,
+      liquidationDistance, profitUnreal, profitRate, marginAsset = 'USDT', inverse = false
+    } = position;
+
+    const directionText = direction === 'long' ? '多仓' : '空仓';
+    const accountText = account ? `[${account}] ` : '';
+    const price = markPrice ?? lastPrice;
+    const priceLabel = markPrice !== null && markPrice !== undefined ? '标记价' : '最新价';
+    const distanceText = `${(liquidationDistance * 100).toFixed(2)}%`;
+    const liquidationText = `${liquidationPrice.toFixed(2)}${liquidationEstimated ? ' (估算)' : ''}`;
+    const profitText = `${profitUnreal >= 0 ? '+' : ''}${profitUnreal.toFixed(inverse ? 8 : 2)} ${marginAsset} (${profitRate.toFixed(2)}%)`;
+
+    const telegramMessage = `
+🚨 *强平风险*
+
+${accountText}*${contractCode}* ${directionText} ${leverage}x
+${priceLabel}: \`${price.toFixed(2)}\`
+开仓价: \`${costOpen.toFixed(2)}\`
+强平价: \`${liquidationText}\`
+距强平: *${distanceText}*（阈值 ${alertDistance}%）
+未实现盈亏: ${profitText}
+
+⏰ ${new Date().toLocaleString('zh-CN')}
+`.trim();
+
+    const barkTitle = `🚨 ${accountText}${contractCode} ${directionText} 距强平 ${distanceText}`;
+    const barkBody = [
+      `${priceLabel} ${price.toFixed(2)} | 强平价 ${liquidationText}`,
+      `开仓价 ${costOpen.toFixed(2)} | ${leverage}x`,
+      `盈亏 ${profitText}`
+    ].join('\n');
+
+    return this.notify(telegramMessage, barkTitle, barkBody, {
+      sound: 'alarm',
+      level: 'critical',
+      volume: 10,
+      silent: false
+    });
+  }
+
+  /**
+   * 发送账户风险提醒（AccountMonitor 的 alert 事件）
+   * @param {object} alert - { rule: marginRatio / available / riskRate, state: triggered / recovered, value, threshold, account }
+   */
+  async notifyAccountRisk(alert) {
+    const { rule, state, value, threshold, account } = alert;
+    const asset = account.marginAsset || 'USDT';
+    const digits = asset === 'USDT' ? 2 : 6;
+    const formatAmount = amount => (amount === null || amount === undefined ? '--' : amount.toFixed(digits));
+    const accountTypeName = {
+      unified: '统一账户',
+      cross: '全仓账户',
+      isolated: `逐仓 ${account.contractCode || ''}`.trim()
+    }[account.accountType] || account.accountType;
+    // 多账户时带账户标签
+    const accountName = account.account ? `[${account.account}] ${accountTypeName}` : accountTypeName;
+
+    const ruleText = {
+      marginRatio: `保证金占用率 ${value.toFixed(2)}%（阈值 ${threshold}%）`,
+      available: `可用保证金 ${formatAmount(value)} ${asset}（阈值 ${threshold} ${asset}）`,
+      riskRate: `保证金率 ${(value * 100).toFixed(2)}%（阈值 ${(threshold * 100).toFixed(2)}%）`
+    }[rule];
+    const triggered = state === 'triggered';
+    const header = triggered ? '⚠️ 账户风险' : '✅ 账户风险解除';
+
+    const telegramMessage = `
+*${header}*
+
+*${accountName}* (${asset})
+${ruleText}
+权益: \`${formatAmount(account.marginBalance)}\`
+可用: \`${formatAmount(account.marginAvailable)}\`
+冻结: \`${formatAmount(account.marginFrozen)}\`
+未实现盈亏: \`${formatAmount(account.profitUnreal)}\`
+
+⏰ ${new Date().toLocaleString('zh-CN')}
+`.trim();
+
+    const barkTitle = `${header} ${accountName}`;
+    const barkBody = [
+      ruleText,
+      `权益 ${formatAmount(account.marginBalance)} | 可用 ${formatAmount(account.marginAvailable)} ${asset}`,
+      `未实现盈亏 ${formatAmount(account.profitUnreal)} ${asset}`
+    ].join('\n');
+
+    return this.notify(telegramMessage, barkTitle, barkBody, {
+      sound: triggered ? 'alarm' : 'bell',
+      level: triggered ? 'timeSensitive' : 'active'
+    });
+  }
+
+  /**
+   * 发送组合风险提醒（PortfolioAggregator 的 alert 事件）
+   * @param {object} alert - { rule: netExposure / grossExposure / leverage, state: triggered / recovered, value, threshold, summary }
+   */
+  async notifyPortfolioRisk(alert) {
+    const { rule, state, value, threshold, summary } = alert;
+    const ruleText = {
+      netExposure: `净敞口 ${value.toFixed(2)} USDT（阈值 ${threshold} USDT）`,
+      grossExposure: `总敞口 ${value.toFixed(2)} USDT（阈值 ${threshold} USDT）`,
+      leverage: `实际杠杆 ${value.toFixed(2)}x（阈值 ${threshold}x）`
+    }[rule];
+    const triggered = state === 'triggered';
+    const header = triggered ? '⚠️ 组合风险' : '✅ 组合风险解除';
+    const leverageText = summary.leverage !== null ? `${summary.leverage.toFixed(2)}x` : '--';
+    const coinLines = summary.coins
+      .map(item => `${item.coin}: ${item.quantity >= 0 ? '+' : ''}${item.quantity.toFixed(4)} (${item.netExposure.toFixed(2)} USDT)`)
+      .join('\n');
+
+    const telegramMessage = `
+*${header}*
+
+${ruleText}
+净敞口: \`${summary.netExposure.toFixed(2)}\` USDT
+总敞口: \`${summary.grossExposure.toFixed(2)}\` USDT
+实际杠杆: \`${leverageText}\`
+未实现盈亏: \`${summary.profitUnreal.toFixed(2)}\` USDT
+
+${coinLines}
+
+⏰ ${new Date().toLocaleString('zh-CN')}
+`.trim();
+
+    const barkTitle = header;
+    const barkBody = [
+      ruleText,
+      `净敞口 ${summary.netExposure.toFixed(2)} | 总敞口 ${summary.grossExposure.toFixed(2)} USDT | ${leverageText}`,
+      coinLines
+    ].filter(Boolean).join('\n');
+
+    return this.notify(telegramMessage, barkTitle, barkBody, {
+      sound: triggered ? 'alarm' : 'bell',
+      level: triggered ? 'timeSensitive' : 'active'
+    });
+  }
+
   /**
    * 测试所有通知器
    */
@@ -0,0 +1,188 @@
+/**
+ * 持仓盈亏计算
+ * 实时监控（realtime-pnl.js）、HTXFuturesClient、QuantTrader 和 Web 计算器共用，保证各处的数字一致。
+ * 不依赖 Node 模块，Web 页面通过 /js/pnl.js 直接加载本文件
+ *
+ * 公式（金额均以保证金币种计）：
+ * - U 本位：持仓价值 = 张数 × 面值（币） × 价格，盈亏 = (价格 - 开仓价) × 张数 × 面值 × 方向
+ * - 币本位（inverse）：持仓价值 = 张数 × 面值（美元） / 价格，盈亏 = 张数 × 面值 × (1 / 开仓价 - 1 / 价格) × 方向
+ * 方向：多仓为 1，空仓为 -1。盈亏与杠杆无关，杠杆只影响保证金占用
+ *
+ * 交易所按标记价格强平，监控持仓时优先使用标记价格（priceType: 'mark'）
+ */
+
+// 默认吃单手续费率（0.05%）
+export const DEFAULT_TAKER_FEE = 0.0005;
+
+/**
+ * 方向系数，long / buy 为 1，short / sell 为 -1
+ */
+export function getDirectionSign(direction) {
+  return direction === 'long' || direction === 'buy' ? 1 : -1;
+}
+
+/**
+ * 持仓数量（币）：U 本位为 张数 × 面值，币本位为 张数 × 面值 / 价格
+ */
+export function calcQuantity({ volume, contractSize = 1, price, inverse = false }) {
+  return inverse ? volume * contractSize / price : volume * contractSize;
+}
+
+/**
+ * 持仓价值（保证金币种）
+ */
+export function calcPositionValue({ volume, contractSize = 1, price, inverse = false }) {
+  return inverse ? volume * contractSize / price : volume * contractSize * price;
+}
+
+/**
+ * 未实现盈亏（保证金币种）
+ */
+export function calcUnrealizedPnl({ direction, volume, contractSize = 1, entryPrice, price, inverse = false }) {
+  const sign = getDirectionSign(direction);
+  if (inverse) {
+    return volume * contractSize * (1 / entryPrice - 1 / price) * sign;
+  }
+  return (price - entryPrice) * volume * contractSize * sign;
+}
+
+/**
+ * 手续费 = 成交价值 × 费率
+ */
+export function calcFee({ volume, contractSize = 1, price, inverse = false, feeRate = DEFAULT_TAKER_FEE }) {
+  return calcPositionValue({ volume, contractSize, price, inverse }) * feeRate;
+}
+
+/**
+ * 计算收益率（ROE）使用的保证金
+ * - 逐仓：持仓保证金（包含追加的保证金），未知时按开仓价值 / 杠杆
+ * - 全仓：持仓保证金随价格变化，按开仓价值 / 杠杆（初始保证金）计算，杠杆未知时才用持仓保证金
+ */
+export function getMarginBase({ marginMode = 'isolated', positionMargin, leverage, volume, contractSize = 1, entryPrice, inverse = false }) {
+  const initialMargin = leverage > 0
+    ? calcPositionValue({ volume, contractSize, price: entryPrice, inverse }) / leverage
+    : null;
+  if (marginMode === 'cross') {
+    return initialMargin ?? positionMargin ?? 0;
+  }
+  return positionMargin > 0 ? positionMargin : (initialMargin ?? 0);
+}
+
+/**
+ * 选择计算盈亏的价格：mark 为标记价格（未收到时退回最新价），last 为最新成交价
+ */
+export function selectPrice({ lastPrice, markPrice }, priceType = 'last') {
+  if (priceType === 'mark' && markPrice > 0) {
+    return { price: markPrice, priceType: 'mark' };
+  }
+  return { price: lastPrice, priceType: 'last' };
+}
+
+/**
+ * 估算强平价：权益（保证金 + 未实现盈亏）降到维持保证金（持仓价值 × 维持保证金率）时的价格
+ * - U 本位 多仓：(开仓价 × 币数 - 保证金) / (币数 × (1 - 维持保证金率))
+ * - U 本位 空仓：(开仓价 × 币数 + 保证金) / (币数 × (1 + 维持保证金率))
+ * - 币本位按 美元面值 / 价格 换算，公式同理
+ * 全仓的可用保证金包括账户余额，只传持仓保证金时结果偏保守（强平价离现价更近）
+ * @param {object} params - { direction, volume, contractSize, entryPrice, margin, maintenanceMarginRate, inverse }
+ * @returns {number|null} 保证金足以覆盖全部亏损（不会强平）时为 null
+ */
+export function calcLiquidationPrice({ direction, volume, contractSize = 1, entryPrice, margin, maintenanceMarginRate = 0, inverse = false }) {
+  if (!(volume > 0) || !(entryPrice > 0) || !(margin >= 0)) {
+    return null;
+  }
+  const isLong = getDirectionSign(direction) > 0;
+  let price;
+  if (inverse) {
+    const usdValue = volume * contractSize;
+    price = isLong
+      ? usdValue * (1 + maintenanceMarginRate) / (margin + usdValue / entryPrice)
+      : usdValue * (1 - maintenanceMarginRate) / (usdValue / entryPrice - margin);
+  } else {
+    const quantity = volume * contractSize;
+    price = isLong
+      ? (entryPrice * quantity - margin) / (quantity * (1 - maintenanceMarginRate))
+      : (entryPrice * quantity + margin) / (quantity * (1 + maintenanceMarginRate));
+  }
+  return Number.isFinite(price) && price > 0 ? price : null;
+}
+
+/**
+ * 距强平价的距离（相对当前价格的比例，0.1 表示价格再不利变动 10% 触发强平），没有强平价时为 null
+ */
+export function calcLiquidationDistance({ direction, price, liquidationPrice }) {
+  if (!liquidationPrice || !(price > 0)) {
+    return null;
+  }
+  return (price - liquidationPrice) / price * getDirectionSign(direction);
+}
+
+/**
+ * 持仓盈亏
+ * @param {object} position
+ * @param {string} position.direction - long / short（也接受 buy / sell）
+ * @param {number} position.volume - 张数
+ * @param {number} position.contractSize - 面值，默认 1（volume 直接为币数时）
+ * @param {number} position.entryPrice - 开仓均价
+ * @param {boolean} position.inverse - 是否币本位
+ * @param {string} position.marginMode - isolated / cross
+ * @param {number} position.positionMargin - 持仓保证金
+ * @param {number} position.leverage - 杠杆
+ * @param {number} position.liquidationPrice - 交易所给出的强平价（可选，优先于估算值）
+ * @param {object} prices - { lastPrice, markPrice }
+ * @param {object} options
+ * @param {string} options.priceType - last / mark，默认 last
+ * @param {number} options.feeRate - 平仓手续费率，用于估算净盈亏，默认 0
+ * @param {number} options.maintenanceMarginRate - 维持保证金率，传入时估算强平价
+ * @returns {{price, priceType, quantity, positionValue, margin, profitUnreal, roe, closeFee, netProfit, netRoe,
+ *   priceChangePercent, liquidationPrice, liquidationDistance}}
+ *   roe / netRoe / priceChangePercent / liquidationDistance 为小数（0.05 表示 5%），保证金为 0 时 roe 为 0
+ */
+export function calcPositionPnl(position, prices, { priceType = 'last', feeRate = 0, maintenanceMarginRate } = {}) {
+  const { direction, volume, contractSize = 1, entryPrice, inverse = false } = position;
+  const selected = selectPrice(prices, priceType);
+  const { price } = selected;
+
+  const profitUnreal = calcUnrealizedPnl({ direction, volume, contractSize, entryPrice, price, inverse });
+  const closeFee = feeRate > 0 ? calcFee({ volume, contractSize, price, inverse, feeRate }) : 0;
+  const netProfit = profitUnreal - closeFee;
+  const margin = getMarginBase(position);
+
+  let liquidationPrice = position.liquidationPrice > 0 ? position.liquidationPrice : null;
+  if (!liquidationPrice && maintenanceMarginRate !== undefined) {
+    liquidationPrice = calcLiquidationPrice({
+      direction,
+      volume,
+      contractSize,
+      entryPrice,
+      margin: position.positionMargin ?? margin,
+      maintenanceMarginRate,
+      inverse
+    });
+  }
+
+  return {
+    ...selected,
+    quantity: calcQuantity({ volume, contractSize, price, inverse }),
+    positionValue: calcPositionValue({ volume, contractSize, price, inverse }),
+    margin,
+    profitUnreal,
+    roe: margin > 0 ? profitUnreal / margin : 0,
+    closeFee,
+    netProfit,
+    netRoe: margin > 0 ? netProfit / margin : 0,
+    priceChangePercent: (price - entryPrice) / entryPrice * getDirectionSign(direction),
+    liquidationPrice,
+    liquidationDistance: calcLiquidationDistance({ direction, price, liquidationPrice })
+  };
+}
+
+/**
+ * 达到目标收益率（按初始保证金 = 开仓价值 / 杠杆，不含手续费）时的价格，用于计算止盈止损价
+ * @param {object} params - { direction, entryPrice, leverage, roe（小数，亏损为负）, inverse }
+ */
+export function calcPriceForRoe({ direction, entryPrice, leverage, roe, inverse = false }) {
+  const move = roe / leverage * getDirectionSign(direction);
+  // 币本位：roe = (1 - 开仓价 / 价格) × 杠杆 × 方向
+  return inverse ? entryPrice / (1 - move) : entryPrice * (1 + move);
+}
@@ -0,0 +1,279 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { AlertEngine, getAlertRuleTypes } from '../src/services/alert-engine.js';
+
+const SECOND = 1000;
+const MINUTE = 60 * SECOND;
+
+/**
+ * 按顺序回放价格（[价格, 时间] 或价格，时间默认每秒一条），返回每条价格触发的规则 id
+ */
+function replay(engine, symbol, ticks, start = 1_700_000_000_000) {
+  return ticks.map((tick, index) => {
+    const [price, ts] = Array.isArray(tick) ? tick : [tick, start + index * SECOND];
+    return engine.onPrice(symbol, price, ts).map(alert => alert.rule.id);
+  });
+}
+
+// 等待异步发送的回调执行完
+const flush = () => new Promise(resolve => setImmediate(resolve));
+
+const target = (condition, extra = {}) => ({ id: 't', type: 'priceTarget', symbol: 'BTC-USDT', condition, ...extra });
+
+test('priceTarget 向上突破：价格 >= 目标价时触发', () => {
+  const engine = new AlertEngine([target({ direction: 'above', price: 100 })]);
+  assert.deepEqual(replay(engine, 'BTC-USDT', [99, 99.99, 100, 120]), [[], [], ['t'], ['t']]);
+  // 其他合约不触发
+  assert.deepEqual(replay(engine, 'ETH-USDT', [200]), [[]]);
+});
+
+test('priceTarget 向下跌破：价格 <= 目标价时触发', () => {
+  const engine = new AlertEngine([target({ direction: 'below', price: 100 })]);
+  assert.deepEqual(replay(engine, 'BTC-USDT', [101, 100.01, 100, 50]), [[], [], ['t'], ['t']]);
+});
+
+test('priceTarget 幅度：只在 目标价 ~ 目标价 ±幅度 内触发', () => {
+  const above = new AlertEngine([target({ direction: 'above', price: 100, rangePercent: 1 })]);
+  assert.deepEqual(replay(above, 'BTC-USDT', [99, 100.5, 101, 101.5]), [[], ['t'], ['t'], []]);
+
+  const below = new AlertEngine([target({ direction: 'below', price: 100, rangePercent: 1 })]);
+  assert.deepEqual(replay(below, 'BTC-USDT', [101, 99.5, 99, 98.5]), [[], ['t'], ['t'], []]);
+});
+
+test('priceTarget 未知方向不触发', () => {
+  const engine = new AlertEngine([target({ direction: 'sideways', price: 100 })]);
+  assert.deepEqual(replay(engine, 'BTC-USDT', [100]), [[]]);
+});
+
+test('once：触发一次后不再触发（按合约分别记录）', () => {
+  const engine = new AlertEngine([target({ direction: 'above', price: 100 }, { symbol: '*', once: true })]);
+  assert.deepEqual(replay(engine, 'BTC-USDT', [101, 102, 103]), [['t'], [], []]);
+  assert.deepEqual(replay(engine, 'ETH-USDT', [101, 102]), [['t'], []]);
+});
+
+test('cooldown：两次触发间隔不小于冷却时间', () => {
+  const engine = new AlertEngine([target({ direction: 'above', price: 100 }, { cooldown: 10 * SECOND })]);
+  const start = 1_700_000_000_000;
+  const result = replay(engine, 'BTC-USDT', [
+    [101, start],
+    [101, start + 5 * SECOND],
+    [101, start + 9999],
+    [101, start + 10 * SECOND],
+    [101, start + 15 * SECOND]
+  ]);
+  assert.deepEqual(result, [['t'], [], [], ['t'], []]);
+});
+
+test('cooldown：从规则的 lastTriggeredAt 继续冷却（重启后）', () => {
+  const start = 1_700_000_000_000;
+  const engine = new AlertEngine([target({ direction: 'above', price: 100 }, { cooldown: MINUTE, lastTriggeredAt: start - 30 * SECOND })]);
+  assert.deepEqual(replay(engine, 'BTC-USDT', [[101, start], [101, start + 30 * SECOND]]), [[], ['t']]);
+});
+
+test('setRules 保留仍存在的规则的状态，删除的规则状态清除', () => {
+  const rule = target({ direction: 'above', price: 100 }, { once: true });
+  const engine = new AlertEngine([rule]);
+  assert.deepEqual(replay(engine, 'BTC-USDT', [101]), [['t']]);
+
+  engine.setRules([rule]);
+  assert.deepEqual(replay(engine, 'BTC-USDT', [101]), [[]]);
+
+  engine.setRules([]);
+  engine.setRules([rule]);
+  assert.deepEqual(replay(engine, 'BTC-USDT', [101]), [['t']]);
+});
+
+test('setRules 忽略未知类型、补齐默认值和 id', () => {
+  const engine = new AlertEngine([
+    { type: 'nope', symbol: '*' },
+    { type: 'priceTarget', symbol: 'BTC-USDT', condition: { direction: 'above', price: 1 } }
+  ]);
+  const rules = engine.getRules();
+  assert.equal(rules.length, 1);
+  assert.equal(rules[0].id, 'priceTarget:1');
+  assert.equal(rules[0].enabled, true);
+  assert.equal(rules[0].cooldown, 0);
+  assert.ok(getAlertRuleTypes().includes('priceTarget'));
+});
+
+test('停用的规则不评估', () => {
+  const engine = new AlertEngine([target({ direction: 'above', price: 100 }, { enabled: false })]);
+  assert.deepEqual(replay(engine, 'BTC-USDT', [101]), [[]]);
+});
+
+test('deliver：通知送达后才记录触发状态，发送期间不重复触发', async () => {
+  const pending = [];
+  const engine = new AlertEngine([target({ direction: 'above', price: 100 }, { once: true })], {
+    deliver: () => new Promise(resolve => pending.push(resolve))
+  });
+  const delivered = [];
+  engine.on('delivered', alert => delivered.push(alert.price));
+
+  // 第一次发送未完成时不再触发
+  assert.deepEqual(replay(engine, 'BTC-USDT', [101, 102]), [['t'], []]);
+  await flush();
+  // 未送达：下次满足条件时重新提醒
+  pending.shift()(false);
+  await flush();
+  assert.deepEqual(delivered, []);
+  assert.deepEqual(replay(engine, 'BTC-USDT', [103]), [['t']]);
+  await flush();
+
+  // 送达后 once 生效
+  pending.shift()(true);
+  await flush();
+  assert.deepEqual(delivered, [103]);
+  assert.deepEqual(replay(engine, 'BTC-USDT', [104]), [[]]);
+});
+
+test('deliver：发送出错时不记录冷却，下次满足条件时重新提醒', async () => {
+  const engine = new AlertEngine([target({ direction: 'above', price: 100 }, { cooldown: MINUTE })], {
+    deliver: async () => {
+      throw new Error('网络错误');
+    }
+  });
+  assert.deepEqual(replay(engine, 'BTC-USDT', [101]), [['t']]);
+  await flush();
+  assert.deepEqual(replay(engine, 'BTC-USDT', [101]), [['t']]);
+});
+
+test('触发时发出 alert 事件，附带通知内容', () => {
+  const engine = new AlertEngine([target({ direction: 'above', price: 100 }, { channels: ['bark'] })]);
+  const alerts = [];
+  engine.on('alert', alert => alerts.push(alert));
+  engine.onPrice('BTC-USDT', 101, 1_700_000_000_000);
+
+  assert.equal(alerts.length, 1);
+  assert.equal(alerts[0].symbol, 'BTC-USDT');
+  assert.equal(alerts[0].price, 101);
+  assert.deepEqual(alerts[0].rule.channels, ['bark']);
+  assert.match(alerts[0].message.barkTitle, /BTC-USDT 达到 100/);
+  assert.match(alerts[0].message.telegram, /当前价格: `101.00` USDT/);
+});
+
+const change = (windows, extra = {}) => ({ id: 'c', type: 'priceChange', symbol: 'BTC-USDT', condition: { windows }, ...extra });
+
+test('priceChange 以窗口起点之前最近的价格为基准，历史不够长时跳过', () => {
+  const engine = new AlertEngine([change([{ name: '5秒', duration: 5 * SECOND, threshold: 1, amountThreshold: Infinity }])]);
+  const start = 1_700_000_000_000;
+  const alerts = [];
+  engine.on('alert', alert => alerts.push(alert));
+
+  const result = replay(engine, 'BTC-USDT', [
+    [100, start],
+    [100.5, start + 2 * SECOND],
+    [102, start + 4 * SECOND], // 历史不足 5 秒
+    [101, start + 6 * SECOND], // 基准 100（start），+1%
+    [101.2, start + 8 * SECOND] // 基准 100.5（start + 2s），+0.7%
+  ]);
+  assert.deepEqual(result, [[], [], [], ['c'], []]);
+
+  const { match } = alerts[0];
+  assert.equal(match.basePrice, 100);
+  assert.equal(match.currentPrice, 101);
+  assert.equal(match.actualTimeSpan, 6);
+});
+
+test('priceChange 涨跌幅或涨跌额任一达到阈值即触发', () => {
+  const start = 1_700_000_000_000;
+  const percentOnly = new AlertEngine([change([{ name: '1分钟', duration: MINUTE, threshold: 2, amountThreshold: Infinity }])]);
+  assert.deepEqual(replay(percentOnly, 'BTC-USDT', [[100, start], [98.5, start + MINUTE], [97.9, start + MINUTE + SECOND]]), [[], [], ['c']]);
+
+  const amountOnly = new AlertEngine([change([{ name: '1分钟', duration: MINUTE, threshold: Infinity, amountThreshold: 3 }])]);
+  assert.deepEqual(replay(amountOnly, 'BTC-USDT', [[100, start], [102, start + MINUTE], [103, start + MINUTE + SECOND]]), [[], [], ['c']]);
+});
+
+test('priceChange 多个窗口达到阈值时通知变化幅度最大的窗口', () => {
+  const start = 1_700_000_000_000;
+  const engine = new AlertEngine([change([
+    { name: '10秒', duration: 10 * SECOND, threshold: 1, amountThreshold: Infinity },
+    { name: '1分钟', duration: MINUTE, threshold: 1, amountThreshold: Infinity }
+  ])]);
+  const alerts = [];
+  engine.on('alert', alert => alerts.push(alert));
+
+  replay(engine, 'BTC-USDT', [[100, start], [100.5, start + 50 * SECOND], [105, start + MINUTE]]);
+  assert.equal(alerts.length, 1);
+  assert.equal(alerts[0].match.window, '1分钟');
+  assert.equal(alerts[0].match.basePrice, 100);
+  assert.match(alerts[0].message.barkTitle, /上涨 5.00%/);
+});
+
+test('fromLegacyConfig 转换价格目标和多时间窗口配置', () => {
+  const windows = [{ name: '5分钟', duration: 5 * MINUTE, threshold: 1, amountThreshold: 50 }];
+  const rules = AlertEngine.fromLegacyConfig({
+    watchContracts: ['BTC-USDT', 'ETH-USDT'],
+    priceTargets: {
+      enabled: true,
+      targets: [
+        { symbol: 'BTC-USDT', targetPrice: 100000, direction: 'above', notifyOnce: true, notifyInterval: 60, rangePercent: 0.5, lastNotifyTime: 123 },
+        { symbol: 'ETH-USDT', targetPrice: 2000, direction: 'below' }
+      ]
+    },
+    priceChangeConfig: { enabled: true, timeWindows: windows, minNotifyInterval: 120000 }
+  });
+
+  assert.deepEqual(rules, [
+    {
+      id: 'priceTarget:BTC-USDT:above:100000:range=0.5:interval=60:once',
+      source: 'priceTargets',
+      type: 'priceTarget',
+      symbol: 'BTC-USDT',
+      condition: { direction: 'above', price: 100000, rangePercent: 0.5 },
+      cooldown: 60000,
+      once: true,
+      lastTriggeredAt: 123
+    },
+    {
+      id: 'priceTarget:ETH-USDT:below:2000:range=0:interval=0',
+      source: 'priceTargets',
+      type: 'priceTarget',
+      symbol: 'ETH-USDT',
+      condition: { direction: 'below', price: 2000, rangePercent: 0 },
+      cooldown: 0,
+      once: false,
+      lastTriggeredAt: 0
+    },
+    {
+      id: 'priceChangeConfig',
+      source: 'priceChangeConfig',
+      type: 'priceChange',
+      symbol: ['BTC-USDT', 'ETH-USDT'],
+      condition: { windows },
+      cooldown: 120000
+    }
+  ]);
+});
+
+test('fromLegacyConfig 同一价格的目标按幅度、间隔区分，内容相同的目标依次编号', () => {
+  const base = { symbol: 'BTC-USDT', targetPrice: 100, direction: 'above' };
+  const rules = AlertEngine.fromLegacyConfig({
+    priceTargets: {
+      enabled: true,
+      targets: [base, { ...base, rangePercent: 1 }, { ...base, notifyInterval: 60 }, { ...base }, { ...base }]
+    }
+  });
+  assert.deepEqual(rules.map(rule => rule.id), [
+    'priceTarget:BTC-USDT:above:100:range=0:interval=0',
+    'priceTarget:BTC-USDT:above:100:range=1:interval=0',
+    'priceTarget:BTC-USDT:above:100:range=0:interval=60',
+    'priceTarget:BTC-USDT:above:100:range=0:interval=0#2',
+    'priceTarget:BTC-USDT:above:100:range=0:interval=0#3'
+  ]);
+});
+
+test('fromLegacyConfig 关闭的配置不生成规则，转换后的规则可直接评估', () => {
+  assert.deepEqual(AlertEngine.fromLegacyConfig({
+    priceTargets: { enabled: false, targets: [{ symbol: 'BTC-USDT', targetPrice: 1, direction: 'above' }] },
+    priceChangeConfig: { enabled: true, timeWindows: [] }
+  }), []);
+
+  const engine = new AlertEngine(AlertEngine.fromLegacyConfig({
+    priceTargets: { enabled: true, targets: [{ symbol: 'BTC-USDT', targetPrice: 100, direction: 'above', notifyInterval: 10 }] }
+  }));
+  const start = 1_700_000_000_000;
+  assert.deepEqual(
+    replay(engine, 'BTC-USDT', [[101, start], [101, start + 5 * SECOND], [101, start + 10 * SECOND]]),
+    [['priceTarget:BTC-USDT:above:100:range=0:interval=10'], [], ['priceTarget:BTC-USDT:above:100:range=0:interval=10']]
+  );
+});
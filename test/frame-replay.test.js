@@ -0,0 +1,96 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { FrameReplayer } from '../src/core/frame-replayer.js';
+import { FrameRecorder } from '../src/core/frame-recorder.js';
+import { HTXFuturesClient } from '../src/core/client.js';
+import { HTXMarketClient } from '../src/core/market-client.js';
+import { calcPositionPnl } from '../src/utils/pnl.js';
+
+// 录制的会话：ETH-USDT 逐仓多单 10 张 @ 3200.75，10 倍杠杆，之后 5 次行情推送
+const FIXTURE = fileURLToPath(new URL('./fixtures/eth-long-session.jsonl', import.meta.url));
+
+/**
+ * 把录制文件回放进私有频道客户端和行情客户端，按 realtime-pnl.js 的方式用最新价计算持仓盈亏
+ * 客户端逐帧打印收到的推送，回放期间不输出（警告和错误照常输出）
+ */
+async function replay(t, options = {}) {
+  t.mock.method(console, 'log', () => {});
+
+  const contractSizes = new Map();
+  const client = new HTXFuturesClient('key', 'secret', 'ws://replay', {
+    recorder: options.recorder,
+    getContractSize: code => contractSizes.get(code) ?? null
+  });
+  const marketClient = new HTXMarketClient('ws://replay', { recorder: options.recorder });
+
+  client.on('contractInfo', data => {
+    data.forEach(item => contractSizes.set(item.contract_code, item.contract_size));
+  });
+
+  const lastPrices = new Map();
+  marketClient.on('detail', ({ contractCode, tick }) => lastPrices.set(contractCode, tick.close));
+
+  const replayer = new FrameReplayer(FIXTURE, { speed: 0 })
+    .attach('private', client)
+    .attach('market', marketClient);
+  const stats = await replayer.run();
+
+  return { client, stats, contractSizes, lastPrices };
+}
+
+test('回放录制文件：持仓、面值和最新价与录制时一致', async (t) => {
+  const { client, stats, contractSizes, lastPrices } = await replay(t);
+
+  assert.equal(stats.frames, 49);
+  assert.equal(stats.skipped, 0);
+
+  assert.equal(contractSizes.get('ETH-USDT'), 0.01);
+  assert.equal(lastPrices.get('ETH-USDT'), 3205.04);
+  assert.equal(lastPrices.get('BTC-USDT'), 64853.7);
+
+  assert.equal(client.getPositions('cross').length, 0);
+  const positions = client.getPositions('isolated');
+  assert.equal(positions.length, 1);
+  assert.equal(positions[0].contract_code, 'ETH-USDT');
+  assert.equal(positions[0].direction, 'buy');
+  assert.equal(positions[0].volume, 10);
+  assert.equal(positions[0].cost_open, 3200.75);
+});
+
+test('回放录制文件：按最后一次行情计算持仓盈亏', async (t) => {
+  const { client, contractSizes, lastPrices } = await replay(t);
+  const [position] = client.getPositions('isolated');
+
+  const { profitUnreal, roe, positionValue } = calcPositionPnl({
+    direction: position.direction,
+    volume: position.volume,
+    contractSize: contractSizes.get(position.contract_code),
+    entryPrice: position.cost_open,
+    marginMode: position.margin_mode,
+    positionMargin: position.position_margin,
+    leverage: position.lever_rate
+  }, { lastPrice: lastPrices.get(position.contract_code) });
+
+  // (3205.04 - 3200.75) × 10 张 × 0.01 ETH
+  assert.ok(Math.abs(profitUnreal - 0.429) < 1e-9);
+  assert.ok(Math.abs(roe - 0.429 / 32.0113) < 1e-9);
+  assert.ok(Math.abs(positionValue - 320.504) < 1e-9);
+});
+
+test('回放时重新录制，得到相同的帧', async (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'frame-replay-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  const output = path.join(dir, 'rerecorded.jsonl');
+  const recorder = new FrameRecorder(output);
+  await replay(t, { recorder });
+  await recorder.close();
+
+  const frames = file => fs.readFileSync(file, 'utf8').trim().split('\n').map(line => JSON.parse(line))
+    .map(({ source, frame }) => ({ source, frame }));
+  assert.deepEqual(frames(output), frames(FIXTURE));
+});
@@ -0,0 +1,141 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { AlertEngine } from '../src/services/alert-engine.js';
+import { CandleStore } from '../src/services/candle-store.js';
+import { MarketAnalyzer } from '../src/services/market-analyzer.js';
+import '../src/services/indicator-alerts.js';
+
+const SYMBOL = 'ETH-USDT';
+const PERIOD = '1min';
+const START_ID = 1_700_000_000 - (1_700_000_000 % 60);
+
+/**
+ * 按 realtime-pnl.js 的方式接线：序列按 getCandleSeries 的条数加载（history 为 REST 返回的K线，旧→新，
+ * 最后一根为未收盘的当前K线），之后每个价格为一根新K线的推送，上一根随之收盘
+ * @returns {string[][]} 每根K线收盘时触发的规则 id
+ */
+function replay(rules, history, prices) {
+  const engine = new AlertEngine(rules);
+  const store = new CandleStore();
+  const [{ size }] = engine.getCandleSeries();
+
+  const candles = history.slice(-size).map((close, index) => ({ id: START_ID + index * 60, open: close, high: close, low: close, close }));
+  store.series.set(`${SYMBOL}:${PERIOD}`, { candles: candles.reverse(), capacity: size, streaming: true });
+
+  const fired = [];
+  store.on('close', ({ symbol, period, candles: closed }) => {
+    fired.push(engine.onCandleClose(symbol, period, closed).map(alert => alert.rule.id));
+  });
+
+  let id = START_ID + (Math.min(history.length, size) - 1) * 60;
+  prices.forEach(close => {
+    id += 60;
+    store.applyTick(SYMBOL, PERIOD, { id, open: close, high: close, low: close, close });
+  });
+  return fired;
+}
+
+const rule = (type, condition) => ({ id: type, type, symbol: SYMBOL, condition: { period: PERIOD, ...condition } });
+
+// 先跌后涨：下跌 60 根（每根 -2），再上涨 40 根（每根 +4）
+const falling = Array.from({ length: 60 }, (_, i) => 2100 - i * 2);
+const rising = Array.from({ length: 40 }, (_, i) => falling[falling.length - 1] + (i + 1) * 4);
+// 先涨后跌（镜像）
+const risingFirst = falling.map(price => 4200 - price);
+const fallingAfter = rising.map(price => 4200 - price);
+
+const upRules = [
+  rule('rsi', { length: 14, level: 60, direction: 'above' }),
+  rule('maCross', { direction: 'golden' }),
+  rule('macdCross', { direction: 'bullish' }),
+  rule('bollinger', { direction: 'upper' }),
+  rule('closeLevel', { level: 2050, direction: 'above' })
+];
+
+const downRules = [
+  rule('rsi', { length: 14, level: 40, direction: 'below' }),
+  rule('maCross', { direction: 'death' }),
+  rule('macdCross', { direction: 'bearish' }),
+  rule('bollinger', { direction: 'lower' }),
+  rule('closeLevel', { level: 2150, direction: 'below' })
+];
+
+test('getCandleSeries 的条数包含未收盘的当前K线', () => {
+  const engine = new AlertEngine([
+    rule('rsi', { length: 14, level: 60 }),
+    rule('closeLevel', { level: 1 }),
+    { ...rule('maCross', {}), id: 'btc', symbol: 'BTC-USDT' },
+    { ...rule('macdCross', {}), id: 'sol', symbol: 'SOL-USDT' }
+  ]);
+  assert.deepEqual(engine.getCandleSeries(), [
+    { symbol: SYMBOL, period: PERIOD, size: 17 },
+    { symbol: 'BTC-USDT', period: PERIOD, size: 52 },
+    { symbol: 'SOL-USDT', period: PERIOD, size: 36 }
+  ]);
+});
+
+for (const [name, rules, history, prices] of [
+  ['上穿 / 金叉 / 突破上轨', upRules, falling, rising],
+  ['下穿 / 死叉 / 跌破下轨', downRules, risingFirst, fallingAfter]
+]) {
+  for (const item of rules) {
+    test(`${item.type} ${name}：只有该规则的K线序列时，穿越时触发一次`, () => {
+      const fired = replay([item], history, prices).flat();
+      assert.deepEqual(fired, [item.id]);
+    });
+  }
+}
+
+test('macdCross 0 轴：DIF 穿越 0 轴时触发一次，晚于 DIF / DEA 金叉', () => {
+  const signal = rule('macdCross', { direction: 'bullish' });
+  const zero = { ...rule('macdCross', { line: 'zero', direction: 'bullish' }), id: 'zero' };
+
+  const signalFired = replay([signal], falling, rising);
+  const zeroFired = replay([zero], falling, rising);
+  assert.deepEqual(zeroFired.flat(), ['zero']);
+  assert.ok(signalFired.findIndex(ids => ids.length > 0) < zeroFired.findIndex(ids => ids.length > 0));
+
+  const bearish = { ...rule('macdCross', { line: 'zero', direction: 'bearish' }), id: 'zero' };
+  assert.deepEqual(replay([bearish], risingFirst, fallingAfter).flat(), ['zero']);
+  assert.deepEqual(replay([bearish], falling, rising).flat(), []);
+});
+
+test('calculateMACDSignal：DEA 为最近 9 个 DIF 的 EMA', () => {
+  const analyzer = new MarketAnalyzer();
+  const candles = [...falling, ...rising].reverse().map(close => ({ close }));
+
+  assert.equal(analyzer.calculateMACDSignal(candles.slice(0, 33)), null);
+
+  const macd = analyzer.calculateMACDSignal(candles);
+  const difs = Array.from({ length: 9 }, (_, i) => analyzer.calculateMACD(candles.slice(i, i + 26)).dif);
+  const dea = difs.reduceRight((ema, dif) => dif * 0.2 + ema * 0.8);
+  assert.equal(macd.dif, difs[0]);
+  assert.ok(Math.abs(macd.dea - dea) < 1e-9);
+  assert.ok(Math.abs(macd.histogram - (macd.dif - macd.dea) * 2) < 1e-9);
+
+  const flat = analyzer.calculateMACDSignal(Array.from({ length: 34 }, () => ({ close: 2000 })));
+  assert.deepEqual(flat, { dif: 0, dea: 0, histogram: 0 });
+});
+
+test('价格不变时不触发', () => {
+  const flat = Array.from({ length: 60 }, () => 2000);
+  const fired = replay([...upRules, ...downRules], flat, Array.from({ length: 20 }, () => 2000)).flat();
+  assert.deepEqual(fired, []);
+});
+
+test('只评估与规则周期相同的K线', () => {
+  const engine = new AlertEngine([rule('closeLevel', { level: 2050, direction: 'above' })]);
+  const candles = [{ close: 2060 }, { close: 2040 }];
+  assert.equal(engine.onCandleClose(SYMBOL, '5min', candles).length, 0);
+  assert.equal(engine.onCandleClose(SYMBOL, PERIOD, candles).length, 1);
+  // 价格推送不评估K线类规则
+  assert.equal(engine.onPrice(SYMBOL, 2060).length, 0);
+});
+
+test('通知内容包含合约、周期和触发条件', () => {
+  const engine = new AlertEngine([rule('closeLevel', { level: 2050, direction: 'above' })]);
+  const [alert] = engine.onCandleClose(SYMBOL, PERIOD, [{ close: 2060 }, { close: 2040 }]);
+  assert.equal(alert.message.barkTitle, '📐 ETH-USDT 1min 收盘站上 2050');
+  assert.match(alert.message.telegram, /收盘价格: `2060.00` USDT/);
+  assert.doesNotMatch(alert.message.barkBody, /`/);
+});
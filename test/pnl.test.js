@@ -0,0 +1,172 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  calcPositionPnl,
+  calcPriceForRoe,
+  calcLiquidationPrice,
+  calcUnrealizedPnl,
+  calcPositionValue
+} from '../src/utils/pnl.js';
+
+const close = (actual, expected, message) => {
+  assert.ok(Math.abs(actual - expected) < 1e-9 * Math.max(1, Math.abs(expected)), message || `${actual} ≠ ${expected}`);
+};
+
+// U 本位：BTC-USDT 100 张 × 0.001 BTC = 0.1 BTC，开仓 50000，10 倍
+const linear = { volume: 100, contractSize: 0.001, entryPrice: 50000, leverage: 10 };
+// 币本位：BTC-USD 100 张 × 100 USD = 10000 USD，开仓 50000，10 倍
+const inverse = { volume: 100, contractSize: 100, entryPrice: 50000, leverage: 10, inverse: true };
+
+test('calcPositionPnl U 本位多仓 / 空仓', () => {
+  const long = calcPositionPnl({ ...linear, direction: 'long', positionMargin: 500 }, { lastPrice: 51000 });
+  close(long.profitUnreal, 100);
+  close(long.roe, 0.2);
+  close(long.positionValue, 5100);
+  close(long.quantity, 0.1);
+  close(long.priceChangePercent, 0.02);
+
+  const short = calcPositionPnl({ ...linear, direction: 'sell', positionMargin: 500 }, { lastPrice: 51000 });
+  close(short.profitUnreal, -100);
+  close(short.roe, -0.2);
+  close(short.priceChangePercent, -0.02);
+});
+
+test('calcPositionPnl 币本位多仓 / 空仓（盈亏以币计）', () => {
+  const long = calcPositionPnl({ ...inverse, direction: 'buy' }, { lastPrice: 40000 });
+  // 10000 × (1/50000 - 1/40000)
+  close(long.profitUnreal, -0.05);
+  close(long.positionValue, 0.25);
+  close(long.quantity, 0.25);
+  // 初始保证金 = 0.2 BTC / 10
+  close(long.margin, 0.02);
+  close(long.roe, -2.5);
+
+  const short = calcPositionPnl({ ...inverse, direction: 'short' }, { lastPrice: 40000 });
+  close(short.profitUnreal, 0.05);
+  close(short.roe, 2.5);
+});
+
+test('calcPositionPnl 平仓手续费和净盈亏', () => {
+  const pnl = calcPositionPnl({ ...linear, direction: 'long', positionMargin: 500 }, { lastPrice: 51000 }, { feeRate: 0.0005 });
+  close(pnl.closeFee, 2.55);
+  close(pnl.netProfit, 97.45);
+  close(pnl.netRoe, 97.45 / 500);
+
+  const inversePnl = calcPositionPnl({ ...inverse, direction: 'short' }, { lastPrice: 40000 }, { feeRate: 0.0005 });
+  close(inversePnl.closeFee, 0.000125);
+  close(inversePnl.netProfit, 0.05 - 0.000125);
+
+  const noFee = calcPositionPnl({ ...linear, direction: 'long' }, { lastPrice: 51000 });
+  assert.equal(noFee.closeFee, 0);
+  assert.equal(noFee.netProfit, noFee.profitUnreal);
+});
+
+test('calcPositionPnl 逐仓按持仓保证金、全仓按初始保证金计算收益率', () => {
+  const prices = { lastPrice: 51000 };
+
+  // 逐仓追加过保证金：按持仓保证金
+  const isolated = calcPositionPnl({ ...linear, direction: 'long', marginMode: 'isolated', positionMargin: 1000 }, prices);
+  close(isolated.margin, 1000);
+  close(isolated.roe, 0.1);
+
+  // 逐仓没有持仓保证金：按 开仓价值 / 杠杆
+  const isolatedUnknown = calcPositionPnl({ ...linear, direction: 'long', marginMode: 'isolated' }, prices);
+  close(isolatedUnknown.margin, 500);
+
+  // 全仓：持仓保证金随价格变化，按初始保证金
+  const cross = calcPositionPnl({ ...linear, direction: 'long', marginMode: 'cross', positionMargin: 510 }, prices);
+  close(cross.margin, 500);
+  close(cross.roe, 0.2);
+
+  // 全仓杠杆未知：退回持仓保证金
+  const crossUnknown = calcPositionPnl({ ...linear, leverage: undefined, direction: 'long', marginMode: 'cross', positionMargin: 510 }, prices);
+  close(crossUnknown.margin, 510);
+
+  // 没有保证金时收益率为 0
+  const noMargin = calcPositionPnl({ ...linear, leverage: undefined, direction: 'long' }, prices);
+  assert.equal(noMargin.roe, 0);
+});
+
+test('calcPositionPnl 标记价格', () => {
+  const position = { ...linear, direction: 'long', positionMargin: 500 };
+  const mark = calcPositionPnl(position, { lastPrice: 51000, markPrice: 50500 }, { priceType: 'mark' });
+  assert.equal(mark.priceType, 'mark');
+  assert.equal(mark.price, 50500);
+  close(mark.profitUnreal, 50);
+
+  // 未收到标记价格时退回最新价
+  const fallback = calcPositionPnl(position, { lastPrice: 51000 }, { priceType: 'mark' });
+  assert.equal(fallback.priceType, 'last');
+  close(fallback.profitUnreal, 100);
+});
+
+test('calcPriceForRoe U 本位 / 币本位', () => {
+  close(calcPriceForRoe({ direction: 'long', entryPrice: 50000, leverage: 10, roe: 0.2 }), 51000);
+  close(calcPriceForRoe({ direction: 'short', entryPrice: 50000, leverage: 10, roe: 0.2 }), 49000);
+  close(calcPriceForRoe({ direction: 'long', entryPrice: 50000, leverage: 10, roe: -0.1 }), 49500);
+
+  // 币本位：按目标价计算的收益率（全仓，初始保证金）应等于目标收益率
+  [['long', 0.1], ['long', -0.5], ['short', 0.3], ['short', -0.2]].forEach(([direction, roe]) => {
+    const price = calcPriceForRoe({ direction, entryPrice: 50000, leverage: 10, roe, inverse: true });
+    const pnl = calcPositionPnl({ ...inverse, direction, marginMode: 'cross' }, { lastPrice: price });
+    close(pnl.roe, roe, `${direction} ${roe}: ${pnl.roe}`);
+  });
+});
+
+test('calcLiquidationPrice U 本位', () => {
+  // 多仓：(50000 × 0.1 - 500) / (0.1 × 0.995)
+  close(
+    calcLiquidationPrice({ ...linear, direction: 'long', margin: 500, maintenanceMarginRate: 0.005 }),
+    4500 / 0.0995
+  );
+  // 空仓：(50000 × 0.1 + 500) / (0.1 × 1.005)
+  close(
+    calcLiquidationPrice({ ...linear, direction: 'short', margin: 500, maintenanceMarginRate: 0.005 }),
+    5500 / 0.1005
+  );
+  // 保证金覆盖全部持仓价值的多仓不会强平
+  assert.equal(calcLiquidationPrice({ ...linear, direction: 'long', margin: 5000 }), null);
+});
+
+test('calcLiquidationPrice 币本位', () => {
+  // 保证金覆盖全部价值的空仓不会强平
+  assert.equal(calcLiquidationPrice({ ...inverse, direction: 'short', margin: 0.2 }), null);
+
+  // 多仓 10 倍（保证金 0.02 BTC），维持保证金率 0：10000 / (0.02 + 0.2)
+  close(calcLiquidationPrice({ ...inverse, direction: 'long', margin: 0.02 }), 10000 / 0.22);
+});
+
+test('calcLiquidationPrice 强平价处 权益 = 持仓价值 × 维持保证金率', () => {
+  const rate = 0.01;
+  [
+    { ...linear, direction: 'long', margin: 500 },
+    { ...linear, direction: 'short', margin: 500 },
+    { ...inverse, direction: 'long', margin: 0.02 },
+    { ...inverse, direction: 'short', margin: 0.02 }
+  ].forEach(position => {
+    const price = calcLiquidationPrice({ ...position, maintenanceMarginRate: rate });
+    const equity = position.margin + calcUnrealizedPnl({ ...position, price });
+    close(equity, calcPositionValue({ ...position, price }) * rate, `${position.inverse ? '币本位' : 'U 本位'} ${position.direction}`);
+  });
+});
+
+test('calcLiquidationPrice 无效参数返回 null', () => {
+  assert.equal(calcLiquidationPrice({ ...linear, direction: 'long', volume: 0, margin: 500 }), null);
+  assert.equal(calcLiquidationPrice({ ...linear, direction: 'long', entryPrice: 0, margin: 500 }), null);
+  assert.equal(calcLiquidationPrice({ ...linear, direction: 'long', margin: undefined }), null);
+});
+
+test('calcPositionPnl 估算强平价和强平距离（交易所强平价优先）', () => {
+  const position = { ...linear, direction: 'long', positionMargin: 500 };
+  const estimated = calcPositionPnl(position, { lastPrice: 50000 }, { maintenanceMarginRate: 0.005 });
+  close(estimated.liquidationPrice, 4500 / 0.0995);
+  close(estimated.liquidationDistance, (50000 - 4500 / 0.0995) / 50000);
+
+  const exchange = calcPositionPnl({ ...position, liquidationPrice: 46000 }, { lastPrice: 50000 }, { maintenanceMarginRate: 0.005 });
+  assert.equal(exchange.liquidationPrice, 46000);
+  close(exchange.liquidationDistance, 0.08);
+
+  const none = calcPositionPnl(position, { lastPrice: 50000 });
+  assert.equal(none.liquidationPrice, null);
+  assert.equal(none.liquidationDistance, null);
+});
@@ -0,0 +1,86 @@
+import test, { after } from 'node:test';
+import assert from 'node:assert/strict';
+import { QuantTrader } from '../src/services/quant-trader.js';
+import { redisClient } from '../src/config/redis-client.js';
+
+// 不连接 Redis：加载状态、命令监听和配置热重载都跳过
+after(() => redisClient.redis.disconnect());
+
+/**
+ * 测试模式的 QuantTrader：ETH-USDT 面值 0.01，止损 50%、止盈 100%、移动止损 30%（均按 ROE）
+ * 持仓 10 张 @ 100，保证金 1 USDT（10 倍）；返回平仓记录 [{ price, reason }]
+ */
+function createTrader(t, direction) {
+  t.mock.method(QuantTrader.prototype, 'loadState', async () => {});
+  t.mock.method(QuantTrader.prototype, 'startCommandListener', () => {});
+  t.mock.method(QuantTrader.prototype, 'startConfigReloader', async () => {});
+
+  const trader = new QuantTrader({
+    symbol: 'ETH-USDT',
+    signalMode: 'advanced',
+    leverage: 10,
+    stopLoss: 0.5,
+    takeProfit: 1,
+    trailingStop: 0.3,
+    exchange: { getContractSize: () => 0.01 }
+  });
+  trader.positions = [{
+    direction,
+    entryPrice: 100,
+    size: 10,
+    value: 1,
+    leverage: 10,
+    marginMode: 'isolated',
+    highestPrice: direction === 'long' ? 100 : null,
+    lowestPrice: direction === 'short' ? 100 : null
+  }];
+
+  const closed = [];
+  t.mock.method(trader, 'closePosition', async (position, price, reason) => {
+    closed.push({ price, reason });
+  });
+  return { trader, closed };
+}
+
+test('checkPositions 多仓：未触发止盈止损时继续持有，从最高点回撤达到移动止损时平仓', async (t) => {
+  const { trader, closed } = createTrader(t, 'long');
+
+  // ROE 10% → 50%，记录最高价
+  await trader.checkPositions(101);
+  await trader.checkPositions(105);
+  assert.deepEqual(closed, []);
+  assert.equal(trader.positions[0].highestPrice, 105);
+
+  // ROE 从 50% 回撤到 25%，未达到 30%
+  await trader.checkPositions(102.5);
+  assert.deepEqual(closed, []);
+
+  // ROE 从 50% 回撤到 19%
+  await trader.checkPositions(101.9);
+  assert.deepEqual(closed, [{ price: 101.9, reason: '移动止损' }]);
+});
+
+test('checkPositions 空仓：从最低点反弹达到移动止损时平仓', async (t) => {
+  const { trader, closed } = createTrader(t, 'short');
+
+  await trader.checkPositions(99);
+  await trader.checkPositions(95);
+  await trader.checkPositions(97.5);
+  assert.deepEqual(closed, []);
+  assert.equal(trader.positions[0].lowestPrice, 95);
+
+  await trader.checkPositions(98.1);
+  assert.deepEqual(closed, [{ price: 98.1, reason: '移动止损' }]);
+});
+
+test('checkPositions 亏损时不检查移动止损，按 ROE 止损和止盈', async (t) => {
+  const { trader, closed } = createTrader(t, 'long');
+
+  await trader.checkPositions(104);
+  await trader.checkPositions(99);
+  assert.deepEqual(closed, []);
+
+  await trader.checkPositions(95);
+  await trader.checkPositions(110);
+  assert.deepEqual(closed, [{ price: 95, reason: '止损' }, { price: 110, reason: '止盈' }]);
+});
@@ -7,6 +7,8 @@ import dotenv from 'dotenv';
 import { MarketAnalyzer } from './src/services/market-analyzer.js';
 import { dataCollector } from './src/services/data-collector.js';
 import { redisClient } from './src/config/redis-client.js';
+import { contractInfo } from './src/services/contract-info.js';
+import { equityHistory, EQUITY_RANGES } from './src/services/equity-history.js';
 import { createLogger } from './src/utils/logger.js';
 
 dotenv.config();
@@ -27,6 +29,10 @@ const analyzer = new MarketAnalyzer();
 
 // 中间件
 app.use(express.json());
+// 盈亏计算模块与后端共用同一个文件
+app.get('/js/pnl.js', (req, res) => {
+  res.sendFile(path.join(__dirname, 'src/utils/pnl.js'));
+});
 app.use(express.static(path.join(__dirname, 'web')));
 
 // 读取配置（从 Redis）
@@ -153,12 +159,67 @@ app.get('/api/data', async (req, res) => {
       summary: {
         totalPnl: 0,
         todayPnl: 0,
-        weekPnl: 0
+        weekPnl: 0,
+        monthPnl: 0
       }
     });
   }
 });
 
+// 获取权益曲线和回撤
+// range: 1h / 1d / 7d / 30d / 90d / 1y / all（默认 1d），series: real / quant（不传则返回两条）
+app.get('/api/equity', async (req, res) => {
+  try {
+    const range = req.query.range || '1d';
+    if (!EQUITY_RANGES[range]) {
+      return res.status(400).json({ error: `不支持的范围: ${range}`, ranges: Object.keys(EQUITY_RANGES) });
+    }
+    const seriesList = req.query.series ? [req.query.series] : ['real', 'quant'];
+    if (seriesList.some(series => !['real', 'quant'].includes(series))) {
+      return res.status(400).json({ error: `不支持的曲线: ${req.query.series}` });
+    }
+
+    const curves = await Promise.all(seriesList.map(series => equityHistory.getCurve(series, range)));
+    res.json({
+      range,
+      resolution: EQUITY_RANGES[range].resolution,
+      series: Object.fromEntries(curves.map(curve => [curve.series, curve]))
+    });
+  } catch (error) {
+    logger.error('获取权益曲线失败:', error);
+    res.status(500).json({ error: '获取权益曲线失败', message: error.message });
+  }
+});
+
+// 获取合约信息（面值、价格精度、下单数量限制）
+app.get('/api/contracts', async (req, res) => {
+  try {
+    if (!await contractInfo.load()) {
+      return res.status(503).json({ error: '合约信息暂不可用' });
+    }
+    res.json(contractInfo.toJSON());
+  } catch (error) {
+    logger.error('获取合约信息失败:', error);
+    res.status(500).json({ error: '获取合约信息失败', message: error.message });
+  }
+});
+
+// 获取指定合约的信息
+app.get('/api/contracts/:symbol', async (req, res) => {
+  try {
+    const symbol = req.params.symbol.toUpperCase();
+    await contractInfo.load();
+    const contract = contractInfo.get(symbol);
+
+    if (!contract) {
+      return res.status(404).json({ error: '未找到该合约' });
+    }
+    res.json(contract);
+  } catch (error) {
+    res.status(500).json({ error: '获取合约信息失败', message: error.message });
+  }
+});
+
 // 获取实时价格数据
 app.get('/api/prices', async (req, res) => {
   try {
@@ -1,3 +1,5 @@
+import { DEFAULT_TAKER_FEE, calcFee, calcPositionPnl, calcPriceForRoe } from './pnl.js';
+
 const { createApp } = Vue;
 
 createApp({
@@ -16,6 +18,7 @@ createApp({
           enabled: true,
           targets: []
         },
+        alertRules: [],
         notificationConfig: {
           profitThreshold: 3,
           lossThreshold: -5,
@@ -51,6 +54,15 @@ createApp({
         'ADA-USDT',
         'AVAX-USDT'
       ],
+      // 技术指标告警（K线收盘时评估，见 src/services/indicator-alerts.js）
+      indicatorRuleTypes: {
+        rsi: 'RSI 穿越',
+        maCross: '均线交叉',
+        macdCross: 'MACD 交叉',
+        bollinger: '布林带突破',
+        closeLevel: '收盘价穿越'
+      },
+      candlePeriods: ['1min', '5min', '15min', '30min', '60min', '4hour', '1day'],
       saving: false,
       saveMessage: '',
       saveError: false,
@@ -63,6 +75,11 @@ createApp({
         prices: {},
         positions: {},
         quant: null,
+        connections: {},
+        orderBooks: {},
+        summary: null,
+        realized: null,
+        portfolio: null,
         timestamp: null
       },
       ws: null,
@@ -83,6 +100,8 @@ createApp({
         takeProfit: 10
       },
       calculatorResult: null,
+      // 合约信息（面值、价格精度），来自 /api/contracts
+      contracts: {},
       // 量化交易相关
       resettingQuant: false,
       stoppingQuant: false,
@@ -90,10 +109,112 @@ createApp({
       orderHistory: [],
       showOrderHistory: false,
       // 信号历史展开状态
-      showSignalHistory: false
+      showSignalHistory: false,
+      // 权益曲线（/api/equity）
+      equity: {
+        range: '1d',
+        series: 'real', // real：真实账户，quant：量化策略
+        data: null,
+        loading: false,
+        timer: null
+      },
+      // 多账户：持仓、组合敞口、账户和已实现盈亏按账户筛选（all 为全部账户合计）
+      accountFilter: 'all'
     };
   },
   computed: {
+    // alertRules 中的技术指标规则（价格类规则由其他卡片编辑）
+    indicatorRules() {
+      return (this.config.alertRules || []).filter(rule => this.indicatorRuleTypes[rule.type]);
+    },
+    // 出现过的账户（适配器 key -> 显示名），只有一个账户时不显示筛选
+    accountOptions() {
+      const options = new Map();
+      const items = [
+        ...Object.values(this.realtimeData.positions || {}),
+        ...(this.realtimeData.accounts || []),
+        ...(this.realtimeData.portfolio?.accounts || [])
+      ];
+      items.forEach(item => {
+        const key = this.getAccountKey(item);
+        if (!options.has(key)) {
+          options.set(key, item.account || item.exchange);
+        }
+      });
+      return Array.from(options, ([key, label]) => ({ key, label })).sort((a, b) => a.key.localeCompare(b.key));
+    },
+    // 组合敞口：全部账户为合计（含风险提醒），单个账户为该账户的汇总
+    portfolioView() {
+      const portfolio = this.realtimeData.portfolio;
+      if (!portfolio || this.accountFilter === 'all') {
+        return portfolio;
+      }
+      const item = (portfolio.accounts || []).find(account => account.key === this.accountFilter);
+      return item ? { ...item, activeAlerts: [] } : null;
+    },
+    filteredPositions() {
+      return Object.values(this.realtimeData.positions || {})
+        .filter(position => this.matchesAccount(position))
+        .sort((a, b) => this.getAccountKey(a).localeCompare(this.getAccountKey(b)) || a.contractCode.localeCompare(b.contractCode));
+    },
+    filteredAccounts() {
+      return (this.realtimeData.accounts || []).filter(account => this.matchesAccount(account));
+    },
+    // 已实现盈亏：单个账户时按合约明细重新汇总
+    realizedView() {
+      const realized = this.realtimeData.realized;
+      if (!realized || this.accountFilter === 'all') {
+        return realized;
+      }
+      const view = {};
+      ['today', 'week', 'month'].forEach(period => {
+        const contracts = realized[period].contracts.filter(item => this.matchesAccount(item));
+        view[period] = {
+          contracts,
+          netUsd: contracts.reduce((sum, item) => sum + item.netUsd, 0),
+          fills: contracts.reduce((sum, item) => sum + item.fills, 0)
+        };
+      });
+      return view;
+    },
+    // 权益曲线和回撤曲线的 SVG 路径（viewBox 600 × 160 / 600 × 60）
+    equityChart() {
+      const curve = this.equity.data?.series?.[this.equity.series];
+      if (!curve || curve.points.length < 2) {
+        return null;
+      }
+
+      const width = 600;
+      const points = curve.points;
+      const startTs = points[0].ts;
+      const spanTs = points[points.length - 1].ts - startTs || 1;
+      const values = points.map(p => p.equity);
+      const min = Math.min(...values);
+      const max = Math.max(...values);
+      const spanValue = max - min || 1;
+      const x = ts => ((ts - startTs) / spanTs * width).toFixed(1);
+
+      const equityPath = points
+        .map((p, i) => `${i === 0 ? 'M' : 'L'}${x(p.ts)},${(150 - (p.equity - min) / spanValue * 140).toFixed(1)}`)
+        .join(' ');
+      // 回撤面积图：0 在顶部，最大回撤在底部
+      const maxDrawdown = Math.min(curve.maxDrawdown, -0.0001);
+      const drawdownPath = `M0,0 ${points.map(p => `L${x(p.ts)},${(p.drawdown / maxDrawdown * 58).toFixed(1)}`).join(' ')} L${width},0 Z`;
+
+      return {
+        equityPath,
+        drawdownPath,
+        min,
+        max,
+        last: values[values.length - 1],
+        start: points[0].ts,
+        end: points[points.length - 1].ts,
+        change: curve.change,
+        changePercent: curve.changePercent * 100,
+        maxDrawdown: curve.maxDrawdown * 100,
+        resolution: curve.resolution
+      };
+    },
     minNotifyIntervalMinutes: {
       get() {
         return this.config.priceChangeConfig.minNotifyInterval / 60000;
@@ -176,8 +297,12 @@ createApp({
     }
     
     this.loadConfig();
+    this.loadContracts();
     this.connectWebSocket();
     this.loadOrderHistory();
+    this.loadEquity();
+    // 权益快照每分钟写入一次
+    this.equity.timer = setInterval(() => this.loadEquity(), 60000);
     // 监听计算器输入变化，自动计算
     this.$watch('calculator', () => {
       this.calculateResult();
@@ -239,6 +364,9 @@ createApp({
     if (this.wsHeartbeatTimer) {
       clearInterval(this.wsHeartbeatTimer);
     }
+    if (this.equity.timer) {
+      clearInterval(this.equity.timer);
+    }
   },
   methods: {
     // WebSocket 连接
@@ -399,6 +527,114 @@ createApp({
       }
     },
 
+    // 后端连接状态（私有频道 / 行情频道）
+    getConnectionText(connection) {
+      const texts = {
+        idle: '未启动',
+        connecting: '连接中',
+        connected: '已连接',
+        authenticated: '已认证',
+        disconnected: '已断开',
+        giving_up: '已放弃重连'
+      };
+      const text = texts[connection?.state] || '未知';
+      if (connection?.state === 'connecting' && connection.attempts > 0) {
+        return `${text} (第${connection.attempts}次重连)`;
+      }
+      return text;
+    },
+    
+    getConnectionClass(connection) {
+      const state = connection?.state;
+      if (state === 'authenticated' || (state === 'connected' && connection.lastConnectedAt)) {
+        return 'healthy';
+      }
+      if (state === 'connecting' || state === 'disconnected') {
+        return 'recovering';
+      }
+      return 'down';
+    },
+    
+    getConnectionTitle(connection) {
+      if (!connection) return '';
+      const parts = [];
+      if (connection.lastConnectedAt) parts.push(`上次连接: ${new Date(connection.lastConnectedAt).toLocaleString('zh-CN')}`);
+      if (connection.lastDisconnectedAt) parts.push(`上次断开: ${new Date(connection.lastDisconnectedAt).toLocaleString('zh-CN')}`);
+      if (connection.lastError) parts.push(`错误: ${connection.lastError}`);
+      (connection.subscriptions || [])
+        .filter(sub => sub.status !== 'subscribed')
+        .forEach(sub => parts.push(`频道 ${sub.topic}: ${sub.status}${sub.errMsg ? ` (${sub.errMsg})` : ''}`));
+      return parts.join('\n');
+    },
+
+    // 订单簿失衡度的样式（买盘强为绿，卖盘强为红）
+    getImbalanceClass(imbalance) {
+      if (imbalance >= 0.2) return 'profit-positive';
+      if (imbalance <= -0.2) return 'profit-negative';
+      return '';
+    },
+
+    // 已实现盈亏：带正负号，盈利为绿，亏损为红
+    formatPnl(value, digits = 2) {
+      if (value === null || value === undefined) return '--';
+      return `${value >= 0 ? '+' : ''}${value.toFixed(digits)}`;
+    },
+
+    getPnlClass(value) {
+      if (value > 0) return 'profit-positive';
+      if (value < 0) return 'profit-negative';
+      return '';
+    },
+
+    // 加载权益曲线
+    async loadEquity(range) {
+      if (range) {
+        this.equity.range = range;
+      }
+      this.equity.loading = true;
+      try {
+        const response = await fetch(`/api/equity?range=${this.equity.range}`);
+        if (response.ok) {
+          this.equity.data = await response.json();
+        }
+      } catch (error) {
+        console.error('❌ 加载权益曲线失败:', error);
+      } finally {
+        this.equity.loading = false;
+      }
+    },
+
+    // 曲线坐标轴的时间（日线范围显示日期）
+    formatChartTime(timestamp) {
+      const date = new Date(timestamp);
+      if (['1h', '1d'].includes(this.equity.range)) {
+        return date.toLocaleTimeString('zh-CN', { hour: '2-digit', minute: '2-digit' });
+      }
+      return date.toLocaleDateString('zh-CN', { month: '2-digit', day: '2-digit' });
+    },
+
+    // 账户金额：U 本位保留 2 位，币本位保留 6 位
+    formatAmount(value, asset = 'USDT') {
+      if (value === null || value === undefined) return '--';
+      return value.toFixed(asset === 'USDT' ? 2 : 6);
+    },
+
+    getAccountName(account) {
+      const label = account.account ? `[${account.account}] ` : '';
+      if (account.accountType === 'unified') return `${label}统一账户`;
+      if (account.accountType === 'cross') return `${label}全仓账户`;
+      return `${label}逐仓 ${account.contractCode || ''}`.trim();
+    },
+
+    // 记录所属的账户（与 ExchangeAdapter.getKey 相同：交易所，多账户时为 交易所@账户标签）
+    getAccountKey(item) {
+      return item.account ? `${item.exchange}@${item.account}` : item.exchange;
+    },
+
+    matchesAccount(item) {
+      return this.accountFilter === 'all' || this.getAccountKey(item) === this.accountFilter;
+    },
+
     // 格式化时间
     formatTime(timestamp) {
       if (!timestamp) return '--:--:--';
@@ -424,6 +660,10 @@ createApp({
           }));
         }
         
+        if (!Array.isArray(data.alertRules)) {
+          data.alertRules = [];
+        }
+        
         this.config = data;
         
         // 加载计算器设置（除了开仓价格）
@@ -493,6 +733,36 @@ createApp({
     removeTarget(index) {
       this.config.priceTargets.targets.splice(index, 1);
     },
+    addIndicatorRule() {
+      const symbol = this.config.watchContracts[0] || 'BTC-USDT';
+      this.config.alertRules.push({
+        id: `indicator:${Date.now()}`,
+        type: 'rsi',
+        symbol,
+        condition: { period: '60min', ...this.getIndicatorDefaults('rsi', symbol) },
+        cooldown: 0,
+        channels: [],
+        enabled: true
+      });
+    },
+    removeIndicatorRule(rule) {
+      this.config.alertRules.splice(this.config.alertRules.indexOf(rule), 1);
+    },
+    // 切换指标类型时重置参数（保留周期）
+    changeIndicatorType(rule) {
+      rule.condition = { period: rule.condition.period, ...this.getIndicatorDefaults(rule.type, rule.symbol) };
+    },
+    getIndicatorDefaults(type, symbol) {
+      const priceData = this.realtimeData.prices?.[symbol];
+      const price = priceData && typeof priceData === 'object' && priceData.price > 0 ? parseFloat(priceData.price) : 0;
+      return {
+        rsi: { length: 14, level: 70, direction: 'above' },
+        maCross: { fast: 20, slow: 50, direction: 'golden' },
+        macdCross: { line: 'signal', direction: 'bullish' },
+        bollinger: { length: 20, stdDev: 2, direction: 'upper' },
+        closeLevel: { level: price, direction: 'above' }
+      }[type];
+    },
     toggleContract(contract) {
       const index = this.config.watchContracts.indexOf(contract);
       if (index > -1) {
@@ -586,50 +856,43 @@ createApp({
       
       console.log('开始计算:', { direction, price, marginNum, leverageNum, stopLossNum, takeProfitNum });
       
-      // 计算持仓价值（持仓量 USDT）
+      // 计算持仓价值（持仓量 USDT），换算成币数后按统一公式计算（见 src/utils/pnl.js）
       const positionValue = marginNum * leverageNum;
+      const position = {
+        direction,
+        volume: positionValue / price, // 币数（面值按 1 计）
+        entryPrice: price,
+        marginMode: 'isolated',
+        positionMargin: marginNum,
+        leverage: leverageNum
+      };
       
-      // 火币官方：手续费基于持仓价值
-      const feeRate = 0.0005; // 0.05%
-      const openFee = positionValue * feeRate;
-      const closeFee = positionValue * feeRate;
-      const totalFee = openFee + closeFee;
+      // 火币官方：手续费基于成交金额，开仓按开仓价，平仓按平仓价
+      const feeRate = DEFAULT_TAKER_FEE; // 0.05%
+      const openFee = calcFee({ volume: position.volume, price, feeRate });
+      const pnlAt = targetPrice => calcPositionPnl(position, { lastPrice: targetPrice }, { feeRate });
       
       // 计算止损/止盈价格
       // 用户输入的是 ROE%（收益率，基于保证金的盈亏百分比）
       // ROE = 价格变化% × 杠杆
-      // 价格变化% = ROE / 杠杆
       const stopLossROE = stopLossNum / 100; // ROE（如 0.03 表示 3%）
       const takeProfitROE = takeProfitNum / 100; // ROE（如 0.05 表示 5%）
       
-      // 计算价格变化百分比
-      const stopLossPriceChangePercent = stopLossROE / leverageNum;
-      const takeProfitPriceChangePercent = takeProfitROE / leverageNum;
-      
-      let stopLossPrice, takeProfitPrice;
-      if (direction === 'long') {
-        // 做多：止损价格 = 开仓价 × (1 - 价格变化%)
-        stopLossPrice = price * (1 - stopLossPriceChangePercent);
-        // 做多：止盈价格 = 开仓价 × (1 + 价格变化%)
-        takeProfitPrice = price * (1 + takeProfitPriceChangePercent);
-      } else {
-        // 做空：止损价格 = 开仓价 × (1 + 价格变化%)
-        stopLossPrice = price * (1 + stopLossPriceChangePercent);
-        // 做空：止盈价格 = 开仓价 × (1 - 价格变化%)
-        takeProfitPrice = price * (1 - takeProfitPriceChangePercent);
-      }
+      const stopLossPrice = calcPriceForRoe({ direction, entryPrice: price, leverage: leverageNum, roe: -stopLossROE });
+      const takeProfitPrice = calcPriceForRoe({ direction, entryPrice: price, leverage: leverageNum, roe: takeProfitROE });
+      const stopLossPriceChangePercent = Math.abs(stopLossPrice - price) / price;
+      const takeProfitPriceChangePercent = Math.abs(takeProfitPrice - price) / price;
       
-      // 火币官方公式：盈亏 = 价格变化率 × 持仓量(USDT)
-      // 止损盈亏
-      const stopLossProfitBeforeFee = -stopLossPriceChangePercent * positionValue;
-      const stopLossAmountBeforeFee = stopLossProfitBeforeFee;
-      const stopLossAmount = stopLossProfitBeforeFee - totalFee;
+      // 止损盈亏（净盈亏 = 扣除平仓手续费后的盈亏 - 开仓手续费）
+      const stopLossPnl = pnlAt(stopLossPrice);
+      const stopLossAmountBeforeFee = stopLossPnl.profitUnreal;
+      const stopLossAmount = stopLossPnl.netProfit - openFee;
       const stopLossRemaining = marginNum + stopLossAmount;
       
       // 止盈盈亏
-      const takeProfitProfitBeforeFee = takeProfitPriceChangePercent * positionValue;
-      const takeProfitAmountBeforeFee = takeProfitProfitBeforeFee;
-      const takeProfitAmount = takeProfitProfitBeforeFee - totalFee;
+      const takeProfitPnl = pnlAt(takeProfitPrice);
+      const takeProfitAmountBeforeFee = takeProfitPnl.profitUnreal;
+      const takeProfitAmount = takeProfitPnl.netProfit - openFee;
       const takeProfitTotal = marginNum + takeProfitAmount;
       
       // 生成价格梯度表
@@ -638,34 +901,15 @@ createApp({
         : [10, 8, 6, 4, 2, 1, 0, -1, -2, -4, -6, -8, -10];
       
       const priceTable = priceChanges.map(priceChangePercent => {
-        const priceChange = priceChangePercent / 100;
-        
-        let targetPrice, profitBeforeFee, roe;
-        if (direction === 'long') {
-          targetPrice = price * (1 + priceChange);
-          // 火币公式：盈亏 = 价格变化率 × 持仓量
-          profitBeforeFee = priceChange * positionValue;
-        } else {
-          targetPrice = price * (1 + priceChange);
-          // 做空：价格上涨亏损，价格下跌盈利
-          profitBeforeFee = -priceChange * positionValue;
-        }
-        
-        const profitAmount = profitBeforeFee - totalFee;
+        const targetPrice = price * (1 + priceChangePercent / 100);
+        const profitAmount = pnlAt(targetPrice).netProfit - openFee;
         const totalBalance = marginNum + profitAmount;
         
         // ROE = 净盈亏 / 保证金
-        roe = (profitAmount / marginNum) * 100;
-        
-        let priceChangeLabel;
-        if (direction === 'long') {
-          priceChangeLabel = priceChangePercent >= 0 ? `+${priceChangePercent}%` : `${priceChangePercent}%`;
-        } else {
-          priceChangeLabel = priceChangePercent >= 0 ? `+${priceChangePercent}%` : `${priceChangePercent}%`;
-        }
+        const roe = (profitAmount / marginNum) * 100;
         
         return {
-          priceChange: priceChangeLabel,
+          priceChange: priceChangePercent >= 0 ? `+${priceChangePercent}%` : `${priceChangePercent}%`,
           targetPrice,
           profitPercent: roe, // 改为显示 ROE
           profitAmount,
@@ -679,7 +923,7 @@ createApp({
         margin: marginNum,
         leverage: leverageNum,
         positionValue,
-        totalFee,
+        openFee,
         stopLossPrice,
         stopLossPriceChange: stopLossPriceChangePercent * 100,
         stopLossAmountBeforeFee,
@@ -812,115 +1056,60 @@ createApp({
     },
     
     
-    // 计算止损价格
+    // 计算止损价格（止损 ROE 按初始保证金计算，见 pnl.js 的 calcPriceForRoe）
     calculateStopLossPrice(position, config) {
       if (!position || !config) return 0;
-      
-      const { direction, entryPrice } = position;
-      const { stopLoss, leverage } = config;
-      
-      // ROE = 价格变化% × 杠杆
-      // 价格变化% = ROE / 杠杆
-      const priceChangePercent = stopLoss / leverage;
-      
-      if (direction === 'long') {
-        return entryPrice * (1 - priceChangePercent);
-      } else {
-        return entryPrice * (1 + priceChangePercent);
-      }
+      return this.calculateQuantTargetPrice(position, config, -config.stopLoss);
     },
     
     // 计算止盈价格
     calculateTakeProfitPrice(position, config) {
       if (!position || !config) return 0;
-      
-      const { direction, entryPrice } = position;
-      const { takeProfit, leverage } = config;
-      
-      const priceChangePercent = takeProfit / leverage;
-      
-      if (direction === 'long') {
-        return entryPrice * (1 + priceChangePercent);
-      } else {
-        return entryPrice * (1 - priceChangePercent);
-      }
+      return this.calculateQuantTargetPrice(position, config, config.takeProfit);
     },
     
-    // 计算止损金额（USDT）
+    // 计算止损金额（保证金币种，不含手续费）
     calculateStopLossUSDT(position, config) {
       if (!position || !config) return 0;
-      
-      const { direction, entryPrice, size } = position;
-      const { stopLoss, leverage } = config;
-      
-      // 获取合约面值
-      const contractSize = this.getContractSize(position.symbol || config.symbol);
-      
-      // 计算止损价格
-      const priceChangePercent = stopLoss / leverage;
-      let stopLossPrice;
-      if (direction === 'long') {
-        stopLossPrice = entryPrice * (1 - priceChangePercent);
-      } else {
-        stopLossPrice = entryPrice * (1 + priceChangePercent);
-      }
-      
-      // 火币官方公式：盈亏 = (平仓价 - 开仓价) × 张数 × 合约面值
-      let profitUSDT;
-      if (direction === 'long') {
-        profitUSDT = (stopLossPrice - entryPrice) * size * contractSize;
-      } else {
-        profitUSDT = (entryPrice - stopLossPrice) * size * contractSize;
-      }
-      
-      return profitUSDT;
+      return this.calculateQuantTargetPnl(position, config, this.calculateStopLossPrice(position, config));
     },
     
-    // 计算止盈金额（USDT）
+    // 计算止盈金额
     calculateTakeProfitUSDT(position, config) {
       if (!position || !config) return 0;
+      return this.calculateQuantTargetPnl(position, config, this.calculateTakeProfitPrice(position, config));
+    },
+    
+    // 量化持仓达到目标 ROE 时的价格
+    calculateQuantTargetPrice(position, config, roe) {
+      const contract = this.contracts[position.symbol || config.symbol];
+      return calcPriceForRoe({
+        direction: position.direction,
+        entryPrice: position.entryPrice,
+        leverage: config.leverage,
+        roe,
+        inverse: Boolean(contract?.inverse)
+      });
+    },
+    
+    // 量化持仓在目标价格的盈亏（合约信息未加载时为 0）
+    calculateQuantTargetPnl(position, config, price) {
+      const symbol = position.symbol || config.symbol;
+      const contractSize = this.getContractSize(symbol);
+      if (!contractSize) return 0;
       
-      const { direction, entryPrice, size } = position;
-      const { takeProfit, leverage } = config;
-      
-      // 获取合约面值
-      const contractSize = this.getContractSize(position.symbol || config.symbol);
-      
-      // 计算止盈价格
-      const priceChangePercent = takeProfit / leverage;
-      let takeProfitPrice;
-      if (direction === 'long') {
-        takeProfitPrice = entryPrice * (1 + priceChangePercent);
-      } else {
-        takeProfitPrice = entryPrice * (1 - priceChangePercent);
-      }
-      
-      // 火币官方公式：盈亏 = (平仓价 - 开仓价) × 张数 × 合约面值
-      let profitUSDT;
-      if (direction === 'long') {
-        profitUSDT = (takeProfitPrice - entryPrice) * size * contractSize;
-      } else {
-        profitUSDT = (entryPrice - takeProfitPrice) * size * contractSize;
-      }
-      
-      return profitUSDT;
+      return calcPositionPnl({
+        direction: position.direction,
+        volume: position.size,
+        contractSize,
+        entryPrice: position.entryPrice,
+        inverse: Boolean(this.contracts[symbol]?.inverse)
+      }, { lastPrice: price }).profitUnreal;
     },
     
-    // 获取合约面值
+    // 获取合约面值（合约信息未加载时返回 null）
     getContractSize(symbol) {
-      const contractSizes = {
-        'BTC-USDT': 0.001,
-        'ETH-USDT': 0.01,
-        'EOS-USDT': 1,
-        'LTC-USDT': 0.1,
-        'BCH-USDT': 0.01,
-        'XRP-USDT': 10,
-        'TRX-USDT': 100,
-        'SOL-USDT': 0.1,
-        'DOGE-USDT': 100,
-        'BNB-USDT': 0.1,
-      };
-      return contractSizes[symbol] || 0.001;
+      return this.contracts[symbol]?.contractSize ?? null;
     },
     
     // 重置量化交易
@@ -1031,6 +1220,18 @@ createApp({
     },
     
     // 加载历史订单
+    async loadContracts() {
+      try {
+        const response = await fetch('/api/contracts');
+        if (response.ok) {
+          const data = await response.json();
+          this.contracts = data.contracts || {};
+        }
+      } catch (error) {
+        console.error('加载合约信息失败:', error);
+      }
+    },
+
     async loadOrderHistory() {
       try {
         const symbol = this.realtimeData.quant?.symbol || 'BTC-USDT';